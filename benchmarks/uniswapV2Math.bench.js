@@ -0,0 +1,145 @@
+/**
+ * UniswapV2Math benchmark: Decimal reference vs BigInt fast path
+ *
+ * Quotes a realistic mainnet-sized pool set (mixed decimals, fee tiers and depths) with
+ * trade sizes from 0.01% to 5% of the input reserve, checks every BigInt result against the
+ * Decimal one and reports throughput for single quotes and for the cycle walks the optimizer runs
+ *
+ * Usage: npm run bench [-- <rounds>]
+ */
+const UniswapV2Math = require('../src/services/amm/UniswapV2Math');
+
+const ROUNDS = Number(process.argv[2]) || 200;
+const WARMUP_ROUNDS = 20;
+
+const E18 = 10n ** 18n;
+const E8 = 10n ** 8n;
+const E6 = 10n ** 6n;
+
+// Reserves as raw token units, roughly the depth of the real pairs
+const POOLS = [
+    { name: 'Uniswap WETH/USDC', reserveIn: 18000n * E18, reserveOut: 45000000n * E6, fee: 30 },
+    { name: 'Sushi WETH/USDC', reserveIn: 4200n * E18, reserveOut: 10600000n * E6, fee: 30 },
+    { name: 'Uniswap WETH/DAI', reserveIn: 6500n * E18, reserveOut: 16200000n * E18, fee: 30 },
+    { name: 'Uniswap WBTC/WETH', reserveIn: 310n * E8, reserveOut: 5200n * E18, fee: 30 },
+    { name: 'Uniswap USDC/USDT', reserveIn: 9000000n * E6, reserveOut: 9010000n * E6, fee: 30 },
+    { name: 'Pancake-style WETH/USDC', reserveIn: 1500n * E18, reserveOut: 3760000n * E6, fee: 25 },
+    { name: 'Custom-fee DAI/USDC', reserveIn: 2000000n * E18, reserveOut: 2001000n * E6, fee: { numerator: 9990, denominator: 10000 } },
+    { name: 'Long-tail PEPE/WETH', reserveIn: 420000000000000n * E18, reserveOut: 950n * E18, fee: 30 }
+];
+
+// Trade sizes in basis points of the input reserve
+const SIZES_BPS = [1n, 5n, 10n, 50n, 100n, 200n, 350n, 500n];
+
+// Cycles the optimizer walks: [pool index, direction] per hop (false = reversed)
+const CYCLES = [
+    { name: 'WETH->USDC->WETH', hops: [[0, true], [1, false]] },
+    { name: 'WETH->USDC->WETH (fee tiers)', hops: [[0, true], [5, false]] },
+    { name: 'WETH->DAI->USDC->WETH', hops: [[2, true], [6, true], [1, false]] }
+];
+
+const quotes = [];
+for (const pool of POOLS) {
+    for (const bps of SIZES_BPS) {
+        quotes.push({ pool, amountIn: (pool.reserveIn * bps) / 10000n });
+    }
+}
+
+const cycles = CYCLES.map(cycle => {
+    const pools = cycle.hops.map(([index, forward]) => {
+        const pool = POOLS[index];
+        return forward
+            ? { reserveIn: pool.reserveIn, reserveOut: pool.reserveOut, fee: pool.fee }
+            : { reserveIn: pool.reserveOut, reserveOut: pool.reserveIn, fee: pool.fee };
+    });
+    const stringPools = pools.map(pool => ({ ...pool, reserveIn: pool.reserveIn.toString(), reserveOut: pool.reserveOut.toString() }));
+    const amounts = SIZES_BPS.map(bps => ((pools[0].reserveIn * bps) / 10000n).toString());
+    return { name: cycle.name, pools: stringPools, amounts };
+});
+
+function decimalQuote({ pool, amountIn }) {
+    return UniswapV2Math.getAmountOut(amountIn.toString(), pool.reserveIn.toString(), pool.reserveOut.toString(), pool.fee);
+}
+
+function bigIntQuote({ pool, amountIn }) {
+    return UniswapV2Math.getAmountOutBigInt(amountIn, pool.reserveIn, pool.reserveOut, pool.fee);
+}
+
+// Hop-by-hop walk through the Decimal reference, as getCycleAmountsOut used to do
+function decimalCycle(amountIn, pools) {
+    const amounts = [amountIn];
+    for (const pool of pools) {
+        amounts.push(UniswapV2Math.getAmountOut(amounts[amounts.length - 1], pool.reserveIn, pool.reserveOut, pool.fee));
+    }
+    return amounts;
+}
+
+function verify() {
+    let checked = 0;
+
+    for (const quote of quotes) {
+        const reference = decimalQuote(quote);
+        const fast = bigIntQuote(quote).toString();
+        if (reference !== fast) {
+            throw new Error(`Mismatch on ${quote.pool.name} for ${quote.amountIn}: ${reference} vs ${fast}`);
+        }
+        checked++;
+    }
+
+    for (const cycle of cycles) {
+        for (const amountIn of cycle.amounts) {
+            const reference = decimalCycle(amountIn, cycle.pools);
+            const fast = UniswapV2Math.getCycleAmountsOut(amountIn, cycle.pools);
+            if (reference.join() !== fast.join()) {
+                throw new Error(`Mismatch on ${cycle.name} for ${amountIn}: ${reference} vs ${fast}`);
+            }
+            checked++;
+        }
+    }
+
+    return checked;
+}
+
+function time(label, operations, run) {
+    for (let round = 0; round < WARMUP_ROUNDS; round++) run();
+
+    const start = process.hrtime.bigint();
+    for (let round = 0; round < ROUNDS; round++) run();
+    const elapsedNs = Number(process.hrtime.bigint() - start);
+
+    const calls = operations * ROUNDS;
+    return { label, calls, nsPerCall: elapsedNs / calls, callsPerSecond: calls / (elapsedNs / 1e9) };
+}
+
+function report(title, reference, fast) {
+    console.log(`\n${title}`);
+    for (const result of [reference, fast]) {
+        console.log(
+            `  ${result.label.padEnd(10)} ${result.calls.toString().padStart(8)} calls  ` +
+            `${(result.nsPerCall / 1000).toFixed(2).padStart(8)} µs/call  ` +
+            `${Math.round(result.callsPerSecond).toLocaleString().padStart(12)} calls/s`
+        );
+    }
+    console.log(`  speedup    ${(reference.nsPerCall / fast.nsPerCall).toFixed(1)}x`);
+}
+
+function main() {
+    const checked = verify();
+    console.log(`UniswapV2Math benchmark: ${POOLS.length} pools, ${quotes.length} quotes and ${cycles.length} cycles per round, ${ROUNDS} rounds`);
+    console.log(`Verified ${checked} BigInt results bit-for-bit against the Decimal reference`);
+
+    report(
+        'Single-hop getAmountOut',
+        time('Decimal', quotes.length, () => quotes.forEach(decimalQuote)),
+        time('BigInt', quotes.length, () => quotes.forEach(bigIntQuote))
+    );
+
+    const walks = cycles.reduce((count, cycle) => count + cycle.amounts.length, 0);
+    report(
+        'Cycle walk (optimizer inner loop)',
+        time('Decimal', walks, () => cycles.forEach(cycle => cycle.amounts.forEach(amountIn => decimalCycle(amountIn, cycle.pools)))),
+        time('BigInt', walks, () => cycles.forEach(cycle => cycle.amounts.forEach(amountIn => UniswapV2Math.getCycleAmountsOut(amountIn, cycle.pools))))
+    );
+}
+
+main();
@@ -1,10 +1,13 @@
 const Web3Manager = require('./services/blockchain/Web3Manager');
 const DEXPriceService = require('./services/price/DEXPriceService');
 const PriceMonitoringWorker = require('./services/price/PriceMonitoringWorker');
+const PairDiscovery = require('./services/price/PairDiscovery');
 const TradingStrategyEngine = require('./services/trading/TradingStrategyEngine');
 const ExecutionEngine = require('./services/trading/ExecutionEngine');
 const RiskManager = require('./services/trading/RiskManager');
 const TradingBot = require('./services/trading/TradingBot');
+const ArbitrageGraph = require('./services/trading/ArbitrageGraph');
+const TokenRegistry = require('./services/token/TokenRegistry');
 const UniswapV2Math = require('./services/amm/UniswapV2Math');
 const { Decimal } = require('decimal.js');
 const logger = require('./utils/logger');
@@ -17,7 +20,7 @@ require('dotenv').config();
  * 
  * Implements all requirements:
  * 1. Real-time price fetching from 2+ Uniswap V2-compatible DEXs
- * 2. Triangular arbitrage detection
+ * 2. Triangular and longer cyclic arbitrage detection over the token graph
  * 3. Arbitrage opportunities where price difference > swap + gas fees
  * 4. Profit calculation with fees and safety margin
  * 5. Trade simulation (no real on-chain trades)
@@ -28,6 +31,7 @@ class ComprehensiveArbitrageBot {
         this.web3Manager = null;
         this.dexPriceService = null;
         this.priceMonitoringWorker = null;
+        this.pairDiscovery = null;
         this.tradingStrategyEngine = null;
         this.executionEngine = null;
         this.riskManager = null;
@@ -41,7 +45,7 @@ class ComprehensiveArbitrageBot {
             // Supported DEXs (Uniswap V2-compatible)
             supportedDEXs: ['uniswap', 'sushiswap'],
             
-            // Token pairs for triangular arbitrage
+            // Token pairs for triangular arbitrage (their pools also seed the cycle graph)
             triangularPairs: [
                 {
                     name: 'WETH/USDC/USDT',
@@ -90,6 +94,16 @@ class ComprehensiveArbitrageBot {
                 }
             ],
             
+            // Factory-wide pair discovery: liquid pairs listed on 2+ DEXs join the direct scan
+            enablePairDiscovery: process.env.ENABLE_PAIR_DISCOVERY === 'true',
+            maxDiscoveredPairs: 200, // Discovered pairs scanned per round, on top of directPairs
+            
+            // Cycle graph settings
+            minCycleHops: 3, // 2-hop cycles are covered by the direct scan
+            maxCycleHops: 4,
+            cycleBaseToken: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', // WETH, so gas nets out in the same unit
+            maxCycleTradeWei: '10000000000000000000', // 10 ETH
+            
             // Arbitrage settings
             minProfitUSD: 10, // Minimum profit in USD
             safetyMargin: 0.1, // 10% safety margin
@@ -157,10 +171,16 @@ class ComprehensiveArbitrageBot {
                     maxRetries: 3,
                     timeout: 30000
                 }
-            ]);
+            ], {
+                chainId: parseInt(process.env.CHAIN_ID) || 1,
+                // Capture RPC traffic to a fixture, or rerun a captured one offline
+                record: process.env.RPC_RECORD_PATH ? { path: process.env.RPC_RECORD_PATH } : null,
+                replay: process.env.RPC_REPLAY_PATH ? { path: process.env.RPC_REPLAY_PATH } : null
+            });
             
             // Test connection only if real price fetching is enabled
             if (this.config.enableRealPriceFetching) {
+                await this.web3Manager.startProviderMonitor();
                 await this.web3Manager.executeWithFailover(async (web3) => {
                     const blockNumber = await web3.eth.getBlockNumber();
                     logger.info('Connected to Ethereum network', {
@@ -175,13 +195,17 @@ class ComprehensiveArbitrageBot {
                 });
             }
             
+            // Initialize TokenRegistry (fee-on-transfer and rebasing tokens, decimals and symbols)
+            this.tokenRegistry = new TokenRegistry(this.web3Manager);
+            
             // Initialize DEXPriceService
             this.dexPriceService = new DEXPriceService(this.web3Manager, {
                 supportedDEXs: this.config.supportedDEXs,
                 batchSize: 25,
                 cacheTTL: 10000,
                 maxRetries: 2, // Reduce retries to avoid long delays
-                timeout: 10000 // 10 second timeout
+                timeout: 10000, // 10 second timeout
+                tokenRegistry: this.tokenRegistry
             });
             
             // Initialize PriceMonitoringWorker
@@ -204,7 +228,9 @@ class ComprehensiveArbitrageBot {
                     gasBuffer: 1.2,
                     maxGasPriceGwei: 100,
                     opportunityTimeout: 30000,
-                    minLiquidityUSD: 100000
+                    minLiquidityUSD: 100000,
+                    ethPriceUSD: this.config.ethPriceUSD,
+                    tokenRegistry: this.tokenRegistry
                 }
             );
             
@@ -223,7 +249,7 @@ class ComprehensiveArbitrageBot {
                 maxPositionSize: 0.05,
                 minLiquidityUSD: 100000,
                 maxPriceImpact: 0.02
-            });
+            }, this.web3Manager);
             
             // Initialize TradingBot
             this.tradingBot = new TradingBot(
@@ -243,6 +269,14 @@ class ComprehensiveArbitrageBot {
             // Initialize DatabaseService
             this.databaseService = new DatabaseService(this.config.databaseUrl);
             await this.databaseService.initialize();
+            await this.tokenRegistry.loadFromDatabase(this.databaseService);
+            await this.dexPriceService.loadFromDatabase(this.databaseService);
+            
+            // Initialize PairDiscovery
+            if (this.config.enablePairDiscovery) {
+                this.pairDiscovery = new PairDiscovery(this.web3Manager, this.dexPriceService);
+                await this.pairDiscovery.loadFromDatabase(this.databaseService);
+            }
             
             // Initialize APIServer
             this.apiServer = new APIServer(this.databaseService, {
@@ -284,6 +318,11 @@ class ComprehensiveArbitrageBot {
             // Start price monitoring only if real price fetching is enabled
             if (this.config.enableRealPriceFetching) {
                 await this.priceMonitoringWorker.start();
+                
+                // The first sync enumerates whole factories, so it runs in the background
+                if (this.pairDiscovery) {
+                    this.pairDiscovery.start();
+                }
             } else {
                 logger.info('Real price fetching disabled, skipping price monitoring worker', {
                     service: 'comprehensive-arbitrage-bot'
@@ -340,10 +379,23 @@ class ComprehensiveArbitrageBot {
             await this.tradingBot.stop();
         }
         
+        if (this.pairDiscovery) {
+            this.pairDiscovery.stop();
+        }
+        
         if (this.apiServer) {
             await this.apiServer.stop();
         }
         
+        if (this.web3Manager) {
+            this.web3Manager.stopHealthProbes();
+            this.web3Manager.stopRateLimiters();
+            this.web3Manager.stopProviderMonitor();
+            if (this.web3Manager.recorder) {
+                await this.web3Manager.saveRecording();
+            }
+        }
+        
         logger.info('ComprehensiveArbitrageBot stopped', {
             uptime: Date.now() - this.stats.startTime,
             service: 'comprehensive-arbitrage-bot'
@@ -384,9 +436,7 @@ class ComprehensiveArbitrageBot {
             // Get current gas price
             let gasPrice;
             try {
-                gasPrice = await this.web3Manager.executeWithFailover(async (web3) => {
-                    return await web3.eth.getGasPrice();
-                });
+                gasPrice = await this.web3Manager.feeOracle.getGasPrice();
             } catch (error) {
                 logger.warn('Failed to get gas price, using default', {
                     error: error.message,
@@ -471,7 +521,7 @@ class ComprehensiveArbitrageBot {
         try {
             let realOpportunitiesFound = 0;
             
-            for (const pair of this.config.directPairs) {
+            for (const pair of this.getDirectPairs()) {
                 try {
                     const opportunities = await this.tradingStrategyEngine.detectOpportunities(
                         [pair],
@@ -543,35 +593,30 @@ class ComprehensiveArbitrageBot {
     }
     
     /**
-     * Scan for triangular arbitrage opportunities
+     * Scan for triangular (and longer) cycle arbitrage opportunities
      */
     async scanTriangularArbitrage(gasPrice) {
         try {
             let realOpportunitiesFound = 0;
             
-            for (const triangularPair of this.config.triangularPairs) {
-                const opportunities = await this.detectTriangularArbitrage(
-                    triangularPair,
-                    gasPrice
-                );
+            const opportunities = await this.detectCycleArbitrage(gasPrice);
+            
+            for (const opportunity of opportunities) {
+                realOpportunitiesFound++;
+                this.stats.opportunitiesFound++;
+                this.stats.triangularOpportunities++;
+                this.stats.totalProfit = this.stats.totalProfit.plus(opportunity.netProfitUSD);
                 
-                for (const opportunity of opportunities) {
-                    realOpportunitiesFound++;
-                    this.stats.opportunitiesFound++;
-                    this.stats.triangularOpportunities++;
-                    this.stats.totalProfit = this.stats.totalProfit.plus(opportunity.netProfitUSD);
-                    
-                    // Store in database
-                    await this.databaseService.storeOpportunity({
-                        ...opportunity,
-                        type: 'triangular',
-                        timestamp: Date.now()
-                    });
-                    
-                    // Log and simulate
-                    this.logOpportunity(opportunity, 'Triangular');
-                    await this.simulateTradeExecution(opportunity);
-                }
+                // Store in database
+                await this.databaseService.storeOpportunity({
+                    ...opportunity,
+                    type: 'triangular',
+                    timestamp: Date.now()
+                });
+                
+                // Log and simulate
+                this.logOpportunity(opportunity, 'Triangular');
+                await this.simulateTradeExecution(opportunity);
             }
             
             // If real price fetching is disabled or no real opportunities found, generate test opportunities
@@ -610,96 +655,153 @@ class ComprehensiveArbitrageBot {
     }
     
     /**
-     * Detect triangular arbitrage opportunities
+     * Pairs for the direct scan: the configured pairs, then up to maxDiscoveredPairs discovered ones
+     * @returns {Array} Array of { tokenA, tokenB, name }
      */
-    async detectTriangularArbitrage(triangularPair, gasPrice) {
-        const opportunities = [];
-        const [tokenA, tokenB, tokenC] = triangularPair.tokens;
+    getDirectPairs() {
+        if (!this.pairDiscovery) {
+            return this.config.directPairs;
+        }
         
-        try {
-            // Get prices for all pairs in the triangle
-            const prices = {};
-            
-            for (const dexName of this.config.supportedDEXs) {
-                try {
-                    // Get A->B price
-                    const priceAB = await this.dexPriceService.getPrice(tokenA, tokenB, dexName);
-                    if (priceAB) {
-                        if (!prices[dexName]) prices[dexName] = {};
-                        prices[dexName]['AB'] = priceAB;
-                    }
-                } catch (error) {
-                    logger.warn('Failed to get A->B price', {
-                        dexName,
-                        tokenA,
-                        tokenB,
-                        error: error.message,
-                        service: 'comprehensive-arbitrage-bot'
-                    });
+        const configured = new Set(this.config.directPairs.map(pair =>
+            [pair.tokenA.toLowerCase(), pair.tokenB.toLowerCase()].sort().join(':')));
+        const discovered = this.pairDiscovery.getArbitragePairs()
+            .filter(pair => !configured.has(`${pair.tokenA}:${pair.tokenB}`))
+            .slice(0, this.config.maxDiscoveredPairs);
+        
+        return [...this.config.directPairs, ...discovered];
+    }
+    
+    /**
+     * Collect every token pair the bot knows about, deduplicated regardless of token order
+     * @returns {Array} Array of { tokenA, tokenB }
+     */
+    getGraphPairs() {
+        const pairs = new Map();
+        const addPair = (tokenA, tokenB) => {
+            const key = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join(':');
+            if (!pairs.has(key)) {
+                pairs.set(key, { tokenA, tokenB });
+            }
+        };
+        
+        for (const pair of this.config.directPairs) {
+            addPair(pair.tokenA, pair.tokenB);
+        }
+        
+        for (const triangularPair of this.config.triangularPairs) {
+            const { tokens } = triangularPair;
+            for (let i = 0; i < tokens.length; i++) {
+                for (let j = i + 1; j < tokens.length; j++) {
+                    addPair(tokens[i], tokens[j]);
                 }
-                
+            }
+        }
+        
+        return [...pairs.values()];
+    }
+    
+    /**
+     * Get a readable label for a token from the configured pair names
+     */
+    getTokenLabel(token) {
+        const address = token.toLowerCase();
+        
+        for (const pair of this.config.directPairs) {
+            const [labelA, labelB] = pair.name.split('/');
+            if (pair.tokenA.toLowerCase() === address) return labelA;
+            if (pair.tokenB.toLowerCase() === address) return labelB;
+        }
+        
+        return token;
+    }
+    
+    /**
+     * Build the token graph from every known pool on every supported DEX
+     */
+    async buildArbitrageGraph() {
+        const graph = new ArbitrageGraph({
+            minHops: this.config.minCycleHops,
+            maxHops: this.config.maxCycleHops,
+            baseTokens: [this.config.cycleBaseToken],
+            tokenRegistry: this.tokenRegistry
+        });
+        
+        for (const dexName of this.config.supportedDEXs) {
+            for (const { tokenA, tokenB } of this.getGraphPairs()) {
                 try {
-                    // Get B->C price
-                    const priceBC = await this.dexPriceService.getPrice(tokenB, tokenC, dexName);
-                    if (priceBC) {
-                        if (!prices[dexName]) prices[dexName] = {};
-                        prices[dexName]['BC'] = priceBC;
+                    const price = await this.dexPriceService.getPrice(tokenA, tokenB, dexName);
+                    
+                    // Cycles are sized with the V2 closed form, so only constant-product pools join the graph
+                    if (price.poolType && price.poolType !== 'v2') {
+                        continue;
                     }
-                } catch (error) {
-                    logger.warn('Failed to get B->C price', {
+                    
+                    graph.addPool({
                         dexName,
-                        tokenB,
-                        tokenC,
-                        error: error.message,
-                        service: 'comprehensive-arbitrage-bot'
+                        pairAddress: price.pairAddress,
+                        token0: price.token0,
+                        token1: price.token1,
+                        reserve0: price.reserve0,
+                        reserve1: price.reserve1,
+                        fee: price.feeBps
                     });
-                }
-                
-                try {
-                    // Get A->C price
-                    const priceAC = await this.dexPriceService.getPrice(tokenA, tokenC, dexName);
-                    if (priceAC) {
-                        if (!prices[dexName]) prices[dexName] = {};
-                        prices[dexName]['AC'] = priceAC;
-                    }
                 } catch (error) {
-                    logger.warn('Failed to get A->C price', {
+                    logger.warn('Failed to add pool to arbitrage graph', {
                         dexName,
                         tokenA,
-                        tokenC,
+                        tokenB,
                         error: error.message,
                         service: 'comprehensive-arbitrage-bot'
                     });
                 }
             }
+        }
+        
+        return graph;
+    }
+    
+    /**
+     * Detect cyclic (triangular and longer) arbitrage opportunities across the token graph
+     */
+    async detectCycleArbitrage(gasPrice) {
+        const opportunities = [];
+        
+        try {
+            const graph = await this.buildArbitrageGraph();
+            const cycles = graph.findArbitrageCycles();
+            const baseToken = this.config.cycleBaseToken.toLowerCase();
+            let cyclesWithoutBaseToken = 0;
             
-            // Check for triangular arbitrage across different DEXs
-            const dexNames = Object.keys(prices);
-            if (dexNames.length >= 2) {
-                for (let i = 0; i < dexNames.length; i++) {
-                    for (let j = i + 1; j < dexNames.length; j++) {
-                        const dex1 = dexNames[i];
-                        const dex2 = dexNames[j];
-                        
-                        const opportunity = this.calculateTriangularArbitrage(
-                            triangularPair,
-                            dex1,
-                            dex2,
-                            prices[dex1],
-                            prices[dex2],
-                            gasPrice
-                        );
-                        
-                        if (opportunity) {
-                            opportunities.push(opportunity);
-                        }
-                    }
+            for (const cycle of cycles) {
+                // Cycle profit is in units of its start token, and only the base token has a USD price here
+                if (cycle.tokens[0] !== baseToken) {
+                    cyclesWithoutBaseToken++;
+                    logger.info('Cycle without the base token skipped', {
+                        path: cycle.tokens.map(token => this.getTokenLabel(token)).join(' -> '),
+                        dexes: cycle.edges.map(edge => edge.dexName),
+                        rate: cycle.rate,
+                        profit: cycle.profit,
+                        service: 'comprehensive-arbitrage-bot'
+                    });
+                    continue;
+                }
+                
+                const opportunity = this.calculateCycleArbitrage(cycle, gasPrice);
+                if (opportunity) {
+                    opportunities.push(opportunity);
                 }
             }
             
+            logger.info('Cycle arbitrage scan completed', {
+                ...graph.getStats(),
+                cyclesProfitable: cycles.length,
+                cyclesWithoutBaseToken,
+                opportunities: opportunities.length,
+                service: 'comprehensive-arbitrage-bot'
+            });
         } catch (error) {
-            logger.error('Error detecting triangular arbitrage', {
-                triangularPair: triangularPair.name,
+            logger.error('Error detecting cycle arbitrage', {
                 error: error.message,
                 service: 'comprehensive-arbitrage-bot'
             });
@@ -709,73 +811,72 @@ class ComprehensiveArbitrageBot {
     }
     
     /**
-     * Calculate triangular arbitrage opportunity
+     * Turn a sized cycle into an opportunity
+     * Only cycles through the base token (WETH) are priced, so gas can be netted in the same unit
      */
-    calculateTriangularArbitrage(triangularPair, dex1, dex2, prices1, prices2, gasPrice) {
+    calculateCycleArbitrage(cycle, gasPrice) {
         try {
-            const [tokenA, tokenB, tokenC] = triangularPair.tokens;
-            
-            // Check if we have all required prices
-            if (!prices1.AB || !prices1.BC || !prices2.AC) {
+            const baseToken = this.config.cycleBaseToken.toLowerCase();
+            if (cycle.tokens[0] !== baseToken) {
                 return null;
             }
             
-            // Calculate triangular arbitrage path: A -> B -> C -> A
-            const tradeAmount = new Decimal(1000); // $1000 starting amount
-            
-            // Step 1: A -> B on DEX1
-            const amountB = tradeAmount.dividedBy(new Decimal(prices1.AB.price0));
-            
-            // Step 2: B -> C on DEX1
-            const amountC = amountB.dividedBy(new Decimal(prices1.BC.price0));
+            const weiPerEth = new Decimal(10).pow(18);
+            const ethPriceUSD = new Decimal(this.config.ethPriceUSD);
+            const gasCostWei = new Decimal(this.config.gasEstimate).times(gasPrice);
             
-            // Step 3: C -> A on DEX2
-            const finalAmountA = amountC.times(new Decimal(prices2.AC.price0));
+            const sizing = UniswapV2Math.findOptimalCycleTradeSize(
+                cycle.pools,
+                this.config.maxCycleTradeWei,
+                gasCostWei.toFixed(0)
+            );
             
-            // Calculate profit
-            const grossProfit = finalAmountA.minus(tradeAmount);
+            if (new Decimal(sizing.maxProfit).lte(0)) {
+                return null;
+            }
             
-            // Calculate costs
+            const tradeAmountUSD = new Decimal(sizing.optimalAmount).dividedBy(weiPerEth).times(ethPriceUSD);
             const gasCostUSD = this.calculateGasCost(gasPrice);
-            const swapFees = this.calculateTriangularSwapFees(tradeAmount, amountB, amountC);
-            const totalCosts = gasCostUSD.plus(swapFees);
-            
-            // Calculate net profit
-            const netProfit = grossProfit.minus(totalCosts);
+            const netProfit = new Decimal(sizing.maxProfit).dividedBy(weiPerEth).times(ethPriceUSD);
+            const grossProfit = netProfit.plus(gasCostUSD);
             const profitWithSafetyMargin = netProfit.times(1 - this.config.safetyMargin);
             
-            // Check if profitable
             if (profitWithSafetyMargin.lessThan(this.config.minProfitUSD)) {
                 return null;
             }
             
+            const labels = cycle.tokens.map(token => this.getTokenLabel(token));
+            const firstEdge = cycle.edges[0];
+            const lastEdge = cycle.edges[cycle.edges.length - 1];
+            
             return {
-                id: `triangular-${triangularPair.name}-${dex1}-${dex2}-${Date.now()}`,
+                id: `triangular-${labels.join('-')}-${cycle.edges.map(edge => edge.dexName).join('-')}-${Date.now()}`,
                 type: 'triangular',
-                pair: triangularPair.name,
-                path: `${tokenA} -> ${tokenB} -> ${tokenC} -> ${tokenA}`,
-                buyDex: dex1,  // First DEX for the triangular path
-                sellDex: dex2, // Second DEX for the triangular path
-                buyPrice: prices1.AB ? prices1.AB.price0.toString() : '0',
-                sellPrice: prices2.AC ? prices2.AC.price0.toString() : '0',
+                pair: labels.slice(0, -1).join('/'),
+                path: cycle.edges.map((edge, i) => `${labels[i]} -[${edge.dexName}]->`).join(' ') + ` ${labels[labels.length - 1]}`,
+                hops: cycle.edges.length,
+                buyDex: firstEdge.dexName,
+                sellDex: lastEdge.dexName,
+                buyPrice: new Decimal(firstEdge.reserveOut).dividedBy(firstEdge.reserveIn).toString(),
+                sellPrice: new Decimal(lastEdge.reserveOut).dividedBy(lastEdge.reserveIn).toString(),
                 priceDifference: grossProfit.toString(),
-                priceDifferencePercent: grossProfit.dividedBy(tradeAmount).times(100).toString(),
-                dex1: dex1,
-                dex2: dex2,
-                tradeAmount: tradeAmount.toString(),
+                priceDifferencePercent: new Decimal(cycle.rate).minus(1).times(100).toString(),
+                dex1: firstEdge.dexName,
+                dex2: lastEdge.dexName,
+                tradeAmount: tradeAmountUSD.toString(),
                 grossProfitUSD: grossProfit.toString(),
                 gasCostUSD: gasCostUSD.toString(),
-                swapFeesUSD: swapFees.toString(),
+                swapFeesUSD: '0', // Already included in the exact AMM outputs
                 netProfitUSD: netProfit.toString(),
                 profitWithSafetyMargin: profitWithSafetyMargin.toString(),
-                buyPairAddress: '0x0000000000000000000000000000000000000000', // Placeholder
-                sellPairAddress: '0x0000000000000000000000000000000000000000', // Placeholder
+                buyPairAddress: firstEdge.pairAddress,
+                sellPairAddress: lastEdge.pairAddress,
                 blockNumber: 'latest',
                 timestamp: Date.now()
             };
             
         } catch (error) {
-            logger.error('Error calculating triangular arbitrage', {
+            logger.error('Error calculating cycle arbitrage', {
                 error: error.message,
                 service: 'comprehensive-arbitrage-bot'
             });
@@ -783,19 +884,6 @@ class ComprehensiveArbitrageBot {
         }
     }
     
-    /**
-     * Calculate swap fees for triangular arbitrage
-     */
-    calculateTriangularSwapFees(amountA, amountB, amountC) {
-        const feeRate = 0.003; // 0.3% per swap
-        
-        const fee1 = amountA.times(feeRate);
-        const fee2 = amountB.times(feeRate);
-        const fee3 = amountC.times(feeRate);
-        
-        return fee1.plus(fee2).plus(fee3);
-    }
-    
     /**
      * Calculate gas cost
      */
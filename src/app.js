@@ -60,9 +60,16 @@ class DeFiArbitrageBot {
             
             this.web3Manager = new Web3Manager(providers, {
                 failoverThreshold: 3,
-                cooldownPeriod: 60000
+                cooldownPeriod: 60000,
+                chainId: parseInt(process.env.CHAIN_ID) || 1,
+                // Capture RPC traffic to a fixture, or rerun a captured one offline
+                record: process.env.RPC_RECORD_PATH ? { path: process.env.RPC_RECORD_PATH } : null,
+                replay: process.env.RPC_REPLAY_PATH ? { path: process.env.RPC_REPLAY_PATH } : null
             });
             
+            // Verify every provider is on the configured chain before anything reads from it
+            await this.web3Manager.startProviderMonitor();
+            
             // Initialize DEX Price Service
             this.dexPriceService = new DEXPriceService(this.web3Manager, {
                 supportedDEXs: ['uniswap', 'sushiswap'],
@@ -83,7 +90,8 @@ class DeFiArbitrageBot {
                 minProfitMargin: 0.005, // 0.5%
                 maxPositionSizeUSD: 10000,
                 gasBuffer: 1.2,
-                opportunityTimeout: 30000
+                opportunityTimeout: 30000,
+                tokenRegistry: this.dexPriceService.tokenRegistry
             });
             
             this.executionEngine = new ExecutionEngine(this.web3Manager, {
@@ -98,7 +106,7 @@ class DeFiArbitrageBot {
                 maxDailyLoss: 1000,
                 maxPriceImpact: 0.02,
                 minLiquidityUSD: 10000
-            });
+            }, this.web3Manager);
             
             this.tradingBot = new TradingBot(
                 this.tradingStrategyEngine,
@@ -314,6 +322,8 @@ class DeFiArbitrageBot {
             
             // Initialize database
             await this.databaseService.initialize();
+            await this.dexPriceService.loadFromDatabase(this.databaseService);
+            await this.dexPriceService.tokenRegistry.loadFromDatabase(this.databaseService);
             
             // Start API server
             await this.apiServer.start();
@@ -363,6 +373,13 @@ class DeFiArbitrageBot {
                 await this.apiServer.stop();
             }
             
+            if (this.web3Manager) {
+                this.web3Manager.stopProviderMonitor();
+                if (this.web3Manager.recorder) {
+                    await this.web3Manager.saveRecording();
+                }
+            }
+            
             this.isRunning = false;
             logger.info('✅ DeFi Arbitrage Bot stopped successfully');
             
@@ -0,0 +1,316 @@
+const { Decimal } = require('decimal.js');
+const UniswapV2Math = require('./UniswapV2Math');
+const UniswapV3Math = require('./UniswapV3Math');
+const StableSwapMath = require('./StableSwapMath');
+const WeightedPoolMath = require('./WeightedPoolMath');
+const logger = require('../../utils/logger');
+
+/**
+ * Pool Math
+ * Common quoting interface over the AMM engines so strategies can mix pool types
+ *
+ * A leg is { pool, zeroForOne } where pool.type selects the engine:
+ * - 'v2' (default): { reserve0, reserve1, fee? } with fee in basis points
+ * - 'v3': UniswapV3Math pool state
+ * - 'stable': StableSwapMath pool state { balances, A, fee, decimals? }
+ * - 'weighted': { balances, weights, swapFee } with weights and swapFee in 1e18 fixed point
+ * - 'split': { pools } parallel V2 pools of the same pair; the input is split across them
+ *   by UniswapV2Math.getSplitAmountsOut
+ * Multi-token pools ('stable', 'weighted') also carry indices: [i0, i1], the positions of the
+ * pair's token0 and token1 in the pool (default [0, 1]); a leg may instead give { i, j }
+ */
+class PoolMath {
+    // Golden-section search stops once the bracket is this narrow and scans the rest
+    static SEARCH_SCAN_WIDTH = 8n;
+
+    /**
+     * Quote a single leg
+     * @param {string|number|bigint} amountIn - Input amount (in wei)
+     * @param {Object} leg - { pool, zeroForOne }
+     * @returns {string} Output amount in wei
+     */
+    static getAmountOut(amountIn, leg) {
+        const { pool, zeroForOne } = leg;
+
+        switch (pool.type || 'v2') {
+            case 'v2': {
+                // Integer fast path: the search quotes V2 legs thousands of times per block
+                const reserve0 = UniswapV2Math.toBigInt(pool.reserve0);
+                const reserve1 = UniswapV2Math.toBigInt(pool.reserve1);
+                return UniswapV2Math.getAmountOutBigInt(
+                    UniswapV2Math.toBigInt(amountIn),
+                    zeroForOne ? reserve0 : reserve1,
+                    zeroForOne ? reserve1 : reserve0,
+                    pool.fee
+                ).toString();
+            }
+            case 'v3': {
+                // Quote through swap() directly so search probes past the liquidity stay quiet
+                const result = UniswapV3Math.swap(pool, zeroForOne, BigInt(amountIn));
+                if (!result.complete) {
+                    throw new Error('Insufficient liquidity for trade');
+                }
+                return result.amountOut;
+            }
+            case 'stable': {
+                const { i, j } = this.getTokenIndices(leg);
+                return StableSwapMath.getAmountOut(amountIn.toString(), pool, i, j);
+            }
+            case 'weighted': {
+                // Same as getAmountOut minus the error log, for the same reason as V3
+                const { i, j } = this.getTokenIndices(leg);
+                return WeightedPoolMath.calcOutGivenIn(
+                    amountIn.toString(), pool.balances[i], pool.weights[i], pool.balances[j], pool.weights[j], pool.swapFee
+                );
+            }
+            case 'split':
+                return UniswapV2Math.getSplitAmountsOut(amountIn, this.getSplitPools(leg)).amountOut;
+            default:
+                throw new Error(`Unsupported pool type: ${pool.type}`);
+        }
+    }
+
+    /**
+     * Token positions for a leg through a multi-token pool
+     * @param {Object} leg - { pool, zeroForOne } or { pool, i, j }
+     * @returns {Object} { i, j }
+     */
+    static getTokenIndices(leg) {
+        if (leg.i !== undefined && leg.j !== undefined) {
+            return { i: leg.i, j: leg.j };
+        }
+
+        const [index0, index1] = leg.pool.indices || [0, 1];
+        return leg.zeroForOne ? { i: index0, j: index1 } : { i: index1, j: index0 };
+    }
+
+    /**
+     * Member pools of a split leg, oriented for UniswapV2Math
+     * @param {Object} leg - { pool: { type: 'split', pools }, zeroForOne }
+     * @returns {Array} [{ reserveIn, reserveOut, fee }, ...]
+     */
+    static getSplitPools(leg) {
+        return leg.pool.pools.map(pool => ({
+            reserveIn: leg.zeroForOne ? pool.reserve0 : pool.reserve1,
+            reserveOut: leg.zeroForOne ? pool.reserve1 : pool.reserve0,
+            fee: pool.fee
+        }));
+    }
+
+    /**
+     * Walk an amount through a chain of legs
+     * transferTaxes, when given, holds the tax in basis points of every token transfer along the
+     * chain: [into leg 0, leg 0 -> leg 1, ..., out of the last leg]; amounts after the first are
+     * then the amounts actually received
+     * @param {string|number|bigint} amountIn - Input amount for the first leg
+     * @param {Array} legs - Ordered legs
+     * @param {Array} [transferTaxes] - legs.length + 1 transfer taxes in basis points
+     * @returns {Array|null} Amount after every leg (amounts[0] = amountIn), or null once a leg rounds to zero
+     */
+    static getAmountsOut(amountIn, legs, transferTaxes = null) {
+        if (transferTaxes && transferTaxes.length !== legs.length + 1) {
+            throw new Error('Transfer taxes length must be legs length + 1');
+        }
+
+        const taxAt = (index) => (transferTaxes ? transferTaxes[index] : 0);
+        const amounts = [amountIn.toString()];
+
+        for (let i = 0; i < legs.length; i++) {
+            const previous = i === 0 ? UniswapV2Math.applyTransferTaxBigInt(UniswapV2Math.toBigInt(amounts[0]), taxAt(0)) : BigInt(amounts[i]);
+            if (previous <= 0n) {
+                return null;
+            }
+            const received = UniswapV2Math.applyTransferTaxBigInt(BigInt(this.getAmountOut(previous, legs[i])), taxAt(i + 1));
+            amounts.push(received.toString());
+        }
+
+        return amounts;
+    }
+
+    /**
+     * Spot price of a leg: output per unit of input at zero size, after fees
+     * @param {Object} leg - { pool, zeroForOne }
+     * @returns {Decimal} Marginal rate
+     */
+    static getSpotRate(leg) {
+        const { pool, zeroForOne } = leg;
+
+        if ((pool.type || 'v2') === 'v3') {
+            const price = UniswapV3Math.getSpotPrice(pool.sqrtPriceX96);
+            const feeFactor = new Decimal(1).minus(new Decimal(pool.fee).dividedBy(1000000));
+            return (zeroForOne ? price : new Decimal(1).dividedBy(price)).times(feeFactor);
+        }
+
+        if (pool.type === 'stable') {
+            const { i, j } = this.getTokenIndices(leg);
+            return StableSwapMath.getSpotRate(pool, i, j);
+        }
+
+        if (pool.type === 'split') {
+            // At zero size the whole input goes to the best member pool
+            return Decimal.max(...pool.pools.map(member => this.getSpotRate({ pool: member, zeroForOne })));
+        }
+
+        if (pool.type === 'weighted') {
+            const { i, j } = this.getTokenIndices(leg);
+            const price = WeightedPoolMath.getSpotPrice(
+                pool.balances[i], pool.weights[i], pool.balances[j], pool.weights[j], pool.swapFee
+            );
+            return new Decimal(1).dividedBy(price);
+        }
+
+        const { numerator, denominator } = UniswapV2Math.resolveFee(pool.fee);
+        const [reserveIn, reserveOut] = zeroForOne ? [pool.reserve0, pool.reserve1] : [pool.reserve1, pool.reserve0];
+        return new Decimal(reserveOut).dividedBy(reserveIn).times(numerator).dividedBy(denominator);
+    }
+
+    /**
+     * Starting point for the size search: a millionth of the first pool's input-side depth
+     * (summed over the members of a split leg)
+     * @param {Object} leg - First leg of the chain
+     * @returns {bigint} Seed amount (at least 1)
+     */
+    static getSearchSeed(leg) {
+        const { pool, zeroForOne } = leg;
+
+        if (pool.type === 'stable' || pool.type === 'weighted') {
+            const seed = BigInt(pool.balances[this.getTokenIndices(leg).i]) / 1000000n;
+            return seed > 0n ? seed : 1n;
+        }
+
+        if (pool.type === 'split') {
+            return pool.pools.reduce((sum, member) => sum + this.getSearchSeed({ pool: member, zeroForOne }), 0n);
+        }
+
+        const reserves = (pool.type || 'v2') === 'v3' ? UniswapV3Math.getVirtualReserves(pool) : pool;
+        const depth = BigInt(new Decimal(zeroForOne ? reserves.reserve0 : reserves.reserve1).toFixed(0));
+        const seed = depth / 1000000n;
+        return seed > 0n ? seed : 1n;
+    }
+
+    /**
+     * Find the profit-maximising input for a cyclic chain of legs
+     * All-V2 chains use the UniswapV2Math closed form; any other mix is solved with an
+     * integer golden-section search, which is exact up to rounding because every leg's
+     * output is concave in its input and so is the composed profit
+     * Transfer taxes scale each transfer linearly, so the profit stays concave and is searched too
+     * @param {Array} legs - Ordered legs, the last leg returning the first leg's input token
+     * @param {Object} options - { maxAmount?, transferTaxes? } upper bound on the input and
+     *   per-transfer taxes as accepted by getAmountsOut
+     * @returns {Object} { optimalAmount, amounts, profit } ('0' and [] when unprofitable)
+     */
+    static calculateOptimalArbitrage(legs, options = {}) {
+        try {
+            const noOpportunity = { optimalAmount: '0', amounts: [], profit: '0' };
+
+            if (options.transferTaxes && options.transferTaxes.length !== legs.length + 1) {
+                throw new Error('Transfer taxes length must be legs length + 1');
+            }
+            const transferTaxes = options.transferTaxes && options.transferTaxes.some(tax => tax > 0)
+                ? options.transferTaxes
+                : null;
+
+            if (legs.every(leg => (leg.pool.type || 'v2') === 'v2') && options.maxAmount === undefined && !transferTaxes) {
+                return UniswapV2Math.findOptimalCycle(legs.map(leg => ({
+                    reserveIn: leg.zeroForOne ? leg.pool.reserve0 : leg.pool.reserve1,
+                    reserveOut: leg.zeroForOne ? leg.pool.reserve1 : leg.pool.reserve0,
+                    fee: leg.pool.fee
+                })));
+            }
+
+            // No profit at the margin means no profit at any size
+            const retained = (transferTaxes || []).reduce(
+                (fraction, tax) => fraction.times(new Decimal(10000 - tax).dividedBy(10000)),
+                new Decimal(1)
+            );
+            const marginalRate = legs.reduce((rate, leg) => rate.times(this.getSpotRate(leg)), retained);
+            if (marginalRate.lte(1)) {
+                return noOpportunity;
+            }
+
+            const profitAt = (amount) => {
+                if (amount <= 0n) return { amount, amounts: null, profit: 0n };
+                try {
+                    const amounts = this.getAmountsOut(amount, legs, transferTaxes);
+                    const profit = amounts ? BigInt(amounts[amounts.length - 1]) - amount : -amount;
+                    return { amount, amounts, profit };
+                } catch (error) {
+                    // Past the available (or loaded) liquidity: treat as infeasible
+                    return { amount, amounts: null, profit: null };
+                }
+            };
+            const better = (a, b) => a.profit !== null && (b.profit === null || a.profit > b.profit);
+
+            const maxAmount = options.maxAmount !== undefined ? BigInt(new Decimal(options.maxAmount).toFixed(0)) : null;
+            const cap = (amount) => (maxAmount !== null && amount > maxAmount ? maxAmount : amount);
+
+            // Bracket the optimum around a seed sized to the first pool, doubling or halving
+            // until profit stops improving; concavity then puts it within [high / 2, 2 * high]
+            let high = cap(this.getSearchSeed(legs[0]));
+            if (high <= 0n) {
+                return noOpportunity;
+            }
+
+            let current = profitAt(high);
+            let next = profitAt(cap(high * 2n));
+            if (better(next, current) || (next.profit !== null && next.profit === current.profit)) {
+                while (next.amount > high) {
+                    high = next.amount;
+                    current = next;
+                    next = profitAt(cap(high * 2n));
+                    if (!better(next, current)) break;
+                }
+            } else {
+                while (high > 1n) {
+                    const half = profitAt(high / 2n);
+                    if (better(current, half)) break;
+                    high /= 2n;
+                    current = half;
+                }
+            }
+
+            let low = high / 2n;
+            high = cap(high * 2n);
+
+            // Golden-section search on integers
+            while (high - low > this.SEARCH_SCAN_WIDTH) {
+                const span = high - low;
+                const p1 = profitAt(low + (span * 382n) / 1000n);
+                const p2 = profitAt(low + (span * 618n) / 1000n);
+
+                if (better(p1, p2) || p2.profit === null) {
+                    high = p2.amount;
+                } else {
+                    low = p1.amount;
+                }
+            }
+
+            let best = { amount: 0n, amounts: null, profit: null };
+            for (let amount = low; amount <= high; amount++) {
+                const candidate = profitAt(amount);
+                if (better(candidate, best)) best = candidate;
+            }
+
+            if (!best.amounts || best.profit === null || best.profit <= 0n) {
+                return noOpportunity;
+            }
+
+            logger.debug('Searched optimal arbitrage', {
+                legs: legs.map(leg => leg.pool.type || 'v2'),
+                optimalAmount: best.amount.toString(),
+                profit: best.profit.toString()
+            });
+
+            return {
+                optimalAmount: best.amount.toString(),
+                amounts: best.amounts,
+                profit: best.profit.toString()
+            };
+        } catch (error) {
+            logger.error('Error calculating optimal arbitrage across pools', { error: error.message });
+            throw error;
+        }
+    }
+}
+
+module.exports = PoolMath;
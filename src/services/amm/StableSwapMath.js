@@ -0,0 +1,256 @@
+const { Decimal } = require('decimal.js');
+const { STABLESWAP_CONSTANTS } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+/**
+ * Curve StableSwap Mathematical Engine
+ * Implements the StableSwap invariant with the same integer Newton iterations as the
+ * Curve pool contracts (get_D, get_y, get_dy), using BigInt internally:
+ *   A * n^n * sum(x) + D = A * n^n * D + D^(n+1) / (n^n * prod(x))
+ *
+ * Pool state shape used throughout:
+ *   { balances: [...], A, fee, decimals?: [...] }
+ * where balances are raw token amounts, A is the amplification coefficient as returned by A(),
+ * fee is in 1e10 units (4000000 = 0.04%) and decimals defaults to 18 for every coin
+ */
+class StableSwapMath {
+    static FEE_DENOMINATOR = BigInt(STABLESWAP_CONSTANTS.FEE_DENOMINATOR);
+    static PRECISION = BigInt(STABLESWAP_CONSTANTS.PRECISION);
+    static MAX_ITERATIONS = STABLESWAP_CONSTANTS.MAX_ITERATIONS;
+
+    /**
+     * Normalise pool state into BigInt form with per-coin rates (10^(36 - decimals))
+     * @param {Object} pool - Pool state
+     * @returns {Object} { balances, rates, amp, fee, n }
+     */
+    static normalizePool(pool) {
+        const balances = pool.balances.map(balance => BigInt(balance));
+        const n = balances.length;
+
+        if (n < 2) {
+            throw new Error('Invalid pool: at least two coins are required');
+        }
+
+        const decimals = pool.decimals || new Array(n).fill(18);
+        if (decimals.length !== n) {
+            throw new Error('Invalid pool: decimals length must match balances length');
+        }
+
+        const amp = BigInt(pool.A);
+        const fee = BigInt(pool.fee);
+        if (amp <= 0n) {
+            throw new Error(`Invalid amplification coefficient: ${pool.A}`);
+        }
+        if (fee < 0n || fee >= this.FEE_DENOMINATOR) {
+            throw new Error(`Invalid fee: ${pool.fee}`);
+        }
+
+        return {
+            balances,
+            rates: decimals.map(d => 10n ** BigInt(36 - Number(d))),
+            amp,
+            fee,
+            n
+        };
+    }
+
+    /**
+     * Balances scaled to 18-decimal precision
+     * @param {Array<bigint>} balances - Raw balances
+     * @param {Array<bigint>} rates - Per-coin rates
+     * @returns {Array<bigint>} Normalised balances
+     */
+    static getXp(balances, rates) {
+        return balances.map((balance, k) => (rates[k] * balance) / this.PRECISION);
+    }
+
+    /**
+     * Solve the invariant for D by Newton iteration (get_D)
+     * @param {Array<bigint>} xp - Normalised balances
+     * @param {bigint} amp - Amplification coefficient
+     * @returns {bigint} D
+     */
+    static getD(xp, amp) {
+        const n = BigInt(xp.length);
+        const S = xp.reduce((sum, x) => sum + x, 0n);
+        if (S === 0n) {
+            return 0n;
+        }
+
+        const Ann = amp * n;
+        let D = S;
+
+        for (let i = 0; i < this.MAX_ITERATIONS; i++) {
+            let D_P = D;
+            for (const x of xp) {
+                D_P = (D_P * D) / (x * n);
+            }
+
+            const Dprev = D;
+            D = ((Ann * S + D_P * n) * D) / ((Ann - 1n) * D + (n + 1n) * D_P);
+
+            if (D > Dprev ? D - Dprev <= 1n : Dprev - D <= 1n) {
+                return D;
+            }
+        }
+
+        throw new Error('StableSwap D did not converge');
+    }
+
+    /**
+     * Solve the invariant for the new balance of coin j when coin i becomes x (get_y)
+     * @param {number} i - Input coin index
+     * @param {number} j - Output coin index
+     * @param {bigint} x - New normalised balance of coin i
+     * @param {Array<bigint>} xp - Normalised balances
+     * @param {bigint} amp - Amplification coefficient
+     * @returns {bigint} New normalised balance of coin j
+     */
+    static getY(i, j, x, xp, amp) {
+        const n = BigInt(xp.length);
+
+        if (i === j || i < 0 || j < 0 || i >= xp.length || j >= xp.length) {
+            throw new Error(`Invalid coin indices: i=${i}, j=${j}`);
+        }
+
+        const D = this.getD(xp, amp);
+        const Ann = amp * n;
+        let c = D;
+        let S_ = 0n;
+
+        for (let k = 0; k < xp.length; k++) {
+            let _x;
+            if (k === i) {
+                _x = x;
+            } else if (k !== j) {
+                _x = xp[k];
+            } else {
+                continue;
+            }
+            S_ += _x;
+            c = (c * D) / (_x * n);
+        }
+
+        c = (c * D) / (Ann * n);
+        const b = S_ + D / Ann;
+        let y = D;
+
+        for (let k = 0; k < this.MAX_ITERATIONS; k++) {
+            const yPrev = y;
+            y = (y * y + c) / (2n * y + b - D);
+
+            if (y > yPrev ? y - yPrev <= 1n : yPrev - y <= 1n) {
+                return y;
+            }
+        }
+
+        throw new Error('StableSwap y did not converge');
+    }
+
+    /**
+     * Calculate exact output amount for a given input amount (get_dy)
+     * @param {string|number} amountIn - Input amount of coin i (raw units)
+     * @param {Object} pool - Pool state
+     * @param {number} i - Input coin index
+     * @param {number} j - Output coin index
+     * @returns {string} Output amount of coin j (raw units), net of the pool fee
+     */
+    static getAmountOut(amountIn, pool, i, j) {
+        try {
+            const dx = BigInt(new Decimal(amountIn).toFixed(0));
+            if (dx <= 0n) {
+                throw new Error('Invalid input: amountIn must be positive');
+            }
+
+            const { balances, rates, amp, fee } = this.normalizePool(pool);
+            const xp = this.getXp(balances, rates);
+
+            const x = xp[i] + (dx * rates[i]) / this.PRECISION;
+            const y = this.getY(i, j, x, xp, amp);
+            const dy = ((xp[j] - y - 1n) * this.PRECISION) / rates[j];
+
+            if (dy <= 0n) {
+                return '0';
+            }
+
+            return (dy - (fee * dy) / this.FEE_DENOMINATOR).toString();
+        } catch (error) {
+            logger.error('Error in StableSwap getAmountOut calculation', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate the input amount required for a given output amount (get_dx)
+     * Inverts get_dy through get_y, then steps up past any rounding shortfall; when coin i has
+     * more decimals than coin j the result may exceed the minimum by under one unit of coin j
+     * @param {string|number} amountOut - Desired output amount of coin j (raw units)
+     * @param {Object} pool - Pool state
+     * @param {number} i - Input coin index
+     * @param {number} j - Output coin index
+     * @returns {string} Required input amount of coin i (raw units)
+     */
+    static getAmountIn(amountOut, pool, i, j) {
+        try {
+            const dy = BigInt(new Decimal(amountOut).toFixed(0));
+            if (dy <= 0n) {
+                throw new Error('Invalid input: amountOut must be positive');
+            }
+
+            const { balances, rates, amp, fee } = this.normalizePool(pool);
+            if (dy >= balances[j]) {
+                throw new Error('Insufficient liquidity for trade');
+            }
+
+            const xp = this.getXp(balances, rates);
+
+            // Gross up for the fee, then convert to the normalised balance of j after the trade
+            const dyBeforeFee = (dy * this.FEE_DENOMINATOR + this.FEE_DENOMINATOR - fee - 1n) / (this.FEE_DENOMINATOR - fee);
+            const y = xp[j] - (dyBeforeFee * rates[j]) / this.PRECISION - 1n;
+            const x = this.getY(j, i, y, xp, amp);
+
+            let dx = ((x - xp[i]) * this.PRECISION + rates[i] - 1n) / rates[i];
+            if (dx <= 0n) dx = 1n;
+
+            // Rounding in the forward path can leave a few units short
+            for (let k = 0; k < 16 && BigInt(this.getAmountOut(dx.toString(), pool, i, j)) < dy; k++) {
+                dx += 1n;
+            }
+
+            return dx.toString();
+        } catch (error) {
+            logger.error('Error in StableSwap getAmountIn calculation', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Marginal rate of coin j per coin i (raw units), after fee
+     * Measured with a trade of one millionth of the input balance
+     * @param {Object} pool - Pool state
+     * @param {number} i - Input coin index
+     * @param {number} j - Output coin index
+     * @returns {Decimal} Rate
+     */
+    static getSpotRate(pool, i, j) {
+        const probe = BigInt(pool.balances[i]) / 1000000n;
+        const amountIn = probe > 0n ? probe : 1n;
+        const amountOut = this.getAmountOut(amountIn.toString(), pool, i, j);
+        return new Decimal(amountOut).dividedBy(amountIn.toString());
+    }
+
+    /**
+     * Calculate the pool's virtual price: D per unit of (normalised) liquidity,
+     * useful as a peg health check (1e18 = perfectly balanced, no fees accrued)
+     * @param {Object} pool - Pool state
+     * @param {string|number} totalSupply - LP token supply
+     * @returns {string} Virtual price scaled by 1e18
+     */
+    static getVirtualPrice(pool, totalSupply) {
+        const { balances, rates, amp } = this.normalizePool(pool);
+        const D = this.getD(this.getXp(balances, rates), amp);
+        return ((D * this.PRECISION) / BigInt(totalSupply)).toString();
+    }
+}
+
+module.exports = StableSwapMath;
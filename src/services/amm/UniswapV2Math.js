@@ -1,7 +1,12 @@
-const { Decimal } = require('decimal.js');
+const { Decimal: BaseDecimal } = require('decimal.js');
 const { UNISWAP_V2_CONSTANTS } = require('../../utils/constants');
 const logger = require('../../utils/logger');
 
+// Reserves are uint112 and products of three of them must stay exact, so the
+// engine uses its own Decimal with enough significant digits for uint256 math
+// (and never switches wei amounts to exponential notation)
+const Decimal = BaseDecimal.clone({ precision: 80, rounding: BaseDecimal.ROUND_DOWN, toExpPos: 80 });
+
 /**
  * Uniswap V2 Mathematical Engine
  * Implements exact AMM calculations with proper rounding and fee handling
@@ -10,18 +15,51 @@ const logger = require('../../utils/logger');
 class UniswapV2Math {
     static FEE_DENOMINATOR = UNISWAP_V2_CONSTANTS.FEE_DENOMINATOR;
     static FEE_NUMERATOR = UNISWAP_V2_CONSTANTS.FEE_NUMERATOR;
+    static BPS_DENOMINATOR = 10000;
+    
+    /**
+     * Normalise a pool fee into an integer numerator/denominator pair
+     * Accepts basis points (30 = 0.3%, 25 = 0.25%) or { numerator, denominator }
+     * (e.g. { numerator: 9975, denominator: 10000 }); defaults to Uniswap's 997/1000
+     * 
+     * @param {number|Object} [fee] - Pool fee
+     * @returns {Object} { numerator, denominator } where γ = numerator / denominator
+     */
+    static resolveFee(fee) {
+        if (fee === undefined || fee === null) {
+            return { numerator: this.FEE_NUMERATOR, denominator: this.FEE_DENOMINATOR };
+        }
+        
+        if (typeof fee === 'object') {
+            const numerator = Number(fee.numerator);
+            const denominator = Number(fee.denominator);
+            if (!Number.isInteger(numerator) || !Number.isInteger(denominator) ||
+                denominator <= 0 || numerator <= 0 || numerator > denominator) {
+                throw new Error(`Invalid fee: ${JSON.stringify(fee)}`);
+            }
+            return { numerator, denominator };
+        }
+        
+        const feeBps = Number(fee);
+        if (!Number.isInteger(feeBps) || feeBps < 0 || feeBps >= this.BPS_DENOMINATOR) {
+            throw new Error(`Invalid fee: ${fee} (expected basis points)`);
+        }
+        
+        return { numerator: this.BPS_DENOMINATOR - feeBps, denominator: this.BPS_DENOMINATOR };
+    }
     
     /**
      * Calculate exact output amount for a given input amount
      * Formula: amountOut = floor(amountIn * γ * rOut / (rIn + amountIn * γ))
-     * where γ = 0.997 (fee numerator / fee denominator)
+     * where γ = fee numerator / fee denominator (0.997 for Uniswap V2)
      * 
      * @param {string|number} amountIn - Input amount (in wei)
      * @param {string|number} reserveIn - Reserve of input token
      * @param {string|number} reserveOut - Reserve of output token
+     * @param {number|Object} [fee] - Pool fee in basis points or { numerator, denominator }
      * @returns {string} Output amount in wei (as string for precision)
      */
-    static getAmountOut(amountIn, reserveIn, reserveOut) {
+    static getAmountOut(amountIn, reserveIn, reserveOut, fee) {
         try {
             // Convert to Decimal for precise calculations
             const amountInDecimal = new Decimal(amountIn);
@@ -39,14 +77,16 @@ class UniswapV2Math {
                 throw new Error(`Invalid reserveOut: ${reserveOut} (must be positive)`);
             }
             
-            // Calculate amountInWithFee = amountIn * 997
-            const amountInWithFee = amountInDecimal.mul(this.FEE_NUMERATOR);
+            const poolFee = this.resolveFee(fee);
+            
+            // Calculate amountInWithFee = amountIn * feeNumerator (997 on Uniswap)
+            const amountInWithFee = amountInDecimal.mul(poolFee.numerator);
             
             // Calculate numerator = amountInWithFee * reserveOut
             const numerator = amountInWithFee.mul(reserveOutDecimal);
             
-            // Calculate denominator = (reserveIn * 1000) + amountInWithFee
-            const denominator = reserveInDecimal.mul(this.FEE_DENOMINATOR).add(amountInWithFee);
+            // Calculate denominator = (reserveIn * feeDenominator) + amountInWithFee
+            const denominator = reserveInDecimal.mul(poolFee.denominator).add(amountInWithFee);
             
             // Calculate amountOut = floor(numerator / denominator)
             const amountOut = numerator.div(denominator).floor();
@@ -72,14 +112,15 @@ class UniswapV2Math {
     
     /**
      * Calculate exact input amount for a given output amount
-     * Formula: amountIn = ceil((reserveIn * amountOut * 1000) / ((reserveOut - amountOut) * 997)) + 1
+     * Formula: amountIn = ceil((reserveIn * amountOut * feeDenominator) / ((reserveOut - amountOut) * feeNumerator)) + 1
      * 
      * @param {string|number} amountOut - Desired output amount (in wei)
      * @param {string|number} reserveIn - Reserve of input token
      * @param {string|number} reserveOut - Reserve of output token
+     * @param {number|Object} [fee] - Pool fee in basis points or { numerator, denominator }
      * @returns {string} Input amount in wei (as string for precision)
      */
-    static getAmountIn(amountOut, reserveIn, reserveOut) {
+    static getAmountIn(amountOut, reserveIn, reserveOut, fee) {
         try {
             // Convert to Decimal for precise calculations
             const amountOutDecimal = new Decimal(amountOut);
@@ -95,11 +136,13 @@ class UniswapV2Math {
                 throw new Error('Insufficient liquidity: amountOut >= reserveOut');
             }
             
-            // Calculate numerator = reserveIn * amountOut * 1000
-            const numerator = reserveInDecimal.mul(amountOutDecimal).mul(this.FEE_DENOMINATOR);
+            const poolFee = this.resolveFee(fee);
             
-            // Calculate denominator = (reserveOut - amountOut) * 997
-            const denominator = reserveOutDecimal.sub(amountOutDecimal).mul(this.FEE_NUMERATOR);
+            // Calculate numerator = reserveIn * amountOut * feeDenominator
+            const numerator = reserveInDecimal.mul(amountOutDecimal).mul(poolFee.denominator);
+            
+            // Calculate denominator = (reserveOut - amountOut) * feeNumerator
+            const denominator = reserveOutDecimal.sub(amountOutDecimal).mul(poolFee.numerator);
             
             // Calculate amountIn = ceil(numerator / denominator) + 1
             const amountIn = numerator.div(denominator).ceil().add(1);
@@ -117,17 +160,142 @@ class UniswapV2Math {
             throw error;
         }
     }
-    
+
+    /**
+     * Convert an amount to BigInt, truncating any fraction
+     * Plain integer strings skip Decimal parsing, which is the common case on the fast path
+     *
+     * @param {string|number|bigint|Decimal} value - Amount
+     * @returns {bigint} Integer amount
+     */
+    static toBigInt(value) {
+        if (typeof value === 'bigint') {
+            return value;
+        }
+        if (typeof value === 'string' && /^-?\d+$/.test(value)) {
+            return BigInt(value);
+        }
+        return BigInt(new Decimal(value.toString()).toFixed(0));
+    }
+
+    /**
+     * resolveFee as BigInt, for the integer fast path
+     *
+     * @param {number|Object} [fee] - Pool fee in basis points or { numerator, denominator }
+     * @returns {Object} { numerator, denominator } as BigInt
+     */
+    static resolveFeeBigInt(fee) {
+        const { numerator, denominator } = this.resolveFee(fee);
+        return { numerator: BigInt(numerator), denominator: BigInt(denominator) };
+    }
+
+    /**
+     * Integer-exact output amount: UniswapV2Library.getAmountOut on BigInt
+     * Bit-for-bit equal to getAmountOut but allocates no Decimal and logs nothing, so it
+     * is what the optimizer and graph scans call thousands of times per block;
+     * getAmountOut stays as the logged reference implementation
+     *
+     * @param {bigint} amountIn - Input amount (in wei)
+     * @param {bigint} reserveIn - Reserve of input token
+     * @param {bigint} reserveOut - Reserve of output token
+     * @param {number|Object} [fee] - Pool fee in basis points or { numerator, denominator }
+     * @returns {bigint} Output amount in wei
+     */
+    static getAmountOutBigInt(amountIn, reserveIn, reserveOut, fee) {
+        if (amountIn <= 0n) {
+            throw new Error(`Invalid amountIn: ${amountIn} (must be positive)`);
+        }
+        if (reserveIn <= 0n || reserveOut <= 0n) {
+            throw new Error('Invalid input: reserves must be positive');
+        }
+
+        const { numerator, denominator } = this.resolveFeeBigInt(fee);
+        const amountInWithFee = amountIn * numerator;
+
+        return (amountInWithFee * reserveOut) / (reserveIn * denominator + amountInWithFee);
+    }
+
+    /**
+     * Integer-exact input amount: UniswapV2Library.getAmountIn on BigInt
+     * Formula: amountIn = floor((reserveIn * amountOut * feeDenominator) / ((reserveOut - amountOut) * feeNumerator)) + 1
+     * Matches the router (floor, then + 1), so it can sit one wei below getAmountIn, which rounds up first
+     *
+     * @param {bigint} amountOut - Desired output amount (in wei)
+     * @param {bigint} reserveIn - Reserve of input token
+     * @param {bigint} reserveOut - Reserve of output token
+     * @param {number|Object} [fee] - Pool fee in basis points or { numerator, denominator }
+     * @returns {bigint} Input amount in wei
+     */
+    static getAmountInBigInt(amountOut, reserveIn, reserveOut, fee) {
+        if (amountOut <= 0n || reserveIn <= 0n || reserveOut <= 0n) {
+            throw new Error('Invalid input: amounts and reserves must be positive');
+        }
+        if (amountOut >= reserveOut) {
+            throw new Error('Insufficient liquidity: amountOut >= reserveOut');
+        }
+
+        const { numerator, denominator } = this.resolveFeeBigInt(fee);
+
+        return (reserveIn * amountOut * denominator) / ((reserveOut - amountOut) * numerator) + 1n;
+    }
+
+    /**
+     * Amount delivered by a transfer of a fee-on-transfer token
+     * Formula: received = amount - floor(amount * taxBps / 10000)
+     * 
+     * @param {string|number} amount - Amount sent
+     * @param {number} [taxBps] - Transfer tax in basis points (0 or undefined = untaxed)
+     * @returns {string} Amount received
+     */
+    static applyTransferTax(amount, taxBps) {
+        if (!taxBps) {
+            return new Decimal(amount).toString();
+        }
+        
+        const tax = Number(taxBps);
+        if (!Number.isInteger(tax) || tax < 0 || tax >= this.BPS_DENOMINATOR) {
+            throw new Error(`Invalid transfer tax: ${taxBps} (expected basis points)`);
+        }
+        
+        const amountDecimal = new Decimal(amount);
+        return amountDecimal.minus(amountDecimal.mul(tax).div(this.BPS_DENOMINATOR).floor()).toString();
+    }
+
+    /**
+     * applyTransferTax on BigInt, for the integer fast path
+     *
+     * @param {bigint} amount - Amount sent
+     * @param {number} [taxBps] - Transfer tax in basis points (0 or undefined = untaxed)
+     * @returns {bigint} Amount received
+     */
+    static applyTransferTaxBigInt(amount, taxBps) {
+        if (!taxBps) {
+            return amount;
+        }
+
+        const tax = Number(taxBps);
+        if (!Number.isInteger(tax) || tax < 0 || tax >= this.BPS_DENOMINATOR) {
+            throw new Error(`Invalid transfer tax: ${taxBps} (expected basis points)`);
+        }
+
+        return amount - (amount * BigInt(tax)) / BigInt(this.BPS_DENOMINATOR);
+    }
+
     /**
      * Calculate amounts for multi-hop swaps
      * Applies the getAmountOut formula hop-by-hop
      * 
+     * With transferTaxes, every token transfer along the route is taxed: the input into the first
+     * pair, each pair-to-pair hand-off and the final output. amounts[0] is then the amount sent
+     * and every later amount is what the next pair (or the recipient) actually receives.
+     * 
      * @param {string|number} amountIn - Initial input amount
      * @param {Array} path - Array of token addresses representing the swap path
-     * @param {Array} reserves - Array of [reserveIn, reserveOut] pairs for each hop
+     * @param {Array} reserves - Array of [reserveIn, reserveOut, fee?] tuples for each hop
+     * @param {Object} [transferTaxes] - Transfer tax in basis points keyed by lowercased token address
      * @returns {Array} Array of amounts for each token in the path
      */
-    static getAmountsOut(amountIn, path, reserves) {
+    static getAmountsOut(amountIn, path, reserves, transferTaxes = {}) {
         try {
             if (path.length < 2) {
                 throw new Error('Path must contain at least 2 tokens');
@@ -137,13 +305,18 @@ class UniswapV2Math {
                 throw new Error('Reserves array length must be path length - 1');
             }
             
+            const taxOf = (token) => transferTaxes[token.toLowerCase()] || 0;
+            
             const amounts = new Array(path.length);
             amounts[0] = amountIn;
             
             // Calculate amounts for each hop
             for (let i = 0; i < path.length - 1; i++) {
-                const [reserveIn, reserveOut] = reserves[i];
-                amounts[i + 1] = this.getAmountOut(amounts[i], reserveIn, reserveOut);
+                const [reserveIn, reserveOut, fee] = reserves[i];
+                // Later hops already hold the received amount; the first pair receives the taxed input
+                const hopIn = i === 0 ? this.applyTransferTax(amounts[0], taxOf(path[0])) : amounts[i];
+                const hopOut = this.getAmountOut(hopIn, reserveIn, reserveOut, fee);
+                amounts[i + 1] = this.applyTransferTax(hopOut, taxOf(path[i + 1]));
             }
             
             logger.debug('getAmountsOut calculation', {
@@ -157,13 +330,129 @@ class UniswapV2Math {
             throw error;
         }
     }
-    
+
+    /**
+     * Floor square root of a non-negative BigInt (Newton iteration)
+     *
+     * @param {bigint} value - Radicand
+     * @returns {bigint} floor(sqrt(value))
+     */
+    static sqrtBigInt(value) {
+        if (value < 0n) {
+            throw new Error('Invalid input: square root of a negative number');
+        }
+        if (value < 2n) {
+            return value;
+        }
+
+        let x = BigInt(`0x1${'0'.repeat(Math.ceil(value.toString(16).length / 2))}`);
+        let y = (x + value / x) / 2n;
+        while (y < x) {
+            x = y;
+            y = (x + value / x) / 2n;
+        }
+        return x;
+    }
+
+    /**
+     * Split one input across parallel pools of the same pair to maximise the total output
+     * Pool k with fee n/d has marginal output n * d * R * S / (d * R + n * x)^2, so marginal
+     * prices are equal when d * R + n * x = t * sqrt(n * d * R * S) for a common t; summing the
+     * allocations gives t = (X + Σ d * R / n) / Σ sqrt(n * d * R * S) / n. Pools are added best
+     * spot rate first while their zero-size rate still beats the common marginal rate 1 / t^2.
+     * Allocations are floored and the leftover goes to the best pool, so the total output is
+     * optimal up to about a wei per pool; outputs are exact
+     *
+     * @param {string|number|bigint} amountIn - Total input amount
+     * @param {Array} pools - Parallel pools [{ reserveIn, reserveOut, fee? }, ...], all trading the same direction
+     * @returns {Object} { amountOut, amountsIn, amountsOut } with per-pool values in pools order ('0' for unused pools)
+     */
+    static getSplitAmountsOut(amountIn, pools) {
+        if (!Array.isArray(pools) || pools.length === 0) {
+            throw new Error('Invalid input: at least one pool is required');
+        }
+
+        const total = this.toBigInt(amountIn);
+        if (total <= 0n) {
+            throw new Error(`Invalid amountIn: ${amountIn} (must be positive)`);
+        }
+
+        const states = pools.map((pool, index) => {
+            const reserveIn = this.toBigInt(pool.reserveIn);
+            const reserveOut = this.toBigInt(pool.reserveOut);
+            if (reserveIn <= 0n || reserveOut <= 0n) {
+                throw new Error('Invalid input: reserves must be positive');
+            }
+            const { numerator, denominator } = this.resolveFeeBigInt(pool.fee);
+            return {
+                index,
+                reserveIn,
+                reserveOut,
+                fee: pool.fee,
+                numerator,
+                denominator,
+                weight: this.sqrtBigInt(numerator * denominator * reserveIn * reserveOut)
+            };
+        });
+
+        // Best zero-size rate (n * S / (d * R)) first
+        const ranked = [...states].sort((a, b) => {
+            const lhs = a.numerator * a.reserveOut * b.denominator * b.reserveIn;
+            const rhs = b.numerator * b.reserveOut * a.denominator * a.reserveIn;
+            return lhs > rhs ? -1 : lhs < rhs ? 1 : 0;
+        });
+
+        // t as the fraction tNumerator / tDenominator, over the common denominator Π n
+        const solve = (active) => {
+            const common = active.reduce((product, pool) => product * pool.numerator, 1n);
+            let tNumerator = total * common;
+            let tDenominator = 0n;
+            for (const pool of active) {
+                tNumerator += (pool.denominator * pool.reserveIn * common) / pool.numerator;
+                tDenominator += (pool.weight * common) / pool.numerator;
+            }
+            return { tNumerator, tDenominator };
+        };
+
+        let active = [ranked[0]];
+        let t = solve(active);
+        for (const pool of ranked.slice(1)) {
+            // Join while n * S / (d * R) > 1 / t^2
+            if (t.tNumerator * t.tNumerator * pool.numerator * pool.reserveOut <=
+                pool.denominator * pool.reserveIn * t.tDenominator * t.tDenominator) {
+                break;
+            }
+            active = [...active, pool];
+            t = solve(active);
+        }
+
+        const amountsIn = new Array(states.length).fill(0n);
+        let allocated = 0n;
+        for (const pool of active) {
+            const target = (t.tNumerator * pool.weight) / t.tDenominator - pool.denominator * pool.reserveIn;
+            const amount = target > 0n ? target / pool.numerator : 0n;
+            amountsIn[pool.index] = amount > total - allocated ? total - allocated : amount;
+            allocated += amountsIn[pool.index];
+        }
+        amountsIn[ranked[0].index] += total - allocated;
+
+        const amountsOut = states.map(pool => (amountsIn[pool.index] > 0n
+            ? this.getAmountOutBigInt(amountsIn[pool.index], pool.reserveIn, pool.reserveOut, pool.fee)
+            : 0n));
+
+        return {
+            amountOut: amountsOut.reduce((sum, amount) => sum + amount, 0n).toString(),
+            amountsIn: amountsIn.map(amount => amount.toString()),
+            amountsOut: amountsOut.map(amount => amount.toString())
+        };
+    }
+
     /**
      * Calculate input amounts for multi-hop swaps (reverse of getAmountsOut)
      * 
      * @param {string|number} amountOut - Final output amount
      * @param {Array} path - Array of token addresses representing the swap path
-     * @param {Array} reserves - Array of [reserveIn, reserveOut] pairs for each hop
+     * @param {Array} reserves - Array of [reserveIn, reserveOut, fee?] tuples for each hop
      * @returns {Array} Array of amounts for each token in the path
      */
     static getAmountsIn(amountOut, path, reserves) {
@@ -181,8 +470,8 @@ class UniswapV2Math {
             
             // Calculate amounts backwards for each hop
             for (let i = path.length - 1; i > 0; i--) {
-                const [reserveIn, reserveOut] = reserves[i - 1];
-                amounts[i - 1] = this.getAmountIn(amounts[i], reserveIn, reserveOut);
+                const [reserveIn, reserveOut, fee] = reserves[i - 1];
+                amounts[i - 1] = this.getAmountIn(amounts[i], reserveIn, reserveOut, fee);
             }
             
             logger.debug('getAmountsIn calculation', {
@@ -203,9 +492,10 @@ class UniswapV2Math {
      * @param {string|number} amountIn - Input amount
      * @param {string|number} reserveIn - Reserve of input token
      * @param {string|number} reserveOut - Reserve of output token
+     * @param {number|Object} [fee] - Pool fee in basis points or { numerator, denominator }
      * @returns {number} Price impact as a decimal (0.01 = 1%)
      */
-    static calculatePriceImpact(amountIn, reserveIn, reserveOut) {
+    static calculatePriceImpact(amountIn, reserveIn, reserveOut, fee) {
         try {
             const amountInDecimal = new Decimal(amountIn);
             const reserveInDecimal = new Decimal(reserveIn);
@@ -215,7 +505,7 @@ class UniswapV2Math {
             const spotPrice = reserveOutDecimal.div(reserveInDecimal);
             
             // Calculate execution price after trade
-            const amountOut = this.getAmountOut(amountIn, reserveIn, reserveOut);
+            const amountOut = this.getAmountOut(amountIn, reserveIn, reserveOut, fee);
             const amountOutDecimal = new Decimal(amountOut);
             const executionPrice = amountOutDecimal.div(amountInDecimal);
             
@@ -230,69 +520,187 @@ class UniswapV2Math {
     }
     
     /**
-     * Calculate optimal trade size using binary search
-     * Finds the trade size that maximizes profit
+     * Compose a chain of V2 hops into a single virtual pool
+     * Every hop maps y -> γ * rOut * y / (rIn + γ * y), and that family is closed under
+     * composition, so the whole chain collapses to amountOut = A * x / (B + C * x).
+     * Folding in a hop with fee n/d gives A' = n * rOut * A, B' = d * rIn * B, C' = d * rIn * C + n * A
+     * (scaled by d so every coefficient stays an integer)
+     * 
+     * @param {Array} pools - Ordered hops [{ reserveIn, reserveOut, fee? }, ...]
+     * @returns {Object} { a, b, c } as Decimals
+     */
+    static composeVirtualReserves(pools) {
+        if (!Array.isArray(pools) || pools.length === 0) {
+            throw new Error('Invalid input: at least one pool is required');
+        }
+        
+        let a = new Decimal(1);
+        let b = new Decimal(1);
+        let c = new Decimal(0);
+        
+        for (const pool of pools) {
+            const reserveIn = new Decimal(pool.reserveIn);
+            const reserveOut = new Decimal(pool.reserveOut);
+            
+            if (reserveIn.lte(0) || reserveOut.lte(0)) {
+                throw new Error('Invalid input: reserves must be positive');
+            }
+            
+            const { numerator, denominator } = this.resolveFee(pool.fee);
+            
+            c = c.mul(denominator).mul(reserveIn).add(a.mul(numerator));
+            a = a.mul(numerator).mul(reserveOut);
+            b = b.mul(denominator).mul(reserveIn);
+        }
+        
+        return { a, b, c };
+    }
+    
+    /**
+     * Walk an amount through an ordered chain of pools with exact per-hop rounding
+     * Runs on the BigInt fast path
+     *
+     * @param {string|number|bigint} amountIn - Input amount for the first hop
+     * @param {Array} pools - Ordered hops [{ reserveIn, reserveOut, fee? }, ...]
+     * @returns {Array|null} Amount after every hop (amounts[0] = amountIn), or null once a hop rounds to zero
+     */
+    static getCycleAmountsOut(amountIn, pools) {
+        let amount = this.toBigInt(amountIn);
+        const amounts = [amount.toString()];
+
+        for (const pool of pools) {
+            if (amount <= 0n) {
+                return null;
+            }
+            amount = this.getAmountOutBigInt(amount, this.toBigInt(pool.reserveIn), this.toBigInt(pool.reserveOut), pool.fee);
+            amounts.push(amount.toString());
+        }
+
+        return amounts;
+    }
+    
+    /**
+     * Calculate the profit-maximising input for a cyclic arbitrage of any length (closed form)
+     * The cycle composes into amountOut = A * x / (B + C * x), so profit x -> out(x) - x
+     * is concave and peaks where (B + C * x)^2 = A * B:
+     *   x* = (sqrt(A * B) - B) / C
+     * The real root is rounded to the neighbouring integer that yields the larger exact profit
+     * 
+     * @param {Array} pools - Ordered hops [{ reserveIn, reserveOut, fee? }, ...], each reserveIn
+     *   being the token received from the previous hop and the last reserveOut the starting token
+     * @returns {Object} { optimalAmount, amounts, profit } ('0' and [] when unprofitable)
+     */
+    static findOptimalCycle(pools) {
+        try {
+            const { a, b, c } = this.composeVirtualReserves(pools);
+            
+            const noOpportunity = {
+                optimalAmount: '0',
+                amounts: [],
+                profit: '0'
+            };
+            
+            // The marginal rate at x = 0 is A / B, so there is no profit unless A > B
+            if (a.lte(b)) {
+                return noOpportunity;
+            }
+            
+            const root = a.mul(b).sqrt().sub(b).div(c);
+            
+            let best = null;
+            for (const candidate of [root.floor(), root.floor().add(1)]) {
+                if (candidate.lte(0)) continue;
+                
+                const amounts = this.getCycleAmountsOut(candidate, pools);
+                if (!amounts) continue;
+                
+                const profit = new Decimal(amounts[amounts.length - 1]).sub(candidate);
+                if (!best || profit.gt(best.profit)) {
+                    best = { optimalAmount: candidate, amounts, profit };
+                }
+            }
+            
+            if (!best || best.profit.lte(0)) {
+                return noOpportunity;
+            }
+            
+            logger.debug('Closed-form optimal cycle', {
+                hops: pools.length,
+                optimalAmount: best.optimalAmount.toString(),
+                amounts: best.amounts,
+                profit: best.profit.toString()
+            });
+            
+            return {
+                optimalAmount: best.optimalAmount.toString(),
+                amounts: best.amounts,
+                profit: best.profit.toString()
+            };
+        } catch (error) {
+            logger.error('Error calculating optimal cycle', { error: error.message });
+            throw error;
+        }
+    }
+    
+    /**
+     * Calculate the profit-maximising input for a two-pool arbitrage (closed form)
+     * Two-hop case of findOptimalCycle
+     * 
+     * @param {Object} poolA - First hop { reserveIn, reserveOut, fee? }
+     * @param {Object} poolB - Second hop { reserveIn, reserveOut, fee? }, reserveIn is the token received from poolA
+     * @returns {Object} { optimalAmount, amountOutA, amountOutB, profit } ('0' everywhere when unprofitable)
+     */
+    static calculateOptimalArbitrage(poolA, poolB) {
+        try {
+            const result = this.findOptimalCycle([poolA, poolB]);
+            const [, amountOutA = '0', amountOutB = '0'] = result.amounts;
+            
+            return {
+                optimalAmount: result.optimalAmount,
+                amountOutA,
+                amountOutB,
+                profit: result.profit
+            };
+        } catch (error) {
+            logger.error('Error calculating optimal arbitrage', { error: error.message });
+            throw error;
+        }
+    }
+    
+    /**
+     * Calculate optimal cycle trade size bounded by a maximum amount and net of gas
+     * Profit is concave in trade size, so the bounded optimum is min(x*, maxAmount)
      * 
-     * @param {Object} poolA - First pool data
-     * @param {Object} poolB - Second pool data
+     * @param {Array} pools - Ordered hops [{ reserveIn, reserveOut, fee? }, ...]
      * @param {string|number} maxAmount - Maximum trade size to consider
      * @param {string|number} gasCost - Gas cost in wei
      * @returns {Object} { optimalAmount, maxProfit }
      */
-    static findOptimalTradeSize(poolA, poolB, maxAmount, gasCost) {
+    static findOptimalCycleTradeSize(pools, maxAmount, gasCost) {
         try {
-            const maxAmountDecimal = new Decimal(maxAmount);
+            const maxAmountDecimal = new Decimal(maxAmount).floor();
             const gasCostDecimal = new Decimal(gasCost);
             
-            let low = new Decimal(1); // Start from 1 to avoid zero
-            let high = maxAmountDecimal;
-            let optimalAmount = new Decimal(0);
-            let maxProfit = new Decimal(0);
+            const unconstrained = this.findOptimalCycle(pools);
+            let optimalAmount = new Decimal(unconstrained.optimalAmount);
+            let grossProfit = new Decimal(unconstrained.profit);
             
-            // Binary search for optimal trade size
-            while (high.sub(low).gt(1)) {
-                const mid = low.add(high).div(2).floor();
-                
-                // Skip if mid is zero
-                if (mid.lte(0)) {
-                    low = mid.add(1);
-                    continue;
-                }
-                
-                try {
-                    // Calculate A→B on first pool
-                    const amountOutB = this.getAmountOut(
-                        mid.toString(),
-                        poolA.reserveIn,
-                        poolA.reserveOut
-                    );
-                    
-                    // Calculate B→A on second pool
-                    const amountOutA = this.getAmountOut(
-                        amountOutB,
-                        poolB.reserveIn,
-                        poolB.reserveOut
-                    );
-                    
-                    const netProfit = new Decimal(amountOutA).sub(mid).sub(gasCostDecimal);
-                    
-                    if (netProfit.gt(maxProfit)) {
-                        maxProfit = netProfit;
-                        optimalAmount = mid;
-                    }
-                    
-                    if (netProfit.gt(0)) {
-                        low = mid;
-                    } else {
-                        high = mid;
-                    }
-                } catch (error) {
-                    // If calculation fails, move to higher range
-                    low = mid.add(1);
-                }
+            if (optimalAmount.gt(maxAmountDecimal)) {
+                optimalAmount = maxAmountDecimal;
+                const amounts = this.getCycleAmountsOut(optimalAmount, pools);
+                grossProfit = amounts
+                    ? new Decimal(amounts[amounts.length - 1]).sub(optimalAmount)
+                    : new Decimal(0);
+            }
+            
+            let maxProfit = grossProfit.sub(gasCostDecimal);
+            if (optimalAmount.lte(0) || maxProfit.lte(0)) {
+                optimalAmount = new Decimal(0);
+                maxProfit = new Decimal(0);
             }
             
             logger.debug('Optimal trade size calculation', {
+                hops: pools.length,
                 optimalAmount: optimalAmount.toString(),
                 maxProfit: maxProfit.toString(),
                 gasCost: gasCostDecimal.toString()
@@ -307,6 +715,20 @@ class UniswapV2Math {
             throw error;
         }
     }
+    
+    /**
+     * Calculate optimal two-pool trade size bounded by a maximum amount and net of gas
+     * Two-hop case of findOptimalCycleTradeSize
+     * 
+     * @param {Object} poolA - First pool data { reserveIn, reserveOut, fee? }
+     * @param {Object} poolB - Second pool data { reserveIn, reserveOut, fee? }
+     * @param {string|number} maxAmount - Maximum trade size to consider
+     * @param {string|number} gasCost - Gas cost in wei
+     * @returns {Object} { optimalAmount, maxProfit }
+     */
+    static findOptimalTradeSize(poolA, poolB, maxAmount, gasCost) {
+        return this.findOptimalCycleTradeSize([poolA, poolB], maxAmount, gasCost);
+    }
 }
 
 module.exports = UniswapV2Math;
@@ -0,0 +1,541 @@
+const { Decimal } = require('decimal.js');
+const { UNISWAP_V3_CONSTANTS } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+const Q96 = 1n << 96n;
+const Q128 = 1n << 128n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+// TickMath multipliers: 2^128 / sqrt(1.0001)^(2^i), rounded as in the core contracts
+const TICK_RATIO_MULTIPLIERS = [
+    0xfffcb933bd6fad37aa2d162d1a594001n,
+    0xfff97272373d413259a46990580e213an,
+    0xfff2e50f5f656932ef12357cf3c7fdccn,
+    0xffe5caca7e10e4e61c3624eaa0941cd0n,
+    0xffcb9843d60f6159c9db58835c926644n,
+    0xff973b41fa98c081472e6896dfb254c0n,
+    0xff2ea16466c96a3843ec78b326b52861n,
+    0xfe5dee046a99a2a811c461f1969c3053n,
+    0xfcbe86c7900a88aedcffc83b479aa3a4n,
+    0xf987a7253ac413176f2b074cf7815e54n,
+    0xf3392b0822b70005940c7a398e4b70f3n,
+    0xe7159475a2c29b7443b29c7fa6e889d9n,
+    0xd097f3bdfd2022b8845ad8f792aa5825n,
+    0xa9f746462d870fdf8a65dc1f90e061e5n,
+    0x70d869a156d2a1b890bb3df62baf32f7n,
+    0x31be135f97d08fd981231505542fcfa6n,
+    0x9aa508b5b7a84e1c677de54f3e99bc9n,
+    0x5d6af8dedb81196699c329225ee604n,
+    0x2216e584f5fa1ea926041bedfe98n,
+    0x48a170391f7dc42444e8fa2n
+];
+
+/**
+ * Uniswap V3 Mathematical Engine
+ * Implements concentrated-liquidity quoting with the same integer rounding as the core contracts
+ * (TickMath, SqrtPriceMath, SwapMath and the UniswapV3Pool swap loop), using BigInt internally
+ *
+ * Pool state shape used throughout:
+ *   { sqrtPriceX96, tick, liquidity, fee, tickSpacing?, ticks: [{ index, liquidityNet }], tickRange? }
+ * where fee is in hundredths of a basis point (3000 = 0.3%), ticks lists the initialized ticks
+ * and tickRange { lower, upper } bounds the ticks that were loaded from chain (absent = all loaded)
+ */
+class UniswapV3Math {
+    static Q96 = Q96;
+    static MIN_TICK = UNISWAP_V3_CONSTANTS.MIN_TICK;
+    static MAX_TICK = UNISWAP_V3_CONSTANTS.MAX_TICK;
+    static MIN_SQRT_RATIO = BigInt(UNISWAP_V3_CONSTANTS.MIN_SQRT_RATIO);
+    static MAX_SQRT_RATIO = BigInt(UNISWAP_V3_CONSTANTS.MAX_SQRT_RATIO);
+    static FEE_PIPS_DENOMINATOR = BigInt(UNISWAP_V3_CONSTANTS.FEE_PIPS_DENOMINATOR);
+    static FEE_TIERS = UNISWAP_V3_CONSTANTS.FEE_TIERS;
+
+    /**
+     * Get the tick spacing for a fee tier
+     * @param {number} fee - Fee in hundredths of a basis point
+     * @returns {number} Tick spacing
+     */
+    static getTickSpacing(fee) {
+        const tickSpacing = this.FEE_TIERS[Number(fee)];
+        if (!tickSpacing) {
+            throw new Error(`Unsupported fee tier: ${fee}`);
+        }
+        return tickSpacing;
+    }
+
+    static mulDiv(a, b, denominator) {
+        return (a * b) / denominator;
+    }
+
+    static mulDivRoundingUp(a, b, denominator) {
+        const product = a * b;
+        return product / denominator + (product % denominator > 0n ? 1n : 0n);
+    }
+
+    static divRoundingUp(a, b) {
+        return a / b + (a % b > 0n ? 1n : 0n);
+    }
+
+    /**
+     * Calculate sqrt(1.0001^tick) * 2^96 (TickMath.getSqrtRatioAtTick)
+     * @param {number} tick - Tick index
+     * @returns {bigint} sqrtPriceX96
+     */
+    static getSqrtRatioAtTick(tick) {
+        if (!Number.isInteger(tick) || tick < this.MIN_TICK || tick > this.MAX_TICK) {
+            throw new Error(`Invalid tick: ${tick}`);
+        }
+
+        const absTick = Math.abs(tick);
+        let ratio = absTick & 1 ? TICK_RATIO_MULTIPLIERS[0] : Q128;
+
+        for (let i = 1; i < TICK_RATIO_MULTIPLIERS.length; i++) {
+            if (absTick & (1 << i)) {
+                ratio = (ratio * TICK_RATIO_MULTIPLIERS[i]) >> 128n;
+            }
+        }
+
+        if (tick > 0) {
+            ratio = MAX_UINT256 / ratio;
+        }
+
+        // Q128.128 -> Q64.96, rounding up so getTickAtSqrtRatio stays consistent
+        return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+    }
+
+    /**
+     * Calculate the greatest tick whose sqrt ratio is at most sqrtPriceX96 (TickMath.getTickAtSqrtRatio)
+     * @param {bigint|string} sqrtPriceX96 - Square root price as a Q64.96
+     * @returns {number} Tick index
+     */
+    static getTickAtSqrtRatio(sqrtPriceX96) {
+        const sqrtPrice = BigInt(sqrtPriceX96);
+        if (sqrtPrice < this.MIN_SQRT_RATIO || sqrtPrice >= this.MAX_SQRT_RATIO) {
+            throw new Error(`Invalid sqrtPriceX96: ${sqrtPriceX96}`);
+        }
+
+        // getSqrtRatioAtTick is monotonic, so a binary search gives the exact tick
+        let low = this.MIN_TICK;
+        let high = this.MAX_TICK;
+        while (low < high) {
+            const mid = Math.floor((low + high + 1) / 2);
+            if (this.getSqrtRatioAtTick(mid) <= sqrtPrice) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return low;
+    }
+
+    static getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amount, add) {
+        if (amount === 0n) return sqrtPriceX96;
+
+        const numerator1 = liquidity << 96n;
+        const product = amount * sqrtPriceX96;
+
+        if (add) {
+            // Mirrors the contract's overflow fallback so results stay bit-exact
+            if (product <= MAX_UINT256 && numerator1 + product <= MAX_UINT256) {
+                return this.mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1 + product);
+            }
+            return this.divRoundingUp(numerator1, numerator1 / sqrtPriceX96 + amount);
+        }
+
+        if (product > MAX_UINT256 || numerator1 <= product) {
+            throw new Error('Insufficient liquidity for output amount');
+        }
+        return this.mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1 - product);
+    }
+
+    static getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amount, add) {
+        if (add) {
+            return sqrtPriceX96 + (amount << 96n) / liquidity;
+        }
+
+        const quotient = amount <= MAX_UINT160
+            ? this.divRoundingUp(amount << 96n, liquidity)
+            : this.mulDivRoundingUp(amount, Q96, liquidity);
+
+        if (sqrtPriceX96 <= quotient) {
+            throw new Error('Insufficient liquidity for output amount');
+        }
+        return sqrtPriceX96 - quotient;
+    }
+
+    static getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+        return zeroForOne
+            ? this.getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amountIn, true)
+            : this.getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amountIn, true);
+    }
+
+    static getNextSqrtPriceFromOutput(sqrtPriceX96, liquidity, amountOut, zeroForOne) {
+        return zeroForOne
+            ? this.getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amountOut, false)
+            : this.getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amountOut, false);
+    }
+
+    /**
+     * Amount of token0 between two prices: L * (sqrtB - sqrtA) / (sqrtA * sqrtB)
+     */
+    static getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+        const [sqrtA, sqrtB] = sqrtRatioAX96 > sqrtRatioBX96
+            ? [sqrtRatioBX96, sqrtRatioAX96]
+            : [sqrtRatioAX96, sqrtRatioBX96];
+
+        const numerator1 = liquidity << 96n;
+        const numerator2 = sqrtB - sqrtA;
+
+        return roundUp
+            ? this.divRoundingUp(this.mulDivRoundingUp(numerator1, numerator2, sqrtB), sqrtA)
+            : this.mulDiv(numerator1, numerator2, sqrtB) / sqrtA;
+    }
+
+    /**
+     * Amount of token1 between two prices: L * (sqrtB - sqrtA)
+     */
+    static getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+        const [sqrtA, sqrtB] = sqrtRatioAX96 > sqrtRatioBX96
+            ? [sqrtRatioBX96, sqrtRatioAX96]
+            : [sqrtRatioAX96, sqrtRatioBX96];
+
+        return roundUp
+            ? this.mulDivRoundingUp(liquidity, sqrtB - sqrtA, Q96)
+            : this.mulDiv(liquidity, sqrtB - sqrtA, Q96);
+    }
+
+    /**
+     * Compute a single swap step within one liquidity range (SwapMath.computeSwapStep)
+     * @param {bigint} sqrtRatioCurrentX96 - Current price
+     * @param {bigint} sqrtRatioTargetX96 - Price that cannot be exceeded in this step
+     * @param {bigint} liquidity - Active liquidity
+     * @param {bigint} amountRemaining - Positive for exact input, negative for exact output
+     * @param {bigint} feePips - Fee in hundredths of a basis point
+     * @returns {Object} { sqrtRatioNextX96, amountIn, amountOut, feeAmount }
+     */
+    static computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+        const zeroForOne = sqrtRatioCurrentX96 >= sqrtRatioTargetX96;
+        const exactIn = amountRemaining >= 0n;
+        const feeComplement = this.FEE_PIPS_DENOMINATOR - feePips;
+
+        let sqrtRatioNextX96;
+        let amountIn = 0n;
+        let amountOut = 0n;
+
+        if (exactIn) {
+            const amountRemainingLessFee = this.mulDiv(amountRemaining, feeComplement, this.FEE_PIPS_DENOMINATOR);
+            amountIn = zeroForOne
+                ? this.getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true)
+                : this.getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+
+            sqrtRatioNextX96 = amountRemainingLessFee >= amountIn
+                ? sqrtRatioTargetX96
+                : this.getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+        } else {
+            amountOut = zeroForOne
+                ? this.getAmount1Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, false)
+                : this.getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, false);
+
+            sqrtRatioNextX96 = -amountRemaining >= amountOut
+                ? sqrtRatioTargetX96
+                : this.getNextSqrtPriceFromOutput(sqrtRatioCurrentX96, liquidity, -amountRemaining, zeroForOne);
+        }
+
+        const max = sqrtRatioTargetX96 === sqrtRatioNextX96;
+
+        if (zeroForOne) {
+            if (!(max && exactIn)) {
+                amountIn = this.getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+            }
+            if (!(max && !exactIn)) {
+                amountOut = this.getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+            }
+        } else {
+            if (!(max && exactIn)) {
+                amountIn = this.getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+            }
+            if (!(max && !exactIn)) {
+                amountOut = this.getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+            }
+        }
+
+        // Cap the output so exact-output swaps never return more than requested
+        if (!exactIn && amountOut > -amountRemaining) {
+            amountOut = -amountRemaining;
+        }
+
+        const feeAmount = exactIn && sqrtRatioNextX96 !== sqrtRatioTargetX96
+            ? amountRemaining - amountIn
+            : this.mulDivRoundingUp(amountIn, feePips, feeComplement);
+
+        return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+    }
+
+    /**
+     * Normalise pool state into BigInt form with a sorted list of initialized ticks
+     * @param {Object} pool - Pool state
+     * @returns {Object} Normalised state
+     */
+    static normalizePool(pool) {
+        const fee = Number(pool.fee);
+        const tickSpacing = Number(pool.tickSpacing || this.getTickSpacing(fee));
+        const liquidityNet = new Map();
+
+        for (const { index, liquidityNet: net } of pool.ticks || []) {
+            if (Number(index) % tickSpacing !== 0) {
+                throw new Error(`Tick ${index} is not a multiple of tick spacing ${tickSpacing}`);
+            }
+            liquidityNet.set(Number(index), BigInt(net));
+        }
+
+        return {
+            sqrtPriceX96: BigInt(pool.sqrtPriceX96),
+            tick: Number(pool.tick),
+            liquidity: BigInt(pool.liquidity),
+            fee: BigInt(fee),
+            tickSpacing,
+            liquidityNet,
+            initializedTicks: [...liquidityNet.keys()].sort((a, b) => a - b),
+            tickRange: pool.tickRange || null
+        };
+    }
+
+    /**
+     * Find the next initialized tick within the current bitmap word (TickBitmap.nextInitializedTickWithinOneWord)
+     * Stepping word by word, rather than straight to the next initialized tick, keeps step
+     * boundaries, and therefore rounding, identical to the on-chain swap
+     * @param {Array} initializedTicks - Sorted initialized tick indexes
+     * @param {number} tick - Current tick
+     * @param {number} tickSpacing - Tick spacing
+     * @param {boolean} lte - Search at or below the current tick (zeroForOne)
+     * @returns {Object} { tickNext, initialized }
+     */
+    static nextInitializedTickWithinOneWord(initializedTicks, tick, tickSpacing, lte) {
+        let compressed = Math.trunc(tick / tickSpacing);
+        if (tick < 0 && tick % tickSpacing !== 0) compressed--;
+
+        if (lte) {
+            const wordStart = (compressed >> 8) << 8;
+            for (let i = initializedTicks.length - 1; i >= 0; i--) {
+                const candidate = initializedTicks[i] / tickSpacing;
+                if (candidate > compressed) continue;
+                if (candidate >= wordStart) {
+                    return { tickNext: initializedTicks[i], initialized: true };
+                }
+                break;
+            }
+            return { tickNext: wordStart * tickSpacing, initialized: false };
+        }
+
+        const next = compressed + 1;
+        const wordEnd = ((next >> 8) << 8) + 255;
+        for (const index of initializedTicks) {
+            const candidate = index / tickSpacing;
+            if (candidate < next) continue;
+            if (candidate <= wordEnd) {
+                return { tickNext: index, initialized: true };
+            }
+            break;
+        }
+        return { tickNext: wordEnd * tickSpacing, initialized: false };
+    }
+
+    /**
+     * Simulate a swap through the pool (UniswapV3Pool.swap without state writes)
+     * @param {Object} pool - Pool state
+     * @param {boolean} zeroForOne - Swap token0 for token1
+     * @param {string|bigint} amountSpecified - Positive for exact input, negative for exact output
+     * @param {string|bigint} [sqrtPriceLimitX96] - Price limit (defaults to the tick range bound)
+     * @returns {Object} { amountIn, amountOut, sqrtPriceX96, tick, liquidity, ticksCrossed, complete }
+     */
+    static swap(pool, zeroForOne, amountSpecified, sqrtPriceLimitX96) {
+        const state = this.normalizePool(pool);
+        const specified = BigInt(amountSpecified);
+
+        if (specified === 0n) {
+            throw new Error('Invalid input: amountSpecified must be non-zero');
+        }
+
+        const priceLimit = sqrtPriceLimitX96 !== undefined
+            ? BigInt(sqrtPriceLimitX96)
+            : (zeroForOne ? this.MIN_SQRT_RATIO + 1n : this.MAX_SQRT_RATIO - 1n);
+
+        if (zeroForOne
+            ? priceLimit >= state.sqrtPriceX96 || priceLimit <= this.MIN_SQRT_RATIO
+            : priceLimit <= state.sqrtPriceX96 || priceLimit >= this.MAX_SQRT_RATIO) {
+            throw new Error(`Invalid sqrtPriceLimitX96: ${priceLimit}`);
+        }
+
+        const exactInput = specified > 0n;
+        let amountSpecifiedRemaining = specified;
+        let amountCalculated = 0n;
+        let { sqrtPriceX96, tick, liquidity } = state;
+        let ticksCrossed = 0;
+
+        while (amountSpecifiedRemaining !== 0n && sqrtPriceX96 !== priceLimit) {
+            const sqrtPriceStartX96 = sqrtPriceX96;
+            let { tickNext, initialized } = this.nextInitializedTickWithinOneWord(
+                state.initializedTicks, tick, state.tickSpacing, zeroForOne
+            );
+
+            if (state.tickRange && (tickNext < state.tickRange.lower || tickNext > state.tickRange.upper)) {
+                throw new Error('Swap crosses beyond the loaded tick range');
+            }
+
+            tickNext = Math.min(Math.max(tickNext, this.MIN_TICK), this.MAX_TICK);
+            const sqrtPriceNextX96 = this.getSqrtRatioAtTick(tickNext);
+
+            const target = (zeroForOne ? sqrtPriceNextX96 < priceLimit : sqrtPriceNextX96 > priceLimit)
+                ? priceLimit
+                : sqrtPriceNextX96;
+
+            const step = this.computeSwapStep(sqrtPriceX96, target, liquidity, amountSpecifiedRemaining, state.fee);
+            sqrtPriceX96 = step.sqrtRatioNextX96;
+
+            if (exactInput) {
+                amountSpecifiedRemaining -= step.amountIn + step.feeAmount;
+                amountCalculated -= step.amountOut;
+            } else {
+                amountSpecifiedRemaining += step.amountOut;
+                amountCalculated += step.amountIn + step.feeAmount;
+            }
+
+            if (sqrtPriceX96 === sqrtPriceNextX96) {
+                if (initialized) {
+                    const liquidityNet = state.liquidityNet.get(tickNext);
+                    liquidity += zeroForOne ? -liquidityNet : liquidityNet;
+                    ticksCrossed++;
+                }
+                tick = zeroForOne ? tickNext - 1 : tickNext;
+            } else if (sqrtPriceX96 !== sqrtPriceStartX96) {
+                tick = this.getTickAtSqrtRatio(sqrtPriceX96);
+            }
+        }
+
+        const amountIn = exactInput ? specified - amountSpecifiedRemaining : amountCalculated;
+        const amountOut = exactInput ? -amountCalculated : amountSpecifiedRemaining - specified;
+
+        return {
+            amountIn: amountIn.toString(),
+            amountOut: amountOut.toString(),
+            sqrtPriceX96: sqrtPriceX96.toString(),
+            tick,
+            liquidity: liquidity.toString(),
+            ticksCrossed,
+            complete: amountSpecifiedRemaining === 0n
+        };
+    }
+
+    /**
+     * Calculate exact output amount for a given input amount
+     * @param {string|number} amountIn - Input amount (in wei)
+     * @param {Object} pool - Pool state
+     * @param {boolean} zeroForOne - Swap token0 for token1
+     * @returns {string} Output amount in wei
+     */
+    static getAmountOut(amountIn, pool, zeroForOne) {
+        try {
+            const amount = BigInt(new Decimal(amountIn).toFixed(0));
+            if (amount <= 0n) {
+                throw new Error('Invalid input: amountIn must be positive');
+            }
+
+            const result = this.swap(pool, zeroForOne, amount);
+            if (!result.complete) {
+                throw new Error('Insufficient liquidity for trade');
+            }
+
+            return result.amountOut;
+        } catch (error) {
+            logger.error('Error in V3 getAmountOut calculation', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate required input amount for a desired output amount
+     * @param {string|number} amountOut - Desired output amount (in wei)
+     * @param {Object} pool - Pool state
+     * @param {boolean} zeroForOne - Swap token0 for token1
+     * @returns {string} Required input amount in wei
+     */
+    static getAmountIn(amountOut, pool, zeroForOne) {
+        try {
+            const amount = BigInt(new Decimal(amountOut).toFixed(0));
+            if (amount <= 0n) {
+                throw new Error('Invalid input: amountOut must be positive');
+            }
+
+            const result = this.swap(pool, zeroForOne, -amount);
+            if (!result.complete) {
+                throw new Error('Insufficient liquidity for trade');
+            }
+
+            return result.amountIn;
+        } catch (error) {
+            logger.error('Error in V3 getAmountIn calculation', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Spot price of token0 in token1 (raw units): (sqrtPriceX96 / 2^96)^2
+     * @param {string|bigint} sqrtPriceX96 - Square root price as a Q64.96
+     * @returns {Decimal} Price
+     */
+    static getSpotPrice(sqrtPriceX96) {
+        const sqrtPrice = new Decimal(BigInt(sqrtPriceX96).toString()).dividedBy(Q96.toString());
+        return sqrtPrice.times(sqrtPrice);
+    }
+
+    /**
+     * Virtual reserves of the active range: x = L / sqrtP, y = L * sqrtP
+     * Useful for liquidity estimates and as a V2-equivalent view of the current price
+     * @param {Object} pool - { sqrtPriceX96, liquidity }
+     * @returns {Object} { reserve0, reserve1 } as strings
+     */
+    static getVirtualReserves(pool) {
+        const sqrtPriceX96 = BigInt(pool.sqrtPriceX96);
+        const liquidity = BigInt(pool.liquidity);
+
+        return {
+            reserve0: ((liquidity << 96n) / sqrtPriceX96).toString(),
+            reserve1: ((liquidity * sqrtPriceX96) >> 96n).toString()
+        };
+    }
+
+    /**
+     * Decode the initialized ticks of one tick bitmap word
+     * @param {number} wordPosition - Bitmap word index (compressed tick >> 8)
+     * @param {string|bigint} bitmap - 256-bit word
+     * @param {number} tickSpacing - Tick spacing
+     * @returns {Array<number>} Initialized tick indexes, ascending
+     */
+    static decodeTickBitmap(wordPosition, bitmap, tickSpacing) {
+        const word = BigInt(bitmap);
+        const ticks = [];
+
+        for (let bit = 0; bit < 256; bit++) {
+            if ((word >> BigInt(bit)) & 1n) {
+                ticks.push((wordPosition * 256 + bit) * tickSpacing);
+            }
+        }
+
+        return ticks;
+    }
+
+    /**
+     * Get the bitmap word index that holds a tick
+     * @param {number} tick - Tick index
+     * @param {number} tickSpacing - Tick spacing
+     * @returns {number} Word position
+     */
+    static getWordPosition(tick, tickSpacing) {
+        let compressed = Math.trunc(tick / tickSpacing);
+        if (tick < 0 && tick % tickSpacing !== 0) compressed--;
+        return compressed >> 8;
+    }
+}
+
+module.exports = UniswapV3Math;
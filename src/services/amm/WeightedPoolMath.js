@@ -0,0 +1,162 @@
+const { Decimal: BaseDecimal } = require('decimal.js');
+const { WEIGHTED_POOL_CONSTANTS } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+// Fractional powers of uint256-sized balance ratios need far more digits than the
+// default precision, and wei amounts must never switch to exponential notation
+const Decimal = BaseDecimal.clone({ precision: 80, rounding: BaseDecimal.ROUND_DOWN, toExpPos: 80 });
+
+/**
+ * Weighted Pool Mathematical Engine
+ * Implements Balancer-style weighted product swaps: prod(B_k ^ w_k) = k
+ *
+ * Weights may be given in any common scale (Balancer normalised weights are 1e18 fixed
+ * point, so an 80/20 pool is 0.8e18/0.2e18); the swap fee is 1e18 fixed point as returned
+ * by getSwapFeePercentage (3e15 = 0.3%). Balances are raw token amounts: decimal scaling
+ * applies to a balance and the amounts traded against it alike, so it cancels out.
+ */
+class WeightedPoolMath {
+    static ONE = new Decimal(WEIGHTED_POOL_CONSTANTS.ONE);
+    static MAX_IN_RATIO = new Decimal(WEIGHTED_POOL_CONSTANTS.MAX_IN_RATIO);
+    static MAX_OUT_RATIO = new Decimal(WEIGHTED_POOL_CONSTANTS.MAX_OUT_RATIO);
+
+    /**
+     * Validate swap parameters and convert them to Decimal
+     * @returns {Object} { balanceIn, weightIn, balanceOut, weightOut, fee } with fee as a fraction
+     */
+    static normalizeParams(balanceIn, weightIn, balanceOut, weightOut, swapFee) {
+        const params = {
+            balanceIn: new Decimal(balanceIn),
+            weightIn: new Decimal(weightIn),
+            balanceOut: new Decimal(balanceOut),
+            weightOut: new Decimal(weightOut),
+            fee: new Decimal(swapFee || 0).div(this.ONE)
+        };
+
+        if (params.balanceIn.lte(0) || params.balanceOut.lte(0)) {
+            throw new Error('Invalid input: balances must be positive');
+        }
+        if (params.weightIn.lte(0) || params.weightOut.lte(0)) {
+            throw new Error('Invalid input: weights must be positive');
+        }
+        if (params.fee.lt(0) || params.fee.gte(1)) {
+            throw new Error(`Invalid swap fee: ${swapFee}`);
+        }
+
+        return params;
+    }
+
+    /**
+     * Output amount for a given input amount, without logging (Balancer's _calcOutGivenIn)
+     * Formula: amountOut = floor(Bo * (1 - (Bi / (Bi + Ai * (1 - fee))) ^ (wi / wo)))
+     * Throws when the swap breaks the vault's max in ratio
+     * @returns {string} Output amount (raw units)
+     */
+    static calcOutGivenIn(amountIn, balanceIn, weightIn, balanceOut, weightOut, swapFee) {
+        const amountInDecimal = new Decimal(amountIn);
+        if (amountInDecimal.lte(0)) {
+            throw new Error(`Invalid amountIn: ${amountIn} (must be positive)`);
+        }
+
+        const p = this.normalizeParams(balanceIn, weightIn, balanceOut, weightOut, swapFee);
+
+        // The vault rejects swaps adding more than MAX_IN_RATIO of the balance
+        if (amountInDecimal.gt(p.balanceIn.mul(this.MAX_IN_RATIO))) {
+            throw new Error('Insufficient liquidity: amountIn exceeds max in ratio');
+        }
+
+        const amountInAfterFee = amountInDecimal.mul(new Decimal(1).minus(p.fee));
+        const base = p.balanceIn.div(p.balanceIn.plus(amountInAfterFee));
+        const power = base.pow(p.weightIn.div(p.weightOut));
+
+        return p.balanceOut.mul(new Decimal(1).minus(power)).floor().toString();
+    }
+
+    /**
+     * Calculate output amount for a given input amount
+     *
+     * @param {string|number} amountIn - Input amount (raw units)
+     * @param {string|number} balanceIn - Pool balance of the input token
+     * @param {string|number} weightIn - Weight of the input token
+     * @param {string|number} balanceOut - Pool balance of the output token
+     * @param {string|number} weightOut - Weight of the output token
+     * @param {string|number} [swapFee] - Swap fee, 1e18 fixed point
+     * @returns {string} Output amount (raw units)
+     */
+    static getAmountOut(amountIn, balanceIn, weightIn, balanceOut, weightOut, swapFee) {
+        try {
+            return this.calcOutGivenIn(amountIn, balanceIn, weightIn, balanceOut, weightOut, swapFee);
+        } catch (error) {
+            logger.error('Error in weighted getAmountOut calculation', {
+                error: error.message,
+                amountIn,
+                balanceIn,
+                balanceOut
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate input amount for a given output amount
+     * Formula: amountIn = ceil(Bi * ((Bo / (Bo - Ao)) ^ (wo / wi) - 1) / (1 - fee))
+     *
+     * @param {string|number} amountOut - Desired output amount (raw units)
+     * @param {string|number} balanceIn - Pool balance of the input token
+     * @param {string|number} weightIn - Weight of the input token
+     * @param {string|number} balanceOut - Pool balance of the output token
+     * @param {string|number} weightOut - Weight of the output token
+     * @param {string|number} [swapFee] - Swap fee, 1e18 fixed point
+     * @returns {string} Input amount (raw units)
+     */
+    static getAmountIn(amountOut, balanceIn, weightIn, balanceOut, weightOut, swapFee) {
+        try {
+            const amountOutDecimal = new Decimal(amountOut);
+            if (amountOutDecimal.lte(0)) {
+                throw new Error(`Invalid amountOut: ${amountOut} (must be positive)`);
+            }
+
+            const p = this.normalizeParams(balanceIn, weightIn, balanceOut, weightOut, swapFee);
+
+            // The vault rejects swaps removing more than MAX_OUT_RATIO of the balance
+            if (amountOutDecimal.gt(p.balanceOut.mul(this.MAX_OUT_RATIO))) {
+                throw new Error('Insufficient liquidity: amountOut exceeds max out ratio');
+            }
+
+            const base = p.balanceOut.div(p.balanceOut.minus(amountOutDecimal));
+            const power = base.pow(p.weightOut.div(p.weightIn));
+            const amountInBeforeFee = p.balanceIn.mul(power.minus(1));
+
+            return amountInBeforeFee.div(new Decimal(1).minus(p.fee)).ceil().toString();
+        } catch (error) {
+            logger.error('Error in weighted getAmountIn calculation', {
+                error: error.message,
+                amountOut,
+                balanceIn,
+                balanceOut
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate the spot price: input token paid per output token at zero size
+     * Formula: (Bi / wi) / (Bo / wo), divided by (1 - fee) when a fee is given
+     *
+     * @param {string|number} balanceIn - Pool balance of the input token
+     * @param {string|number} weightIn - Weight of the input token
+     * @param {string|number} balanceOut - Pool balance of the output token
+     * @param {string|number} weightOut - Weight of the output token
+     * @param {string|number} [swapFee] - Swap fee, 1e18 fixed point
+     * @returns {Decimal} Spot price (raw units)
+     */
+    static getSpotPrice(balanceIn, weightIn, balanceOut, weightOut, swapFee) {
+        const p = this.normalizeParams(balanceIn, weightIn, balanceOut, weightOut, swapFee);
+
+        return p.balanceIn.div(p.weightIn)
+            .div(p.balanceOut.div(p.weightOut))
+            .div(new Decimal(1).minus(p.fee));
+    }
+}
+
+module.exports = WeightedPoolMath;
@@ -0,0 +1,338 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Managed Block Subscription
+ * Keeps a newBlockHeaders subscription alive across provider failures:
+ * - A watchdog treats stallTimeout without a header as a dead connection
+ * - Errors and stalls count against the provider, and the subscription moves to another one
+ * - Blocks skipped during the gap (or between any two headers) are fetched and delivered in
+ *   order, flagged backfilled: true, before delivery resumes. A block the provider has not
+ *   indexed yet holds back delivery until the next header retries it
+ *
+ * Headers are delivered one at a time, in increasing block order; a header repeating the
+ * last block number is only delivered when its hash differs (reorg).
+ */
+class BlockSubscription {
+    constructor(web3Manager, callback, options = {}) {
+        this.web3Manager = web3Manager;
+        this.callback = callback;
+        this.options = {
+            stallTimeout: options.stallTimeout || 30000, // No header for this long means the connection is dead
+            maxBackfillBlocks: options.maxBackfillBlocks || 100, // Older missed blocks are skipped
+            reconnectDelay: options.reconnectDelay || 1000, // Wait before retrying when no provider could subscribe
+            ...options
+        };
+
+        this.subscription = null;
+        this.providerIndex = null;
+        this.lastBlockNumber = null;
+        this.lastBlockHash = null;
+        this.isActive = false;
+        this.reconnecting = null;
+        this.stallTimer = null;
+        this.retryTimer = null;
+        this.queue = Promise.resolve();
+        this.stats = {
+            headersReceived: 0,
+            headersDelivered: 0,
+            blocksBackfilled: 0,
+            blocksSkipped: 0,
+            backfillsDeferred: 0,
+            reconnects: 0,
+            stalls: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * Subscribe on the current provider (or the next available one)
+     * @returns {Promise<BlockSubscription>} This subscription
+     */
+    async start() {
+        this.isActive = true;
+        if (!await this.connect(new Set(), this.web3Manager.currentProviderIndex)) {
+            this.scheduleRetry();
+        }
+        return this;
+    }
+
+    /**
+     * Unsubscribe and stop watching
+     */
+    async stop() {
+        this.isActive = false;
+        clearTimeout(this.stallTimer);
+        clearTimeout(this.retryTimer);
+        await this.unsubscribe();
+
+        logger.info('Block subscription stopped', {
+            lastBlockNumber: this.lastBlockNumber,
+            ...this.stats
+        });
+    }
+
+    /**
+     * Subscribe on a provider, trying the preferred one first and skipping excluded ones
+     * @param {Set<number>} exclude - Provider indices not to use
+     * @param {number|null} preferred - Provider index to try first
+     * @returns {Promise<boolean>} Whether a subscription was established
+     */
+    async connect(exclude, preferred = null) {
+        const tried = new Set(exclude);
+
+        while (this.isActive) {
+            const index = preferred !== null && !tried.has(preferred) &&
+                this.web3Manager.isProviderAvailable(preferred)
+                ? preferred
+                : this.web3Manager.selectProvider(tried);
+            if (index === null) break;
+            tried.add(index);
+
+            const provider = this.web3Manager.providers[index];
+            try {
+                const subscription = await this.web3Manager.web3Instances[index].eth.subscribe('newBlockHeaders');
+                this.subscription = subscription;
+                this.providerIndex = index;
+
+                subscription.on('data', (blockHeader) => {
+                    if (subscription === this.subscription) {
+                        this.onHeader(blockHeader);
+                    }
+                });
+                subscription.on('error', (error) => {
+                    if (subscription === this.subscription) {
+                        this.stats.errors++;
+                        this.handleDisconnect('error', error);
+                    }
+                });
+
+                this.resetStallTimer();
+                logger.info('Subscribed to new blocks', { provider: provider.name });
+                return true;
+            } catch (error) {
+                logger.warn('Block subscription failed', {
+                    provider: provider.name,
+                    error: error.message
+                });
+                this.web3Manager.recordProviderResult(index, false);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Try subscribing again after reconnectDelay when no provider accepted the subscription
+     */
+    scheduleRetry() {
+        if (!this.isActive) return;
+
+        logger.error('No provider accepted the block subscription, retrying', {
+            retryIn: this.options.reconnectDelay
+        });
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.handleDisconnect('retry'), this.options.reconnectDelay);
+        if (this.retryTimer.unref) this.retryTimer.unref();
+    }
+
+    /**
+     * Move the subscription to another provider and catch up on missed blocks
+     * Concurrent disconnect signals collapse into one reconnect
+     * @param {string} reason - 'error', 'stall' or 'retry'
+     * @param {Error} [error] - Subscription error
+     * @returns {Promise<void>}
+     */
+    handleDisconnect(reason, error) {
+        if (!this.isActive) return Promise.resolve();
+        if (this.reconnecting) return this.reconnecting;
+
+        this.reconnecting = this.reconnect(reason, error).finally(() => {
+            this.reconnecting = null;
+        });
+        return this.reconnecting;
+    }
+
+    /**
+     * Drop the current subscription, penalise its provider and subscribe elsewhere
+     * @param {string} reason - 'error', 'stall' or 'retry'
+     * @param {Error} [error] - Subscription error
+     */
+    async reconnect(reason, error) {
+        const failedIndex = this.subscription ? this.providerIndex : null;
+        clearTimeout(this.stallTimer);
+
+        logger.warn('Block subscription lost, resubscribing', {
+            reason,
+            provider: failedIndex !== null ? this.web3Manager.providers[failedIndex].name : null,
+            error: error ? error.message : undefined,
+            lastBlockNumber: this.lastBlockNumber
+        });
+
+        await this.unsubscribe();
+        const exclude = new Set();
+        if (failedIndex !== null) {
+            this.web3Manager.recordProviderResult(failedIndex, false);
+            exclude.add(failedIndex);
+        }
+
+        // Prefer another provider, but fall back to the failed one rather than going dark
+        const connected = await this.connect(exclude) || (exclude.size > 0 && await this.connect(new Set()));
+        if (!connected) {
+            this.scheduleRetry();
+            return;
+        }
+
+        this.stats.reconnects++;
+        await this.catchUp();
+    }
+
+    /**
+     * Deliver every block between the last delivered one and the chain head
+     * @returns {Promise<void>}
+     */
+    async catchUp() {
+        if (this.lastBlockNumber === null) return;
+
+        try {
+            const head = Number(await this.web3Manager.getBlockNumber());
+            await this.enqueue(() => this.backfill(head + 1));
+        } catch (error) {
+            logger.error('Failed to catch up after resubscribing', { error: error.message });
+        }
+    }
+
+    /**
+     * Handle a header from the live subscription
+     * @param {Object} blockHeader - Block header
+     * @returns {Promise<void>}
+     */
+    onHeader(blockHeader) {
+        this.stats.headersReceived++;
+        this.resetStallTimer();
+
+        return this.enqueue(async () => {
+            if (await this.backfill(Number(blockHeader.number))) {
+                await this.deliver(blockHeader);
+            }
+        });
+    }
+
+    /**
+     * Fetch and deliver the blocks missing before blockNumber
+     * Stops at the first block the provider returns null for; it is fetched again on the next header
+     * @param {number} blockNumber - First block not to backfill
+     * @returns {Promise<boolean>} Whether every missing block was delivered
+     */
+    async backfill(blockNumber) {
+        if (this.lastBlockNumber === null || blockNumber <= this.lastBlockNumber + 1) return true;
+
+        let from = this.lastBlockNumber + 1;
+        if (blockNumber - from > this.options.maxBackfillBlocks) {
+            const skipped = blockNumber - this.options.maxBackfillBlocks - from;
+            this.stats.blocksSkipped += skipped;
+            logger.warn('Block gap too large, skipping the oldest missed blocks', {
+                from,
+                to: blockNumber - 1,
+                skipped
+            });
+            from = blockNumber - this.options.maxBackfillBlocks;
+        }
+
+        for (let number = from; number < blockNumber && this.isActive; number++) {
+            const block = await this.web3Manager.executeWithFailover(async (web3) => {
+                return await web3.eth.getBlock(number, false);
+            });
+            if (!block) {
+                this.stats.backfillsDeferred++;
+                logger.debug('Block not available yet, deferring backfill to the next header', {
+                    blockNumber: number,
+                    head: blockNumber
+                });
+                return false;
+            }
+            this.stats.blocksBackfilled++;
+            await this.deliver({ ...block, backfilled: true });
+        }
+
+        return true;
+    }
+
+    /**
+     * Hand a header to the callback unless it is stale or a duplicate
+     * @param {Object} blockHeader - Block header
+     */
+    async deliver(blockHeader) {
+        const number = Number(blockHeader.number);
+        if (this.lastBlockNumber !== null &&
+            (number < this.lastBlockNumber || (number === this.lastBlockNumber && blockHeader.hash === this.lastBlockHash))) {
+            return;
+        }
+
+        this.lastBlockNumber = number;
+        this.lastBlockHash = blockHeader.hash;
+        this.stats.headersDelivered++;
+
+        try {
+            await this.callback(blockHeader);
+        } catch (error) {
+            logger.error('Block callback failed', { blockNumber: number, error: error.message });
+        }
+    }
+
+    /**
+     * Run header processing strictly one task after another
+     * @param {Function} task - Async task
+     * @returns {Promise<void>}
+     */
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch(error => {
+            logger.error('Block processing failed', { error: error.message });
+        });
+        return this.queue;
+    }
+
+    /**
+     * Restart the stall watchdog (on subscribing and on every header)
+     */
+    resetStallTimer() {
+        clearTimeout(this.stallTimer);
+        if (!this.isActive) return;
+
+        this.stallTimer = setTimeout(() => {
+            this.stats.stalls++;
+            this.handleDisconnect('stall');
+        }, this.options.stallTimeout);
+        if (this.stallTimer.unref) this.stallTimer.unref();
+    }
+
+    /**
+     * Drop the live subscription, ignoring providers that already closed it
+     */
+    async unsubscribe() {
+        const subscription = this.subscription;
+        this.subscription = null;
+        if (!subscription || typeof subscription.unsubscribe !== 'function') return;
+
+        try {
+            await subscription.unsubscribe();
+        } catch (error) {
+            logger.debug('Unsubscribe failed', { error: error.message });
+        }
+    }
+
+    /**
+     * Get subscription status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            isActive: this.isActive,
+            provider: this.subscription ? this.web3Manager.providers[this.providerIndex].name : null,
+            lastBlockNumber: this.lastBlockNumber,
+            reconnecting: this.reconnecting !== null,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = BlockSubscription;
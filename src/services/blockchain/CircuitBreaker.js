@@ -0,0 +1,149 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Circuit Breaker
+ * Tracks one provider's failures and decides whether it may serve requests:
+ * - closed: requests flow; failureThreshold consecutive failures open the circuit
+ * - open: requests are refused until the cooldown has passed and a probe is due
+ * - half-open: a single probe is in flight; success closes the circuit, failure reopens it
+ *
+ * The breaker only keeps state: the owner runs the probes (Web3Manager uses healthCheck)
+ * and is told about every transition through onStateChange.
+ */
+class CircuitBreaker {
+    static CLOSED = 'closed';
+    static OPEN = 'open';
+    static HALF_OPEN = 'half-open';
+
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = {
+            failureThreshold: options.failureThreshold || 3, // Consecutive failures that open the circuit
+            cooldownPeriod: options.cooldownPeriod || 60000, // Time open before a probe is due
+            onStateChange: options.onStateChange || null, // (from, to, breaker) => void
+            ...options
+        };
+
+        this.state = CircuitBreaker.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = 0;
+        this.stats = {
+            opened: 0,
+            probes: 0,
+            lastTransitionAt: null
+        };
+    }
+
+    /**
+     * @returns {boolean} Whether regular requests may use the provider
+     */
+    allowsRequests() {
+        return this.state === CircuitBreaker.CLOSED;
+    }
+
+    /**
+     * @returns {boolean} Whether the circuit is open and its cooldown has passed
+     */
+    isProbeDue() {
+        return this.state === CircuitBreaker.OPEN &&
+               Date.now() - this.openedAt >= this.options.cooldownPeriod;
+    }
+
+    /**
+     * @returns {number} Milliseconds until a probe is due (0 when due or not open)
+     */
+    getTimeUntilProbe() {
+        if (this.state !== CircuitBreaker.OPEN) {
+            return 0;
+        }
+        return Math.max(0, this.openedAt + this.options.cooldownPeriod - Date.now());
+    }
+
+    /**
+     * Move an open circuit to half-open ahead of a probe
+     * @returns {boolean} Whether the probe may go ahead
+     */
+    startProbe() {
+        if (this.state !== CircuitBreaker.OPEN) {
+            return false;
+        }
+
+        this.stats.probes++;
+        this.transition(CircuitBreaker.HALF_OPEN, 'cooldown elapsed, probing');
+        return true;
+    }
+
+    /**
+     * Record a successful request or probe
+     */
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+
+        if (this.state !== CircuitBreaker.CLOSED) {
+            this.transition(CircuitBreaker.CLOSED, 'probe succeeded');
+        }
+    }
+
+    /**
+     * Record a failed request or probe
+     */
+    recordFailure() {
+        this.consecutiveFailures++;
+
+        if (this.state === CircuitBreaker.HALF_OPEN) {
+            this.open('probe failed');
+        } else if (this.state === CircuitBreaker.CLOSED && this.consecutiveFailures >= this.options.failureThreshold) {
+            this.open(`${this.consecutiveFailures} consecutive failures`);
+        }
+    }
+
+    /**
+     * Open the circuit and restart the cooldown
+     * @param {string} reason - Why the circuit opened
+     */
+    open(reason) {
+        this.openedAt = Date.now();
+        this.stats.opened++;
+        this.transition(CircuitBreaker.OPEN, reason);
+    }
+
+    /**
+     * Change state, log it and notify the owner
+     * @param {string} state - New state
+     * @param {string} reason - Why
+     */
+    transition(state, reason) {
+        const from = this.state;
+        this.state = state;
+        this.stats.lastTransitionAt = Date.now();
+
+        const log = state === CircuitBreaker.OPEN ? logger.warn : logger.info;
+        log.call(logger, 'Circuit breaker state changed', {
+            provider: this.name,
+            from,
+            to: state,
+            reason,
+            consecutiveFailures: this.consecutiveFailures
+        });
+
+        if (this.options.onStateChange) {
+            this.options.onStateChange(from, state, this);
+        }
+    }
+
+    /**
+     * Get breaker status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.state === CircuitBreaker.CLOSED ? null : this.openedAt,
+            timeUntilProbe: this.getTimeUntilProbe(),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,194 @@
+const logger = require('../../utils/logger');
+const { EIP1559_CONSTANTS } = require('../../utils/constants');
+
+/**
+ * EIP-1559 Fee Oracle
+ * Reads eth_feeHistory over the last blockCount blocks and reports:
+ * - baseFee: the newest block's base fee
+ * - nextBaseFee: the next block's base fee, as returned by the node (the extra entry of
+ *   baseFeePerGas) or projected from the newest block's gas used ratio when it is missing
+ * - rewards: per reward percentile, the median priority fee paid across the history
+ *
+ * From these it builds transaction fee fields (getFeeParams) and the gas price a transaction
+ * can expect to pay in the next block (getGasPrice), so cost estimates and the fees actually
+ * sent come from the same numbers. Fee history is read through the request cache, bound to
+ * the chain head like any 'latest' read. All amounts are wei as decimal strings.
+ */
+class FeeOracle {
+    constructor(web3Manager, options = {}) {
+        this.web3Manager = web3Manager;
+        this.options = {
+            blockCount: options.blockCount || 20, // Blocks of history to sample
+            rewardPercentiles: options.rewardPercentiles || [10, 50, 90], // Priority fee percentiles to report
+            defaultPercentile: options.defaultPercentile || 50, // Percentile used when the caller names none
+            minPriorityFee: options.minPriorityFee || '10000000', // 0.01 gwei floor for the priority fee
+            baseFeeHeadroomBlocks: options.baseFeeHeadroomBlocks || 2, // Full base fee increases maxFeePerGas absorbs
+            ...options
+        };
+
+        this.stats = {
+            reads: 0,
+            failures: 0
+        };
+    }
+
+    /**
+     * Read and summarize the fee history
+     * @param {Object} options - { priority? }
+     * @returns {Promise<Object>} {blockNumber, baseFee, nextBaseFee, gasUsedRatio, rewards: {percentile: fee}}
+     */
+    async getFees(options = {}) {
+        const { blockCount, rewardPercentiles } = this.options;
+        this.stats.reads++;
+
+        try {
+            const history = await this.web3Manager.executeWithFailover(async (web3) => {
+                return await web3.eth.getFeeHistory(blockCount, 'latest', rewardPercentiles);
+            }, {
+                priority: options.priority,
+                cache: { method: 'eth_feeHistory', params: [blockCount, rewardPercentiles] }
+            });
+
+            return FeeOracle.summarize(history, rewardPercentiles);
+
+        } catch (error) {
+            this.stats.failures++;
+            logger.error('Error reading fee history', {
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * EIP-1559 fee fields for a transaction in the next block
+     * maxFeePerGas covers the projected base fee rising by the maximum for baseFeeHeadroomBlocks
+     * blocks, plus the priority fee, so the transaction stays valid a few blocks after pricing
+     * @param {Object} options - { percentile?, priority? }
+     * @returns {Promise<Object>} {maxPriorityFeePerGas, maxFeePerGas, baseFee, nextBaseFee}
+     */
+    async getFeeParams(options = {}) {
+        const fees = await this.getFees(options);
+        const priorityFee = this.getPriorityFee(fees, options.percentile);
+
+        let maxBaseFee = BigInt(fees.nextBaseFee);
+        const denominator = BigInt(EIP1559_CONSTANTS.BASE_FEE_MAX_CHANGE_DENOMINATOR);
+        for (let i = 0; i < this.options.baseFeeHeadroomBlocks; i++) {
+            maxBaseFee += maxBaseFee / denominator;
+        }
+
+        return {
+            maxPriorityFeePerGas: priorityFee.toString(),
+            maxFeePerGas: (maxBaseFee + priorityFee).toString(),
+            baseFee: fees.baseFee,
+            nextBaseFee: fees.nextBaseFee
+        };
+    }
+
+    /**
+     * Gas price a transaction is expected to pay in the next block: projected base fee plus
+     * the priority fee at the percentile (for cost estimates)
+     * @param {Object} options - { percentile?, priority? }
+     * @returns {Promise<string>} Gas price in wei
+     */
+    async getGasPrice(options = {}) {
+        const fees = await this.getFees(options);
+        return (BigInt(fees.nextBaseFee) + this.getPriorityFee(fees, options.percentile)).toString();
+    }
+
+    /**
+     * @param {Object} fees - getFees result
+     * @param {number} percentile - Reward percentile (one of rewardPercentiles)
+     * @returns {bigint} Priority fee, at least minPriorityFee
+     */
+    getPriorityFee(fees, percentile = this.options.defaultPercentile) {
+        const reward = fees.rewards[percentile];
+        if (reward === undefined) {
+            throw new Error(`Reward percentile ${percentile} is not sampled (${this.options.rewardPercentiles.join(', ')})`);
+        }
+
+        const minPriorityFee = BigInt(this.options.minPriorityFee);
+        const priorityFee = BigInt(reward);
+        return priorityFee > minPriorityFee ? priorityFee : minPriorityFee;
+    }
+
+    /**
+     * Summarize an eth_feeHistory response
+     * @param {Object} history - {oldestBlock, baseFeePerGas, gasUsedRatio, reward}
+     * @param {Array<number>} rewardPercentiles - Percentiles the rewards were sampled at
+     * @returns {Object} {blockNumber, baseFee, nextBaseFee, gasUsedRatio, rewards}
+     */
+    static summarize(history, rewardPercentiles) {
+        const blockCount = history.gasUsedRatio.length;
+        if (blockCount === 0) {
+            throw new Error('Empty fee history');
+        }
+
+        const baseFees = history.baseFeePerGas.map(fee => BigInt(fee));
+        const baseFee = baseFees[blockCount - 1];
+        const gasUsedRatio = Number(history.gasUsedRatio[blockCount - 1]);
+        const nextBaseFee = baseFees.length > blockCount
+            ? baseFees[blockCount]
+            : FeeOracle.projectBaseFee(baseFee, gasUsedRatio);
+
+        // Blocks without transactions report zero rewards and would drag the median down
+        const blockRewards = (history.reward || [])
+            .map(rewards => rewards.map(reward => BigInt(reward)))
+            .filter(rewards => rewards.some(reward => reward > 0n));
+
+        const rewards = {};
+        rewardPercentiles.forEach((percentile, index) => {
+            rewards[percentile] = FeeOracle.median(blockRewards.map(block => block[index])).toString();
+        });
+
+        return {
+            blockNumber: Number(BigInt(history.oldestBlock) + BigInt(blockCount - 1)),
+            baseFee: baseFee.toString(),
+            nextBaseFee: nextBaseFee.toString(),
+            gasUsedRatio,
+            rewards
+        };
+    }
+
+    /**
+     * Next block's base fee under EIP-1559: it moves towards the gas target by up to 1/8 of
+     * the parent's base fee, in proportion to how far the parent's gas used was from the target
+     * @param {bigint} baseFee - Parent block base fee
+     * @param {number} gasUsedRatio - Parent gas used / gas limit
+     * @returns {bigint} Next base fee
+     */
+    static projectBaseFee(baseFee, gasUsedRatio) {
+        const { BASE_FEE_MAX_CHANGE_DENOMINATOR, ELASTICITY_MULTIPLIER } = EIP1559_CONSTANTS;
+        // (gasUsed - gasTarget) / gasTarget in parts per million
+        const deviationPpm = BigInt(Math.round((gasUsedRatio * ELASTICITY_MULTIPLIER - 1) * 1e6));
+        const delta = baseFee * deviationPpm / 1000000n / BigInt(BASE_FEE_MAX_CHANGE_DENOMINATOR);
+
+        if (deviationPpm > 0n) {
+            return baseFee + (delta > 0n ? delta : 1n);
+        }
+        return baseFee + delta;
+    }
+
+    /**
+     * @param {Array<bigint>} values - Values
+     * @returns {bigint} Median (lower middle for even counts), 0 when empty
+     */
+    static median(values) {
+        if (values.length === 0) {
+            return 0n;
+        }
+
+        const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        return sorted[Math.floor((sorted.length - 1) / 2)];
+    }
+
+    /**
+     * Get oracle statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = FeeOracle;
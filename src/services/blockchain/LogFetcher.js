@@ -0,0 +1,227 @@
+const logger = require('../../utils/logger');
+
+// Ways providers say a getLogs range returned too much (Infura, Alchemy, QuickNode, geth, erigon, ...)
+const RANGE_TOO_LARGE_PATTERNS = [
+    /more than \d+ results/i,
+    /too many (results|logs)/i,
+    /response size (exceeded|is larger)/i,
+    /log response size exceeded/i,
+    /block range (is )?too (wide|large)/i,
+    /exceed(s|ed)? (the )?maximum block range/i,
+    /range (limit )?exceeded/i,
+    /query timeout exceeded/i
+];
+
+/**
+ * Historical Log Fetcher
+ * Reads eth_getLogs over block ranges of any size:
+ * - The range is walked in chunks of up to chunkSize blocks, in block order
+ * - A chunk the provider refuses as too large is halved until it fits (down to one block);
+ *   after each successful chunk the size doubles again, up to chunkSize
+ * - Logs are deduplicated by (block hash, transaction hash, log index)
+ * - After every chunk a checkpoint is stored per filter (address and topics); a fetch with
+ *   resume: true starts after it, re-reading overlapBlocks blocks to catch logs a lagging
+ *   provider missed, without returning the logs already delivered
+ *
+ * "Too many results" answers are not provider failures, so they do not count against a
+ * provider's health or circuit.
+ */
+class LogFetcher {
+    constructor(web3Manager, options = {}) {
+        this.web3Manager = web3Manager;
+        this.options = {
+            chunkSize: options.chunkSize || 2000, // Largest range requested at once
+            overlapBlocks: options.overlapBlocks || 0, // Blocks before a checkpoint re-read on resume
+            checkpointStore: options.checkpointStore || null, // {get(key), set(key, checkpoint)}, async; in memory by default
+            ...options
+        };
+
+        this.checkpoints = new Map();
+        this.stats = {
+            requests: 0,
+            splits: 0,
+            logs: 0,
+            duplicates: 0
+        };
+    }
+
+    /**
+     * Fetch logs over a block range
+     * @param {Object} filter - {address?, topics?, fromBlock, toBlock = 'latest'}
+     * @param {Object} options - { resume?, onChunk?(logs, {fromBlock, toBlock}), priority? }
+     * @returns {Promise<Object>} {logs, fromBlock, toBlock}; logs is empty when onChunk consumes them
+     */
+    async fetch(filter, options = {}) {
+        const key = LogFetcher.getFilterKey(filter);
+        const toBlock = filter.toBlock === undefined || filter.toBlock === 'latest'
+            ? Number(await this.web3Manager.getBlockNumber())
+            : Number(filter.toBlock);
+        let fromBlock = Number(filter.fromBlock || 0);
+
+        const seen = new Set();
+        let recent = [];
+        if (options.resume) {
+            const checkpoint = await this.getCheckpoint(key);
+            if (checkpoint) {
+                fromBlock = Math.max(fromBlock, checkpoint.blockNumber + 1 - this.options.overlapBlocks);
+                recent = checkpoint.recentLogs || [];
+                recent.forEach(({ key: logKey }) => seen.add(logKey));
+            }
+        }
+
+        const logs = [];
+        let start = fromBlock;
+        let size = this.options.chunkSize;
+
+        while (start <= toBlock) {
+            const end = Math.min(start + size - 1, toBlock);
+            const result = await this.fetchRange(filter, start, end, options.priority);
+
+            if (result.tooLarge) {
+                if (end === start) {
+                    throw new Error(`Too many logs in block ${start}: ${result.message}`);
+                }
+                size = Math.ceil((end - start + 1) / 2);
+                this.stats.splits++;
+                logger.debug('Log range too large, splitting', {
+                    fromBlock: start,
+                    toBlock: end,
+                    nextChunkSize: size
+                });
+                continue;
+            }
+
+            const fresh = [];
+            for (const log of result.logs) {
+                const logKey = LogFetcher.getLogKey(log);
+                if (seen.has(logKey)) {
+                    this.stats.duplicates++;
+                    continue;
+                }
+                seen.add(logKey);
+                fresh.push(log);
+            }
+            this.stats.logs += fresh.length;
+
+            if (options.onChunk) {
+                await options.onChunk(fresh, { fromBlock: start, toBlock: end });
+            } else {
+                logs.push(...fresh);
+            }
+
+            // Keys of logs within the overlap window, so a resumed fetch does not return them again
+            const windowStart = end + 1 - this.options.overlapBlocks;
+            recent = [
+                ...recent,
+                ...fresh.map(log => ({ key: LogFetcher.getLogKey(log), blockNumber: Number(log.blockNumber) }))
+            ].filter(entry => entry.blockNumber >= windowStart);
+            await this.setCheckpoint(key, { blockNumber: end, recentLogs: recent });
+
+            start = end + 1;
+            size = Math.min(this.options.chunkSize, size * 2);
+        }
+
+        return { logs, fromBlock, toBlock };
+    }
+
+    /**
+     * One eth_getLogs call; a "too many results" answer is returned rather than thrown so it
+     * is not retried on other providers or counted as a provider failure
+     * @param {Object} filter - Log filter
+     * @param {number} fromBlock - First block
+     * @param {number} toBlock - Last block
+     * @param {string} priority - Request priority
+     * @returns {Promise<Object>} {logs} or {tooLarge: true, message}
+     */
+    async fetchRange(filter, fromBlock, toBlock, priority) {
+        this.stats.requests++;
+
+        return this.web3Manager.executeWithFailover(async (web3) => {
+            try {
+                const logs = await web3.eth.getPastLogs({
+                    address: filter.address,
+                    topics: filter.topics,
+                    fromBlock,
+                    toBlock
+                });
+                return { logs };
+            } catch (error) {
+                if (LogFetcher.isRangeTooLarge(error)) {
+                    return { tooLarge: true, message: error.message };
+                }
+                throw error;
+            }
+        }, {
+            priority,
+            method: 'eth_getLogs'
+        });
+    }
+
+    /**
+     * @param {string} key - Filter key
+     * @returns {Promise<Object|null>} {blockNumber, recentLogs}
+     */
+    async getCheckpoint(key) {
+        if (this.options.checkpointStore) {
+            return (await this.options.checkpointStore.get(key)) || null;
+        }
+        return this.checkpoints.get(key) || null;
+    }
+
+    /**
+     * @param {string} key - Filter key
+     * @param {Object} checkpoint - {blockNumber, recentLogs}
+     */
+    async setCheckpoint(key, checkpoint) {
+        if (this.options.checkpointStore) {
+            await this.options.checkpointStore.set(key, checkpoint);
+            return;
+        }
+        this.checkpoints.set(key, checkpoint);
+    }
+
+    /**
+     * @param {Error} error - getLogs error
+     * @returns {boolean} Whether the provider refused the range as too large
+     */
+    static isRangeTooLarge(error) {
+        const message = [error.message, error.cause && error.cause.message, error.data && error.data.message]
+            .filter(Boolean)
+            .join(' ');
+        return RANGE_TOO_LARGE_PATTERNS.some(pattern => pattern.test(message));
+    }
+
+    /**
+     * Checkpoint key of a filter: its address and topics, not its block range
+     * @param {Object} filter - Log filter
+     * @returns {string} Key
+     */
+    static getFilterKey(filter) {
+        const address = [].concat(filter.address || []).map(item => item.toLowerCase()).sort();
+        const topics = (filter.topics || []).map(topic => Array.isArray(topic)
+            ? topic.map(item => item.toLowerCase()).sort()
+            : topic && topic.toLowerCase());
+        return JSON.stringify([address, topics]);
+    }
+
+    /**
+     * @param {Object} log - Log
+     * @returns {string} Identity of the log
+     */
+    static getLogKey(log) {
+        return `${log.blockHash || Number(log.blockNumber)}:${log.transactionHash}:${Number(log.logIndex)}`;
+    }
+
+    /**
+     * Get fetcher statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            checkpoints: this.checkpoints.size
+        };
+    }
+}
+
+module.exports = LogFetcher;
@@ -0,0 +1,292 @@
+const logger = require('../../utils/logger');
+const { MULTICALL3_CONSTANTS } = require('../../utils/constants');
+
+const AGGREGATE3_ABI = {
+    name: 'aggregate3',
+    type: 'function',
+    inputs: [{
+        name: 'calls',
+        type: 'tuple[]',
+        components: [
+            { name: 'target', type: 'address' },
+            { name: 'allowFailure', type: 'bool' },
+            { name: 'callData', type: 'bytes' }
+        ]
+    }]
+};
+
+const AGGREGATE3_RESULT = [{
+    name: 'returnData',
+    type: 'tuple[]',
+    components: [
+        { name: 'success', type: 'bool' },
+        { name: 'returnData', type: 'bytes' }
+    ]
+}];
+
+const GET_RESERVES_ABI = { name: 'getReserves', type: 'function', inputs: [] };
+const GET_PAIR_ABI = {
+    name: 'getPair',
+    type: 'function',
+    inputs: [
+        { name: 'tokenA', type: 'address' },
+        { name: 'tokenB', type: 'address' }
+    ]
+};
+
+// ABI-encoded aggregate3 calldata: selector, array offset and length, then per call a head
+// offset plus (target, allowFailure, bytes offset, bytes length) and the padded bytes
+const AGGREGATE3_BASE_BYTES = 4 + 32 + 32;
+const CALL_BASE_BYTES = 32 * 5;
+
+// getReserves and getPair read a single storage slot; this covers the cold account and slot access
+const V2_READ_GAS = 10000;
+
+/**
+ * Multicall3 Aggregator
+ * Reads many contract calls through a single eth_call to Multicall3.aggregate3:
+ * - Every call may fail on its own (allowFailure) without reverting the others
+ * - Calls are chunked so no eth_call exceeds the calldata or gas budget providers accept
+ * - Results come back in call order, decoded when the call lists its output types
+ *
+ * Unlike JSON-RPC batches this is one request per chunk, so it works on providers
+ * that cap or reject batches.
+ */
+class Multicall {
+    constructor(web3Manager, options = {}) {
+        this.web3Manager = web3Manager;
+        this.options = {
+            address: options.address || MULTICALL3_CONSTANTS.ADDRESS,
+            maxCalldataBytes: options.maxCalldataBytes || 100000, // Request bodies above ~128KB are often refused
+            maxChunkGas: options.maxChunkGas || 25000000, // Well inside the usual 50M eth_call gas cap
+            defaultCallGas: options.defaultCallGas || 50000, // Budget for a call that does not state its gas
+            ...options
+        };
+
+        this.stats = {
+            calls: 0,
+            chunks: 0,
+            failedCalls: 0,
+            failedChunks: 0
+        };
+    }
+
+    /**
+     * Execute calls through aggregate3
+     * @param {Array} calls - Array of {target, callData, allowFailure = true, gas, outputs}
+     * @param {string|number} blockNumber - Block to read at
+     * @param {Object} options - { priority?, quorum? } priority is passed to Web3Manager's rate limiting, quorum reads each chunk from that many providers
+     * @returns {Promise<Array>} Array of {success, returnData, decoded} in call order
+     */
+    async aggregate(calls, blockNumber = 'latest', options = {}) {
+        if (calls.length === 0) {
+            return [];
+        }
+
+        const chunks = this.chunk(calls);
+        const chunkResults = await Promise.all(
+            chunks.map(chunk => this.executeChunk(chunk, blockNumber, options))
+        );
+
+        const results = chunkResults.flat();
+        this.stats.calls += calls.length;
+        this.stats.failedCalls += results.filter(result => !result.success).length;
+
+        logger.debug('Multicall aggregated', {
+            calls: calls.length,
+            chunks: chunks.length,
+            failed: results.filter(result => !result.success).length,
+            blockNumber
+        });
+
+        return results;
+    }
+
+    /**
+     * Split calls into chunks that respect the calldata and gas budgets
+     * A call too large for any chunk still gets a chunk of its own
+     * @param {Array} calls - Calls to split
+     * @returns {Array<Array>} Chunks in call order
+     */
+    chunk(calls) {
+        const chunks = [];
+        let current = [];
+        let bytes = AGGREGATE3_BASE_BYTES;
+        let gas = 0;
+
+        for (const call of calls) {
+            const callBytes = Multicall.getEncodedCallSize(call.callData);
+            const callGas = call.gas || this.options.defaultCallGas;
+
+            if (current.length > 0 &&
+                (bytes + callBytes > this.options.maxCalldataBytes || gas + callGas > this.options.maxChunkGas)) {
+                chunks.push(current);
+                current = [];
+                bytes = AGGREGATE3_BASE_BYTES;
+                gas = 0;
+            }
+
+            current.push(call);
+            bytes += callBytes;
+            gas += callGas;
+        }
+
+        chunks.push(current);
+        return chunks;
+    }
+
+    /**
+     * Run one chunk as a single aggregate3 eth_call
+     * With options.quorum the chunk is read from that many providers through
+     * Web3Manager.executeWithQuorum (bypassing the request cache) and fails unless they agree
+     * @param {Array} calls - Calls in the chunk
+     * @param {string|number} blockNumber - Block to read at
+     * @param {Object} options - { priority?, quorum? }
+     * @returns {Promise<Array>} Results in call order
+     */
+    async executeChunk(calls, blockNumber, options = {}) {
+        this.stats.chunks++;
+        const call3s = calls.map(call => [call.target, call.allowFailure !== false, call.callData]);
+        const operation = async (web3) => {
+            const data = web3.eth.abi.encodeFunctionCall(AGGREGATE3_ABI, [call3s]);
+
+            const raw = await web3.eth.call({ to: this.options.address, data }, blockNumber);
+            const returned = web3.eth.abi.decodeParameters(AGGREGATE3_RESULT, raw)[0];
+
+            return calls.map((call, index) => this.decodeResult(web3, call, returned[index]));
+        };
+
+        try {
+            if (options.quorum) {
+                const { value } = await this.web3Manager.executeWithQuorum(operation, {
+                    quorum: options.quorum,
+                    priority: options.priority,
+                    method: 'eth_call',
+                    normalize: results => results.map(result => [result.success, result.returnData])
+                });
+                return value;
+            }
+
+            return await this.web3Manager.executeWithFailover(operation, {
+                priority: options.priority,
+                method: 'eth_call',
+                // Outputs are part of the key because the cached results are decoded
+                cache: {
+                    method: 'aggregate3',
+                    params: [this.options.address, call3s, calls.map(call => call.outputs || null)],
+                    blockNumber
+                }
+            });
+        } catch (error) {
+            this.stats.failedChunks++;
+            logger.error('Multicall chunk failed', {
+                calls: calls.length,
+                blockNumber,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Decode one call's result against its output types
+     * A successful call that returned nothing (e.g. to an address without code) counts as failed
+     * @param {Object} web3 - Web3 instance
+     * @param {Object} call - Call definition
+     * @param {Object} result - aggregate3 result {success, returnData}
+     * @returns {Object} {success, returnData, decoded}
+     */
+    decodeResult(web3, call, result) {
+        const returnData = result.returnData;
+        let success = Boolean(result.success);
+        let decoded = null;
+
+        if (success && call.outputs) {
+            try {
+                if (!returnData || returnData === '0x') {
+                    throw new Error('Empty return data');
+                }
+                const values = web3.eth.abi.decodeParameters(call.outputs, returnData);
+                decoded = call.outputs.map((_, index) => Multicall.normalizeValue(values[index]));
+            } catch (error) {
+                success = false;
+            }
+        }
+
+        return { success, returnData, decoded };
+    }
+
+    /**
+     * Read getReserves from V2 pairs
+     * @param {Array<string>} pairAddresses - Pair addresses
+     * @param {string|number} blockNumber - Block to read at
+     * @param {Object} options - { priority?, quorum? }
+     * @returns {Promise<Array>} {reserve0, reserve1, blockTimestampLast} per pair, or null when the read failed
+     */
+    async getReserves(pairAddresses, blockNumber = 'latest', options = {}) {
+        const callData = this.web3Manager.getCurrentWeb3().eth.abi.encodeFunctionCall(GET_RESERVES_ABI, []);
+        const results = await this.aggregate(pairAddresses.map(target => ({
+            target,
+            callData,
+            outputs: ['uint112', 'uint112', 'uint32'],
+            gas: V2_READ_GAS
+        })), blockNumber, options);
+
+        return results.map(result => result.success ? {
+            reserve0: result.decoded[0],
+            reserve1: result.decoded[1],
+            blockTimestampLast: result.decoded[2]
+        } : null);
+    }
+
+    /**
+     * Look up V2 pair addresses on their factories
+     * @param {Array} lookups - Array of {factory, tokenA, tokenB}
+     * @param {string|number} blockNumber - Block to read at
+     * @param {Object} options - { priority? }
+     * @returns {Promise<Array>} Pair address per lookup (zero address when none), or null when the read failed
+     */
+    async getPairs(lookups, blockNumber = 'latest', options = {}) {
+        const abi = this.web3Manager.getCurrentWeb3().eth.abi;
+        const results = await this.aggregate(lookups.map(({ factory, tokenA, tokenB }) => ({
+            target: factory,
+            callData: abi.encodeFunctionCall(GET_PAIR_ABI, [tokenA, tokenB]),
+            outputs: ['address'],
+            gas: V2_READ_GAS
+        })), blockNumber, options);
+
+        return results.map(result => result.success ? result.decoded[0] : null);
+    }
+
+    /**
+     * Size of one call inside ABI-encoded aggregate3 calldata
+     * @param {string} callData - Hex calldata
+     * @returns {number} Bytes
+     */
+    static getEncodedCallSize(callData) {
+        const length = callData && callData.length > 2 ? (callData.length - 2) / 2 : 0;
+        return CALL_BASE_BYTES + Math.ceil(length / 32) * 32;
+    }
+
+    /**
+     * Decoded uints come back as BigInt; hand them out as strings like the rest of the codebase
+     * @param {*} value - Decoded value
+     * @returns {*} Normalized value
+     */
+    static normalizeValue(value) {
+        return typeof value === 'bigint' ? value.toString() : value;
+    }
+
+    /**
+     * Get aggregator statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return {
+            address: this.options.address,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = Multicall;
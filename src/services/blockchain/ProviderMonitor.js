@@ -0,0 +1,225 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Provider Monitor
+ * Checks every provider of a Web3Manager at startup and then every checkInterval:
+ * - eth_chainId must match the configured chain; a provider on another network is
+ *   quarantined until a later check finds it on the right one
+ * - eth_blockNumber is compared with the best head known (the highest any provider reported,
+ *   or one delivered by the block subscription); a provider more than maxLagBlocks behind is
+ *   quarantined until it catches up. When no provider comes within maxLagBlocks of that head,
+ *   lag is measured against the highest head reported in the check instead, so a bad
+ *   observation cannot quarantine every provider at once
+ *
+ * Quarantined providers get no regular traffic. Unlike an open circuit, quarantine is not
+ * lifted by a health probe: a lagging node answers probes fine, so only a check that finds
+ * it back on the right chain and near the head releases it. A provider whose check fails
+ * keeps its previous state; failures are the circuit breaker's business.
+ */
+class ProviderMonitor {
+    constructor(web3Manager, options = {}) {
+        this.web3Manager = web3Manager;
+        this.options = {
+            chainId: options.chainId || null, // Expected chain ID (null: not verified)
+            checkInterval: options.checkInterval || 30000, // Time between checks
+            maxLagBlocks: options.maxLagBlocks || 5, // Blocks behind the best head before quarantine
+            timeout: options.timeout || 5000, // Per-provider check timeout
+            onQuarantineChange: options.onQuarantineChange || null, // (index, reason|null) => void
+            ...options
+        };
+
+        this.providerStates = web3Manager.providers.map(() => ({
+            chainId: null,
+            headBlockNumber: null,
+            lag: null,
+            checkedAt: null,
+            lastError: null,
+            quarantine: null // {reason, since}
+        }));
+        this.bestHeadBlockNumber = null;
+        this.timer = null;
+        this.stats = {
+            checks: 0,
+            quarantines: 0,
+            releases: 0
+        };
+    }
+
+    /**
+     * Run the first check and keep checking every checkInterval
+     * @returns {Promise<Array>} First check's provider states
+     */
+    async start() {
+        if (!this.options.chainId) {
+            logger.warn('No chain ID configured, providers will not be checked for the network they are on');
+        }
+
+        const states = await this.check();
+        this.schedule();
+        return states;
+    }
+
+    /**
+     * Stop periodic checks
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Arm the timer for the next check
+     */
+    schedule() {
+        this.timer = setTimeout(() => {
+            this.check()
+                .catch(error => logger.error('Provider check failed', { error: error.message }))
+                .finally(() => {
+                    if (this.timer) this.schedule();
+                });
+        }, this.options.checkInterval);
+
+        // Checks must not keep the process alive
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    /**
+     * Read every provider's chain ID and head, then quarantine or release each of them
+     * @returns {Promise<Array>} Provider states
+     */
+    async check() {
+        this.stats.checks++;
+
+        const results = await Promise.all(this.web3Manager.providers.map(async (_, index) => {
+            try {
+                return await this.web3Manager.executeWithFailover(async (web3) => ({
+                    chainId: Number(await web3.eth.getChainId()),
+                    headBlockNumber: Number(await web3.eth.getBlockNumber())
+                }), {
+                    providerIndex: index,
+                    maxAttempts: 1,
+                    timeout: this.options.timeout,
+                    method: 'eth_blockNumber'
+                });
+            } catch (error) {
+                this.providerStates[index].lastError = error.message;
+                return null;
+            }
+        }));
+
+        const heads = results
+            .filter(result => result && (!this.options.chainId || result.chainId === this.options.chainId))
+            .map(result => result.headBlockNumber);
+        heads.forEach(head => this.observeHead(head));
+
+        const highestReported = Math.max(...heads);
+        if (heads.length > 0 && this.bestHeadBlockNumber - highestReported > this.options.maxLagBlocks) {
+            logger.warn('No provider near the best known head, measuring lag against the highest reported one', {
+                bestHeadBlockNumber: this.bestHeadBlockNumber,
+                highestReported
+            });
+            this.bestHeadBlockNumber = highestReported;
+        }
+
+        results.forEach((result, index) => {
+            if (!result) {
+                return;
+            }
+
+            const state = this.providerStates[index];
+            state.chainId = result.chainId;
+            state.headBlockNumber = result.headBlockNumber;
+            state.lag = this.bestHeadBlockNumber - result.headBlockNumber;
+            state.checkedAt = Date.now();
+            state.lastError = null;
+
+            if (this.options.chainId && result.chainId !== this.options.chainId) {
+                this.quarantine(index, `chain ID ${result.chainId}, expected ${this.options.chainId}`);
+            } else if (state.lag > this.options.maxLagBlocks) {
+                this.quarantine(index, `${state.lag} blocks behind the best head`);
+            } else {
+                this.release(index);
+            }
+        });
+
+        return this.providerStates;
+    }
+
+    /**
+     * Record a head seen elsewhere (e.g. delivered by the block subscription)
+     * @param {number|string|bigint} blockNumber - Block number
+     */
+    observeHead(blockNumber) {
+        const number = Number(blockNumber);
+        if (Number.isFinite(number) && (this.bestHeadBlockNumber === null || number > this.bestHeadBlockNumber)) {
+            this.bestHeadBlockNumber = number;
+        }
+    }
+
+    /**
+     * @param {number} index - Provider index
+     * @param {string} reason - Why the provider is quarantined
+     */
+    quarantine(index, reason) {
+        const state = this.providerStates[index];
+        const isNew = state.quarantine === null;
+        state.quarantine = { reason, since: isNew ? Date.now() : state.quarantine.since };
+
+        if (isNew) {
+            this.stats.quarantines++;
+            logger.warn('Provider quarantined', {
+                provider: this.web3Manager.providers[index].name,
+                reason,
+                headBlockNumber: state.headBlockNumber,
+                bestHeadBlockNumber: this.bestHeadBlockNumber
+            });
+            if (this.options.onQuarantineChange) {
+                this.options.onQuarantineChange(index, reason);
+            }
+        }
+    }
+
+    /**
+     * @param {number} index - Provider index
+     */
+    release(index) {
+        const state = this.providerStates[index];
+        if (state.quarantine === null) {
+            return;
+        }
+
+        logger.info('Provider released from quarantine', {
+            provider: this.web3Manager.providers[index].name,
+            reason: state.quarantine.reason,
+            quarantinedMs: Date.now() - state.quarantine.since
+        });
+        state.quarantine = null;
+        this.stats.releases++;
+        if (this.options.onQuarantineChange) {
+            this.options.onQuarantineChange(index, null);
+        }
+    }
+
+    /**
+     * @param {number} index - Provider index
+     * @returns {boolean} Whether the provider is quarantined
+     */
+    isQuarantined(index) {
+        return this.providerStates[index].quarantine !== null;
+    }
+
+    /**
+     * Get monitor status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            chainId: this.options.chainId,
+            bestHeadBlockNumber: this.bestHeadBlockNumber,
+            running: this.timer !== null,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = ProviderMonitor;
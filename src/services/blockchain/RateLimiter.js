@@ -0,0 +1,236 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Provider Rate Limiter
+ * Token buckets for one RPC provider's budgets, requests per second and compute units per
+ * second, refilled continuously and allowed to burst up to burstSeconds of budget.
+ *
+ * Requests that cannot run yet wait in a queue ordered by priority class, first come first
+ * served within a class:
+ * - execution: trade execution path, always served before anything else
+ * - normal: opportunity detection and everyday reads
+ * - bulk: price refreshes; may not spend the last bulkReserve share of a bucket, so an
+ *   execution call arriving during a refresh finds budget left
+ *
+ * A provider without configured budgets is unlimited and never queues.
+ */
+class RateLimiter {
+    static PRIORITIES = {
+        execution: 0,
+        normal: 1,
+        bulk: 2
+    };
+
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = {
+            requestsPerSecond: options.requestsPerSecond || null, // null: no request budget
+            computeUnitsPerSecond: options.computeUnitsPerSecond || null, // null: no compute unit budget
+            burstSeconds: options.burstSeconds || 1, // Bucket capacity in seconds of budget
+            bulkReserve: options.bulkReserve !== undefined ? options.bulkReserve : 0.2, // Share of each bucket bulk calls leave untouched
+            ...options
+        };
+
+        this.buckets = [
+            this.createBucket('requests', this.options.requestsPerSecond),
+            this.createBucket('computeUnits', this.options.computeUnitsPerSecond)
+        ].filter(Boolean);
+
+        this.queue = [];
+        this.timer = null;
+        this.stats = {
+            granted: 0,
+            queued: 0,
+            totalWaitMs: 0,
+            maxQueueLength: 0,
+            byPriority: { execution: 0, normal: 0, bulk: 0 }
+        };
+    }
+
+    /**
+     * @param {string} name - Bucket name
+     * @param {number|null} rate - Tokens per second
+     * @returns {Object|null} Bucket, or null when unlimited
+     */
+    createBucket(name, rate) {
+        if (!rate) {
+            return null;
+        }
+
+        const capacity = rate * this.options.burstSeconds;
+        return { name, rate, capacity, tokens: capacity, updatedAt: Date.now() };
+    }
+
+    /**
+     * Wait until the provider's budgets allow one more request
+     * @param {number} computeUnits - Compute units the request costs
+     * @param {string} priority - 'execution', 'normal' or 'bulk'
+     * @returns {Promise<void>} Resolves when the request may be sent
+     */
+    acquire(computeUnits = 1, priority = 'normal') {
+        const rank = RateLimiter.getRank(priority);
+        const entry = { computeUnits, priority, rank, enqueuedAt: Date.now() };
+
+        if (this.queue.length === 0 || rank < this.queue[0].rank) {
+            this.refill();
+            if (this.tryTake(entry)) {
+                this.grant(entry);
+                return Promise.resolve();
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+
+            // Behind everything of the same or a more urgent class, ahead of the rest
+            const position = this.queue.findIndex(queued => queued.rank > rank);
+            this.queue.splice(position === -1 ? this.queue.length : position, 0, entry);
+
+            this.stats.queued++;
+            this.stats.maxQueueLength = Math.max(this.stats.maxQueueLength, this.queue.length);
+            this.schedule();
+        });
+    }
+
+    /**
+     * Serve queued requests in order until the head of the queue has to wait
+     */
+    drain() {
+        this.timer = null;
+        this.refill();
+
+        while (this.queue.length > 0 && this.tryTake(this.queue[0])) {
+            const entry = this.queue.shift();
+            this.stats.totalWaitMs += Date.now() - entry.enqueuedAt;
+            this.grant(entry);
+            entry.resolve();
+        }
+
+        this.schedule();
+    }
+
+    /**
+     * Arm a timer for when the head of the queue can be served
+     */
+    schedule() {
+        if (this.timer || this.queue.length === 0) {
+            return;
+        }
+
+        this.timer = setTimeout(() => this.drain(), this.getWaitTime(this.queue[0]));
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    /**
+     * Take tokens for a request if every bucket can cover it
+     * A request costing more than a bucket holds goes through once the bucket is full
+     * @param {Object} entry - Queue entry
+     * @returns {boolean} Whether the tokens were taken
+     */
+    tryTake(entry) {
+        if (this.getWaitTime(entry) > 0) {
+            return false;
+        }
+
+        for (const bucket of this.buckets) {
+            bucket.tokens -= this.getCost(bucket, entry);
+        }
+        return true;
+    }
+
+    /**
+     * Time until every bucket can cover a request
+     * @param {Object} entry - Queue entry
+     * @returns {number} Milliseconds (0 when it can go now)
+     */
+    getWaitTime(entry) {
+        let wait = 0;
+
+        for (const bucket of this.buckets) {
+            const reserve = entry.rank === RateLimiter.PRIORITIES.bulk ? bucket.capacity * this.options.bulkReserve : 0;
+            const needed = Math.min(this.getCost(bucket, entry) + reserve, bucket.capacity);
+            if (bucket.tokens < needed) {
+                wait = Math.max(wait, Math.ceil((needed - bucket.tokens) / bucket.rate * 1000));
+            }
+        }
+
+        return wait;
+    }
+
+    /**
+     * @param {Object} bucket - Bucket
+     * @param {Object} entry - Queue entry
+     * @returns {number} Tokens the request takes from the bucket
+     */
+    getCost(bucket, entry) {
+        return bucket.name === 'requests' ? 1 : entry.computeUnits;
+    }
+
+    /**
+     * Add the tokens earned since the last refill
+     */
+    refill() {
+        const now = Date.now();
+        for (const bucket of this.buckets) {
+            bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.rate);
+            bucket.updatedAt = now;
+        }
+    }
+
+    /**
+     * @param {Object} entry - Queue entry
+     */
+    grant(entry) {
+        this.stats.granted++;
+        this.stats.byPriority[entry.priority]++;
+    }
+
+    /**
+     * Reject every queued request (used on shutdown)
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const queued = this.queue.splice(0);
+        queued.forEach(entry => entry.reject(new Error(`Rate limiter stopped for ${this.name}`)));
+
+        if (queued.length > 0) {
+            logger.warn('Rate limiter stopped with queued requests', {
+                provider: this.name,
+                rejected: queued.length
+            });
+        }
+    }
+
+    /**
+     * @param {string} priority - Priority class name
+     * @returns {number} Rank (lower is more urgent)
+     */
+    static getRank(priority) {
+        const rank = RateLimiter.PRIORITIES[priority];
+        if (rank === undefined) {
+            throw new Error(`Unknown request priority: ${priority}`);
+        }
+        return rank;
+    }
+
+    /**
+     * Get limiter status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        this.refill();
+        return {
+            requestsPerSecond: this.options.requestsPerSecond,
+            computeUnitsPerSecond: this.options.computeUnitsPerSecond,
+            tokens: Object.fromEntries(this.buckets.map(bucket => [bucket.name, Math.floor(bucket.tokens)])),
+            queueLength: this.queue.length,
+            averageWaitMs: this.stats.queued > 0 ? this.stats.totalWaitMs / this.stats.queued : 0,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = RateLimiter;
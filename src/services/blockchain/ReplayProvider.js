@@ -0,0 +1,151 @@
+const fs = require('fs');
+const logger = require('../../utils/logger');
+
+/**
+ * JSON-RPC Replay Provider
+ * Serves the responses of an RpcRecorder fixture instead of calling a node, so scans recorded
+ * against live RPCs can be rerun offline and deterministically.
+ *
+ * Requests are matched on (method, params), whichever provider recorded them. Identical
+ * requests that were recorded several times (eth_blockNumber as the chain moved) get their
+ * responses in recorded order, and the last one again once they run out. A request that was
+ * never recorded gets a JSON-RPC error, or throws in strict mode.
+ *
+ * Subscriptions are not supported: drive block-level code with recorded blocks instead.
+ */
+class ReplayProvider {
+    constructor(fixture, options = {}) {
+        this.options = {
+            strict: options.strict || false, // Throw on unrecorded requests instead of answering with an error
+            ...options
+        };
+
+        if (!fixture || !Array.isArray(fixture.entries)) {
+            throw new Error('Invalid RPC fixture: no entries');
+        }
+
+        this.responses = new Map();
+        for (const entry of fixture.entries) {
+            const key = ReplayProvider.getKey(entry.method, entry.params);
+            if (!this.responses.has(key)) {
+                this.responses.set(key, []);
+            }
+            this.responses.get(key).push(entry);
+        }
+
+        this.cursors = new Map();
+        this.stats = {
+            served: 0,
+            missing: 0
+        };
+    }
+
+    /**
+     * @param {string} filePath - Fixture written by RpcRecorder.save
+     * @param {Object} options - ReplayProvider options
+     * @returns {ReplayProvider} Provider serving the file
+     */
+    static fromFile(filePath, options = {}) {
+        return new ReplayProvider(JSON.parse(fs.readFileSync(filePath, 'utf8')), options);
+    }
+
+    /**
+     * Provider view for one of Web3Manager's provider slots
+     * All views share this provider's fixture and cursors
+     * @param {string} name - Provider name
+     * @returns {Object} EIP-1193 style provider for new Web3()
+     */
+    forProvider(name) {
+        return {
+            name,
+            request: async (payload) => this.request(payload),
+            supportsSubscriptions: () => false
+        };
+    }
+
+    /**
+     * Answer a JSON-RPC request or batch from the fixture
+     * @param {Object|Array} payload - JSON-RPC request or batch
+     * @returns {Promise<Object|Array>} JSON-RPC response or batch response
+     */
+    async request(payload) {
+        if (Array.isArray(payload)) {
+            return payload.map(request => this.respond(request));
+        }
+        return this.respond(payload);
+    }
+
+    /**
+     * @param {Object} request - JSON-RPC request
+     * @returns {Object} JSON-RPC response
+     */
+    respond(request) {
+        const entry = this.next(request.method, request.params || []);
+
+        if (!entry) {
+            this.stats.missing++;
+            const message = `No recorded response for ${request.method} ${JSON.stringify(request.params || [])}`;
+            logger.warn('RPC replay miss', { method: request.method });
+            if (this.options.strict) {
+                throw new Error(message);
+            }
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message } };
+        }
+
+        this.stats.served++;
+        if (entry.error && entry.error.thrown) {
+            throw new Error(entry.error.message);
+        }
+        if (entry.error) {
+            return { jsonrpc: '2.0', id: request.id, error: entry.error };
+        }
+        return { jsonrpc: '2.0', id: request.id, result: entry.result };
+    }
+
+    /**
+     * Next recorded response for a request, repeating the last one when exhausted
+     * @param {string} method - JSON-RPC method
+     * @param {Array} params - Parameters
+     * @returns {Object|null} Fixture entry
+     */
+    next(method, params) {
+        const key = ReplayProvider.getKey(method, params);
+        const entries = this.responses.get(key);
+        if (!entries) {
+            return null;
+        }
+
+        const cursor = this.cursors.get(key) || 0;
+        this.cursors.set(key, cursor + 1);
+        return entries[Math.min(cursor, entries.length - 1)];
+    }
+
+    /**
+     * Start serving every request's responses from the first one again
+     */
+    rewind() {
+        this.cursors.clear();
+    }
+
+    /**
+     * @param {string} method - JSON-RPC method
+     * @param {Array} params - Parameters
+     * @returns {string} Match key
+     */
+    static getKey(method, params = []) {
+        return JSON.stringify([method, params]);
+    }
+
+    /**
+     * Get replay statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            recordedRequests: this.responses.size
+        };
+    }
+}
+
+module.exports = ReplayProvider;
@@ -0,0 +1,198 @@
+const logger = require('../../utils/logger');
+
+/**
+ * RPC Request Cache
+ * Sits in front of Web3Manager.executeWithFailover for reads that name themselves with a
+ * (method, params, block number) key:
+ * - Concurrent identical requests share one in-flight call (coalescing)
+ * - Results are memoized per block: a numbered block never changes, so its entries live until
+ *   evicted; 'latest' (or any other tag) entries are bound to the chain head they were read at
+ *   and expire when a new block arrives or after latestTTL, whichever comes first
+ *
+ * Failed requests are never memoized. Entries are evicted least recently used first.
+ * A request only joins an in-flight one of the same or a more urgent priority (lower rank),
+ * so an urgent read never waits on a queued bulk read.
+ */
+class RequestCache {
+    constructor(options = {}) {
+        this.options = {
+            maxEntries: options.maxEntries || 10000, // Memoized results kept before evicting the oldest
+            latestTTL: options.latestTTL || 12000, // One mainnet block: 'latest' results go stale after this even without a head update
+            ...options
+        };
+
+        this.entries = new Map();
+        this.inflight = new Map();
+        this.headBlockNumber = null;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            coalesced: 0,
+            evictions: 0
+        };
+    }
+
+    /**
+     * Serve a request from the cache, join an identical in-flight one, or run it
+     * @param {Object} request - {method, params = [], blockNumber = 'latest', memoize = true, priority}
+     * @param {Function} fetch - Async function performing the request
+     * @returns {Promise<any>} Result
+     */
+    async execute(request, fetch) {
+        const key = RequestCache.getKey(request);
+        const memoize = request.memoize !== false;
+
+        if (memoize) {
+            const entry = this.entries.get(key);
+            if (entry && this.isFresh(entry)) {
+                this.stats.hits++;
+                // Refresh recency for LRU eviction
+                this.entries.delete(key);
+                this.entries.set(key, entry);
+                return entry.value;
+            }
+            if (entry) {
+                this.entries.delete(key);
+            }
+        }
+
+        const inflight = this.inflight.get(key);
+        if (inflight && !(request.priority < inflight.priority)) {
+            this.stats.coalesced++;
+            return inflight.promise;
+        }
+
+        this.stats.misses++;
+        const headBlockNumber = this.headBlockNumber;
+        const promise = fetch().then(value => {
+            if (memoize) {
+                this.store(key, {
+                    value,
+                    blockBound: RequestCache.isBlockTag(request.blockNumber),
+                    headBlockNumber,
+                    storedAt: Date.now()
+                });
+            }
+            return value;
+        }).finally(() => {
+            if (this.inflight.get(key) === current) {
+                this.inflight.delete(key);
+            }
+        });
+
+        const current = { promise, priority: request.priority };
+        this.inflight.set(key, current);
+        return promise;
+    }
+
+    /**
+     * Record the latest known block; 'latest' entries read at an older head become stale
+     * @param {number|string|bigint} blockNumber - Block number
+     */
+    setHead(blockNumber) {
+        const number = Number(blockNumber);
+        if (!Number.isFinite(number) || (this.headBlockNumber !== null && number <= this.headBlockNumber)) {
+            return;
+        }
+
+        this.headBlockNumber = number;
+        this.pruneStale();
+    }
+
+    /**
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} Whether the entry may still be served
+     */
+    isFresh(entry) {
+        if (!entry.blockBound) {
+            return true;
+        }
+        return entry.headBlockNumber === this.headBlockNumber &&
+               Date.now() - entry.storedAt < this.options.latestTTL;
+    }
+
+    /**
+     * Insert an entry, evicting the least recently used ones above maxEntries
+     * @param {string} key - Cache key
+     * @param {Object} entry - Cache entry
+     */
+    store(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.options.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Drop 'latest' entries that can no longer be served
+     */
+    pruneStale() {
+        let pruned = 0;
+        for (const [key, entry] of this.entries) {
+            if (!this.isFresh(entry)) {
+                this.entries.delete(key);
+                pruned++;
+            }
+        }
+
+        if (pruned > 0) {
+            logger.debug('Request cache pruned stale entries', {
+                headBlockNumber: this.headBlockNumber,
+                pruned
+            });
+        }
+    }
+
+    /**
+     * Empty the cache (in-flight requests still complete)
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Build the cache key for a request
+     * @param {Object} request - {method, params, blockNumber}
+     * @returns {string} Key
+     */
+    static getKey({ method, params = [], blockNumber = 'latest' }) {
+        const block = RequestCache.isBlockTag(blockNumber) ? String(blockNumber) : Number(blockNumber).toString();
+        return JSON.stringify([method, params, block], (_, value) => {
+            return typeof value === 'bigint' ? value.toString() : value;
+        });
+    }
+
+    /**
+     * @param {*} blockNumber - Block number or tag
+     * @returns {boolean} Whether this is a tag like 'latest' rather than a fixed block number
+     */
+    static isBlockTag(blockNumber) {
+        if (blockNumber === undefined || blockNumber === null) {
+            return true;
+        }
+        if (typeof blockNumber === 'number' || typeof blockNumber === 'bigint') {
+            return false;
+        }
+        return !/^(0x[0-9a-fA-F]+|\d+)$/.test(blockNumber);
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses + this.stats.coalesced;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? (this.stats.hits + this.stats.coalesced) / lookups : 0,
+            entries: this.entries.size,
+            inflight: this.inflight.size,
+            headBlockNumber: this.headBlockNumber
+        };
+    }
+}
+
+module.exports = RequestCache;
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { HttpProvider, WebSocketProvider } = require('web3');
+const logger = require('../../utils/logger');
+
+/**
+ * JSON-RPC Recorder
+ * Wraps Web3Manager's providers so every request and its response (or error) is captured,
+ * and writes them to a fixture file that ReplayProvider serves back offline.
+ *
+ * Fixture format: { version, recordedAt, entries: [{provider, method, params, result | error}] }
+ * with entries in the order responses arrived. Batches are recorded call by call.
+ * Subscriptions (eth_subscribe notifications) pass through to the wrapped provider
+ * but are not recorded.
+ */
+class RpcRecorder {
+    static FIXTURE_VERSION = 1;
+
+    constructor(options = {}) {
+        this.options = {
+            path: options.path || null, // Fixture file written by save()
+            ...options
+        };
+
+        this.entries = [];
+        this.startedAt = new Date().toISOString();
+    }
+
+    /**
+     * Wrap a provider so its traffic is recorded
+     * @param {string|Object} provider - Provider URL, or a provider object with request(payload)
+     * @param {string} name - Provider name recorded with each entry
+     * @returns {Object} EIP-1193 style provider for new Web3()
+     */
+    wrap(provider, name) {
+        const inner = typeof provider === 'string' ? RpcRecorder.createProvider(provider) : provider;
+        const wrapped = {
+            name,
+            request: async (payload) => {
+                try {
+                    const response = await inner.request(payload);
+                    this.recordResponse(name, payload, response);
+                    return response;
+                } catch (error) {
+                    this.recordError(name, payload, error);
+                    throw error;
+                }
+            },
+            supportsSubscriptions: () => Boolean(inner.supportsSubscriptions && inner.supportsSubscriptions())
+        };
+
+        // Subscription events come straight from the wrapped provider
+        for (const method of ['on', 'once', 'removeListener', 'removeAllListeners', 'disconnect']) {
+            if (typeof inner[method] === 'function') {
+                wrapped[method] = inner[method].bind(inner);
+            }
+        }
+
+        return wrapped;
+    }
+
+    /**
+     * @param {string} name - Provider name
+     * @param {Object|Array} payload - JSON-RPC request or batch
+     * @param {Object|Array} response - JSON-RPC response or batch response
+     */
+    recordResponse(name, payload, response) {
+        const requests = Array.isArray(payload) ? payload : [payload];
+        const responses = Array.isArray(response) ? response : [response];
+
+        for (const request of requests) {
+            const match = responses.find(item => item && item.id === request.id) ||
+                (requests.length === 1 ? responses[0] : undefined);
+            if (match === undefined) {
+                continue;
+            }
+
+            const entry = { provider: name, method: request.method, params: request.params || [] };
+            if (match && match.error) {
+                entry.error = match.error;
+            } else {
+                entry.result = match && match.jsonrpc ? match.result : match;
+            }
+            this.entries.push(entry);
+        }
+    }
+
+    /**
+     * Record a request that failed without a JSON-RPC response (network error, timeout)
+     * @param {string} name - Provider name
+     * @param {Object|Array} payload - JSON-RPC request or batch
+     * @param {Error} error - Thrown error
+     */
+    recordError(name, payload, error) {
+        const requests = Array.isArray(payload) ? payload : [payload];
+        for (const request of requests) {
+            this.entries.push({
+                provider: name,
+                method: request.method,
+                params: request.params || [],
+                error: { message: error.message, thrown: true }
+            });
+        }
+    }
+
+    /**
+     * @returns {Object} Fixture holding everything recorded so far
+     */
+    toFixture() {
+        return {
+            version: RpcRecorder.FIXTURE_VERSION,
+            recordedAt: this.startedAt,
+            entries: this.entries
+        };
+    }
+
+    /**
+     * Write the fixture file
+     * @param {string} filePath - Destination (defaults to options.path)
+     * @returns {Promise<string>} Path written
+     */
+    async save(filePath = this.options.path) {
+        if (!filePath) {
+            throw new Error('No fixture path to save the recording to');
+        }
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, JSON.stringify(this.toFixture(), null, 2));
+
+        logger.info('RPC recording saved', {
+            path: filePath,
+            entries: this.entries.length
+        });
+        return filePath;
+    }
+
+    /**
+     * @param {string} url - Provider URL
+     * @returns {Object} web3 HTTP or WebSocket provider
+     */
+    static createProvider(url) {
+        return /^wss?:\/\//i.test(url) ? new WebSocketProvider(url) : new HttpProvider(url);
+    }
+}
+
+module.exports = RpcRecorder;
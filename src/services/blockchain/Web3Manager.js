@@ -1,9 +1,50 @@
 const { Web3 } = require('web3');
+const CircuitBreaker = require('./CircuitBreaker');
+const BlockSubscription = require('./BlockSubscription');
+const Multicall = require('./Multicall');
+const RequestCache = require('./RequestCache');
+const RateLimiter = require('./RateLimiter');
+const ProviderMonitor = require('./ProviderMonitor');
+const FeeOracle = require('./FeeOracle');
+const LogFetcher = require('./LogFetcher');
+const RpcRecorder = require('./RpcRecorder');
+const ReplayProvider = require('./ReplayProvider');
 const logger = require('../../utils/logger');
+const { RPC_COMPUTE_UNITS } = require('../../utils/constants');
 
 /**
  * Web3 Manager with Multi-Provider Failover
  * Handles multiple RPC providers with automatic failover and load balancing
+ * 
+ * Calls are spread across providers by smooth weighted round-robin, each provider's share
+ * being its configured weight times a health score built from rolling (exponentially
+ * weighted) latency and error rates, so a slow or flaky RPC only gets a trickle of traffic.
+ * 
+ * Every provider has its own circuit breaker: failoverThreshold consecutive failures open it,
+ * an open provider gets no traffic, and once the cooldown period has passed a healthCheck
+ * probe (half-open) decides whether it closes again or stays open for another cooldown.
+ * 
+ * Reads that pass a cache key ({method, params, blockNumber}) go through a request cache that
+ * coalesces identical concurrent calls and memoizes results per block.
+ * 
+ * Providers may declare requestsPerSecond and computeUnitsPerSecond budgets. Every attempt
+ * waits for its provider's rate limiter, which serves 'execution' calls before 'normal'
+ * ones and those before 'bulk' price refreshes.
+ * 
+ * Critical reads (the last reserve check before a trade) can go through executeWithQuorum,
+ * which sends the same read to several providers and fails or flags the result when they
+ * disagree, so one stale or misbehaving node cannot decide a trade on its own.
+ * 
+ * Once startProviderMonitor has been called, every provider's chain ID is checked against
+ * options.chainId and its head against the best-known head; providers on the wrong network
+ * or more than maxLagBlocks behind are quarantined (no traffic) until they recover.
+ * 
+ * options.record ({path}) captures every JSON-RPC request and response to a fixture file
+ * (written by saveRecording); options.replay ({path} or {fixture}) serves such a fixture
+ * instead of calling the providers, for deterministic offline reruns.
+ * 
+ * getLogs reads event logs over ranges of any size, splitting chunks that a provider
+ * refuses as too large and checkpointing progress so backfills can resume.
  */
 class Web3Manager {
     constructor(providers, options = {}) {
@@ -12,7 +53,9 @@ class Web3Manager {
             name: provider.name || 'Unknown',
             weight: provider.weight || 1,
             maxRetries: provider.maxRetries || 3,
-            timeout: provider.timeout || 30000
+            timeout: provider.timeout || 30000,
+            requestsPerSecond: provider.requestsPerSecond || null, // null: unlimited
+            computeUnitsPerSecond: provider.computeUnitsPerSecond || null // null: unlimited
         }));
         
         this.currentProviderIndex = 0;
@@ -21,33 +64,148 @@ class Web3Manager {
         this.lastFailureTime = 0;
         this.cooldownPeriod = options.cooldownPeriod || 60000; // 1 minute
         
+        // Health scoring
+        this.healthSmoothing = options.healthSmoothing || 0.2; // EWMA factor for latency and error rate
+        this.baselineLatencyMs = options.baselineLatencyMs || 250; // Latency that halves a provider's score
+        this.minHealthScore = options.minHealthScore || 0.05; // Floor so degraded providers still get probes
+        this.providerHealth = this.providers.map(() => ({
+            latencyMs: null,
+            errorRate: 0,
+            requests: 0,
+            failures: 0,
+            currentWeight: 0 // Smooth weighted round-robin state
+        }));
+        
+        // Per-provider circuit breakers and their pending probes
+        this.circuitBreakers = this.providers.map((provider, index) => new CircuitBreaker(provider.name, {
+            failureThreshold: this.failoverThreshold,
+            cooldownPeriod: this.cooldownPeriod,
+            onStateChange: (from, to) => this.handleCircuitStateChange(index, from, to)
+        }));
+        this.probeTimers = new Map();
+        
+        // Per-provider request and compute unit budgets
+        this.rateLimiters = this.providers.map(provider => new RateLimiter(provider.name, {
+            ...options.rateLimit, // burstSeconds, bulkReserve
+            requestsPerSecond: provider.requestsPerSecond,
+            computeUnitsPerSecond: provider.computeUnitsPerSecond
+        }));
+        
+        // Record-and-replay of JSON-RPC traffic
+        if (options.record && options.replay) {
+            throw new Error('Cannot record and replay RPC traffic at the same time');
+        }
+        this.recorder = options.record ? new RpcRecorder(options.record) : null;
+        this.replayProvider = null;
+        if (options.replay) {
+            this.replayProvider = options.replay.fixture
+                ? new ReplayProvider(options.replay.fixture, options.replay)
+                : ReplayProvider.fromFile(options.replay.path, options.replay);
+        }
+        
         this.web3Instances = this.providers.map(provider => {
-            const web3 = new Web3(provider.url);
+            const web3 = new Web3(this.createTransport(provider));
             web3.provider.name = provider.name;
             return web3;
         });
         
         this.currentWeb3 = this.web3Instances[this.currentProviderIndex];
         
+        // Chain ID and head lag checks; providers failing them are quarantined
+        this.chainId = options.chainId || null;
+        this.providerMonitor = new ProviderMonitor(this, {
+            ...options.providerMonitor, // checkInterval, maxLagBlocks, timeout
+            chainId: this.chainId,
+            onQuarantineChange: (index, reason) => this.handleQuarantineChange(index, reason)
+        });
+        
+        // Multicall3 aggregation: one eth_call per chunk, for providers that cap JSON-RPC batches
+        this.multicall = new Multicall(this, options.multicall);
+        
+        // Request coalescing and per-block memoization, keyed by (method, params, block number)
+        this.requestCache = new RequestCache(options.requestCache);
+        
+        // EIP-1559 fees from eth_feeHistory, for cost estimates and transaction fee fields
+        this.feeOracle = new FeeOracle(this, options.feeOracle);
+        
+        // Historical eth_getLogs over large ranges, split adaptively and checkpointed per filter
+        this.logFetcher = new LogFetcher(this, options.logFetcher);
+        
+        // Quorum reads: critical state is read from several providers and compared
+        this.quorumSize = options.quorumSize || Math.min(2, this.providers.length);
+        this.quorumStats = {
+            reads: 0,
+            disagreements: 0,
+            failures: 0
+        };
+        
         logger.info('Web3Manager initialized', {
             providerCount: this.providers.length,
             currentProvider: this.providers[this.currentProviderIndex].name
         });
     }
     
+    /**
+     * What a provider's Web3 instance talks to: its URL, the URL behind a recorder, or the
+     * replay fixture
+     * @param {Object} provider - Provider config
+     * @returns {string|Object} URL or provider object for new Web3()
+     */
+    createTransport(provider) {
+        if (this.replayProvider) {
+            return this.replayProvider.forProvider(provider.name);
+        }
+        if (this.recorder) {
+            return this.recorder.wrap(provider.url, provider.name);
+        }
+        return provider.url;
+    }
+    
     /**
      * Execute operation with automatic failover
+     * With options.cache the operation is a read identified by {method, params, blockNumber, memoize?}
+     * and is served through the request cache
+     * Each attempt first waits for the provider's rate limiter: options.priority picks the class
+     * ('execution', 'normal' or 'bulk') and the cost is options.computeUnits, or looked up from
+     * options.method (or the cache key's method)
      * @param {Function} operation - Async function that takes web3 instance
-     * @param {Object} options - Execution options
+     * @param {Object} options - Execution options { maxAttempts?, timeout?, providerIndex?, cache?, priority?, method?, computeUnits? }
      * @returns {Promise<any>} Operation result
      */
     async executeWithFailover(operation, options = {}) {
+        const priority = options.priority || 'normal';
+        
+        if (options.cache) {
+            const { cache, ...rest } = options;
+            return this.requestCache.execute(
+                { ...cache, priority: RateLimiter.getRank(priority) },
+                () => this.executeWithFailover(operation, { ...rest, method: rest.method || cache.method })
+            );
+        }
+        
+        const computeUnits = options.computeUnits || RPC_COMPUTE_UNITS[options.method] || RPC_COMPUTE_UNITS.DEFAULT;
         const maxAttempts = options.maxAttempts || this.providers.length;
-        const timeout = options.timeout || 30000;
+        const tried = new Set();
         
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const provider = this.providers[this.currentProviderIndex];
-            const web3 = this.web3Instances[this.currentProviderIndex];
+            // A pinned provider (health probes) bypasses selection and its circuit
+            let index = options.providerIndex !== undefined ? options.providerIndex : this.selectProvider(tried);
+            if (index === null && tried.size > 0) {
+                // Every available provider has been tried for this call: go round again
+                tried.clear();
+                index = this.selectProvider(tried);
+            }
+            if (index === null) {
+                throw new Error('No provider available: all circuits are open or providers quarantined');
+            }
+            tried.add(index);
+            
+            const provider = this.providers[index];
+            const web3 = this.web3Instances[index];
+            const timeout = options.timeout || provider.timeout;
+            await this.rateLimiters[index].acquire(computeUnits, priority);
+            const startTime = Date.now();
+            let timer;
             
             try {
                 logger.debug('Executing operation with provider', {
@@ -58,11 +216,13 @@ class Web3Manager {
                 
                 const result = await Promise.race([
                     operation(web3),
-                    new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Timeout')), timeout)
-                    )
+                    new Promise((_, reject) => {
+                        timer = setTimeout(() => reject(new Error('Timeout')), timeout);
+                    })
                 ]);
                 
+                this.recordProviderResult(index, true, Date.now() - startTime);
+                
                 // Reset failure count on success
                 this.failureCount = 0;
                 this.lastFailureTime = 0;
@@ -81,19 +241,302 @@ class Web3Manager {
                     error: error.message
                 });
                 
+                // A timeout says the provider is slow as well as failing
+                this.recordProviderResult(index, false, error.message === 'Timeout' ? Date.now() - startTime : null);
+                
                 this.failureCount++;
                 this.lastFailureTime = Date.now();
-                
-                // Check if we should rotate provider
-                if (this.shouldRotateProvider()) {
-                    this.rotateProvider();
-                }
+            } finally {
+                clearTimeout(timer);
             }
         }
         
         throw new Error(`All providers failed after ${maxAttempts} attempts`);
     }
     
+    /**
+     * Execute a read on several providers and compare the results
+     * The operation runs once on each of `quorum` distinct providers with closed circuits;
+     * responses are grouped by their serialized value (after options.normalize) and the
+     * largest group must hold at least `threshold` of them. Pin the operation to a block
+     * number: providers at different heads can legitimately disagree on 'latest'.
+     * A provider that errors counts as disagreeing. When a strict majority agrees, the
+     * providers outside it are recorded as failed in their health scores.
+     * @param {Function} operation - Async function that takes web3 instance
+     * @param {Object} options - { quorum?, threshold? (default: all), normalize?, onDisagreement? ('throw' | 'flag'), timeout?, priority?, method?, computeUnits? }
+     * @returns {Promise<Object>} { value, agreed, agreeing, responses: [{provider, value?, error?}] }
+     */
+    async executeWithQuorum(operation, options = {}) {
+        const quorum = options.quorum || this.quorumSize;
+        const threshold = options.threshold || quorum;
+        const normalize = options.normalize || (value => value);
+        
+        const indexes = [];
+        while (indexes.length < quorum) {
+            const index = this.selectProvider(new Set(indexes));
+            if (index === null) {
+                break;
+            }
+            indexes.push(index);
+        }
+        
+        this.quorumStats.reads++;
+        if (indexes.length < threshold) {
+            this.quorumStats.failures++;
+            throw new Error(`Quorum unavailable: ${indexes.length} providers available, ${threshold} required`);
+        }
+        
+        const responses = await Promise.all(indexes.map(async (index) => {
+            const provider = this.providers[index].name;
+            try {
+                const value = await this.executeWithFailover(operation, {
+                    providerIndex: index,
+                    maxAttempts: 1,
+                    timeout: options.timeout,
+                    priority: options.priority,
+                    method: options.method,
+                    computeUnits: options.computeUnits
+                });
+                return { index, provider, value, key: serialize(normalize(value)) };
+            } catch (error) {
+                return { index, provider, error: error.message };
+            }
+        }));
+        
+        const groups = new Map();
+        for (const response of responses.filter(response => response.error === undefined)) {
+            groups.set(response.key, [...(groups.get(response.key) || []), response]);
+        }
+        const majority = [...groups.values()].reduce((largest, group) => group.length > largest.length ? group : largest, []);
+        const agreed = majority.length >= threshold;
+        const summary = responses.map(({ provider, key, error }) => ({ provider, result: error ? `error: ${error}` : key }));
+        
+        if (majority.length > responses.length / 2) {
+            responses
+                .filter(response => !majority.includes(response) && response.error === undefined)
+                .forEach(response => this.recordProviderResult(response.index, false));
+        }
+        
+        if (!agreed) {
+            this.quorumStats.disagreements++;
+            logger.warn('Quorum read disagreement', {
+                agreeing: majority.length,
+                threshold,
+                responses: summary
+            });
+            
+            if (majority.length === 0 || options.onDisagreement !== 'flag') {
+                this.quorumStats.failures++;
+                const error = new Error(`Quorum not reached: ${majority.length} of ${responses.length} providers agreed, ${threshold} required`);
+                error.responses = summary;
+                throw error;
+            }
+        }
+        
+        return {
+            value: majority[0].value,
+            agreed,
+            agreeing: majority.length,
+            responses: summary
+        };
+    }
+    
+    /**
+     * Pick the provider for the next call by smooth weighted round-robin
+     * Each candidate gains its effective weight, the largest total wins and pays back the sum,
+     * which interleaves providers in proportion to their weights. Providers whose circuit is
+     * not closed, or that are quarantined, are skipped.
+     * @param {Set<number>} exclude - Provider indices to avoid (already tried for this call)
+     * @returns {number|null} Provider index, or null when no provider is available
+     */
+    selectProvider(exclude = new Set()) {
+        const candidates = this.providers
+            .map((_, index) => index)
+            .filter(index => !exclude.has(index) && this.isProviderAvailable(index));
+        if (candidates.length === 0) {
+            return null;
+        }
+        
+        let selected = candidates[0];
+        let totalWeight = 0;
+        for (const index of candidates) {
+            const weight = this.getEffectiveWeight(index);
+            this.providerHealth[index].currentWeight += weight;
+            totalWeight += weight;
+            if (this.providerHealth[index].currentWeight > this.providerHealth[selected].currentWeight) {
+                selected = index;
+            }
+        }
+        this.providerHealth[selected].currentWeight -= totalWeight;
+        
+        return selected;
+    }
+    
+    /**
+     * @param {number} index - Provider index
+     * @returns {boolean} Whether regular traffic may use the provider (circuit closed, not quarantined)
+     */
+    isProviderAvailable(index) {
+        return this.circuitBreakers[index].allowsRequests() && !this.providerMonitor.isQuarantined(index);
+    }
+    
+    /**
+     * Health score of a provider in [minHealthScore, 1]
+     * Latency term: baseline / (baseline + rolling latency), 1 until the first measurement;
+     * error term: 1 - rolling error rate
+     * @param {number} index - Provider index
+     * @returns {number} Score
+     */
+    getHealthScore(index) {
+        const health = this.providerHealth[index];
+        const latencyScore = health.latencyMs === null
+            ? 1
+            : this.baselineLatencyMs / (this.baselineLatencyMs + health.latencyMs);
+        
+        return Math.max(this.minHealthScore, latencyScore * (1 - health.errorRate));
+    }
+    
+    /**
+     * Configured weight scaled by the health score
+     * @param {number} index - Provider index
+     * @returns {number} Effective weight
+     */
+    getEffectiveWeight(index) {
+        return this.providers[index].weight * this.getHealthScore(index);
+    }
+    
+    /**
+     * Fold a call outcome into a provider's rolling latency and error rate and its circuit breaker
+     * @param {number} index - Provider index
+     * @param {boolean} success - Whether the call succeeded
+     * @param {number|null} latencyMs - Observed latency, null when it says nothing about speed
+     */
+    recordProviderResult(index, success, latencyMs = null) {
+        const health = this.providerHealth[index];
+        const alpha = this.healthSmoothing;
+        
+        health.requests++;
+        health.errorRate = health.errorRate * (1 - alpha) + (success ? 0 : alpha);
+        
+        if (latencyMs !== null) {
+            health.latencyMs = health.latencyMs === null
+                ? latencyMs
+                : health.latencyMs * (1 - alpha) + latencyMs * alpha;
+        }
+        
+        if (success) {
+            this.circuitBreakers[index].recordSuccess();
+        } else {
+            health.failures++;
+            this.circuitBreakers[index].recordFailure();
+        }
+    }
+    
+    /**
+     * React to a circuit breaker transition: schedule a probe when a circuit opens and move
+     * the current provider off it
+     * @param {number} index - Provider index
+     * @param {string} from - Previous state
+     * @param {string} to - New state
+     */
+    handleCircuitStateChange(index, from, to) {
+        if (to !== CircuitBreaker.OPEN) {
+            return;
+        }
+        
+        this.scheduleProbe(index);
+        
+        if (index === this.currentProviderIndex) {
+            this.rotateProvider();
+        }
+    }
+    
+    /**
+     * Probe an open provider once its cooldown has passed
+     * @param {number} index - Provider index
+     */
+    scheduleProbe(index) {
+        clearTimeout(this.probeTimers.get(index));
+        
+        const timer = setTimeout(() => {
+            this.probeTimers.delete(index);
+            this.probeProvider(index).catch(error => {
+                logger.error('Provider probe failed', {
+                    provider: this.providers[index].name,
+                    error: error.message
+                });
+            });
+        }, this.circuitBreakers[index].getTimeUntilProbe());
+        
+        // Pending probes must not keep the process alive
+        if (timer.unref) {
+            timer.unref();
+        }
+        this.probeTimers.set(index, timer);
+    }
+    
+    /**
+     * Half-open a provider's circuit and probe it with healthCheck
+     * The probe's outcome closes the circuit or reopens it (which schedules the next probe)
+     * @param {number} index - Provider index
+     * @returns {Promise<boolean>} Whether the provider answered
+     */
+    async probeProvider(index) {
+        const breaker = this.circuitBreakers[index];
+        if (!breaker.startProbe()) {
+            return breaker.allowsRequests();
+        }
+        
+        const healthy = await this.healthCheck(index);
+        
+        // healthCheck normally records the outcome itself; settle the probe if it did not
+        if (breaker.state === CircuitBreaker.HALF_OPEN) {
+            if (healthy) {
+                breaker.recordSuccess();
+            } else {
+                breaker.recordFailure();
+            }
+        }
+        
+        return healthy;
+    }
+    
+    /**
+     * Move the current provider off a provider that was just quarantined
+     * @param {number} index - Provider index
+     * @param {string|null} reason - Quarantine reason, null on release
+     */
+    handleQuarantineChange(index, reason) {
+        if (reason !== null && index === this.currentProviderIndex) {
+            this.rotateProvider();
+        }
+    }
+    
+    /**
+     * Verify every provider's chain ID and head now, then keep checking periodically
+     * @returns {Promise<Array>} Provider states after the first check
+     */
+    async startProviderMonitor() {
+        return this.providerMonitor.start();
+    }
+    
+    /**
+     * Stop periodic provider checks (on shutdown)
+     */
+    stopProviderMonitor() {
+        this.providerMonitor.stop();
+    }
+    
+    /**
+     * Cancel pending provider probes (on shutdown)
+     */
+    stopHealthProbes() {
+        for (const timer of this.probeTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.probeTimers.clear();
+    }
+    
     /**
      * Check if provider should be rotated
      * @returns {boolean}
@@ -106,12 +549,28 @@ class Web3Manager {
     }
     
     /**
-     * Rotate to next provider
+     * Rotate to the next available provider (circuit closed, not quarantined)
+     * Stays put when no other provider is available
      */
     rotateProvider() {
         const previousProvider = this.providers[this.currentProviderIndex].name;
         
-        this.currentProviderIndex = (this.currentProviderIndex + 1) % this.providers.length;
+        let next = null;
+        for (let step = 1; step < this.providers.length && next === null; step++) {
+            const index = (this.currentProviderIndex + step) % this.providers.length;
+            if (this.isProviderAvailable(index)) {
+                next = index;
+            }
+        }
+        
+        if (next === null) {
+            logger.warn('No available provider to rotate to', {
+                current: previousProvider
+            });
+            return;
+        }
+        
+        this.currentProviderIndex = next;
         this.currentWeb3 = this.web3Instances[this.currentProviderIndex];
         this.failureCount = 0;
         
@@ -138,27 +597,43 @@ class Web3Manager {
     }
     
     /**
-     * Get all provider status
+     * Get all provider status, including health scores and the resulting traffic share
      * @returns {Array}
      */
     getProviderStatus() {
-        return this.providers.map((provider, index) => ({
-            name: provider.name,
-            url: provider.url,
-            isActive: index === this.currentProviderIndex,
-            weight: provider.weight
-        }));
+        const totalWeight = this.providers.reduce((sum, _, index) => sum + this.getEffectiveWeight(index), 0);
+        
+        return this.providers.map((provider, index) => {
+            const health = this.providerHealth[index];
+            
+            return {
+                name: provider.name,
+                url: provider.url,
+                isActive: index === this.currentProviderIndex,
+                weight: provider.weight,
+                score: this.getHealthScore(index),
+                trafficShare: this.getEffectiveWeight(index) / totalWeight,
+                latencyMs: health.latencyMs,
+                errorRate: health.errorRate,
+                requests: health.requests,
+                failures: health.failures,
+                circuit: this.circuitBreakers[index].getStatus(),
+                head: this.providerMonitor.providerStates[index],
+                rateLimit: this.rateLimiters[index].getStatus()
+            };
+        });
     }
     
     /**
-     * Health check for current provider
+     * Health check for a provider (the current one by default), bypassing its circuit
+     * @param {number} providerIndex - Provider to check
      * @returns {Promise<boolean>}
      */
-    async healthCheck() {
+    async healthCheck(providerIndex = this.currentProviderIndex) {
         try {
             await this.executeWithFailover(async (web3) => {
                 await web3.eth.getBlockNumber();
-            }, { maxAttempts: 1, timeout: 5000 });
+            }, { maxAttempts: 1, timeout: 5000, providerIndex });
             
             return true;
         } catch (error) {
@@ -169,46 +644,52 @@ class Web3Manager {
     
     /**
      * Subscribe to new blocks
+     * The subscription survives provider failures: stalls and errors move it to another
+     * provider, and blocks missed in between are backfilled before delivery resumes
      * @param {Function} callback - Callback function for new blocks
-     * @returns {Promise<Object>} Subscription object
+     * @param {Object} options - BlockSubscription options (stallTimeout, maxBackfillBlocks, reconnectDelay)
+     * @returns {Promise<BlockSubscription>} Managed subscription (call stop() to unsubscribe)
      */
-    async subscribeToBlocks(callback) {
-        return this.executeWithFailover(async (web3) => {
-            const subscription = await web3.eth.subscribe('newBlockHeaders');
-            
-            subscription.on('data', (blockHeader) => {
-                logger.debug('New block received', {
-                    blockNumber: blockHeader.number,
-                    provider: web3.provider.name
-                });
-                
-                callback(blockHeader);
-            });
-            
-            subscription.on('error', (error) => {
-                logger.error('Block subscription error', {
-                    provider: web3.provider.name,
-                    error: error.message
-                });
-                
-                // Trigger provider rotation on subscription error
-                this.failureCount++;
-                if (this.shouldRotateProvider()) {
-                    this.rotateProvider();
-                }
-            });
-            
-            return subscription;
-        });
+    async subscribeToBlocks(callback, options = {}) {
+        const subscription = new BlockSubscription(this, (blockHeader) => {
+            this.requestCache.setHead(blockHeader.number);
+            this.providerMonitor.observeHead(blockHeader.number);
+            return callback(blockHeader);
+        }, options);
+        return subscription.start();
+    }
+    
+    /**
+     * Aggregate contract calls through Multicall3
+     * @param {Array} calls - Array of {target, callData, allowFailure, gas, outputs}
+     * @param {string} blockNumber - Block number for calls
+     * @param {Object} options - { priority? }
+     * @returns {Promise<Array>} Array of {success, returnData, decoded} in call order
+     */
+    async aggregate(calls, blockNumber = 'latest', options = {}) {
+        return this.multicall.aggregate(calls, blockNumber, options);
+    }
+    
+    /**
+     * Fetch event logs over a block range of any size
+     * The range is read in chunks, halved whenever a provider answers "too many results"
+     * @param {Object} filter - {address?, topics?, fromBlock, toBlock = 'latest'}
+     * @param {Object} options - { resume?, onChunk?(logs, {fromBlock, toBlock}), priority? }
+     * @returns {Promise<Object>} {logs, fromBlock, toBlock}
+     */
+    async getLogs(filter, options = {}) {
+        return this.logFetcher.fetch(filter, options);
     }
     
     /**
      * Batch call multiple contract methods
+     * Uses a JSON-RPC batch, which some providers cap or reject; prefer aggregate
      * @param {Array} calls - Array of call objects
      * @param {string} blockNumber - Block number for calls
+     * @param {Object} options - { priority? }
      * @returns {Promise<Array>} Results array
      */
-    async batchCall(calls, blockNumber = 'latest') {
+    async batchCall(calls, blockNumber = 'latest', options = {}) {
         return this.executeWithFailover(async (web3) => {
             const batch = new web3.BatchRequest();
             const promises = [];
@@ -239,28 +720,81 @@ class Web3Manager {
             batch.execute();
             
             return Promise.all(promises);
+        }, {
+            priority: options.priority,
+            // Providers meter every call in a batch
+            computeUnits: calls.length * RPC_COMPUTE_UNITS.eth_call
         });
     }
     
     /**
      * Get gas price with fallback
+     * @param {Object} options - { priority? }
      * @returns {Promise<string>} Gas price in wei
      */
-    async getGasPrice() {
+    async getGasPrice(options = {}) {
         return this.executeWithFailover(async (web3) => {
             return await web3.eth.getGasPrice();
-        });
+        }, { cache: { method: 'eth_gasPrice' }, priority: options.priority });
     }
     
     /**
      * Get block number with fallover
+     * Concurrent calls share one request; the result moves the request cache's head
      * @returns {Promise<number>} Current block number
      */
     async getBlockNumber() {
-        return this.executeWithFailover(async (web3) => {
+        const blockNumber = await this.executeWithFailover(async (web3) => {
             return await web3.eth.getBlockNumber();
-        });
+        }, { cache: { method: 'eth_blockNumber', memoize: false } });
+        
+        this.requestCache.setHead(blockNumber);
+        return blockNumber;
+    }
+    
+    /**
+     * Get request cache statistics (hits, misses, coalesced requests)
+     * @returns {Object} Statistics
+     */
+    getCacheStats() {
+        return this.requestCache.getStats();
+    }
+    
+    /**
+     * Get quorum read statistics
+     * @returns {Object} Statistics
+     */
+    getQuorumStats() {
+        return { ...this.quorumStats, quorumSize: this.quorumSize };
+    }
+    
+    /**
+     * Write the JSON-RPC traffic recorded so far to the fixture file (record mode only)
+     * @param {string} filePath - Destination (defaults to options.record.path)
+     * @returns {Promise<string>} Path written
+     */
+    async saveRecording(filePath) {
+        if (!this.recorder) {
+            throw new Error('Web3Manager is not recording');
+        }
+        return this.recorder.save(filePath);
+    }
+    
+    /**
+     * Reject requests still waiting for a provider's rate limit (used on shutdown)
+     */
+    stopRateLimiters() {
+        this.rateLimiters.forEach(limiter => limiter.stop());
     }
 }
 
+/**
+ * Serialize a read result for comparison (BigInts as decimal strings)
+ * @param {*} value - Result
+ * @returns {string} Serialized result
+ */
+function serialize(value) {
+    return JSON.stringify(value, (_, item) => typeof item === 'bigint' ? item.toString() : item) ?? 'undefined';
+}
+
 module.exports = Web3Manager;
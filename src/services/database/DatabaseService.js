@@ -11,6 +11,7 @@ class DatabaseService {
         this.databaseUrl = databaseUrl;
         this.db = null;
         this.isInitialized = false;
+        this.transactionQueue = Promise.resolve(); // Transactions share the connection, so they run one at a time
         
         logger.info('DatabaseService initialized', {
             databaseUrl: this.databaseUrl,
@@ -116,6 +117,58 @@ class DatabaseService {
                 )
             `);
             
+            // Token transfer behaviour (fee-on-transfer, rebasing) detected by the TokenRegistry
+            await this.db.exec(`
+                CREATE TABLE IF NOT EXISTS token_properties (
+                    address TEXT PRIMARY KEY,
+                    symbol TEXT,
+                    transferTaxBps INTEGER DEFAULT 0,
+                    rebasing INTEGER DEFAULT 0,
+                    source TEXT,
+                    updatedAt INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // ERC-20 metadata read on chain by the TokenRegistry
+            await this.db.exec(`
+                CREATE TABLE IF NOT EXISTS token_metadata (
+                    address TEXT PRIMARY KEY,
+                    symbol TEXT,
+                    name TEXT,
+                    decimals INTEGER NOT NULL,
+                    updatedAt INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // V2 pairs confirmed on chain (factory.getPair or factory enumeration), with the
+            // reserves and liquidity verdict of the last PairDiscovery liquidity check
+            await this.db.exec(`
+                CREATE TABLE IF NOT EXISTS pairs (
+                    address TEXT PRIMARY KEY,
+                    dex TEXT NOT NULL,
+                    token0 TEXT NOT NULL,
+                    token1 TEXT NOT NULL,
+                    pairIndex INTEGER,
+                    reserve0 TEXT,
+                    reserve1 TEXT,
+                    liquid INTEGER DEFAULT 0,
+                    liquidityCheckedAt INTEGER,
+                    verifiedAt INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            // Pairs tables created before factory indexing lack the index and liquidity columns
+            await this.addMissingColumns('pairs', {
+                pairIndex: 'INTEGER',
+                reserve0: 'TEXT',
+                reserve1: 'TEXT',
+                liquid: 'INTEGER DEFAULT 0',
+                liquidityCheckedAt: 'INTEGER'
+            });
+            
             logger.info('Database tables created successfully', {
                 service: 'database-service'
             });
@@ -129,6 +182,26 @@ class DatabaseService {
         }
     }
     
+    /**
+     * Add columns a table created by an earlier version does not have yet
+     * @param {string} table - Table name
+     * @param {Object} columns - Column name -> column definition
+     */
+    async addMissingColumns(table, columns) {
+        const existing = new Set((await this.db.all(`PRAGMA table_info(${table})`)).map(column => column.name));
+        
+        for (const [name, definition] of Object.entries(columns)) {
+            if (!existing.has(name)) {
+                await this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+                logger.info('Database column added', {
+                    table,
+                    column: name,
+                    service: 'database-service'
+                });
+            }
+        }
+    }
+    
     /**
      * Store arbitrage opportunity
      * @param {Object} opportunity - Opportunity object
@@ -470,6 +543,292 @@ class DatabaseService {
         }
     }
     
+    /**
+     * Store token transfer behaviour
+     * Never rejects: failures are logged here, so callers may leave the promise unawaited
+     * @param {Object} token - { address, symbol, transferTaxBps, rebasing, source, updatedAt }
+     */
+    async storeTokenProperties(token) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Database not initialized');
+            }
+            
+            const query = `
+                INSERT OR REPLACE INTO token_properties (
+                    address, symbol, transferTaxBps, rebasing, source, updatedAt
+                ) VALUES (?, ?, ?, ?, ?, ?)
+            `;
+            
+            const params = [
+                token.address.toLowerCase(),
+                token.symbol || null,
+                token.transferTaxBps || 0,
+                token.rebasing ? 1 : 0,
+                token.source || null,
+                token.updatedAt || Date.now()
+            ];
+            
+            await this.db.run(query, params);
+            
+        } catch (error) {
+            logger.error('Failed to store token properties', {
+                error: error.message,
+                token: token.address,
+                service: 'database-service'
+            });
+        }
+    }
+    
+    /**
+     * Get stored token transfer behaviour
+     * @returns {Array} Array of { address, symbol, transferTaxBps, rebasing, source, updatedAt }
+     */
+    async getTokenProperties() {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Database not initialized');
+            }
+            
+            const rows = await this.db.all('SELECT * FROM token_properties');
+            
+            return rows.map(row => ({
+                address: row.address,
+                symbol: row.symbol,
+                transferTaxBps: row.transferTaxBps,
+                rebasing: Boolean(row.rebasing),
+                source: row.source,
+                updatedAt: row.updatedAt
+            }));
+            
+        } catch (error) {
+            logger.error('Failed to get token properties', {
+                error: error.message,
+                service: 'database-service'
+            });
+            return [];
+        }
+    }
+    
+    /**
+     * Store token metadata
+     * Never rejects: failures are logged here, so callers may leave the promise unawaited
+     * @param {Object} token - { address, symbol, name, decimals, updatedAt }
+     */
+    async storeTokenMetadata(token) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Database not initialized');
+            }
+            
+            const query = `
+                INSERT OR REPLACE INTO token_metadata (
+                    address, symbol, name, decimals, updatedAt
+                ) VALUES (?, ?, ?, ?, ?)
+            `;
+            
+            const params = [
+                token.address.toLowerCase(),
+                token.symbol || null,
+                token.name || null,
+                token.decimals,
+                token.updatedAt || Date.now()
+            ];
+            
+            await this.db.run(query, params);
+            
+        } catch (error) {
+            logger.error('Failed to store token metadata', {
+                error: error.message,
+                token: token.address,
+                service: 'database-service'
+            });
+        }
+    }
+    
+    /**
+     * Get stored token metadata
+     * @returns {Array} Array of { address, symbol, name, decimals, updatedAt }
+     */
+    async getTokenMetadata() {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Database not initialized');
+            }
+            
+            const rows = await this.db.all('SELECT * FROM token_metadata');
+            
+            return rows.map(row => ({
+                address: row.address,
+                symbol: row.symbol,
+                name: row.name,
+                decimals: row.decimals,
+                updatedAt: row.updatedAt
+            }));
+            
+        } catch (error) {
+            logger.error('Failed to get token metadata', {
+                error: error.message,
+                service: 'database-service'
+            });
+            return [];
+        }
+    }
+    
+    /**
+     * Store a pair confirmed on chain
+     * Never rejects: storePairs logs its failures, so callers may leave the promise unawaited
+     * @param {Object} pair - { pairAddress, dex, token0, token1, pairIndex?, verifiedAt }
+     */
+    async storePair(pair) {
+        await this.storePairs([pair]);
+    }
+    
+    /**
+     * Store pairs confirmed on chain in one transaction
+     * Liquidity columns and a known pair index are kept when a pair is stored again
+     * @param {Array} pairs - Array of { pairAddress, dex, token0, token1, pairIndex?, verifiedAt }
+     */
+    async storePairs(pairs) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Database not initialized');
+            }
+            
+            const query = `
+                INSERT INTO pairs (
+                    address, dex, token0, token1, pairIndex, verifiedAt
+                ) VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(address) DO UPDATE SET
+                    pairIndex = COALESCE(excluded.pairIndex, pairs.pairIndex),
+                    verifiedAt = excluded.verifiedAt
+            `;
+            
+            await this.runInTransaction(async () => {
+                for (const pair of pairs) {
+                    await this.db.run(query, [
+                        pair.pairAddress,
+                        pair.dex,
+                        pair.token0.toLowerCase(),
+                        pair.token1.toLowerCase(),
+                        pair.pairIndex === undefined ? null : pair.pairIndex,
+                        pair.verifiedAt || Date.now()
+                    ]);
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Failed to store pairs', {
+                error: error.message,
+                pairCount: pairs.length,
+                service: 'database-service'
+            });
+        }
+    }
+    
+    /**
+     * Store the result of pair liquidity checks in one transaction
+     * @param {Array} updates - Array of { pairAddress, reserve0, reserve1, liquid, liquidityCheckedAt }
+     */
+    async storePairLiquidity(updates) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Database not initialized');
+            }
+            
+            const query = `
+                UPDATE pairs SET reserve0 = ?, reserve1 = ?, liquid = ?, liquidityCheckedAt = ?
+                WHERE address = ?
+            `;
+            
+            await this.runInTransaction(async () => {
+                for (const update of updates) {
+                    await this.db.run(query, [
+                        update.reserve0,
+                        update.reserve1,
+                        update.liquid ? 1 : 0,
+                        update.liquidityCheckedAt || Date.now(),
+                        update.pairAddress
+                    ]);
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Failed to store pair liquidity', {
+                error: error.message,
+                pairCount: updates.length,
+                service: 'database-service'
+            });
+        }
+    }
+    
+    /**
+     * Get stored pairs
+     * @param {Object} options - { dex?, liquidOnly? }
+     * @returns {Array} Array of { pairAddress, dex, token0, token1, pairIndex, reserve0, reserve1, liquid, liquidityCheckedAt, verifiedAt }
+     */
+    async getPairs(options = {}) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Database not initialized');
+            }
+            
+            let query = 'SELECT * FROM pairs WHERE 1 = 1';
+            const params = [];
+            
+            if (options.dex) {
+                query += ' AND dex = ?';
+                params.push(options.dex);
+            }
+            if (options.liquidOnly) {
+                query += ' AND liquid = 1';
+            }
+            
+            const rows = await this.db.all(query, params);
+            
+            return rows.map(row => ({
+                pairAddress: row.address,
+                dex: row.dex,
+                token0: row.token0,
+                token1: row.token1,
+                pairIndex: row.pairIndex,
+                reserve0: row.reserve0,
+                reserve1: row.reserve1,
+                liquid: Boolean(row.liquid),
+                liquidityCheckedAt: row.liquidityCheckedAt,
+                verifiedAt: row.verifiedAt
+            }));
+            
+        } catch (error) {
+            logger.error('Failed to get pairs', {
+                error: error.message,
+                service: 'database-service'
+            });
+            return [];
+        }
+    }
+    
+    /**
+     * Run statements in a transaction, after any transaction already running
+     * @param {Function} work - Async function issuing the statements
+     * @returns {Promise} Resolves once committed; rejects (after rolling back) when work throws
+     */
+    async runInTransaction(work) {
+        const run = this.transactionQueue.then(async () => {
+            await this.db.exec('BEGIN');
+            try {
+                await work();
+                await this.db.exec('COMMIT');
+            } catch (error) {
+                await this.db.exec('ROLLBACK');
+                throw error;
+            }
+        });
+        
+        this.transactionQueue = run.catch(() => {});
+        return run;
+    }
+    
     /**
      * Clean old data
      * @param {number} daysToKeep - Number of days to keep data
@@ -1,10 +1,19 @@
 const { Decimal } = require('decimal.js');
 const logger = require('../../utils/logger');
+const { V2_EVENT_TOPICS } = require('../../utils/constants');
 
 /**
  * Block-Level Price Manager
  * Implements block-by-block updates with intelligent pair tracking
  * Based on your strategy: subscribe to new blocks, refresh only impacted pairs
+ * 
+ * Every V2 reserve change emits Sync(reserve0, reserve1), so for each new block the Sync logs
+ * of the watched pairs are fetched and their reserves applied as they are; exactly those pairs
+ * are marked impacted, and no getReserves call is made. Pairs without a Sync log keep the
+ * reserves priced at the parent block, which stay current. Pairs are read with getReserves only
+ * when logs cannot vouch for them: when they were not priced at the parent block (initial
+ * load, newly added pairs, failed reads), after a skipped block or a reorg, and when the log
+ * read fails.
  */
 class BlockLevelPriceManager {
     constructor(web3Manager, pairs, options = {}) {
@@ -12,9 +21,11 @@ class BlockLevelPriceManager {
         this.pairs = pairs;
         this.options = {
             batchSize: options.batchSize || 25, // Respect provider limits
-            staggerDelay: options.staggerDelay || 100, // ms between batches
             maxRetries: options.maxRetries || 3,
             cacheTTL: options.cacheTTL || 30000, // 30 seconds
+            callStrategy: options.callStrategy || 'multicall', // 'multicall' (Multicall3 aggregate3) or 'batch' (JSON-RPC batch)
+            requestPriority: options.requestPriority || 'bulk', // Rate-limit class: refreshes never hold up execution calls
+            reserveSource: options.reserveSource || 'sync', // 'sync' (reserves from Sync logs) or 'poll' (getReserves for every pair each block)
             ...options
         };
         
@@ -23,6 +34,7 @@ class BlockLevelPriceManager {
         this.impactedPairs = new Set();
         this.lastBlockNumber = 0;
         this.lastBlockHash = '';
+        this.blockSubscription = null;
         this.isUpdating = false;
         this.updateQueue = [];
         
@@ -32,7 +44,10 @@ class BlockLevelPriceManager {
             successfulUpdates: 0,
             failedUpdates: 0,
             averageUpdateTime: 0,
-            lastUpdateTime: 0
+            lastUpdateTime: 0,
+            syncEvents: 0,
+            syncedPairs: 0,
+            fullRefreshes: 0
         };
         
         logger.info('BlockLevelPriceManager initialized', {
@@ -53,8 +68,8 @@ class BlockLevelPriceManager {
             this.lastBlockNumber = await this.web3Manager.getBlockNumber();
             
             // Subscribe to new blocks
-            await this.web3Manager.subscribeToBlocks((blockHeader) => {
-                this.onNewBlock(blockHeader);
+            this.blockSubscription = await this.web3Manager.subscribeToBlocks((blockHeader) => {
+                return this.onNewBlock(blockHeader);
             });
             
             // Initial price update
@@ -70,6 +85,20 @@ class BlockLevelPriceManager {
         }
     }
     
+    /**
+     * Stop block-level monitoring
+     */
+    async stop() {
+        if (this.blockSubscription) {
+            await this.blockSubscription.stop();
+            this.blockSubscription = null;
+        }
+        
+        logger.info('Block-level monitoring stopped', {
+            lastBlock: this.lastBlockNumber
+        });
+    }
+    
     /**
      * Handle new block events
      * @param {Object} blockHeader - Block header data
@@ -78,6 +107,11 @@ class BlockLevelPriceManager {
         const blockNumber = blockHeader.number;
         const blockHash = blockHeader.hash;
         
+        // Sync logs only describe this block, so they can be applied only on top of its parent
+        const followsLastBlock = Boolean(this.lastBlockNumber) &&
+            Number(blockNumber) === Number(this.lastBlockNumber) + 1 &&
+            (!this.lastBlockHash || !blockHeader.parentHash || blockHeader.parentHash === this.lastBlockHash);
+        
         logger.debug('New block received', {
             blockNumber,
             blockHash,
@@ -88,6 +122,13 @@ class BlockLevelPriceManager {
         this.lastBlockNumber = blockNumber;
         this.lastBlockHash = blockHash;
         
+        if (this.options.reserveSource === 'sync' && followsLastBlock) {
+            await this.applySyncEvents(blockHeader);
+        } else {
+            this.stats.fullRefreshes++;
+            this.pairs.forEach(pair => this.markPairImpacted(pair));
+        }
+        
         // Only update pairs that were impacted
         if (this.impactedPairs.size > 0) {
             await this.updateImpactedPairs(blockNumber, blockHash);
@@ -114,22 +155,25 @@ class BlockLevelPriceManager {
         const startTime = Date.now();
         
         try {
-            const pairs = Array.from(this.impactedPairs);
+            // Pairs already priced at this block (from its Sync logs) need no read
+            const pairs = Array.from(this.impactedPairs).filter(pairAddress => {
+                const cached = this.priceCache.get(pairAddress);
+                return !cached || Number(cached.blockNumber) !== Number(blockNumber);
+            });
+            if (pairs.length === 0) {
+                return;
+            }
+            
             logger.info('Updating impacted pairs', {
                 blockNumber,
                 blockHash,
                 pairCount: pairs.length
             });
             
-            // Process in batches
+            // Process in batches, paced by Web3Manager's per-provider rate limits
             for (let i = 0; i < pairs.length; i += this.options.batchSize) {
                 const batch = pairs.slice(i, i + this.options.batchSize);
                 await this.batchUpdateReserves(batch, blockNumber, blockHash);
-                
-                // Stagger requests to avoid rate limiting
-                if (i + this.options.batchSize < pairs.length) {
-                    await this.delay(this.options.staggerDelay);
-                }
             }
             
             const updateTime = Date.now() - startTime;
@@ -156,6 +200,93 @@ class BlockLevelPriceManager {
         }
     }
     
+    /**
+     * Apply the reserves of the watched pairs' Sync logs in a block and mark those pairs impacted
+     * Quiet pairs carry their reserves over from the parent block; when the logs cannot be read,
+     * every pair is marked so it is read with getReserves instead
+     * @param {Object} blockHeader - Block header ({ number, hash, timestamp })
+     * @returns {Promise<number>} Number of pairs whose reserves were applied
+     */
+    async applySyncEvents(blockHeader) {
+        const watched = new Map(this.pairs.map(pairAddress => [pairAddress.toLowerCase(), pairAddress]));
+        if (watched.size === 0) {
+            return 0;
+        }
+        
+        let logs;
+        try {
+            ({ logs } = await this.web3Manager.getLogs({
+                address: Array.from(watched.values()),
+                topics: [V2_EVENT_TOPICS.SYNC],
+                fromBlock: Number(blockHeader.number),
+                toBlock: Number(blockHeader.number)
+            }, { priority: this.options.requestPriority }));
+        } catch (error) {
+            this.stats.fullRefreshes++;
+            logger.warn('Failed to read Sync logs, reading reserves of every pair', {
+                blockNumber: blockHeader.number,
+                error: error.message
+            });
+            this.pairs.forEach(pair => this.markPairImpacted(pair));
+            return 0;
+        }
+        
+        // A pair may sync several times in a block; its last Sync holds the reserves after the block
+        const latest = new Map();
+        logs
+            .filter(log => !log.removed)
+            .sort((a, b) => Number(a.logIndex) - Number(b.logIndex))
+            .forEach(log => {
+                const pairAddress = watched.get(log.address.toLowerCase());
+                if (pairAddress) {
+                    latest.set(pairAddress, log);
+                }
+            });
+        
+        // Pairs stamp blockTimestampLast with the (32-bit) timestamp of the block that synced them
+        const blockTimestampLast = blockHeader.timestamp !== undefined
+            ? (BigInt(blockHeader.timestamp) % (2n ** 32n)).toString()
+            : null;
+        const abi = this.web3Manager.getCurrentWeb3().eth.abi;
+        
+        for (const [pairAddress, log] of latest) {
+            const decoded = abi.decodeParameters(['uint112', 'uint112'], log.data);
+            this.setReserves(pairAddress, String(decoded[0]), String(decoded[1]), blockHeader.number, blockHeader.hash, blockTimestampLast);
+            this.markPairImpacted(pairAddress);
+        }
+        
+        // Without a Sync log the reserves priced at the parent block still hold, so they are
+        // carried to this block (and kept from expiring); pairs not priced at the parent are read
+        const timestamp = Date.now();
+        for (const pairAddress of watched.values()) {
+            if (latest.has(pairAddress)) continue;
+            
+            const cached = this.priceCache.get(pairAddress);
+            if (cached && Number(cached.blockNumber) === Number(blockHeader.number) - 1) {
+                this.priceCache.set(pairAddress, {
+                    ...cached,
+                    blockNumber: blockHeader.number,
+                    blockHash: blockHeader.hash,
+                    timestamp,
+                    expiresAt: timestamp + this.options.cacheTTL
+                });
+            } else {
+                this.markPairImpacted(pairAddress);
+            }
+        }
+        
+        this.stats.syncEvents += logs.length;
+        this.stats.syncedPairs += latest.size;
+        
+        logger.debug('Sync logs applied', {
+            blockNumber: blockHeader.number,
+            syncEvents: logs.length,
+            pairCount: latest.size
+        });
+        
+        return latest.size;
+    }
+    
     /**
      * Process queued updates
      */
@@ -173,17 +304,30 @@ class BlockLevelPriceManager {
      * @param {string} blockHash - Block hash for consistency
      */
     async batchUpdateReserves(pairs, blockNumber, blockHash) {
-        const calls = pairs.map(pairAddress => ({
-            to: pairAddress,
-            data: this.web3Manager.getCurrentWeb3().eth.abi.encodeFunctionCall({
-                name: 'getReserves',
-                type: 'function',
-                inputs: []
-            }, [])
-        }));
+        const data = this.web3Manager.getCurrentWeb3().eth.abi.encodeFunctionCall({
+            name: 'getReserves',
+            type: 'function',
+            inputs: []
+        }, []);
         
         try {
-            const results = await this.web3Manager.batchCall(calls, blockNumber);
+            let results;
+            if (this.options.callStrategy === 'batch') {
+                results = await this.web3Manager.batchCall(
+                    pairs.map(pairAddress => ({ to: pairAddress, data })),
+                    blockNumber,
+                    { priority: this.options.requestPriority }
+                );
+            } else {
+                // Pairs that revert come back unsuccessful and are skipped, the rest still update
+                const aggregated = await this.web3Manager.aggregate(
+                    pairs.map(pairAddress => ({ target: pairAddress, callData: data })),
+                    blockNumber,
+                    { priority: this.options.requestPriority }
+                );
+                results = aggregated.map(result => result.success ? result.returnData : null);
+            }
+            
             this.updatePriceCache(pairs, results, blockNumber, blockHash);
             
         } catch (error) {
@@ -215,7 +359,7 @@ class BlockLevelPriceManager {
                             inputs: []
                         }, [])
                     }, blockNumber);
-                });
+                }, { priority: this.options.requestPriority, method: 'eth_call' });
                 
                 this.updatePriceCache([pairAddress], [result], blockNumber, blockHash);
                 
@@ -250,38 +394,10 @@ class BlockLevelPriceManager {
                     result
                 );
                 
-                const [reserve0, reserve1, blockTimestampLast] = decoded;
-                
-                // Calculate prices
-                const price0 = new Decimal(reserve1).div(reserve0);
-                const price1 = new Decimal(reserve0).div(reserve1);
+                // web3 decodes uints to BigInt
+                const [reserve0, reserve1, blockTimestampLast] = [decoded[0], decoded[1], decoded[2]].map(String);
                 
-                // Calculate liquidity (simplified)
-                const liquidityUSD = this.calculateLiquidityUSD(reserve0, reserve1);
-                
-                const priceData = {
-                    pairAddress,
-                    reserve0: reserve0.toString(),
-                    reserve1: reserve1.toString(),
-                    price0: price0.toString(),
-                    price1: price1.toString(),
-                    liquidityUSD,
-                    blockNumber,
-                    blockHash,
-                    blockTimestampLast: blockTimestampLast.toString(),
-                    timestamp,
-                    expiresAt: timestamp + this.options.cacheTTL
-                };
-                
-                this.priceCache.set(pairAddress, priceData);
-                
-                logger.debug('Price cache updated', {
-                    pairAddress,
-                    price0: price0.toString(),
-                    price1: price1.toString(),
-                    liquidityUSD,
-                    blockNumber
-                });
+                this.setReserves(pairAddress, reserve0, reserve1, blockNumber, blockHash, blockTimestampLast, timestamp);
                 
             } catch (error) {
                 logger.error('Failed to update price cache', {
@@ -292,6 +408,49 @@ class BlockLevelPriceManager {
         });
     }
     
+    /**
+     * Cache the prices of a pair from its reserves
+     * @param {string} pairAddress - Pair address
+     * @param {string} reserve0 - Reserve 0
+     * @param {string} reserve1 - Reserve 1
+     * @param {number} blockNumber - Block the reserves hold after
+     * @param {string} blockHash - Block hash
+     * @param {string|null} blockTimestampLast - Pair's last update timestamp
+     * @param {number} timestamp - Cache time (optional)
+     */
+    setReserves(pairAddress, reserve0, reserve1, blockNumber, blockHash, blockTimestampLast, timestamp = Date.now()) {
+        // Calculate prices
+        const price0 = new Decimal(reserve1).div(reserve0);
+        const price1 = new Decimal(reserve0).div(reserve1);
+        
+        // Calculate liquidity (simplified)
+        const liquidityUSD = this.calculateLiquidityUSD(reserve0, reserve1);
+        
+        const priceData = {
+            pairAddress,
+            reserve0: reserve0.toString(),
+            reserve1: reserve1.toString(),
+            price0: price0.toString(),
+            price1: price1.toString(),
+            liquidityUSD,
+            blockNumber,
+            blockHash,
+            blockTimestampLast: blockTimestampLast === null ? null : blockTimestampLast.toString(),
+            timestamp,
+            expiresAt: timestamp + this.options.cacheTTL
+        };
+        
+        this.priceCache.set(pairAddress, priceData);
+        
+        logger.debug('Price cache updated', {
+            pairAddress,
+            price0: price0.toString(),
+            price1: price1.toString(),
+            liquidityUSD,
+            blockNumber
+        });
+    }
+    
     /**
      * Calculate USD liquidity (simplified)
      * @param {string} reserve0 - Reserve 0
@@ -315,6 +474,18 @@ class BlockLevelPriceManager {
         this.impactedPairs.add(pairAddress);
     }
     
+    /**
+     * Watch a pair: its Sync logs are followed from the next block, and it is read once
+     * with getReserves to start from
+     * @param {string} pairAddress - Pair address
+     */
+    addPair(pairAddress) {
+        if (!this.pairs.includes(pairAddress)) {
+            this.pairs.push(pairAddress);
+        }
+        this.markPairImpacted(pairAddress);
+    }
+    
     /**
      * Get price data for a pair
      * @param {string} pairAddress - Pair address
@@ -371,7 +542,7 @@ class BlockLevelPriceManager {
         const blockHash = await this.web3Manager.executeWithFailover(async (web3) => {
             const block = await web3.eth.getBlock(blockNumber);
             return block.hash;
-        });
+        }, { priority: this.options.requestPriority, method: 'eth_getBlockByNumber' });
         
         await this.updateImpactedPairs(blockNumber, blockHash);
     }
@@ -409,14 +580,6 @@ class BlockLevelPriceManager {
             logger.debug('Cleared expired cache entries', { clearedCount });
         }
     }
-    
-    /**
-     * Utility function for delays
-     * @param {number} ms - Milliseconds to delay
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
 }
 
 module.exports = BlockLevelPriceManager;
@@ -1,10 +1,179 @@
+const { utils: web3Utils } = require('web3');
+const { Decimal } = require('decimal.js');
 const logger = require('../../utils/logger');
-const { DEX_FACTORIES, TOKENS } = require('../../utils/constants');
+const {
+    DEX_FACTORIES,
+    DEX_INIT_CODE_HASHES,
+    TOKENS,
+    CURVE_POOLS,
+    STABLESWAP_CONSTANTS,
+    BALANCER_POOLS,
+    WEIGHTED_POOL_CONSTANTS,
+    RPC_COMPUTE_UNITS
+} = require('../../utils/constants');
+const UniswapV3Math = require('../amm/UniswapV3Math');
+const StableSwapMath = require('../amm/StableSwapMath');
+const WeightedPoolMath = require('../amm/WeightedPoolMath');
+const TokenRegistry = require('../token/TokenRegistry');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Uniswap V3 factory and pool read methods used by the V3 pool reader
+const UNISWAP_V3_FACTORY_ABI = [
+    {
+        "inputs": [
+            {"name": "tokenA", "type": "address"},
+            {"name": "tokenB", "type": "address"},
+            {"name": "fee", "type": "uint24"}
+        ],
+        "name": "getPool",
+        "outputs": [{"name": "pool", "type": "address"}],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+const UNISWAP_V3_POOL_ABI = [
+    {
+        "inputs": [],
+        "name": "slot0",
+        "outputs": [
+            {"name": "sqrtPriceX96", "type": "uint160"},
+            {"name": "tick", "type": "int24"},
+            {"name": "observationIndex", "type": "uint16"},
+            {"name": "observationCardinality", "type": "uint16"},
+            {"name": "observationCardinalityNext", "type": "uint16"},
+            {"name": "feeProtocol", "type": "uint8"},
+            {"name": "unlocked", "type": "bool"}
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "liquidity",
+        "outputs": [{"name": "", "type": "uint128"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "tickSpacing",
+        "outputs": [{"name": "", "type": "int24"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "fee",
+        "outputs": [{"name": "", "type": "uint24"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [{"name": "wordPosition", "type": "int16"}],
+        "name": "tickBitmap",
+        "outputs": [{"name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [{"name": "tick", "type": "int24"}],
+        "name": "ticks",
+        "outputs": [
+            {"name": "liquidityGross", "type": "uint128"},
+            {"name": "liquidityNet", "type": "int128"},
+            {"name": "feeGrowthOutside0X128", "type": "uint256"},
+            {"name": "feeGrowthOutside1X128", "type": "uint256"},
+            {"name": "tickCumulativeOutside", "type": "int56"},
+            {"name": "secondsPerLiquidityOutsideX128", "type": "uint160"},
+            {"name": "secondsOutside", "type": "uint32"},
+            {"name": "initialized", "type": "bool"}
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+// Curve StableSwap pool read methods used by the stable pool reader
+const CURVE_POOL_ABI = [
+    {
+        "inputs": [{"name": "i", "type": "uint256"}],
+        "name": "balances",
+        "outputs": [{"name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "A",
+        "outputs": [{"name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "fee",
+        "outputs": [{"name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+// Balancer vault and weighted pool read methods used by the weighted pool reader
+const BALANCER_VAULT_ABI = [
+    {
+        "inputs": [{"name": "poolId", "type": "bytes32"}],
+        "name": "getPoolTokens",
+        "outputs": [
+            {"name": "tokens", "type": "address[]"},
+            {"name": "balances", "type": "uint256[]"},
+            {"name": "lastChangeBlock", "type": "uint256"}
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+const BALANCER_WEIGHTED_POOL_ABI = [
+    {
+        "inputs": [],
+        "name": "getPoolId",
+        "outputs": [{"name": "", "type": "bytes32"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "getNormalizedWeights",
+        "outputs": [{"name": "", "type": "uint256[]"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "getSwapFeePercentage",
+        "outputs": [{"name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
 
 /**
  * DEX Price Service
  * Handles multiple DEX integrations with intelligent batching and caching
- * Supports Uniswap V2, SushiSwap, PancakeSwap, and other V2-compatible DEXs
+ * Supports Uniswap V2, SushiSwap, PancakeSwap, and other V2-compatible DEXs,
+ * plus Uniswap V3 concentrated-liquidity pools, Curve StableSwap pools and
+ * Balancer weighted pools
+ * 
+ * V2 pair addresses are derived offline by CREATE2 for forks with a known init code hash.
+ * A pair's existence is confirmed once with factory.getPair, which also checks the derived
+ * address; confirmed pairs are kept (and persisted when a DatabaseService is attached), so
+ * later lookups need no network round trip.
+ *
+ * Every price object carries price0/price1 as ratios of raw token units (as the pools hold
+ * them) and normalizedPrice0/normalizedPrice1 in whole tokens, adjusted by the decimals the
+ * TokenRegistry reads for both tokens.
  */
 class DEXPriceService {
     constructor(web3Manager, options = {}) {
@@ -14,28 +183,72 @@ class DEXPriceService {
             batchSize: options.batchSize || 25,
             cacheTTL: options.cacheTTL || 30000,
             maxRetries: options.maxRetries || 3,
+            v3TickWordRange: options.v3TickWordRange || 2, // Bitmap words loaded either side of the current tick
+            requestPriority: options.requestPriority || 'normal', // Rate-limit class for single reads; batch prefetches run as 'bulk'
             ...options
         };
+        delete this.options.tokenRegistry;
+        
+        // Token decimals and symbols for normalized prices; pass one in to share it across services
+        this.tokenRegistry = options.tokenRegistry || new TokenRegistry(web3Manager);
         
         // DEX configurations
         this.dexConfigs = {
             uniswap: {
                 name: 'Uniswap V2',
                 factory: DEX_FACTORIES.UNISWAP_V2,
+                initCodeHash: DEX_INIT_CODE_HASHES.UNISWAP_V2,
                 fee: 0.003, // 0.3%
+                feeBps: 30,
                 chainId: 1
             },
             sushiswap: {
                 name: 'SushiSwap',
                 factory: DEX_FACTORIES.SUSHISWAP,
+                initCodeHash: DEX_INIT_CODE_HASHES.SUSHISWAP,
                 fee: 0.003, // 0.3%
+                feeBps: 30,
                 chainId: 1
             },
             pancakeswap: {
                 name: 'PancakeSwap',
                 factory: DEX_FACTORIES.PANCAKESWAP,
+                initCodeHash: DEX_INIT_CODE_HASHES.PANCAKESWAP,
                 fee: 0.0025, // 0.25%
+                feeBps: 25,
                 chainId: 56
+            },
+            uniswapV3: {
+                name: 'Uniswap V3',
+                type: 'v3',
+                factory: DEX_FACTORIES.UNISWAP_V3,
+                feeTiers: [100, 500, 3000, 10000], // Hundredths of a basis point
+                chainId: 1
+            },
+            curve: {
+                name: 'Curve',
+                type: 'stable',
+                // Curve pools are not created by a factory here, so the known pools are listed
+                pools: [
+                    {
+                        address: CURVE_POOLS.THREE_POOL,
+                        coins: [TOKENS.DAI, TOKENS.USDC, TOKENS.USDT],
+                        decimals: [18, 6, 6]
+                    }
+                ],
+                chainId: 1
+            },
+            balancer: {
+                name: 'Balancer V2',
+                type: 'weighted',
+                vault: WEIGHTED_POOL_CONSTANTS.VAULT,
+                pools: [
+                    {
+                        address: BALANCER_POOLS.BAL_WETH_80_20,
+                        coins: [TOKENS.BAL, TOKENS.WETH]
+                    }
+                ],
+                chainId: 1
             }
         };
         
@@ -44,6 +257,10 @@ class DEXPriceService {
         this.pairCaches = new Map();
         this.tokenCaches = new Map();
         
+        // V2 pairs confirmed on chain, by dex:token0:token1; they never expire
+        this.knownPairs = new Map();
+        this.databaseService = null;
+        
         // Statistics
         this.stats = {
             totalRequests: 0,
@@ -51,7 +268,10 @@ class DEXPriceService {
             failedRequests: 0,
             cacheHits: 0,
             cacheMisses: 0,
-            averageResponseTime: 0
+            averageResponseTime: 0,
+            knownPairHits: 0,
+            pairsDerived: 0,
+            initCodeHashMismatches: 0
         };
         
         logger.info('DEXPriceService initialized', {
@@ -60,12 +280,44 @@ class DEXPriceService {
         });
     }
     
+    /**
+     * Attach a database, load stored pairs and persist future confirmations
+     * @param {Object} databaseService - Initialized DatabaseService
+     * @returns {Promise<number>} Number of pairs loaded
+     */
+    async loadFromDatabase(databaseService) {
+        this.databaseService = databaseService;
+        
+        const stored = await databaseService.getPairs();
+        this.addKnownPairs(stored);
+        
+        logger.info('Pair addresses loaded', {
+            pairs: stored.length
+        });
+        
+        return stored.length;
+    }
+    
+    /**
+     * Register pairs confirmed elsewhere (stored, or enumerated from the factory by PairDiscovery)
+     * without persisting them again
+     * @param {Array} pairs - Array of { pairAddress, dex, token0, token1 }
+     */
+    addKnownPairs(pairs) {
+        for (const pair of pairs) {
+            this.knownPairs.set(DEXPriceService.getPairKey(pair.dex, pair.token0, pair.token1), pair);
+        }
+    }
+    
     /**
      * Get pair address for two tokens on a specific DEX
+     * Pairs already confirmed on chain are answered without a network call. Otherwise the address is
+     * derived by CREATE2 and only its deployment is checked; factory.getPair is asked when the DEX has
+     * no init code hash or nothing is deployed at the derived address
      * @param {string} tokenA - Token A address
      * @param {string} tokenB - Token B address
      * @param {string} dexName - DEX name
-     * @returns {Promise<string>} Pair address
+     * @returns {Promise<string>} Pair address (the zero address when the pair does not exist)
      */
     async getPairAddress(tokenA, tokenB, dexName) {
         const cacheKey = `${dexName}:${tokenA}:${tokenB}`;
@@ -80,6 +332,12 @@ class DEXPriceService {
             this.pairCaches.delete(cacheKey);
         }
         
+        const known = this.knownPairs.get(DEXPriceService.getPairKey(dexName, tokenA, tokenB));
+        if (known) {
+            this.stats.knownPairHits++;
+            return known.pairAddress;
+        }
+        
         this.stats.cacheMisses++;
         this.stats.totalRequests++;
         
@@ -89,6 +347,17 @@ class DEXPriceService {
                 throw new Error(`Unsupported DEX: ${dexName}`);
             }
             
+            const derived = this.derivePairAddress(tokenA, tokenB, dexName);
+            if (derived && await this.hasCode(derived)) {
+                this.stats.pairsDerived++;
+                await this.confirmPair(dexName, tokenA, tokenB, derived);
+                this.pairCaches.set(cacheKey, {
+                    pairAddress: derived,
+                    expiresAt: Date.now() + this.options.cacheTTL
+                });
+                return derived;
+            }
+            
             // Sort tokens for consistent pair address
             const [token0, token1] = tokenA < tokenB ? [tokenA, tokenB] : [tokenB, tokenA];
             
@@ -109,8 +378,13 @@ class DEXPriceService {
                 ], dexConfig.factory);
                 
                 return await factoryContract.methods.getPair(token0, token1).call();
+            }, {
+                cache: { method: 'getPair', params: [dexConfig.factory, token0, token1] },
+                priority: this.options.requestPriority
             });
             
+            await this.confirmPair(dexName, tokenA, tokenB, pairAddress);
+            
             // Cache the result
             this.pairCaches.set(cacheKey, {
                 pairAddress,
@@ -130,6 +404,119 @@ class DEXPriceService {
         }
     }
     
+    /**
+     * Derive a V2 pair address offline (CREATE2), without checking that the pair exists
+     * @param {string} tokenA - Token A address
+     * @param {string} tokenB - Token B address
+     * @param {string} dexName - DEX name
+     * @returns {string|null} Checksummed pair address, null when the DEX has no init code hash
+     */
+    derivePairAddress(tokenA, tokenB, dexName) {
+        const dexConfig = this.dexConfigs[dexName];
+        if (!dexConfig || dexConfig.type || !dexConfig.initCodeHash) {
+            return null;
+        }
+        return DEXPriceService.computePairAddress(dexConfig.factory, tokenA, tokenB, dexConfig.initCodeHash);
+    }
+    
+    /**
+     * Check that a contract is deployed at an address
+     * @param {string} address - Contract address
+     * @returns {Promise<boolean>} Whether the address holds code
+     */
+    async hasCode(address) {
+        const code = await this.web3Manager.executeWithFailover(async (web3) => {
+            return await web3.eth.getCode(address);
+        }, {
+            method: 'eth_getCode',
+            priority: this.options.requestPriority
+        });
+        
+        return typeof code === 'string' && code !== '0x';
+    }
+    
+    /**
+     * Record a pair found on chain, checking it against the derived address
+     * A mismatch means the configured init code hash is wrong, so derivation is turned off for the DEX.
+     * The pair only becomes known once the database write has finished
+     * @param {string} dexName - DEX name
+     * @param {string} tokenA - Token A address
+     * @param {string} tokenB - Token B address
+     * @param {string} pairAddress - Pair address from factory.getPair, or the derived one once it holds code
+     * @returns {Promise<Object|null>} Known pair entry, null when the pair does not exist
+     */
+    async confirmPair(dexName, tokenA, tokenB, pairAddress) {
+        if (!web3Utils.isAddress(pairAddress) || pairAddress === ZERO_ADDRESS) {
+            return null;
+        }
+        
+        const derived = this.derivePairAddress(tokenA, tokenB, dexName);
+        if (derived && derived.toLowerCase() !== pairAddress.toLowerCase()) {
+            this.stats.initCodeHashMismatches++;
+            logger.warn('Derived pair address does not match the factory, disabling CREATE2 derivation', {
+                dexName,
+                derived,
+                pairAddress
+            });
+            this.dexConfigs[dexName].initCodeHash = null;
+        }
+        
+        const [token0, token1] = DEXPriceService.sortTokens(tokenA, tokenB);
+        const pair = {
+            pairAddress,
+            dex: dexName,
+            token0,
+            token1,
+            verifiedAt: Date.now()
+        };
+        if (this.databaseService) {
+            await this.databaseService.storePair(pair);
+        }
+        this.knownPairs.set(DEXPriceService.getPairKey(dexName, token0, token1), pair);
+        
+        return pair;
+    }
+    
+    /**
+     * CREATE2 address of a Uniswap V2 style pair
+     * @param {string} factory - Factory address
+     * @param {string} tokenA - Token A address
+     * @param {string} tokenB - Token B address
+     * @param {string} initCodeHash - Keccak-256 of the pair creation code
+     * @returns {string} Checksummed pair address
+     */
+    static computePairAddress(factory, tokenA, tokenB, initCodeHash) {
+        const [token0, token1] = DEXPriceService.sortTokens(tokenA, tokenB);
+        const salt = web3Utils.keccak256(web3Utils.encodePacked(
+            { type: 'address', value: token0 },
+            { type: 'address', value: token1 }
+        ));
+        const hash = web3Utils.keccak256(`0xff${factory.slice(2)}${salt.slice(2)}${initCodeHash.slice(2)}`);
+        return web3Utils.toChecksumAddress(`0x${hash.slice(-40)}`);
+    }
+    
+    /**
+     * Order two tokens as a V2 pair does (numerically, i.e. by lowercase hex)
+     * @param {string} tokenA - Token A address
+     * @param {string} tokenB - Token B address
+     * @returns {Array<string>} [token0, token1], lowercase
+     */
+    static sortTokens(tokenA, tokenB) {
+        const a = tokenA.toLowerCase();
+        const b = tokenB.toLowerCase();
+        return a < b ? [a, b] : [b, a];
+    }
+    
+    /**
+     * @param {string} dexName - DEX name
+     * @param {string} tokenA - Token A address
+     * @param {string} tokenB - Token B address
+     * @returns {string} Known pair key, independent of token order and case
+     */
+    static getPairKey(dexName, tokenA, tokenB) {
+        return `${dexName}:${DEXPriceService.sortTokens(tokenA, tokenB).join(':')}`;
+    }
+    
     /**
      * Get reserves for a pair
      * @param {string} pairAddress - Pair address
@@ -172,6 +559,9 @@ class DEXPriceService {
                 ], pairAddress);
                 
                 return await pairContract.methods.getReserves().call({}, blockNumber);
+            }, {
+                cache: { method: 'getReserves', params: [pairAddress], blockNumber },
+                priority: this.options.requestPriority
             });
             
             const responseTime = Date.now() - startTime;
@@ -203,19 +593,164 @@ class DEXPriceService {
         }
     }
     
+    /**
+     * Get pair addresses for many token pairs in one Multicall3 round trip, filling the pair cache
+     * @param {Array} pairs - Array of {tokenA, tokenB, dexName} objects on V2 DEXs
+     * @param {string} priority - Rate-limit class
+     * @returns {Promise<Array>} Pair address per entry (null when the DEX is unknown or the lookup failed)
+     */
+    async getPairAddressesBatch(pairs, priority = this.options.requestPriority) {
+        const addresses = new Array(pairs.length).fill(null);
+        const lookups = [];
+        const lookupIndexes = [];
+        
+        pairs.forEach(({ tokenA, tokenB, dexName }, index) => {
+            const cached = this.pairCaches.get(`${dexName}:${tokenA}:${tokenB}`);
+            if (cached && Date.now() < cached.expiresAt) {
+                this.stats.cacheHits++;
+                addresses[index] = cached.pairAddress;
+                return;
+            }
+            
+            const known = this.knownPairs.get(DEXPriceService.getPairKey(dexName, tokenA, tokenB));
+            if (known) {
+                this.stats.knownPairHits++;
+                addresses[index] = known.pairAddress;
+                return;
+            }
+            
+            const dexConfig = this.dexConfigs[dexName];
+            if (!dexConfig || dexConfig.type) return;
+            
+            const [token0, token1] = tokenA < tokenB ? [tokenA, tokenB] : [tokenB, tokenA];
+            lookups.push({ factory: dexConfig.factory, tokenA: token0, tokenB: token1 });
+            lookupIndexes.push(index);
+        });
+        
+        if (lookups.length === 0) {
+            return addresses;
+        }
+        
+        this.stats.cacheMisses += lookups.length;
+        this.stats.totalRequests++;
+        
+        try {
+            const results = await this.web3Manager.multicall.getPairs(lookups, 'latest', { priority });
+            this.stats.successfulRequests++;
+            
+            await Promise.all(results.map(async (pairAddress, i) => {
+                if (pairAddress === null) return;
+                
+                const { tokenA, tokenB, dexName } = pairs[lookupIndexes[i]];
+                await this.confirmPair(dexName, tokenA, tokenB, pairAddress);
+                this.pairCaches.set(`${dexName}:${tokenA}:${tokenB}`, {
+                    pairAddress,
+                    expiresAt: Date.now() + this.options.cacheTTL
+                });
+                addresses[lookupIndexes[i]] = pairAddress;
+            }));
+            
+            return addresses;
+            
+        } catch (error) {
+            this.stats.failedRequests++;
+            logger.error('Failed to get pair addresses', {
+                pairCount: lookups.length,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Get reserves for many pairs in one Multicall3 round trip, filling the reserves cache
+     * @param {Array<string>} pairAddresses - Pair addresses
+     * @param {string} blockNumber - Block number (optional)
+     * @param {string} priority - Rate-limit class
+     * @returns {Promise<Array>} Reserves per pair, shaped like getReserves (null when the read failed)
+     */
+    async getReservesBatch(pairAddresses, blockNumber = 'latest', priority = this.options.requestPriority) {
+        const reserves = new Array(pairAddresses.length).fill(null);
+        const missing = [];
+        
+        pairAddresses.forEach((pairAddress, index) => {
+            const cached = this.priceCaches.get(`${pairAddress}:${blockNumber}`);
+            if (cached && Date.now() < cached.expiresAt) {
+                this.stats.cacheHits++;
+                reserves[index] = cached.reserves;
+            } else {
+                missing.push(index);
+            }
+        });
+        
+        if (missing.length === 0) {
+            return reserves;
+        }
+        
+        this.stats.cacheMisses += missing.length;
+        this.stats.totalRequests++;
+        
+        try {
+            const results = await this.web3Manager.multicall.getReserves(
+                missing.map(index => pairAddresses[index]),
+                blockNumber,
+                { priority }
+            );
+            this.stats.successfulRequests++;
+            
+            results.forEach((result, i) => {
+                if (result === null) return;
+                
+                const pairReserves = {
+                    _reserve0: result.reserve0,
+                    _reserve1: result.reserve1,
+                    _blockTimestampLast: result.blockTimestampLast
+                };
+                this.priceCaches.set(`${pairAddresses[missing[i]]}:${blockNumber}`, {
+                    reserves: pairReserves,
+                    expiresAt: Date.now() + this.options.cacheTTL
+                });
+                reserves[missing[i]] = pairReserves;
+            });
+            
+            return reserves;
+            
+        } catch (error) {
+            this.stats.failedRequests++;
+            logger.error('Failed to get reserves batch', {
+                pairCount: missing.length,
+                blockNumber,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
     /**
      * Get price for a token pair on a specific DEX
      * @param {string} tokenA - Token A address
      * @param {string} tokenB - Token B address
      * @param {string} dexName - DEX name
      * @param {string} blockNumber - Block number (optional)
-     * @returns {Promise<Object>} Price data
+     * @returns {Promise<Object>} Price data with raw (price0/price1) and decimal-adjusted (normalizedPrice0/normalizedPrice1) prices
      */
     async getPrice(tokenA, tokenB, dexName, blockNumber = 'latest') {
+        if (this.dexConfigs[dexName] && this.dexConfigs[dexName].type === 'v3') {
+            return this.addTokenMetadata(await this.getV3Price(tokenA, tokenB, dexName, blockNumber));
+        }
+        
+        if (this.dexConfigs[dexName] && this.dexConfigs[dexName].type === 'stable') {
+            return this.addTokenMetadata(await this.getStablePrice(tokenA, tokenB, dexName, blockNumber));
+        }
+        
+        if (this.dexConfigs[dexName] && this.dexConfigs[dexName].type === 'weighted') {
+            return this.addTokenMetadata(await this.getWeightedPrice(tokenA, tokenB, dexName, blockNumber));
+        }
+        
         try {
             const pairAddress = await this.getPairAddress(tokenA, tokenB, dexName);
             
-            if (pairAddress === '0x0000000000000000000000000000000000000000') {
+            if (pairAddress === ZERO_ADDRESS) {
                 throw new Error(`No pair found for ${tokenA}/${tokenB} on ${dexName}`);
             }
             
@@ -236,23 +771,31 @@ class DEXPriceService {
                 throw new Error(`Invalid reserve values: reserve0=${reserve0}, reserve1=${reserve1}`);
             }
             
-            const price0 = reserve1 / reserve0;
-            const price1 = reserve0 / reserve1;
+            // Reserves come back as BigInt from a direct read and as strings from a multicall
+            const price0 = new Decimal(reserve1.toString()).dividedBy(reserve0.toString());
+            const price1 = new Decimal(reserve0.toString()).dividedBy(reserve1.toString());
             
-            return {
+            // Pairs order their reserves by numeric token address
+            const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+            
+            return this.addTokenMetadata({
                 pairAddress,
                 tokenA,
                 tokenB,
+                token0,
+                token1,
                 dexName,
+                poolType: 'v2',
                 reserve0: reserve0.toString(),
                 reserve1: reserve1.toString(),
                 price0: price0.toString(),
                 price1: price1.toString(),
                 fee: dexConfig.fee,
+                feeBps: dexConfig.feeBps,
                 blockNumber,
                 blockTimestampLast: blockTimestampLast.toString(),
                 timestamp: Date.now()
-            };
+            });
             
         } catch (error) {
             logger.error('Failed to get price', {
@@ -265,8 +808,559 @@ class DEXPriceService {
         }
     }
     
+    /**
+     * Add both tokens' symbols and decimals, and the decimal-adjusted prices, to a price object
+     * price0 is raw token1 units per raw token0 unit, so one whole token0 costs
+     * price0 * 10^(decimals0 - decimals1) whole token1
+     * @param {Object} price - Price data from one of the pool readers
+     * @returns {Promise<Object>} Price data; normalized prices are null when a token's decimals are unknown
+     */
+    async addTokenMetadata(price) {
+        const [metadata0, metadata1] = await this.tokenRegistry.getTokenMetadataBatch([price.token0, price.token1]);
+        const scale = metadata0 && metadata1 ? new Decimal(10).pow(metadata0.decimals - metadata1.decimals) : null;
+        
+        return {
+            ...price,
+            symbol0: metadata0 ? metadata0.symbol : null,
+            symbol1: metadata1 ? metadata1.symbol : null,
+            decimals0: metadata0 ? metadata0.decimals : null,
+            decimals1: metadata1 ? metadata1.decimals : null,
+            normalizedPrice0: scale ? new Decimal(price.price0).times(scale).toString() : null,
+            normalizedPrice1: scale ? new Decimal(price.price1).dividedBy(scale).toString() : null
+        };
+    }
+    
+    /**
+     * Get Uniswap V3 pool address for two tokens and a fee tier
+     * @param {string} tokenA - Token A address
+     * @param {string} tokenB - Token B address
+     * @param {number} fee - Fee tier in hundredths of a basis point
+     * @param {string} dexName - DEX name
+     * @returns {Promise<string>} Pool address (zero address when the pool does not exist)
+     */
+    async getV3PoolAddress(tokenA, tokenB, fee, dexName = 'uniswapV3') {
+        const cacheKey = `${dexName}:${tokenA}:${tokenB}:${fee}`;
+        
+        if (this.pairCaches.has(cacheKey)) {
+            const cached = this.pairCaches.get(cacheKey);
+            if (Date.now() < cached.expiresAt) {
+                this.stats.cacheHits++;
+                return cached.pairAddress;
+            }
+            this.pairCaches.delete(cacheKey);
+        }
+        
+        this.stats.cacheMisses++;
+        this.stats.totalRequests++;
+        
+        try {
+            const dexConfig = this.dexConfigs[dexName];
+            if (!dexConfig || dexConfig.type !== 'v3') {
+                throw new Error(`Unsupported V3 DEX: ${dexName}`);
+            }
+            
+            const pairAddress = await this.web3Manager.executeWithFailover(async (web3) => {
+                const factoryContract = new web3.eth.Contract(UNISWAP_V3_FACTORY_ABI, dexConfig.factory);
+                return await factoryContract.methods.getPool(tokenA, tokenB, fee).call();
+            }, { priority: this.options.requestPriority });
+            
+            this.pairCaches.set(cacheKey, {
+                pairAddress,
+                expiresAt: Date.now() + this.options.cacheTTL
+            });
+            
+            return pairAddress;
+            
+        } catch (error) {
+            logger.error('Failed to get V3 pool address', {
+                tokenA,
+                tokenB,
+                fee,
+                dexName,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Get Uniswap V3 pool state: slot0, active liquidity and the initialized ticks
+     * found in the tick bitmap words around the current tick
+     * @param {string} poolAddress - Pool address
+     * @param {string} blockNumber - Block number (optional)
+     * @returns {Promise<Object>} Pool state in the UniswapV3Math shape (type 'v3')
+     */
+    async getV3PoolState(poolAddress, blockNumber = 'latest') {
+        const cacheKey = `${poolAddress}:${blockNumber}:v3`;
+        
+        if (this.priceCaches.has(cacheKey)) {
+            const cached = this.priceCaches.get(cacheKey);
+            if (Date.now() < cached.expiresAt) {
+                this.stats.cacheHits++;
+                return cached.reserves;
+            }
+            this.priceCaches.delete(cacheKey);
+        }
+        
+        this.stats.cacheMisses++;
+        this.stats.totalRequests++;
+        const startTime = Date.now();
+        
+        try {
+            // Slot0, liquidity, tick spacing and fee, then one tickBitmap read per word
+            const range = this.options.v3TickWordRange;
+            const { slot0, liquidity, fee, tick, spacing, currentWord, wordPositions, bitmaps } = await this.web3Manager.executeWithFailover(async (web3) => {
+                const poolContract = new web3.eth.Contract(UNISWAP_V3_POOL_ABI, poolAddress);
+                
+                const [slot0, liquidity, tickSpacing, fee] = await Promise.all([
+                    poolContract.methods.slot0().call({}, blockNumber),
+                    poolContract.methods.liquidity().call({}, blockNumber),
+                    poolContract.methods.tickSpacing().call({}, blockNumber),
+                    poolContract.methods.fee().call({}, blockNumber)
+                ]);
+                
+                const tick = Number(slot0.tick !== undefined ? slot0.tick : slot0[1]);
+                const spacing = Number(tickSpacing);
+                const currentWord = UniswapV3Math.getWordPosition(tick, spacing);
+                
+                const wordPositions = [];
+                for (let word = currentWord - range; word <= currentWord + range; word++) {
+                    wordPositions.push(word);
+                }
+                
+                const bitmaps = await Promise.all(
+                    wordPositions.map(word => poolContract.methods.tickBitmap(word).call({}, blockNumber))
+                );
+                
+                return { slot0, liquidity, fee, tick, spacing, currentWord, wordPositions, bitmaps };
+            }, {
+                priority: this.options.requestPriority,
+                computeUnits: (4 + 2 * range + 1) * RPC_COMPUTE_UNITS.eth_call
+            });
+            
+            const tickIndexes = wordPositions.flatMap((word, i) =>
+                UniswapV3Math.decodeTickBitmap(word, bitmaps[i].toString(), spacing)
+            );
+            
+            // The initialized ticks are only known once the bitmaps are in, so they are charged separately
+            const tickData = tickIndexes.length === 0 ? [] : await this.web3Manager.executeWithFailover(async (web3) => {
+                const poolContract = new web3.eth.Contract(UNISWAP_V3_POOL_ABI, poolAddress);
+                return Promise.all(tickIndexes.map(index => poolContract.methods.ticks(index).call({}, blockNumber)));
+            }, {
+                priority: this.options.requestPriority,
+                computeUnits: tickIndexes.length * RPC_COMPUTE_UNITS.eth_call
+            });
+            
+            const state = {
+                type: 'v3',
+                sqrtPriceX96: (slot0.sqrtPriceX96 !== undefined ? slot0.sqrtPriceX96 : slot0[0]).toString(),
+                tick,
+                liquidity: liquidity.toString(),
+                fee: Number(fee),
+                tickSpacing: spacing,
+                ticks: tickIndexes.map((index, i) => ({
+                    index,
+                    liquidityNet: (tickData[i].liquidityNet !== undefined ? tickData[i].liquidityNet : tickData[i][1]).toString()
+                })),
+                tickRange: {
+                    lower: (currentWord - range) * 256 * spacing,
+                    upper: ((currentWord + range) * 256 + 255) * spacing
+                }
+            };
+            
+            const responseTime = Date.now() - startTime;
+            this.stats.successfulRequests++;
+            this.stats.averageResponseTime = 
+                (this.stats.averageResponseTime * (this.stats.successfulRequests - 1) + responseTime) / 
+                this.stats.successfulRequests;
+            
+            this.priceCaches.set(cacheKey, {
+                reserves: state,
+                expiresAt: Date.now() + this.options.cacheTTL
+            });
+            
+            return state;
+            
+        } catch (error) {
+            this.stats.failedRequests++;
+            logger.error('Failed to get V3 pool state', {
+                poolAddress,
+                blockNumber,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Get price for a token pair on a V3 DEX
+     * Every fee tier is checked and the pool with the most active liquidity is used
+     * @param {string} tokenA - Token A address
+     * @param {string} tokenB - Token B address
+     * @param {string} dexName - DEX name
+     * @param {string} blockNumber - Block number (optional)
+     * @returns {Promise<Object>} Price data with the pool state attached as `pool`
+     */
+    async getV3Price(tokenA, tokenB, dexName, blockNumber = 'latest') {
+        try {
+            const dexConfig = this.dexConfigs[dexName];
+            
+            let best = null;
+            for (const feeTier of dexConfig.feeTiers) {
+                const poolAddress = await this.getV3PoolAddress(tokenA, tokenB, feeTier, dexName);
+                if (!poolAddress || poolAddress === ZERO_ADDRESS) continue;
+                
+                const pool = await this.getV3PoolState(poolAddress, blockNumber);
+                if (BigInt(pool.liquidity) === 0n) continue;
+                
+                if (!best || BigInt(pool.liquidity) > BigInt(best.pool.liquidity)) {
+                    best = { poolAddress, pool };
+                }
+            }
+            
+            if (!best) {
+                throw new Error(`No pool found for ${tokenA}/${tokenB} on ${dexName}`);
+            }
+            
+            const { poolAddress, pool } = best;
+            const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+            const { reserve0, reserve1 } = UniswapV3Math.getVirtualReserves(pool);
+            const price0 = UniswapV3Math.getSpotPrice(pool.sqrtPriceX96);
+            
+            return {
+                pairAddress: poolAddress,
+                tokenA,
+                tokenB,
+                token0,
+                token1,
+                dexName,
+                poolType: 'v3',
+                reserve0, // Virtual reserves of the active range
+                reserve1,
+                price0: price0.toString(),
+                price1: price0.pow(-1).toString(),
+                fee: pool.fee / 1000000,
+                feeBps: pool.fee / 100,
+                feeTier: pool.fee,
+                pool,
+                blockNumber,
+                timestamp: Date.now()
+            };
+            
+        } catch (error) {
+            logger.error('Failed to get V3 price', {
+                tokenA,
+                tokenB,
+                dexName,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Find a listed multi-token pool (StableSwap or weighted) holding both tokens
+     * @param {string} tokenA - Token A address
+     * @param {string} tokenB - Token B address
+     * @param {string} dexName - DEX name
+     * @returns {Object|null} { poolConfig, indexA, indexB } or null when no pool holds both
+     */
+    findListedPool(tokenA, tokenB, dexName) {
+        const dexConfig = this.dexConfigs[dexName];
+        if (!dexConfig || !Array.isArray(dexConfig.pools)) {
+            throw new Error(`Unsupported DEX without listed pools: ${dexName}`);
+        }
+        
+        for (const poolConfig of dexConfig.pools) {
+            const coins = poolConfig.coins.map(coin => coin.toLowerCase());
+            const indexA = coins.indexOf(tokenA.toLowerCase());
+            const indexB = coins.indexOf(tokenB.toLowerCase());
+            
+            if (indexA !== -1 && indexB !== -1 && indexA !== indexB) {
+                return { poolConfig, indexA, indexB };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get StableSwap pool state: every coin balance, the amplification coefficient and the fee
+     * @param {Object} poolConfig - { address, coins, decimals } from the DEX configuration
+     * @param {string} blockNumber - Block number (optional)
+     * @returns {Promise<Object>} Pool state in the StableSwapMath shape (type 'stable')
+     */
+    async getStablePoolState(poolConfig, blockNumber = 'latest') {
+        const cacheKey = `${poolConfig.address}:${blockNumber}:stable`;
+        
+        if (this.priceCaches.has(cacheKey)) {
+            const cached = this.priceCaches.get(cacheKey);
+            if (Date.now() < cached.expiresAt) {
+                this.stats.cacheHits++;
+                return cached.reserves;
+            }
+            this.priceCaches.delete(cacheKey);
+        }
+        
+        this.stats.cacheMisses++;
+        this.stats.totalRequests++;
+        const startTime = Date.now();
+        
+        try {
+            const state = await this.web3Manager.executeWithFailover(async (web3) => {
+                const poolContract = new web3.eth.Contract(CURVE_POOL_ABI, poolConfig.address);
+                
+                const [balances, A, fee] = await Promise.all([
+                    Promise.all(poolConfig.coins.map((coin, i) => poolContract.methods.balances(i).call({}, blockNumber))),
+                    poolContract.methods.A().call({}, blockNumber),
+                    poolContract.methods.fee().call({}, blockNumber)
+                ]);
+                
+                return {
+                    type: 'stable',
+                    coins: poolConfig.coins,
+                    decimals: poolConfig.decimals,
+                    balances: balances.map(balance => balance.toString()),
+                    A: A.toString(),
+                    fee: fee.toString()
+                };
+            }, {
+                priority: this.options.requestPriority,
+                // One balances() read per coin, plus A() and fee()
+                computeUnits: (poolConfig.coins.length + 2) * RPC_COMPUTE_UNITS.eth_call
+            });
+            
+            const responseTime = Date.now() - startTime;
+            this.stats.successfulRequests++;
+            this.stats.averageResponseTime = 
+                (this.stats.averageResponseTime * (this.stats.successfulRequests - 1) + responseTime) / 
+                this.stats.successfulRequests;
+            
+            this.priceCaches.set(cacheKey, {
+                reserves: state,
+                expiresAt: Date.now() + this.options.cacheTTL
+            });
+            
+            return state;
+            
+        } catch (error) {
+            this.stats.failedRequests++;
+            logger.error('Failed to get stable pool state', {
+                poolAddress: poolConfig.address,
+                blockNumber,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Get price for a token pair from a StableSwap pool
+     * The returned pool state carries `indices` mapping token0/token1 to coin indices,
+     * so it can be quoted through PoolMath alongside V2 and V3 legs
+     * @param {string} tokenA - Token A address
+     * @param {string} tokenB - Token B address
+     * @param {string} dexName - DEX name
+     * @param {string} blockNumber - Block number (optional)
+     * @returns {Promise<Object>} Price data with the pool state attached as `pool`
+     */
+    async getStablePrice(tokenA, tokenB, dexName, blockNumber = 'latest') {
+        try {
+            const match = this.findListedPool(tokenA, tokenB, dexName);
+            if (!match) {
+                throw new Error(`No pool found for ${tokenA}/${tokenB} on ${dexName}`);
+            }
+            
+            const { poolConfig, indexA, indexB } = match;
+            const state = await this.getStablePoolState(poolConfig, blockNumber);
+            
+            const aIsToken0 = tokenA.toLowerCase() < tokenB.toLowerCase();
+            const [token0, token1] = aIsToken0 ? [tokenA, tokenB] : [tokenB, tokenA];
+            const indices = aIsToken0 ? [indexA, indexB] : [indexB, indexA];
+            const pool = { ...state, indices };
+            
+            // Marginal rate with the fee added back, in raw units like the V2 reserve ratio
+            const fee = Number(state.fee) / Number(STABLESWAP_CONSTANTS.FEE_DENOMINATOR);
+            const price0 = StableSwapMath.getSpotRate(pool, indices[0], indices[1]).dividedBy(1 - fee);
+            const price1 = StableSwapMath.getSpotRate(pool, indices[1], indices[0]).dividedBy(1 - fee);
+            
+            return {
+                pairAddress: poolConfig.address,
+                tokenA,
+                tokenB,
+                token0,
+                token1,
+                dexName,
+                poolType: 'stable',
+                reserve0: state.balances[indices[0]],
+                reserve1: state.balances[indices[1]],
+                price0: price0.toString(),
+                price1: price1.toString(),
+                fee,
+                feeBps: Number(state.fee) / 1000000, // 1e10 fee units per basis point: 1e6
+                amplification: state.A,
+                pool,
+                blockNumber,
+                timestamp: Date.now()
+            };
+            
+        } catch (error) {
+            logger.error('Failed to get stable price', {
+                tokenA,
+                tokenB,
+                dexName,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Get Balancer weighted pool state: token balances from the vault, normalised weights and swap fee
+     * @param {Object} poolConfig - { address, coins } from the DEX configuration
+     * @param {string} vaultAddress - Balancer vault address
+     * @param {string} blockNumber - Block number (optional)
+     * @returns {Promise<Object>} Pool state in the PoolMath 'weighted' shape
+     */
+    async getWeightedPoolState(poolConfig, vaultAddress, blockNumber = 'latest') {
+        const cacheKey = `${poolConfig.address}:${blockNumber}:weighted`;
+        
+        if (this.priceCaches.has(cacheKey)) {
+            const cached = this.priceCaches.get(cacheKey);
+            if (Date.now() < cached.expiresAt) {
+                this.stats.cacheHits++;
+                return cached.reserves;
+            }
+            this.priceCaches.delete(cacheKey);
+        }
+        
+        this.stats.cacheMisses++;
+        this.stats.totalRequests++;
+        const startTime = Date.now();
+        
+        try {
+            const state = await this.web3Manager.executeWithFailover(async (web3) => {
+                const poolContract = new web3.eth.Contract(BALANCER_WEIGHTED_POOL_ABI, poolConfig.address);
+                const vaultContract = new web3.eth.Contract(BALANCER_VAULT_ABI, vaultAddress);
+                
+                const [poolId, weights, swapFee] = await Promise.all([
+                    poolContract.methods.getPoolId().call({}, blockNumber),
+                    poolContract.methods.getNormalizedWeights().call({}, blockNumber),
+                    poolContract.methods.getSwapFeePercentage().call({}, blockNumber)
+                ]);
+                
+                const poolTokens = await vaultContract.methods.getPoolTokens(poolId).call({}, blockNumber);
+                const tokens = poolTokens.tokens || poolTokens[0];
+                const balances = poolTokens.balances || poolTokens[1];
+                
+                return {
+                    type: 'weighted',
+                    poolId,
+                    coins: tokens,
+                    balances: balances.map(balance => balance.toString()),
+                    weights: weights.map(weight => weight.toString()),
+                    swapFee: swapFee.toString()
+                };
+            }, {
+                priority: this.options.requestPriority,
+                // Three pool reads and the vault's getPoolTokens()
+                computeUnits: 4 * RPC_COMPUTE_UNITS.eth_call
+            });
+            
+            const responseTime = Date.now() - startTime;
+            this.stats.successfulRequests++;
+            this.stats.averageResponseTime = 
+                (this.stats.averageResponseTime * (this.stats.successfulRequests - 1) + responseTime) / 
+                this.stats.successfulRequests;
+            
+            this.priceCaches.set(cacheKey, {
+                reserves: state,
+                expiresAt: Date.now() + this.options.cacheTTL
+            });
+            
+            return state;
+            
+        } catch (error) {
+            this.stats.failedRequests++;
+            logger.error('Failed to get weighted pool state', {
+                poolAddress: poolConfig.address,
+                blockNumber,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Get price for a token pair from a weighted pool
+     * Like the StableSwap reader, the pool state carries `indices` for token0/token1
+     * @param {string} tokenA - Token A address
+     * @param {string} tokenB - Token B address
+     * @param {string} dexName - DEX name
+     * @param {string} blockNumber - Block number (optional)
+     * @returns {Promise<Object>} Price data with the pool state attached as `pool`
+     */
+    async getWeightedPrice(tokenA, tokenB, dexName, blockNumber = 'latest') {
+        try {
+            const match = this.findListedPool(tokenA, tokenB, dexName);
+            if (!match) {
+                throw new Error(`No pool found for ${tokenA}/${tokenB} on ${dexName}`);
+            }
+            
+            const dexConfig = this.dexConfigs[dexName];
+            const state = await this.getWeightedPoolState(match.poolConfig, dexConfig.vault, blockNumber);
+            
+            // Index by the vault's token order rather than trusting the listing
+            const coins = state.coins.map(coin => coin.toLowerCase());
+            const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+            const indices = [coins.indexOf(token0.toLowerCase()), coins.indexOf(token1.toLowerCase())];
+            
+            if (indices.includes(-1)) {
+                throw new Error(`Pool ${match.poolConfig.address} does not hold ${tokenA}/${tokenB}`);
+            }
+            
+            const [i0, i1] = indices;
+            // Spot prices without the fee, in raw units like the V2 reserve ratio
+            const price0 = WeightedPoolMath.getSpotPrice(
+                state.balances[i1], state.weights[i1], state.balances[i0], state.weights[i0]
+            );
+            const fee = Number(state.swapFee) / Number(WEIGHTED_POOL_CONSTANTS.ONE);
+            
+            return {
+                pairAddress: match.poolConfig.address,
+                tokenA,
+                tokenB,
+                token0,
+                token1,
+                dexName,
+                poolType: 'weighted',
+                reserve0: state.balances[i0],
+                reserve1: state.balances[i1],
+                weight0: state.weights[i0],
+                weight1: state.weights[i1],
+                price0: price0.toString(),
+                price1: price0.pow(-1).toString(),
+                fee,
+                feeBps: fee * 10000,
+                pool: { ...state, indices },
+                blockNumber,
+                timestamp: Date.now()
+            };
+            
+        } catch (error) {
+            logger.error('Failed to get weighted price', {
+                tokenA,
+                tokenB,
+                dexName,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
     /**
      * Get prices for multiple pairs in batch
+     * Pacing is left to Web3Manager's per-provider rate limits; the prefetch runs as 'bulk'
      * @param {Array} pairs - Array of {tokenA, tokenB, dexName} objects
      * @param {string} blockNumber - Block number (optional)
      * @returns {Promise<Array>} Array of price data
@@ -278,6 +1372,18 @@ class DEXPriceService {
         for (let i = 0; i < pairs.length; i += batchSize) {
             const batch = pairs.slice(i, i + batchSize);
             
+            try {
+                await this.prefetchV2Batch(batch, blockNumber);
+            } catch (error) {
+                logger.warn('Multicall prefetch failed, reading pairs individually', {
+                    batchIndex: i,
+                    error: error.message
+                });
+            }
+            
+            // Tokens not yet known are read in one multicall rather than per price
+            await this.tokenRegistry.getTokenMetadataBatch(batch.flatMap(pair => [pair.tokenA, pair.tokenB]));
+            
             try {
                 const batchResults = await Promise.allSettled(
                     batch.map(pair => this.getPrice(pair.tokenA, pair.tokenB, pair.dexName, blockNumber))
@@ -294,11 +1400,6 @@ class DEXPriceService {
                     }
                 });
                 
-                // Add delay between batches to avoid rate limiting
-                if (i + batchSize < pairs.length) {
-                    await this.delay(100);
-                }
-                
             } catch (error) {
                 logger.error('Batch price request failed', {
                     batchIndex: i,
@@ -310,6 +1411,23 @@ class DEXPriceService {
         return results;
     }
     
+    /**
+     * Load the V2 pair addresses and reserves of a batch into the caches with two multicalls,
+     * so the per-pair getPrice calls that follow are served from cache
+     * @param {Array} pairs - Array of {tokenA, tokenB, dexName} objects
+     * @param {string} blockNumber - Block number
+     */
+    async prefetchV2Batch(pairs, blockNumber) {
+        const v2Pairs = pairs.filter(pair => this.dexConfigs[pair.dexName] && !this.dexConfigs[pair.dexName].type);
+        if (v2Pairs.length === 0) return;
+        
+        const pairAddresses = await this.getPairAddressesBatch(v2Pairs, 'bulk');
+        const existing = pairAddresses.filter(address => address && address !== ZERO_ADDRESS);
+        if (existing.length > 0) {
+            await this.getReservesBatch(existing, blockNumber, 'bulk');
+        }
+    }
+    
     /**
      * Get arbitrage opportunities between two DEXs
      * @param {string} tokenA - Token A address
@@ -326,9 +1444,10 @@ class DEXPriceService {
                 this.getPrice(tokenA, tokenB, dex2, blockNumber)
             ]);
             
-            // Calculate price difference
-            const price1Value = parseFloat(price1.price0);
-            const price2Value = parseFloat(price2.price0);
+            // Compare whole-token prices; raw ratios give the same direction when decimals are unknown
+            const field = price1.normalizedPrice0 !== null && price2.normalizedPrice0 !== null ? 'normalizedPrice0' : 'price0';
+            const price1Value = parseFloat(price1[field]);
+            const price2Value = parseFloat(price2[field]);
             const priceDiff = Math.abs(price1Value - price2Value);
             const minPrice = Math.min(price1Value, price2Value);
             const priceDiffPercent = minPrice > 0 ? (priceDiff / minPrice) * 100 : 0;
@@ -391,7 +1510,8 @@ class DEXPriceService {
             cacheHitRate: this.stats.cacheHits / (this.stats.cacheHits + this.stats.cacheMisses),
             successRate: this.stats.successfulRequests / this.stats.totalRequests,
             priceCacheSize: this.priceCaches.size,
-            pairCacheSize: this.pairCaches.size
+            pairCacheSize: this.pairCaches.size,
+            knownPairCount: this.knownPairs.size
         };
     }
     
@@ -0,0 +1,441 @@
+const { utils: web3Utils } = require('web3');
+const logger = require('../../utils/logger');
+const { TOKENS, V2_EVENT_TOPICS } = require('../../utils/constants');
+
+const ALL_PAIRS_LENGTH_ABI = { name: 'allPairsLength', type: 'function', inputs: [] };
+const ALL_PAIRS_ABI = { name: 'allPairs', type: 'function', inputs: [{ name: 'index', type: 'uint256' }] };
+const TOKEN0_ABI = { name: 'token0', type: 'function', inputs: [] };
+const TOKEN1_ABI = { name: 'token1', type: 'function', inputs: [] };
+
+// allPairs, token0 and token1 each read one storage slot
+const PAIR_READ_GAS = 10000;
+
+// Quote-side reserve a pair needs to count as liquid; pairs without one of these tokens are never liquid
+const DEFAULT_MIN_QUOTE_RESERVES = {
+    [TOKENS.WETH]: '10000000000000000000', // 10 WETH
+    [TOKENS.USDC]: '20000000000', // 20,000 USDC
+    [TOKENS.USDT]: '20000000000', // 20,000 USDT
+    [TOKENS.DAI]: '20000000000000000000000' // 20,000 DAI
+};
+
+/**
+ * Pair Discovery
+ * Indexes every pair of the configured V2 factories so strategy scans are not limited to
+ * hand-picked pairs:
+ * - The first sync enumerates allPairs(0 .. allPairsLength - 1) through Multicall3, with
+ *   each pair's token0 and token1; later syncs follow PairCreated events from that block
+ * - Pairs are stored in the database with their factory index, so enumeration resumes where
+ *   it stopped, and registered with the DEXPriceService so their addresses need no lookup
+ * - Every sync reads the reserves of pairs holding a quote token (WETH, USDC, USDT, DAI by
+ *   default) and marks them liquid when the quote-side reserve reaches its threshold
+ *
+ * getArbitragePairs returns liquid token pairs listed on at least two DEXs, the candidates
+ * for direct arbitrage.
+ */
+class PairDiscovery {
+    constructor(web3Manager, dexPriceService, options = {}) {
+        this.web3Manager = web3Manager;
+        this.dexPriceService = dexPriceService;
+        this.options = {
+            dexes: options.dexes || null, // DEXs to index; defaults to the DEXPriceService's V2 DEXs
+            batchSize: options.batchSize || 500, // Pair indexes read per enumeration round
+            syncInterval: options.syncInterval || 300000, // 5 minutes between event follow-ups and liquidity checks
+            minQuoteReserves: options.minQuoteReserves || DEFAULT_MIN_QUOTE_RESERVES, // Token address -> minimum reserve in wei
+            ...options
+        };
+
+        this.minQuoteReserves = new Map(Object.entries(this.options.minQuoteReserves)
+            .map(([token, reserve]) => [token.toLowerCase(), BigInt(reserve)]));
+
+        this.pairs = new Map(); // Lowercase pair address -> pair
+        this.enumerated = new Map(); // DEX -> pair indexes enumerated without gaps
+        this.followFromBlock = null; // First block whose PairCreated events are followed
+        this.databaseService = null;
+        this.isRunning = false;
+        this.timer = null;
+
+        this.stats = {
+            syncs: 0,
+            enumeratedPairs: 0,
+            createdPairs: 0,
+            liquidityChecks: 0,
+            failures: 0
+        };
+    }
+
+    /**
+     * Attach a database, load stored pairs and persist future discoveries
+     * @param {Object} databaseService - Initialized DatabaseService
+     * @returns {Promise<number>} Number of pairs loaded
+     */
+    async loadFromDatabase(databaseService) {
+        this.databaseService = databaseService;
+
+        const stored = await databaseService.getPairs();
+        for (const pair of stored) {
+            this.pairs.set(pair.pairAddress.toLowerCase(), pair);
+        }
+
+        // Resume enumeration at the first index not stored yet
+        for (const dexName of this.getDexNames()) {
+            const indexes = new Set(stored
+                .filter(pair => pair.dex === dexName && pair.pairIndex !== null && pair.pairIndex !== undefined)
+                .map(pair => pair.pairIndex));
+            let next = 0;
+            while (indexes.has(next)) {
+                next++;
+            }
+            this.enumerated.set(dexName, next);
+        }
+
+        logger.info('Discovered pairs loaded', {
+            pairs: stored.length,
+            enumerated: Object.fromEntries(this.enumerated)
+        });
+
+        return stored.length;
+    }
+
+    /**
+     * Sync now, then every syncInterval
+     */
+    async start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        await this.runSync();
+    }
+
+    /**
+     * Stop syncing
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run one sync and schedule the next one
+     */
+    async runSync() {
+        try {
+            await this.sync();
+        } catch (error) {
+            this.stats.failures++;
+            logger.error('Pair discovery sync failed', {
+                error: error.message
+            });
+        }
+
+        if (this.isRunning) {
+            this.timer = setTimeout(() => this.runSync(), this.options.syncInterval);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Enumerate the factories (first sync) or follow their PairCreated events, then check liquidity
+     */
+    async sync() {
+        this.stats.syncs++;
+
+        if (this.followFromBlock === null) {
+            // Pairs created while enumerating are picked up again by the event follow-up
+            const blockNumber = Number(await this.web3Manager.getBlockNumber());
+            for (const dexName of this.getDexNames()) {
+                await this.enumerateFactory(dexName);
+            }
+            this.followFromBlock = blockNumber;
+        } else {
+            await this.followEvents();
+        }
+
+        await this.refreshLiquidity();
+    }
+
+    /**
+     * Read every pair of a factory not enumerated yet
+     * @param {string} dexName - DEX name
+     * @returns {Promise<number>} Pairs not known before
+     */
+    async enumerateFactory(dexName) {
+        const { factory } = this.dexPriceService.getDEXConfig(dexName);
+        const abi = this.web3Manager.getCurrentWeb3().eth.abi;
+
+        const [lengthResult] = await this.web3Manager.aggregate([{
+            target: factory,
+            callData: abi.encodeFunctionCall(ALL_PAIRS_LENGTH_ABI, []),
+            outputs: ['uint256'],
+            gas: PAIR_READ_GAS
+        }], 'latest', { priority: 'bulk' });
+        if (!lengthResult.success) {
+            throw new Error(`Could not read allPairsLength on ${dexName}`);
+        }
+
+        const length = Number(lengthResult.decoded[0]);
+        let found = 0;
+
+        for (let start = this.enumerated.get(dexName) || 0; start < length; start += this.options.batchSize) {
+            const indexes = [];
+            for (let index = start; index < Math.min(start + this.options.batchSize, length); index++) {
+                indexes.push(index);
+            }
+
+            const addresses = await this.web3Manager.aggregate(indexes.map(index => ({
+                target: factory,
+                callData: abi.encodeFunctionCall(ALL_PAIRS_ABI, [index]),
+                outputs: ['address'],
+                gas: PAIR_READ_GAS
+            })), 'latest', { priority: 'bulk' });
+
+            const tokenCalls = [];
+            for (const result of addresses) {
+                const target = result.success ? result.decoded[0] : factory;
+                tokenCalls.push(
+                    { target, callData: abi.encodeFunctionCall(TOKEN0_ABI, []), outputs: ['address'], gas: PAIR_READ_GAS },
+                    { target, callData: abi.encodeFunctionCall(TOKEN1_ABI, []), outputs: ['address'], gas: PAIR_READ_GAS }
+                );
+            }
+            const tokens = await this.web3Manager.aggregate(tokenCalls, 'latest', { priority: 'bulk' });
+
+            // Keep the pairs read before the first failure, so the enumerated range has no gaps
+            const pairs = [];
+            for (let i = 0; i < indexes.length; i++) {
+                const token0 = tokens[2 * i];
+                const token1 = tokens[2 * i + 1];
+                if (!addresses[i].success || !token0.success || !token1.success) {
+                    break;
+                }
+                pairs.push({
+                    pairAddress: addresses[i].decoded[0],
+                    dex: dexName,
+                    token0: token0.decoded[0].toLowerCase(),
+                    token1: token1.decoded[0].toLowerCase(),
+                    pairIndex: indexes[i]
+                });
+            }
+
+            const added = await this.addPairs(pairs);
+            this.enumerated.set(dexName, start + pairs.length);
+            found += added;
+            this.stats.enumeratedPairs += added;
+
+            if (pairs.length < indexes.length) {
+                throw new Error(`Pair enumeration on ${dexName} failed at index ${start + pairs.length}`);
+            }
+
+            logger.debug('Pairs enumerated', {
+                dexName,
+                enumerated: start + pairs.length,
+                total: length
+            });
+        }
+
+        logger.info('Factory enumerated', {
+            dexName,
+            pairsFound: found,
+            totalPairs: length
+        });
+
+        return found;
+    }
+
+    /**
+     * Add pairs from PairCreated events since the last follow-up
+     * @returns {Promise<number>} Pairs found
+     */
+    async followEvents() {
+        const factories = this.getDexNames().map(dexName => this.dexPriceService.getDEXConfig(dexName).factory);
+        let found = 0;
+
+        await this.web3Manager.getLogs({
+            address: factories,
+            topics: [V2_EVENT_TOPICS.PAIR_CREATED],
+            fromBlock: this.followFromBlock
+        }, {
+            resume: true,
+            priority: 'bulk',
+            onChunk: async (logs) => {
+                const pairs = logs.map(log => this.decodePairCreated(log)).filter(Boolean);
+                found += await this.addPairs(pairs);
+            }
+        });
+
+        this.stats.createdPairs += found;
+        if (found > 0) {
+            logger.info('New pairs created', { pairsFound: found });
+        }
+
+        return found;
+    }
+
+    /**
+     * @param {Object} log - PairCreated log
+     * @returns {Object|null} Pair, null when the log is not from an indexed factory
+     */
+    decodePairCreated(log) {
+        const dexName = this.getDexNames().find(name =>
+            this.dexPriceService.getDEXConfig(name).factory.toLowerCase() === log.address.toLowerCase());
+        if (!dexName || log.topics.length < 3) {
+            return null;
+        }
+
+        // data: pair address, then allPairs.length after the push
+        const data = log.data.slice(2);
+        return {
+            pairAddress: web3Utils.toChecksumAddress(`0x${data.slice(24, 64)}`),
+            dex: dexName,
+            token0: `0x${log.topics[1].slice(-40)}`.toLowerCase(),
+            token1: `0x${log.topics[2].slice(-40)}`.toLowerCase(),
+            pairIndex: Number(BigInt(`0x${data.slice(64, 128)}`)) - 1
+        };
+    }
+
+    /**
+     * Store pairs not seen before and register them with the DEXPriceService
+     * @param {Array} pairs - Array of { pairAddress, dex, token0, token1, pairIndex }
+     * @returns {Promise<number>} Pairs added
+     */
+    async addPairs(pairs) {
+        const verifiedAt = Date.now();
+        const fresh = pairs
+            .filter(pair => !this.pairs.has(pair.pairAddress.toLowerCase()))
+            .map(pair => ({
+                ...pair,
+                reserve0: null,
+                reserve1: null,
+                liquid: false,
+                liquidityCheckedAt: null,
+                verifiedAt
+            }));
+
+        for (const pair of fresh) {
+            this.pairs.set(pair.pairAddress.toLowerCase(), pair);
+        }
+        this.dexPriceService.addKnownPairs(fresh);
+
+        if (this.databaseService && fresh.length > 0) {
+            await this.databaseService.storePairs(fresh);
+        }
+
+        return fresh.length;
+    }
+
+    /**
+     * Read the reserves of every pair with a quote token and update its liquidity
+     * @returns {Promise<number>} Liquid pairs
+     */
+    async refreshLiquidity() {
+        const candidates = [...this.pairs.values()].filter(pair => this.getQuoteSide(pair) !== null);
+        if (candidates.length === 0) {
+            return 0;
+        }
+
+        const reserves = await this.web3Manager.multicall.getReserves(
+            candidates.map(pair => pair.pairAddress),
+            'latest',
+            { priority: 'bulk' }
+        );
+
+        const checkedAt = Date.now();
+        const updates = [];
+        candidates.forEach((pair, i) => {
+            if (!reserves[i]) {
+                return;
+            }
+
+            const side = this.getQuoteSide(pair);
+            const quoteToken = side === 0 ? pair.token0 : pair.token1;
+            const quoteReserve = BigInt(side === 0 ? reserves[i].reserve0 : reserves[i].reserve1);
+
+            pair.reserve0 = reserves[i].reserve0;
+            pair.reserve1 = reserves[i].reserve1;
+            pair.liquid = quoteReserve >= this.minQuoteReserves.get(quoteToken.toLowerCase());
+            pair.liquidityCheckedAt = checkedAt;
+            updates.push(pair);
+        });
+
+        this.stats.liquidityChecks += updates.length;
+        if (this.databaseService && updates.length > 0) {
+            await this.databaseService.storePairLiquidity(updates);
+        }
+
+        const liquid = updates.filter(pair => pair.liquid).length;
+        logger.info('Pair liquidity checked', {
+            checked: updates.length,
+            liquid
+        });
+
+        return liquid;
+    }
+
+    /**
+     * @param {Object} pair - Pair
+     * @returns {number|null} Side (0 or 1) of the pair's quote token, token0 when both are quote tokens
+     */
+    getQuoteSide(pair) {
+        if (this.minQuoteReserves.has(pair.token0.toLowerCase())) {
+            return 0;
+        }
+        if (this.minQuoteReserves.has(pair.token1.toLowerCase())) {
+            return 1;
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} dexName - Only pairs of this DEX (optional)
+     * @returns {Array} Liquid pairs
+     */
+    getLiquidPairs(dexName = null) {
+        return [...this.pairs.values()].filter(pair => pair.liquid && (!dexName || pair.dex === dexName));
+    }
+
+    /**
+     * Token pairs with a liquid pool on at least two DEXs
+     * @returns {Array} Array of {tokenA, tokenB, name, dexes}, shaped like configured direct pairs
+     */
+    getArbitragePairs() {
+        const byTokens = new Map();
+        for (const pair of this.getLiquidPairs()) {
+            const key = `${pair.token0}:${pair.token1}`;
+            if (!byTokens.has(key)) {
+                byTokens.set(key, { tokenA: pair.token0, tokenB: pair.token1, name: `${pair.token0}/${pair.token1}`, dexes: [] });
+            }
+            byTokens.get(key).dexes.push(pair.dex);
+        }
+
+        return [...byTokens.values()].filter(entry => new Set(entry.dexes).size >= 2);
+    }
+
+    /**
+     * @returns {Array<string>} Indexed V2 DEXs
+     */
+    getDexNames() {
+        return (this.options.dexes || this.dexPriceService.getSupportedDEXs()).filter(dexName => {
+            const dexConfig = this.dexPriceService.getDEXConfig(dexName);
+            return dexConfig && !dexConfig.type && dexConfig.factory;
+        });
+    }
+
+    /**
+     * Get discovery statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            pairs: this.pairs.size,
+            liquidPairs: this.getLiquidPairs().length,
+            enumerated: Object.fromEntries(this.enumerated),
+            followFromBlock: this.followFromBlock
+        };
+    }
+}
+
+module.exports = PairDiscovery;
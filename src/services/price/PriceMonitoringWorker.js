@@ -118,7 +118,7 @@ class PriceMonitoringWorker {
             
             // Stop block monitoring
             if (this.blockLevelManager) {
-                // Note: In a real implementation, we would properly unsubscribe from events
+                await this.blockLevelManager.stop();
                 this.blockLevelManager = null;
             }
             
@@ -274,7 +274,7 @@ class PriceMonitoringWorker {
             
             // Add to block-level manager if available
             if (this.blockLevelManager) {
-                this.blockLevelManager.markPairImpacted(pairAddress);
+                this.blockLevelManager.addPair(pairAddress);
             }
             
             logger.debug('Pair added to monitoring', { pairAddress });
@@ -0,0 +1,430 @@
+const { Decimal } = require('decimal.js');
+const { eth: { abi }, utils: web3Utils } = require('web3');
+const { KNOWN_TOKEN_BEHAVIOURS, TOKEN_METADATA } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+const ERC20_BALANCE_ABI = [
+    {
+        "inputs": [{"name": "account", "type": "address"}],
+        "name": "balanceOf",
+        "outputs": [{"name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+const DECIMALS_ABI = { name: 'decimals', type: 'function', inputs: [] };
+const SYMBOL_ABI = { name: 'symbol', type: 'function', inputs: [] };
+const NAME_ABI = { name: 'name', type: 'function', inputs: [] };
+
+/**
+ * Token Registry
+ * Tracks tokens whose transfers break the "amount received = amount sent" assumption:
+ * - Fee-on-transfer tokens withhold a share of every transfer (transferTaxBps)
+ * - Rebasing tokens change balances without transfers, so pair reserves drift from balances
+ *
+ * Entries come from the known-token list, from observed transfers (sent vs received) and
+ * from comparing a pair's token balance with its reserve; detections are persisted when a
+ * DatabaseService is attached.
+ *
+ * The registry also holds ERC-20 metadata (decimals, symbol, name), read once per token
+ * through Multicall3 and cached (and persisted) from then on, so prices can be quoted in
+ * whole tokens rather than raw units.
+ */
+class TokenRegistry {
+    constructor(web3Manager = null, options = {}) {
+        this.web3Manager = web3Manager;
+        this.options = {
+            rebaseToleranceBps: options.rebaseToleranceBps || 1, // Balance shortfall vs reserve flagged as rebasing
+            minObservedTaxBps: options.minObservedTaxBps || 1, // Smaller observed shortfalls are treated as rounding
+            ...options
+        };
+
+        this.databaseService = null;
+        this.tokens = new Map();
+        this.metadata = new Map();
+        this.pendingMetadata = new Map(); // Address -> read in flight, so concurrent lookups share it
+        this.stats = {
+            taxDetections: 0,
+            rebaseDetections: 0,
+            routesChecked: 0,
+            routesRejected: 0,
+            metadataReads: 0,
+            metadataFailures: 0
+        };
+
+        for (const [address, behaviour] of Object.entries(KNOWN_TOKEN_BEHAVIOURS)) {
+            this.setTokenProperties(address, { ...behaviour, source: 'known' });
+        }
+
+        for (const [address, metadata] of Object.entries(TOKEN_METADATA)) {
+            this.setTokenMetadata(address, { ...metadata, source: 'known' });
+        }
+    }
+
+    /**
+     * Attach a database, load stored token properties and metadata, and persist future
+     * detections and metadata reads
+     * @param {Object} databaseService - Initialized DatabaseService
+     * @returns {Promise<number>} Number of entries loaded
+     */
+    async loadFromDatabase(databaseService) {
+        this.databaseService = databaseService;
+
+        const stored = await databaseService.getTokenProperties();
+        for (const entry of stored) {
+            this.setTokenProperties(entry.address, entry);
+        }
+
+        const metadata = await databaseService.getTokenMetadata();
+        for (const entry of metadata) {
+            this.setTokenMetadata(entry.address, { ...entry, source: 'stored' });
+        }
+
+        logger.info('Token properties loaded', {
+            tokens: stored.length,
+            metadata: metadata.length,
+            service: 'token-registry'
+        });
+
+        return stored.length + metadata.length;
+    }
+
+    /**
+     * Set or replace the transfer behaviour of a token
+     * @param {string} address - Token address
+     * @param {Object} properties - { transferTaxBps?, rebasing?, symbol?, source? }
+     * @returns {Object} Stored properties
+     */
+    setTokenProperties(address, properties = {}) {
+        const transferTaxBps = Number(properties.transferTaxBps || 0);
+        if (!Number.isInteger(transferTaxBps) || transferTaxBps < 0 || transferTaxBps >= 10000) {
+            throw new Error(`Invalid transfer tax: ${properties.transferTaxBps} (expected basis points)`);
+        }
+
+        const entry = {
+            address: address.toLowerCase(),
+            symbol: properties.symbol || null,
+            transferTaxBps,
+            rebasing: Boolean(properties.rebasing),
+            source: properties.source || 'manual',
+            updatedAt: properties.updatedAt || Date.now()
+        };
+
+        this.tokens.set(entry.address, entry);
+        return entry;
+    }
+
+    /**
+     * Get the transfer behaviour of a token (untaxed and non-rebasing when unknown)
+     * @param {string} address - Token address
+     * @returns {Object} { address, symbol, transferTaxBps, rebasing, source, updatedAt }
+     */
+    getTokenProperties(address) {
+        return this.tokens.get(address.toLowerCase()) || {
+            address: address.toLowerCase(),
+            symbol: null,
+            transferTaxBps: 0,
+            rebasing: false,
+            source: 'default',
+            updatedAt: null
+        };
+    }
+
+    /**
+     * @param {string} address - Token address
+     * @returns {number} Transfer tax in basis points
+     */
+    getTransferTaxBps(address) {
+        return this.getTokenProperties(address).transferTaxBps;
+    }
+
+    /**
+     * @param {string} address - Token address
+     * @returns {boolean} Whether the token rebases
+     */
+    isRebasing(address) {
+        return this.getTokenProperties(address).rebasing;
+    }
+
+    /**
+     * Transfer taxes of many tokens, in the shape UniswapV2Math.getAmountsOut accepts
+     * @param {Array<string>} addresses - Token addresses
+     * @returns {Object} Tax in basis points keyed by lowercased address (taxed tokens only)
+     */
+    getTransferTaxes(addresses) {
+        const taxes = {};
+        for (const address of addresses) {
+            const tax = this.getTransferTaxBps(address);
+            if (tax > 0) {
+                taxes[address.toLowerCase()] = tax;
+            }
+        }
+        return taxes;
+    }
+
+    /**
+     * Record an observed transfer and update the token's tax from the shortfall
+     * The observed tax only ever rises: transfers exempt from the tax must not clear it
+     * @param {string} address - Token address
+     * @param {string|number} amountSent - Amount sent
+     * @param {string|number} amountReceived - Amount that arrived
+     * @returns {Object} Token properties after the observation
+     */
+    recordTransfer(address, amountSent, amountReceived) {
+        const sent = new Decimal(amountSent);
+        const received = new Decimal(amountReceived);
+
+        if (sent.lte(0) || received.lt(0) || received.gt(sent)) {
+            throw new Error(`Invalid transfer observation: sent=${amountSent}, received=${amountReceived}`);
+        }
+
+        const observedTaxBps = sent.minus(received).times(10000).dividedBy(sent).toDecimalPlaces(0, Decimal.ROUND_HALF_UP).toNumber();
+        const current = this.getTokenProperties(address);
+
+        if (observedTaxBps < this.options.minObservedTaxBps || observedTaxBps <= current.transferTaxBps) {
+            return current;
+        }
+
+        this.stats.taxDetections++;
+        logger.warn('Transfer tax detected', {
+            token: address,
+            transferTaxBps: observedTaxBps,
+            previousTaxBps: current.transferTaxBps,
+            service: 'token-registry'
+        });
+
+        return this.store(address, { ...current, transferTaxBps: observedTaxBps, source: 'observed', updatedAt: Date.now() });
+    }
+
+    /**
+     * Detect rebasing by comparing a pair's token balance with its reserve
+     * A pair only ever holds at least its reserve (extra transfers wait for sync/skim), so a
+     * balance below the reserve means balances moved without transfers
+     * @param {string} address - Token address
+     * @param {string} pairAddress - Pair holding the token
+     * @param {string|number} reserve - Pair reserve of the token at the same block
+     * @param {string} blockNumber - Block number (optional)
+     * @returns {Promise<boolean>} Whether the token is (now) flagged as rebasing
+     */
+    async detectRebasing(address, pairAddress, reserve, blockNumber = 'latest') {
+        if (!this.web3Manager) {
+            throw new Error('Rebase detection requires a Web3Manager');
+        }
+
+        const balance = await this.web3Manager.executeWithFailover(async (web3) => {
+            const tokenContract = new web3.eth.Contract(ERC20_BALANCE_ABI, address);
+            return await tokenContract.methods.balanceOf(pairAddress).call({}, blockNumber);
+        });
+
+        const reserveDecimal = new Decimal(reserve);
+        const floor = reserveDecimal.times(10000 - this.options.rebaseToleranceBps).dividedBy(10000);
+
+        if (new Decimal(balance.toString()).gte(floor)) {
+            return this.isRebasing(address);
+        }
+
+        this.stats.rebaseDetections++;
+        logger.warn('Rebasing token detected', {
+            token: address,
+            pairAddress,
+            balance: balance.toString(),
+            reserve: reserveDecimal.toString(),
+            service: 'token-registry'
+        });
+
+        this.store(address, { ...this.getTokenProperties(address), rebasing: true, source: 'observed', updatedAt: Date.now() });
+        return true;
+    }
+
+    /**
+     * Check whether a route can be priced
+     * Rebasing tokens are never allowed (reserves cannot be trusted); taxed tokens are allowed
+     * and their taxes returned for pricing, unless rejectTaxed is set
+     * @param {Array<string>} tokens - Tokens the route transfers
+     * @param {Object} options - { rejectTaxed? }
+     * @returns {Object} { allowed, reason, transferTaxes }
+     */
+    assessRoute(tokens, options = {}) {
+        this.stats.routesChecked++;
+
+        const rebasing = tokens.find(token => this.isRebasing(token));
+        if (rebasing) {
+            this.stats.routesRejected++;
+            return { allowed: false, reason: `Rebasing token in route: ${rebasing}`, transferTaxes: {} };
+        }
+
+        const transferTaxes = this.getTransferTaxes(tokens);
+        if (options.rejectTaxed && Object.keys(transferTaxes).length > 0) {
+            this.stats.routesRejected++;
+            return { allowed: false, reason: `Fee-on-transfer token in route: ${Object.keys(transferTaxes)[0]}`, transferTaxes };
+        }
+
+        return { allowed: true, reason: null, transferTaxes };
+    }
+
+    /**
+     * Set or replace the ERC-20 metadata of a token
+     * @param {string} address - Token address
+     * @param {Object} metadata - { decimals, symbol?, name?, source? }
+     * @returns {Object} Stored metadata
+     */
+    setTokenMetadata(address, metadata) {
+        const decimals = Number(metadata.decimals);
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+            throw new Error(`Invalid token decimals: ${metadata.decimals}`);
+        }
+
+        const entry = {
+            address: address.toLowerCase(),
+            symbol: metadata.symbol || null,
+            name: metadata.name || null,
+            decimals,
+            source: metadata.source || 'manual',
+            updatedAt: metadata.updatedAt || Date.now()
+        };
+
+        this.metadata.set(entry.address, entry);
+        return entry;
+    }
+
+    /**
+     * Get the ERC-20 metadata of a token, reading it on chain the first time
+     * @param {string} address - Token address
+     * @returns {Promise<Object|null>} { address, symbol, name, decimals, source, updatedAt }, null when unreadable
+     */
+    async getTokenMetadata(address) {
+        const [metadata] = await this.getTokenMetadataBatch([address]);
+        return metadata;
+    }
+
+    /**
+     * Get the ERC-20 metadata of many tokens; tokens not cached are read in one multicall
+     * A token whose decimals cannot be read is returned as null and read again next time
+     * @param {Array<string>} addresses - Token addresses
+     * @returns {Promise<Array<Object|null>>} Metadata in address order
+     */
+    async getTokenMetadataBatch(addresses) {
+        const missing = [...new Set(addresses.map(address => address.toLowerCase()))]
+            .filter(address => !this.metadata.has(address) && !this.pendingMetadata.has(address));
+
+        if (missing.length > 0) {
+            const read = this.readTokenMetadata(missing)
+                .finally(() => missing.forEach(address => this.pendingMetadata.delete(address)));
+            missing.forEach(address => this.pendingMetadata.set(address, read));
+        }
+
+        const pending = new Set(addresses.map(address => this.pendingMetadata.get(address.toLowerCase())).filter(Boolean));
+        await Promise.all(pending);
+
+        return addresses.map(address => this.metadata.get(address.toLowerCase()) || null);
+    }
+
+    /**
+     * Read decimals, symbol and name through Multicall3 and store what was read
+     * Never rejects: failed reads are logged and counted
+     * @param {Array<string>} addresses - Lowercased token addresses not cached
+     */
+    async readTokenMetadata(addresses) {
+        if (!this.web3Manager) {
+            return;
+        }
+
+        let results;
+        try {
+            const calls = addresses.flatMap(target => [
+                { target, callData: abi.encodeFunctionCall(DECIMALS_ABI, []), outputs: ['uint8'] },
+                { target, callData: abi.encodeFunctionCall(SYMBOL_ABI, []) },
+                { target, callData: abi.encodeFunctionCall(NAME_ABI, []) }
+            ]);
+            results = await this.web3Manager.aggregate(calls, 'latest', { priority: 'bulk' });
+        } catch (error) {
+            this.stats.metadataFailures += addresses.length;
+            logger.warn('Token metadata read failed', {
+                tokens: addresses.length,
+                error: error.message,
+                service: 'token-registry'
+            });
+            return;
+        }
+
+        addresses.forEach((address, index) => {
+            const [decimals, symbol, name] = results.slice(3 * index, 3 * index + 3);
+
+            if (!decimals.success) {
+                this.stats.metadataFailures++;
+                logger.warn('Token does not report its decimals', {
+                    token: address,
+                    service: 'token-registry'
+                });
+                return;
+            }
+
+            this.stats.metadataReads++;
+            const entry = this.setTokenMetadata(address, {
+                decimals: decimals.decoded[0],
+                symbol: symbol.success ? TokenRegistry.decodeString(symbol.returnData) : null,
+                name: name.success ? TokenRegistry.decodeString(name.returnData) : null,
+                source: 'chain'
+            });
+
+            if (this.databaseService) {
+                this.databaseService.storeTokenMetadata(entry);
+            }
+        });
+    }
+
+    /**
+     * Store an entry and persist it when a database is attached
+     * @param {string} address - Token address
+     * @param {Object} properties - Token properties
+     * @returns {Object} Stored properties
+     */
+    store(address, properties) {
+        const entry = this.setTokenProperties(address, properties);
+
+        if (this.databaseService) {
+            this.databaseService.storeTokenProperties(entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get registry statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        const entries = [...this.tokens.values()];
+
+        return {
+            ...this.stats,
+            tokensTracked: entries.length,
+            taxedTokens: entries.filter(entry => entry.transferTaxBps > 0).length,
+            rebasingTokens: entries.filter(entry => entry.rebasing).length,
+            metadataTokens: this.metadata.size
+        };
+    }
+
+    /**
+     * Decode a symbol() or name() result
+     * Some early tokens (MKR, SAI) return a null-padded bytes32 instead of a string
+     * @param {string} returnData - ABI-encoded return data
+     * @returns {string|null} Decoded string, null when it cannot be decoded
+     */
+    static decodeString(returnData) {
+        try {
+            if (!returnData || returnData === '0x') {
+                return null;
+            }
+            if (returnData.length === 66) {
+                return web3Utils.hexToUtf8(returnData.replace(/(00)+$/, '')) || null;
+            }
+            return abi.decodeParameter('string', returnData) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = TokenRegistry;
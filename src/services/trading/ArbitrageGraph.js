@@ -0,0 +1,315 @@
+const logger = require('../../utils/logger');
+const { Decimal } = require('decimal.js');
+const UniswapV2Math = require('../amm/UniswapV2Math');
+
+/**
+ * Arbitrage Graph
+ *
+ * Token graph used for cyclic arbitrage discovery:
+ * - Tokens are nodes, every pool on every DEX contributes one directed edge per swap direction
+ * - Edge weight is -ln(spot rate after fee), so a profitable cycle is a negative-weight cycle
+ * - A depth-first search enumerates every simple cycle up to maxHops and reports the negative ones.
+ *   The search is exhaustive, so its cost grows with (edges per token)^maxHops: keep maxHops small
+ * - Each cycle found is sized with the exact UniswapV2Math cycle optimizer, which assumes plain
+ *   transfers, so pools holding fee-on-transfer or rebasing tokens (per the optional TokenRegistry)
+ *   are left out of the search
+ */
+class ArbitrageGraph {
+    constructor(options = {}) {
+        this.options = {
+            minHops: options.minHops || 2, // Shortest cycle reported (2 = same pair on two DEXs)
+            maxHops: options.maxHops || 4, // Longest cycle searched
+            baseTokens: options.baseTokens || [], // Preferred cycle start tokens, in order
+            epsilon: options.epsilon || 1e-12, // Weight tolerance against float noise
+            tokenRegistry: options.tokenRegistry || null, // Excludes taxed and rebasing tokens when set
+            ...options
+        };
+
+        if (this.options.minHops < 2 || this.options.maxHops < this.options.minHops) {
+            throw new Error(`Invalid hop bounds: minHops=${this.options.minHops}, maxHops=${this.options.maxHops}`);
+        }
+
+        this.pools = new Map();
+        this.stats = {
+            poolsAdded: 0,
+            poolsExcluded: 0,
+            searches: 0,
+            cyclesFound: 0,
+            cyclesSized: 0,
+            lastSearchTime: 0
+        };
+    }
+
+    /**
+     * Add or refresh a pool
+     * Pools are keyed by dexName and pair address, so adding the same pool again replaces its reserves
+     * @param {Object} pool - { dexName, pairAddress, token0, token1, reserve0, reserve1, fee? }
+     */
+    addPool(pool) {
+        const { dexName, pairAddress, token0, token1, reserve0, reserve1, fee } = pool;
+
+        if (!token0 || !token1 || token0.toLowerCase() === token1.toLowerCase()) {
+            throw new Error(`Invalid pool tokens: ${token0}/${token1}`);
+        }
+
+        if (new Decimal(reserve0).lte(0) || new Decimal(reserve1).lte(0)) {
+            throw new Error(`Invalid pool reserves: reserve0=${reserve0}, reserve1=${reserve1}`);
+        }
+
+        // Validate the fee up front rather than in the middle of a search
+        UniswapV2Math.resolveFee(fee);
+
+        const key = `${dexName}:${pairAddress}`.toLowerCase();
+        if (!this.pools.has(key)) {
+            this.stats.poolsAdded++;
+        }
+
+        this.pools.set(key, {
+            dexName,
+            pairAddress,
+            token0: token0.toLowerCase(),
+            token1: token1.toLowerCase(),
+            reserve0: reserve0.toString(),
+            reserve1: reserve1.toString(),
+            fee
+        });
+    }
+
+    /**
+     * Remove a pool
+     * @param {string} dexName - DEX name
+     * @param {string} pairAddress - Pair address
+     * @returns {boolean} Whether the pool was present
+     */
+    removePool(dexName, pairAddress) {
+        return this.pools.delete(`${dexName}:${pairAddress}`.toLowerCase());
+    }
+
+    /**
+     * Remove all pools
+     */
+    clear() {
+        this.pools.clear();
+    }
+
+    /**
+     * Whether a pool holds a token the cycle math cannot price (fee-on-transfer or rebasing)
+     * @param {Object} pool - Stored pool
+     * @returns {boolean} True when the pool must stay out of the graph
+     */
+    isExcluded(pool) {
+        const registry = this.options.tokenRegistry;
+        if (!registry) {
+            return false;
+        }
+
+        return [pool.token0, pool.token1].some(token =>
+            registry.isRebasing(token) || registry.getTransferTaxBps(token) > 0
+        );
+    }
+
+    /**
+     * Build directed edges for every pool
+     * @returns {Array} Edges { id, from, to, dexName, pairAddress, reserveIn, reserveOut, fee, weight }
+     */
+    buildEdges() {
+        const edges = [];
+        let excluded = 0;
+
+        for (const pool of this.pools.values()) {
+            if (this.isExcluded(pool)) {
+                excluded++;
+                continue;
+            }
+
+            const { numerator, denominator } = UniswapV2Math.resolveFee(pool.fee);
+
+            for (const [from, to, reserveIn, reserveOut] of [
+                [pool.token0, pool.token1, pool.reserve0, pool.reserve1],
+                [pool.token1, pool.token0, pool.reserve1, pool.reserve0]
+            ]) {
+                const rate = new Decimal(reserveOut).div(reserveIn).mul(numerator).div(denominator);
+
+                edges.push({
+                    id: edges.length,
+                    from,
+                    to,
+                    dexName: pool.dexName,
+                    pairAddress: pool.pairAddress,
+                    reserveIn,
+                    reserveOut,
+                    fee: pool.fee,
+                    weight: rate.ln().neg().toNumber()
+                });
+            }
+        }
+
+        this.stats.poolsExcluded = excluded;
+        return edges;
+    }
+
+    /**
+     * Enumerate negative cycles up to maxHops
+     * Walks every simple path of at most maxHops edges. Each cycle is only walked from its first token in
+     * graph order, through later tokens, so it is visited once per edge sequence and nothing is pruned by
+     * weight: a profitable cycle within maxHops is always reported.
+     * @returns {Array} Cycles { tokens, edges, weight, rate } ordered by rate, best first
+     */
+    findNegativeCycles() {
+        const startTime = Date.now();
+        const edges = this.buildEdges();
+
+        const outgoing = new Map();
+        for (const edge of edges) {
+            if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+            outgoing.get(edge.from).push(edge);
+        }
+
+        const order = new Map([...outgoing.keys()].map((token, index) => [token, index]));
+        const cycles = new Map();
+
+        for (const source of outgoing.keys()) {
+            const sourceOrder = order.get(source);
+            const path = [];
+            const visited = new Set([source]);
+
+            const extend = (token, weight) => {
+                for (const edge of outgoing.get(token)) {
+                    const total = weight + edge.weight;
+
+                    if (edge.to === source) {
+                        if (path.length + 1 >= this.options.minHops && total < -this.options.epsilon) {
+                            this.recordCycle(cycles, [...path, edge], total);
+                        }
+                        continue;
+                    }
+
+                    // Later tokens only, and each once, so every simple cycle is walked from one start
+                    if (path.length + 1 >= this.options.maxHops || visited.has(edge.to) ||
+                        order.get(edge.to) < sourceOrder) {
+                        continue;
+                    }
+
+                    path.push(edge);
+                    visited.add(edge.to);
+                    extend(edge.to, total);
+                    visited.delete(edge.to);
+                    path.pop();
+                }
+            };
+
+            extend(source, 0);
+        }
+
+        const result = [...cycles.values()].sort((a, b) => a.weight - b.weight);
+
+        this.stats.searches++;
+        this.stats.cyclesFound += result.length;
+        this.stats.lastSearchTime = Date.now() - startTime;
+
+        logger.debug('Negative cycle search completed', {
+            pools: this.pools.size,
+            edges: edges.length,
+            cycles: result.length,
+            searchTime: this.stats.lastSearchTime,
+            service: 'arbitrage-graph'
+        });
+
+        return result;
+    }
+
+    /**
+     * Record a cycle once, rotated to start at the preferred base token
+     * @param {Map} cycles - Cycles keyed by canonical edge sequence
+     * @param {Array} path - Cycle edges
+     * @param {number} weight - Total cycle weight
+     */
+    recordCycle(cycles, path, weight) {
+        // Canonical key: edge ids rotated so the smallest id comes first
+        const ids = path.map(edge => edge.id);
+        const pivot = ids.indexOf(Math.min(...ids));
+        const key = [...ids.slice(pivot), ...ids.slice(0, pivot)].join('-');
+
+        if (cycles.has(key)) {
+            return;
+        }
+
+        const edges = this.rotateToBaseToken(path);
+
+        cycles.set(key, {
+            tokens: [...edges.map(edge => edge.from), edges[0].from],
+            edges,
+            weight,
+            rate: Math.exp(-weight)
+        });
+    }
+
+    /**
+     * Rotate cycle edges so the cycle starts at the first configured base token it contains
+     * @param {Array} path - Cycle edges
+     * @returns {Array} Rotated edges
+     */
+    rotateToBaseToken(path) {
+        for (const baseToken of this.options.baseTokens) {
+            const start = path.findIndex(edge => edge.from === baseToken.toLowerCase());
+            if (start !== -1) {
+                return [...path.slice(start), ...path.slice(0, start)];
+            }
+        }
+
+        return path;
+    }
+
+    /**
+     * Size a cycle with the exact AMM math
+     * @param {Object} cycle - Cycle from findNegativeCycles
+     * @returns {Object} Cycle with { optimalAmount, amounts, profit } in units of the start token
+     */
+    sizeCycle(cycle) {
+        const pools = cycle.edges.map(edge => ({
+            reserveIn: edge.reserveIn,
+            reserveOut: edge.reserveOut,
+            fee: edge.fee
+        }));
+
+        const sizing = UniswapV2Math.findOptimalCycle(pools);
+        this.stats.cyclesSized++;
+
+        return {
+            ...cycle,
+            pools,
+            ...sizing
+        };
+    }
+
+    /**
+     * Find and size every profitable cycle
+     * Cycles whose exact profit rounds away to nothing are dropped
+     * @returns {Array} Sized cycles ordered by rate, best first
+     */
+    findArbitrageCycles() {
+        return this.findNegativeCycles()
+            .map(cycle => this.sizeCycle(cycle))
+            .filter(cycle => new Decimal(cycle.profit).gt(0));
+    }
+
+    /**
+     * Get graph statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        const tokens = new Set();
+        for (const pool of this.pools.values()) {
+            tokens.add(pool.token0);
+            tokens.add(pool.token1);
+        }
+
+        return {
+            ...this.stats,
+            pools: this.pools.size,
+            tokens: tokens.size
+        };
+    }
+}
+
+module.exports = ArbitrageGraph;
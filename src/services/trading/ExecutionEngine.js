@@ -1,5 +1,6 @@
 const logger = require('../../utils/logger');
 const { Decimal } = require('decimal.js');
+const RiskManager = require('./RiskManager');
 
 /**
  * Execution Engine
@@ -25,6 +26,10 @@ class ExecutionEngine {
             flashLoanEnabled: options.flashLoanEnabled || false,
             mevProtection: options.mevProtection || true,
             privateTxEnabled: options.privateTxEnabled || false,
+            priorityFeePercentile: options.priorityFeePercentile || 90, // Fee history percentile the priority fee is taken at
+            verifyReserves: options.verifyReserves !== undefined ? options.verifyReserves : true, // Quorum reserve check before building the transaction
+            maxReserveDrift: options.maxReserveDrift || 0.005, // 0.5% reserve change since detection
+            reserveQuorum: options.reserveQuorum || null, // Providers to read reserves from (null: Web3Manager's quorumSize)
             ...options
         };
         
@@ -88,6 +93,18 @@ class ExecutionEngine {
                 throw new Error('Opportunity expired');
             }
             
+            // Final reserve check, agreed on by a quorum of providers
+            if (this.options.verifyReserves) {
+                const reserveCheck = await RiskManager.verifyReserves(this.web3Manager, opportunity, {
+                    quorum: this.options.reserveQuorum,
+                    maxDrift: this.options.maxReserveDrift,
+                    priority: 'execution'
+                });
+                if (!reserveCheck.approved) {
+                    throw new Error(`Reserve check failed: ${reserveCheck.warnings.join('; ')}`);
+                }
+            }
+            
             // Prepare transaction
             const transaction = await this.prepareArbitrageTransaction(opportunity, walletConfig);
             
@@ -180,12 +197,11 @@ class ExecutionEngine {
             // Create arbitrage contract call
             const arbitrageData = await this.buildArbitrageCall(opportunity);
             
-            // Get current gas price
-            const gasPrice = await this.web3Manager.getGasPrice();
-            
-            // Calculate priority fee for MEV protection
-            const priorityFee = this.options.mevProtection ? 
-                await this.calculatePriorityFee() : '0';
+            // EIP-1559 fee fields from the fee oracle
+            const fees = await this.web3Manager.feeOracle.getFeeParams({
+                percentile: this.options.priorityFeePercentile,
+                priority: 'execution'
+            });
             
             // Build transaction
             const transaction = {
@@ -193,9 +209,8 @@ class ExecutionEngine {
                 to: this.getArbitrageContractAddress(opportunity),
                 data: arbitrageData,
                 gas: '0', // Will be estimated
-                gasPrice: gasPrice,
-                maxPriorityFeePerGas: priorityFee,
-                maxFeePerGas: this.calculateMaxFeePerGas(gasPrice, priorityFee),
+                maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+                maxFeePerGas: fees.maxFeePerGas,
                 value: '0', // No ETH sent
                 nonce: await web3.eth.getTransactionCount(walletConfig.address, 'pending')
             };
@@ -523,50 +538,6 @@ class ExecutionEngine {
         }
     }
     
-    /**
-     * Calculate priority fee for MEV protection
-     * @returns {Promise<string>} Priority fee in wei
-     */
-    async calculatePriorityFee() {
-        try {
-            // In production, you'd use a more sophisticated MEV protection strategy
-            // For now, return a conservative priority fee
-            return '2000000000'; // 2 gwei
-            
-        } catch (error) {
-            logger.error('Error calculating priority fee', {
-                error: error.message,
-                service: 'defi-arbitrage-bot'
-            });
-            return '0';
-        }
-    }
-    
-    /**
-     * Calculate max fee per gas
-     * @param {string} gasPrice - Base gas price
-     * @param {string} priorityFee - Priority fee
-     * @returns {string} Max fee per gas
-     */
-    calculateMaxFeePerGas(gasPrice, priorityFee) {
-        try {
-            const baseFee = new Decimal(gasPrice);
-            const priority = new Decimal(priorityFee);
-            
-            // Max fee = base fee + priority fee + buffer
-            const maxFee = baseFee.plus(priority).times(1.1); // 10% buffer
-            
-            return maxFee.toString();
-            
-        } catch (error) {
-            logger.error('Error calculating max fee per gas', {
-                error: error.message,
-                service: 'defi-arbitrage-bot'
-            });
-            return gasPrice;
-        }
-    }
-    
     /**
      * Calculate updated gas cost
      * @param {number} gasEstimate - Gas estimate
@@ -574,7 +545,11 @@ class ExecutionEngine {
      */
     async calculateUpdatedGasCost(gasEstimate) {
         try {
-            const gasPrice = await this.web3Manager.getGasPrice();
+            // Next block's base fee plus the priority fee the transaction will offer
+            const gasPrice = await this.web3Manager.feeOracle.getGasPrice({
+                percentile: this.options.priorityFeePercentile,
+                priority: 'execution'
+            });
             const gasUsed = new Decimal(gasEstimate);
             const price = new Decimal(gasPrice);
             
@@ -10,9 +10,13 @@ const { Decimal } = require('decimal.js');
  * - Exposure limits and portfolio management
  * - Slippage protection and price impact analysis
  * - Risk metrics and monitoring
+ * - Final pre-trade reserve check, read through a quorum of RPC providers
  */
 class RiskManager {
-    constructor(options = {}) {
+    constructor(options = {}, web3Manager = null) {
+        // Optional: without it the quorum reserve check is skipped
+        this.web3Manager = web3Manager;
+        
         // Configuration
         this.options = {
             maxPositionSizeUSD: options.maxPositionSizeUSD || 10000, // Maximum position size
@@ -23,6 +27,8 @@ class RiskManager {
             maxConcurrentPositions: options.maxConcurrentPositions || 5,
             maxDailyLoss: options.maxDailyLoss || 1000, // $1000 max daily loss
             maxDrawdown: options.maxDrawdown || 0.2, // 20% maximum drawdown
+            maxReserveDrift: options.maxReserveDrift || 0.005, // 0.5% reserve change since detection
+            reserveQuorum: options.reserveQuorum || null, // Providers to read reserves from (null: Web3Manager's quorumSize)
             ...options
         };
         
@@ -114,6 +120,15 @@ class RiskManager {
                 return assessment;
             }
             
+            // Check reserves against a quorum of providers
+            if (this.web3Manager) {
+                const reserveCheck = await this.checkReserves(opportunity);
+                if (!reserveCheck.approved) {
+                    assessment.warnings.push(...reserveCheck.warnings);
+                    return assessment;
+                }
+            }
+            
             // Calculate risk score
             assessment.riskScore = this.calculateRiskScore(opportunity, positionSizing.size);
             
@@ -330,6 +345,118 @@ class RiskManager {
         return result;
     }
     
+    /**
+     * Check that the pools still hold the reserves the opportunity was priced on
+     * @param {Object} opportunity - Arbitrage opportunity
+     * @returns {Promise<Object>} Reserve check result
+     */
+    async checkReserves(opportunity) {
+        return RiskManager.verifyReserves(this.web3Manager, opportunity, {
+            quorum: this.options.reserveQuorum,
+            maxDrift: this.options.maxReserveDrift
+        });
+    }
+    
+    /**
+     * Read the V2 pairs of both legs, including the parallel pools of split legs, at the current
+     * head through a quorum of providers and compare their reserves with the ones the opportunity
+     * was detected on. Fails when the providers disagree (a stale or misbehaving node) or when any
+     * reserve moved by more than maxDrift. Legs on V3, StableSwap or weighted pools have no
+     * getReserves() and are not checked here, nor are legs without a reserve snapshot.
+     * @param {Object} web3Manager - Web3Manager instance
+     * @param {Object} opportunity - Opportunity with buy/sellPairAddress, buy/sellReserves,
+     *   buy/sellPoolType and buy/sellSplitPools
+     * @param {Object} options - { quorum?, maxDrift, priority? }
+     * @returns {Promise<Object>} { approved, warnings, blockNumber?, drift? }
+     */
+    static async verifyReserves(web3Manager, opportunity, options = {}) {
+        const result = {
+            approved: true,
+            warnings: []
+        };
+        
+        const candidates = [];
+        for (const side of ['buy', 'sell']) {
+            const label = side === 'buy' ? 'Buy' : 'Sell';
+            if ((opportunity[`${side}PoolType`] || 'v2') === 'v2') {
+                candidates.push({
+                    key: side,
+                    label: `${label} pair`,
+                    pairAddress: opportunity[`${side}PairAddress`],
+                    expected: opportunity[`${side}Reserves`]
+                });
+            }
+            for (const pool of opportunity[`${side}SplitPools`] || []) {
+                candidates.push({
+                    key: `${side}:${pool.dex}`,
+                    label: `${label} split pair on ${pool.dex}`,
+                    pairAddress: pool.pairAddress,
+                    expected: pool.reserves
+                });
+            }
+        }
+        const legs = candidates.filter(leg => leg.pairAddress && Array.isArray(leg.expected) && leg.expected.length >= 2);
+        if (legs.length === 0) {
+            return result;
+        }
+        
+        try {
+            result.blockNumber = await web3Manager.getBlockNumber();
+            const current = await web3Manager.multicall.getReserves(legs.map(leg => leg.pairAddress), result.blockNumber, {
+                priority: options.priority || 'normal',
+                quorum: options.quorum || web3Manager.quorumSize
+            });
+            
+            const maxDrift = new Decimal(options.maxDrift);
+            result.drift = {};
+            legs.forEach((leg, index) => {
+                if (!current[index]) {
+                    result.approved = false;
+                    result.warnings.push(`Could not read ${leg.label.toLowerCase()} reserves`);
+                    return;
+                }
+                
+                const drift = Decimal.max(
+                    RiskManager.getRelativeChange(leg.expected[0], current[index].reserve0),
+                    RiskManager.getRelativeChange(leg.expected[1], current[index].reserve1)
+                );
+                result.drift[leg.key] = drift.toNumber();
+                if (drift.greaterThan(maxDrift)) {
+                    result.approved = false;
+                    result.warnings.push(`${leg.label} reserves moved ${drift.times(100).toFixed(2)}% since detection > ${maxDrift.times(100).toString()}%`);
+                }
+            });
+            
+        } catch (error) {
+            result.approved = false;
+            result.warnings.push('Reserve quorum check failed: ' + error.message);
+        }
+        
+        if (!result.approved) {
+            logger.warn('Pre-trade reserve check failed', {
+                opportunityId: opportunity.id,
+                blockNumber: result.blockNumber,
+                warnings: result.warnings,
+                service: 'defi-arbitrage-bot'
+            });
+        }
+        
+        return result;
+    }
+    
+    /**
+     * @param {string|number} expected - Reserve at detection
+     * @param {string|number} actual - Current reserve
+     * @returns {Decimal} |actual - expected| / expected
+     */
+    static getRelativeChange(expected, actual) {
+        const base = new Decimal(expected.toString());
+        if (base.isZero()) {
+            return new Decimal(actual.toString()).isZero() ? new Decimal(0) : new Decimal(Infinity);
+        }
+        return new Decimal(actual.toString()).minus(base).abs().dividedBy(base);
+    }
+    
     /**
      * Check portfolio exposure
      * @param {Object} opportunity - Arbitrage opportunity
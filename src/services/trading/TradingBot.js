@@ -34,7 +34,7 @@ class TradingBot {
         // Initialize components
         this.strategyEngine = new TradingStrategyEngine(web3Manager, dexPriceService, options.strategy || {});
         this.executionEngine = new ExecutionEngine(web3Manager, options.execution || {});
-        this.riskManager = new RiskManager(options.risk || {});
+        this.riskManager = new RiskManager(options.risk || {}, web3Manager);
         
         // State management
         this.isRunning = false;
@@ -282,7 +282,7 @@ class TradingBot {
     async stopBlockMonitoring() {
         try {
             if (this.blockSubscription) {
-                // In production, you'd properly unsubscribe
+                await this.blockSubscription.stop();
                 this.blockSubscription = null;
             }
             
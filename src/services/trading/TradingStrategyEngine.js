@@ -1,6 +1,11 @@
 const logger = require('../../utils/logger');
 const { Decimal } = require('decimal.js');
-const UniswapV2Math = require('../amm/UniswapV2Math');
+const PoolMath = require('../amm/PoolMath');
+const TokenRegistry = require('../token/TokenRegistry');
+const { TOKENS } = require('../../utils/constants');
+
+// Tokens valued at one dollar
+const USD_STABLECOINS = new Set([TOKENS.USDC, TOKENS.USDT, TOKENS.DAI].map(token => token.toLowerCase()));
 
 /**
  * Trading Strategy Engine
@@ -17,6 +22,9 @@ class TradingStrategyEngine {
         this.web3Manager = web3Manager;
         this.dexPriceService = dexPriceService;
         
+        // Fee-on-transfer and rebasing token knowledge; pass one in to share it across services
+        this.tokenRegistry = options.tokenRegistry || new TokenRegistry(web3Manager);
+        
         // Configuration
         this.options = {
             minProfitUSD: options.minProfitUSD || 10, // Minimum profit in USD
@@ -27,8 +35,12 @@ class TradingStrategyEngine {
             maxGasPriceGwei: options.maxGasPriceGwei || 100, // Maximum gas price
             opportunityTimeout: options.opportunityTimeout || 30000, // 30 seconds
             minLiquidityUSD: options.minLiquidityUSD || 100000, // Minimum liquidity
+            rejectTaxedTokens: options.rejectTaxedTokens || false, // Skip fee-on-transfer pairs instead of pricing the tax
+            maxSplitPools: options.maxSplitPools || 3, // V2 pools a leg may be split across (1 = no splitting)
+            ethPriceUSD: options.ethPriceUSD || 2000, // WETH price in USD until a price oracle is wired in
             ...options
         };
+        delete this.options.tokenRegistry;
         
         // State management
         this.activeOpportunities = new Map();
@@ -70,10 +82,8 @@ class TradingStrategyEngine {
         const opportunities = [];
         
         try {
-            // Get current gas price for cost calculation
-            const gasPrice = await this.web3Manager.executeWithFailover(async (web3) => {
-                return await web3.eth.getGasPrice();
-            });
+            // Expected next-block gas price (base fee plus median priority fee) for cost calculation
+            const gasPrice = await this.web3Manager.feeOracle.getGasPrice();
             const gasPriceGwei = this.web3Manager.getCurrentWeb3().utils.fromWei(gasPrice, 'gwei');
             
             // Check if gas price is acceptable
@@ -132,6 +142,19 @@ class TradingStrategyEngine {
         const opportunities = [];
         
         try {
+            // Rebasing tokens (and taxed ones, if so configured) cannot be priced from reserves
+            const route = this.tokenRegistry.assessRoute([pair.tokenA, pair.tokenB], {
+                rejectTaxed: this.options.rejectTaxedTokens
+            });
+            if (!route.allowed) {
+                logger.debug('Skipping token pair', {
+                    pair,
+                    reason: route.reason,
+                    service: 'defi-arbitrage-bot'
+                });
+                return opportunities;
+            }
+            
             // Get prices from all DEXs
             const pricePromises = dexList.map(dex => 
                 this.dexPriceService.getPrice(pair.tokenA, pair.tokenB, dex, blockNumber)
@@ -148,7 +171,8 @@ class TradingStrategyEngine {
             );
             
             const prices = await Promise.all(pricePromises);
-            const validPrices = prices.filter(price => price !== null);
+            // Pools are compared in whole tokens, which needs both tokens' decimals
+            const validPrices = prices.filter(price => price !== null && price.normalizedPrice0 !== null);
             
             if (validPrices.length < 2) {
                 return opportunities; // Need at least 2 DEXs for arbitrage
@@ -161,10 +185,16 @@ class TradingStrategyEngine {
             for (const price of validPrices) {
                 const priceData = {
                     dex: price.dexName,
-                    price0: new Decimal(price.price0),
-                    price1: new Decimal(price.price1),
+                    price0: new Decimal(price.normalizedPrice0),
+                    price1: new Decimal(price.normalizedPrice1),
                     liquidityUSD: this.calculateLiquidityUSD(price),
                     reserves: [price.reserve0, price.reserve1],
+                    feeBps: price.feeBps,
+                    token0: price.token0,
+                    token1: price.token1,
+                    decimals1: price.decimals1,
+                    poolType: price.poolType || 'v2',
+                    pool: price.pool,
                     pairAddress: price.pairAddress
                 };
                 
@@ -184,8 +214,11 @@ class TradingStrategyEngine {
                     
                     if (buyDex.dex === sellDex.dex) continue; // Same DEX
                     
+                    // Large legs may execute better split across the pair's other V2 pools
+                    const { buyLeg, sellLeg } = this.getSplitLegs(buyDex, sellDex, buyOpportunities);
+                    
                     const opportunity = await this.calculateArbitrageOpportunity(
-                        pair, buyDex, sellDex, gasPrice, blockNumber
+                        pair, buyLeg, sellLeg, gasPrice, blockNumber
                     );
                     
                     if (opportunity && this.qualifyOpportunity(opportunity)) {
@@ -228,15 +261,25 @@ class TradingStrategyEngine {
                 return null;
             }
             
-            // Calculate optimal trade size
-            const optimalAmount = this.calculateOptimalTradeSize(buyDex, sellDex);
+            // Calculate optimal trade size, net of any transfer taxes along the route
+            const transferTaxes = this.getRouteTransferTaxes(pair);
+            const optimalAmount = this.calculateOptimalTradeSize(buyDex, sellDex, transferTaxes);
             
             if (optimalAmount.lessThanOrEqualTo(0)) {
                 return null;
             }
             
             // Calculate gross profit
-            const grossProfit = this.calculateGrossProfit(optimalAmount, buyPrice, sellPrice);
+            const retainedFraction = transferTaxes.reduce(
+                (fraction, tax) => fraction.times(new Decimal(10000 - tax).dividedBy(10000)),
+                new Decimal(1)
+            );
+            // The route starts and ends in token1, so its profit is valued at token1's USD price
+            const unitPriceUSD = this.getToken1UnitPriceUSD(buyDex);
+            if (!unitPriceUSD) {
+                return null;
+            }
+            const grossProfit = this.calculateGrossProfit(optimalAmount, buyPrice, sellPrice, retainedFraction).times(unitPriceUSD);
             
             // Calculate gas costs
             const gasCost = await this.calculateGasCost(gasPrice);
@@ -266,6 +309,21 @@ class TradingStrategyEngine {
                 sellLiquidityUSD: sellDex.liquidityUSD.toString(),
                 buyPairAddress: buyDex.pairAddress,
                 sellPairAddress: sellDex.pairAddress,
+                buyPoolType: buyDex.poolType || 'v2',
+                sellPoolType: sellDex.poolType || 'v2',
+                // Reserves the opportunity was priced on, re-checked before execution
+                buyReserves: buyDex.reserves ? buyDex.reserves.map(String) : null,
+                sellReserves: sellDex.reserves ? sellDex.reserves.map(String) : null,
+                buySplitDexes: (buyDex.splitWith || []).map(dexData => dexData.dex),
+                sellSplitDexes: (sellDex.splitWith || []).map(dexData => dexData.dex),
+                // Parallel V2 pools of split legs, re-checked like the legs themselves
+                buySplitPools: (buyDex.splitWith || []).map(dexData => ({
+                    dex: dexData.dex, pairAddress: dexData.pairAddress, reserves: dexData.reserves.map(String)
+                })),
+                sellSplitPools: (sellDex.splitWith || []).map(dexData => ({
+                    dex: dexData.dex, pairAddress: dexData.pairAddress, reserves: dexData.reserves.map(String)
+                })),
+                transferTaxBps: transferTaxes,
                 blockNumber,
                 timestamp: Date.now(),
                 expiresAt: Date.now() + this.options.opportunityTimeout,
@@ -288,12 +346,85 @@ class TradingStrategyEngine {
     }
     
     /**
-     * Calculate optimal trade size using UniswapV2Math
+     * Transfer taxes along a buy-then-sell route, in the order PoolMath expects:
+     * token1 into the buy pool, token0 from the buy pool to the sell pool, token1 back out
+     * @param {Object} pair - {tokenA, tokenB} object
+     * @returns {Array<number>} Three transfer taxes in basis points
+     */
+    getRouteTransferTaxes(pair) {
+        const [token0, token1] = pair.tokenA.toLowerCase() < pair.tokenB.toLowerCase()
+            ? [pair.tokenA, pair.tokenB]
+            : [pair.tokenB, pair.tokenA];
+        const tax0 = this.tokenRegistry.getTransferTaxBps(token0);
+        const tax1 = this.tokenRegistry.getTransferTaxBps(token1);
+        
+        return [tax1, tax0, tax1];
+    }
+    
+    /**
+     * Attach parallel V2 pools of the same pair to the buy and sell legs
+     * Pools priced below the midpoint of the buy and sell prices can help the buy leg, pools above
+     * it the sell leg; each leg keeps the best-priced ones up to maxSplitPools in total.
+     * Only V2 legs are split, and the chosen pools are listed in dexData.splitWith
      * @param {Object} buyDex - Buy DEX data
      * @param {Object} sellDex - Sell DEX data
+     * @param {Array} candidates - DEX data of every pool quoted for the pair
+     * @returns {Object} { buyLeg, sellLeg }
+     */
+    getSplitLegs(buyDex, sellDex, candidates) {
+        const isV2 = (dexData) => !dexData.pool || (dexData.pool.type || 'v2') === 'v2';
+        const midpoint = buyDex.price0.plus(sellDex.price0).dividedBy(2);
+        const parallel = candidates.filter(dexData =>
+            dexData.dex !== buyDex.dex && dexData.dex !== sellDex.dex && isV2(dexData) &&
+            Array.isArray(dexData.reserves) && dexData.reserves.length >= 2
+        );
+        
+        const withSplit = (dexData, pools) => {
+            const splitWith = pools.slice(0, this.options.maxSplitPools - 1);
+            return isV2(dexData) && splitWith.length > 0 ? { ...dexData, splitWith } : dexData;
+        };
+        
+        return {
+            buyLeg: withSplit(buyDex, parallel
+                .filter(dexData => dexData.price0.lessThan(midpoint))
+                .sort((a, b) => a.price0.comparedTo(b.price0))),
+            sellLeg: withSplit(sellDex, parallel
+                .filter(dexData => dexData.price0.greaterThan(midpoint))
+                .sort((a, b) => b.price0.comparedTo(a.price0)))
+        };
+    }
+    
+    /**
+     * Pool descriptor for a DEX leg: the reader's pool state when it supplied one (V3, StableSwap, weighted),
+     * a split over the parallel V2 pools when getSplitLegs attached any, otherwise a V2 pool built from the reserves
+     * @param {Object} dexData - Buy or sell DEX data
+     * @returns {Object} Pool for PoolMath
+     */
+    toPoolState(dexData) {
+        const pool = dexData.pool || {
+            type: 'v2',
+            reserve0: dexData.reserves[0].toString(),
+            reserve1: dexData.reserves[1].toString(),
+            fee: dexData.feeBps
+        };
+        
+        if (dexData.splitWith && dexData.splitWith.length > 0) {
+            return { type: 'split', pools: [pool, ...dexData.splitWith.map(parallel => this.toPoolState(parallel))] };
+        }
+        
+        return pool;
+    }
+    
+    /**
+     * Calculate optimal trade size across the buy and sell pools
+     * V2/V2 pairs use the closed-form solver; legs on any other pool type, or split across
+     * parallel pools, are searched with exact quotes
+     * @param {Object} buyDex - Buy DEX data
+     * @param {Object} sellDex - Sell DEX data
+     * @param {Array<number>} [transferTaxes] - Route transfer taxes from getRouteTransferTaxes
      * @returns {Decimal} Optimal trade amount
      */
-    calculateOptimalTradeSize(buyDex, sellDex) {
+    calculateOptimalTradeSize(buyDex, sellDex, transferTaxes = null) {
         try {
             // Validate that reserves exist
             if (!buyDex.reserves || !sellDex.reserves || 
@@ -325,26 +456,22 @@ class TradingStrategyEngine {
                 return new Decimal(0);
             }
             
-            // Use UniswapV2Math to find optimal trade size
-            const poolA = {
-                reserveIn: buyReserves[0].toString(),
-                reserveOut: buyReserves[1].toString()
-            };
+            // Buying token0 on the cheaper DEX spends token1 there (token1 -> token0),
+            // selling it on the dearer DEX returns token1 (token0 -> token1)
+            const legs = [
+                { pool: this.toPoolState(buyDex), zeroForOne: false },
+                { pool: this.toPoolState(sellDex), zeroForOne: true }
+            ];
             
-            const poolB = {
-                reserveIn: sellReserves[1].toString(),
-                reserveOut: sellReserves[0].toString()
-            };
+            // Profit-maximising size, capped at the configured position size
+            const result = PoolMath.calculateOptimalArbitrage(legs, transferTaxes ? { transferTaxes } : {});
             
-            const gasCost = new Decimal(60); // Estimated gas cost in USD
-            
-            const result = UniswapV2Math.findOptimalTradeSize(
-                poolA, poolB,
-                this.options.maxPositionSizeUSD,
-                gasCost.toString()
-            );
+            if (new Decimal(result.profit).lte(0)) {
+                return new Decimal(0);
+            }
             
-            const optimalAmount = new Decimal(result.optimalAmount);
+            const maxAmount = this.getMaxPositionAmount(buyDex);
+            const optimalAmount = maxAmount ? Decimal.min(result.optimalAmount, maxAmount) : new Decimal(result.optimalAmount);
             
             // Validate the result
             if (optimalAmount.lte(0) || optimalAmount.isNaN()) {
@@ -369,7 +496,8 @@ class TradingStrategyEngine {
             
             // Fallback: use a simple fixed amount
             try {
-                return new Decimal(this.options.maxPositionSizeUSD).times(0.1); // 10% of max position size
+                const maxAmount = this.getMaxPositionAmount(buyDex);
+                return maxAmount ? maxAmount.times(0.1).floor() : new Decimal(0); // 10% of max position size
             } catch (fallbackError) {
                 logger.error('Fallback optimal trade size calculation also failed', {
                     error: fallbackError.message,
@@ -380,20 +508,57 @@ class TradingStrategyEngine {
         }
     }
     
+    /**
+     * Largest trade allowed by maxPositionSizeUSD, in raw units of the input token (token1)
+     * @param {Object} dexData - Buy DEX data
+     * @returns {Decimal|null} Amount cap, or null when token1 cannot be valued in USD; such pools are
+     *   not capped here, since qualifyOpportunity rejects them for lacking USD liquidity anyway
+     */
+    getMaxPositionAmount(dexData) {
+        const unitPriceUSD = this.getToken1UnitPriceUSD(dexData);
+        return unitPriceUSD ? new Decimal(this.options.maxPositionSizeUSD).dividedBy(unitPriceUSD).floor() : null;
+    }
+    
+    /**
+     * USD value of one raw unit of a leg's token1
+     * Uses token1's own USD price, or token0's converted through the leg's price
+     * @param {Object} dexData - DEX data with tokens, token1 decimals and normalized price0
+     * @returns {Decimal|null} USD per raw token1 unit, or null when neither token has a USD price
+     */
+    getToken1UnitPriceUSD(dexData) {
+        if (dexData.decimals1 === null || dexData.decimals1 === undefined) {
+            return null;
+        }
+        
+        const unit = new Decimal(10).pow(dexData.decimals1);
+        const priceUSD1 = this.getTokenPriceUSD(dexData.token1);
+        if (priceUSD1) {
+            return priceUSD1.dividedBy(unit);
+        }
+        
+        const priceUSD0 = this.getTokenPriceUSD(dexData.token0);
+        if (priceUSD0 && dexData.price0 && dexData.price0.greaterThan(0)) {
+            return priceUSD0.dividedBy(dexData.price0).dividedBy(unit);
+        }
+        
+        return null;
+    }
+    
     /**
      * Calculate gross profit from arbitrage
      * @param {Decimal} amount - Trade amount
      * @param {Decimal} buyPrice - Buy price
      * @param {Decimal} sellPrice - Sell price
-     * @returns {Decimal} Gross profit in USD
+     * @param {Decimal} [retainedFraction] - Share of the value left after transfer taxes (1 = untaxed)
+     * @returns {Decimal} Gross profit, in the units of amount
      */
-    calculateGrossProfit(amount, buyPrice, sellPrice) {
+    calculateGrossProfit(amount, buyPrice, sellPrice, retainedFraction = new Decimal(1)) {
         try {
             // Calculate tokens received from buy
             const tokensReceived = amount.dividedBy(buyPrice);
             
-            // Calculate USD received from sell
-            const usdReceived = tokensReceived.times(sellPrice);
+            // Calculate USD received from sell, less what the route's transfers withhold
+            const usdReceived = tokensReceived.times(sellPrice).times(retainedFraction);
             
             // Calculate gross profit
             const grossProfit = usdReceived.minus(amount);
@@ -429,8 +594,7 @@ class TradingStrategyEngine {
             const gasCostWei = gasWithBuffer.times(gasPrice);
             
             // Convert to USD (simplified - in production, use price oracle)
-            const ethPriceUSD = new Decimal(2000); // Placeholder - should use price oracle
-            const gasCostUSD = gasCostWei.dividedBy(new Decimal(10).pow(18)).times(ethPriceUSD);
+            const gasCostUSD = gasCostWei.dividedBy(new Decimal(10).pow(18)).times(this.options.ethPriceUSD);
             
             return gasCostUSD;
             
@@ -444,21 +608,49 @@ class TradingStrategyEngine {
         }
     }
     
+    /**
+     * USD price of a whole token: one dollar for the listed stablecoins, ethPriceUSD for WETH
+     * @param {string} token - Token address
+     * @returns {Decimal|null} Price in USD, or null for tokens without a known USD price
+     */
+    getTokenPriceUSD(token) {
+        const address = token ? token.toLowerCase() : null;
+        
+        if (USD_STABLECOINS.has(address)) {
+            return new Decimal(1);
+        }
+        
+        if (address === TOKENS.WETH.toLowerCase()) {
+            return new Decimal(this.options.ethPriceUSD);
+        }
+        
+        return null;
+    }
+    
     /**
      * Calculate liquidity in USD
-     * @param {Object} priceData - Price data from DEX
+     * Both reserves are valued in whichever token has a known USD price, token1 first,
+     * and converted to USD; pools with neither token priced count as no liquidity
+     * @param {Object} priceData - Price data from DEX, with tokens, token decimals and normalized prices
      * @returns {Decimal} Liquidity in USD
      */
     calculateLiquidityUSD(priceData) {
         try {
-            const reserve0 = new Decimal(priceData.reserve0);
-            const reserve1 = new Decimal(priceData.reserve1);
-            const price0 = new Decimal(priceData.price0);
+            // Reserves in whole tokens, so they can be valued with the normalized price
+            const reserve0 = new Decimal(priceData.reserve0).dividedBy(new Decimal(10).pow(priceData.decimals0));
+            const reserve1 = new Decimal(priceData.reserve1).dividedBy(new Decimal(10).pow(priceData.decimals1));
             
-            // Calculate liquidity in USD (simplified)
-            const liquidityUSD = reserve0.times(price0).plus(reserve1);
+            const priceUSD1 = this.getTokenPriceUSD(priceData.token1);
+            if (priceUSD1) {
+                return reserve0.times(priceData.normalizedPrice0).plus(reserve1).times(priceUSD1);
+            }
+            
+            const priceUSD0 = this.getTokenPriceUSD(priceData.token0);
+            if (priceUSD0) {
+                return reserve1.times(priceData.normalizedPrice1).plus(reserve0).times(priceUSD0);
+            }
             
-            return liquidityUSD;
+            return new Decimal(0);
             
         } catch (error) {
             logger.error('Error calculating liquidity USD', {
@@ -6,11 +6,94 @@ const UNISWAP_V2_CONSTANTS = {
     INIT_CODE_HASH: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f'
 };
 
+// Uniswap V3 Constants
+const UNISWAP_V3_CONSTANTS = {
+    // Fee tier (hundredths of a basis point) -> tick spacing
+    FEE_TIERS: {
+        100: 1,
+        500: 10,
+        3000: 60,
+        10000: 200
+    },
+    FEE_PIPS_DENOMINATOR: 1000000,
+    MIN_TICK: -887272,
+    MAX_TICK: 887272,
+    MIN_SQRT_RATIO: '4295128739',
+    MAX_SQRT_RATIO: '1461446703485210103287273052203988822378723970342'
+};
+
+// Curve StableSwap Constants
+const STABLESWAP_CONSTANTS = {
+    FEE_DENOMINATOR: '10000000000', // Pool fees are expressed in 1e10 units (4000000 = 0.04%)
+    PRECISION: '1000000000000000000',
+    MAX_ITERATIONS: 255
+};
+
+// Curve Pool Addresses
+const CURVE_POOLS = {
+    THREE_POOL: '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7' // DAI/USDC/USDT
+};
+
+// Balancer Weighted Pool Constants
+const WEIGHTED_POOL_CONSTANTS = {
+    ONE: '1000000000000000000', // Weights and swap fees are 1e18 fixed point
+    MAX_IN_RATIO: '0.3', // Swaps may not add more than 30% of the input balance
+    MAX_OUT_RATIO: '0.3', // or remove more than 30% of the output balance
+    VAULT: '0xBA12222222228d8Ba445958a75a0704d566BF2C8'
+};
+
+// Balancer Pool Addresses
+const BALANCER_POOLS = {
+    BAL_WETH_80_20: '0x5c6Ee304399DBdB9C8Ef030aB642B10820DB8F56'
+};
+
 // DEX Factory Addresses
 const DEX_FACTORIES = {
     UNISWAP_V2: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
     SUSHISWAP: '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac',
-    PANCAKESWAP: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73'
+    PANCAKESWAP: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73',
+    UNISWAP_V3: '0x1F98431c8aD98523631AE4a59f267346ea31F984'
+};
+
+// Keccak-256 of each V2 fork's pair creation code: pairs are deployed by CREATE2 from the
+// factory with salt keccak256(token0, token1), so their addresses can be derived offline.
+// Forks without an entry resolve pair addresses through factory.getPair only.
+const DEX_INIT_CODE_HASHES = {
+    UNISWAP_V2: UNISWAP_V2_CONSTANTS.INIT_CODE_HASH,
+    SUSHISWAP: '0xe18a34eb0e04b04f7a0ac29a6e80748dca96319b42c54d679cb821dca90c6303',
+    PANCAKESWAP: '0x00fb7f630766e6a796048ea87d01acd3068e8ff67d078148a3fa3f4a84f69bd5'
+};
+
+// Uniswap V2 factory and pair events (topic0: keccak256 of the event signature)
+const V2_EVENT_TOPICS = {
+    PAIR_CREATED: '0x0d3648bd0f6ba80134a33ba9275ac585d9d315f0ad8355cddefde31afa28d0e9', // PairCreated(address indexed token0, address indexed token1, address pair, uint256)
+    SYNC: '0x1c411e9a96e071241c2f21f7726b17ae89e3cab4c78be50e062b03a9fffbbad1' // Sync(uint112 reserve0, uint112 reserve1)
+};
+
+// Multicall3 (deployed at the same address on Ethereum and most EVM chains)
+const MULTICALL3_CONSTANTS = {
+    ADDRESS: '0xcA11bde05977b3631167028862bE2a173976CA11'
+};
+
+// EIP-1559 base fee rules
+const EIP1559_CONSTANTS = {
+    BASE_FEE_MAX_CHANGE_DENOMINATOR: 8, // Base fee moves at most 1/8 (12.5%) per block
+    ELASTICITY_MULTIPLIER: 2 // Gas target is half the block gas limit
+};
+
+// Compute units per JSON-RPC method (as metered by Alchemy and similar providers), for per-provider budgets
+// Contract reads are eth_call; methods not listed cost DEFAULT
+const RPC_COMPUTE_UNITS = {
+    eth_blockNumber: 10,
+    eth_gasPrice: 20,
+    eth_call: 26,
+    eth_getBlockByNumber: 16,
+    eth_getTransactionReceipt: 15,
+    eth_getLogs: 75,
+    eth_feeHistory: 10,
+    eth_estimateGas: 87,
+    eth_sendRawTransaction: 250,
+    DEFAULT: 26
 };
 
 // Token Addresses (Ethereum Mainnet)
@@ -18,7 +101,25 @@ const TOKENS = {
     WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
     USDC: '0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
     USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-    DAI: '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+    DAI: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+    BAL: '0xba100000625a3754423978a60c9317c58a424e3D'
+};
+
+// ERC-20 metadata of the listed tokens (seed data for the TokenRegistry; other tokens are read on chain)
+const TOKEN_METADATA = {
+    [TOKENS.WETH]: { symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
+    [TOKENS.USDC]: { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+    [TOKENS.USDT]: { symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+    [TOKENS.DAI]: { symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
+    [TOKENS.BAL]: { symbol: 'BAL', name: 'Balancer', decimals: 18 }
+};
+
+// Tokens whose transfers do not deliver the amount sent (seed data for the TokenRegistry)
+// transferTaxBps: share of every transfer withheld by the token; rebasing: balances change without transfers
+const KNOWN_TOKEN_BEHAVIOURS = {
+    '0x45804880De22913dAFE09f4980848ECE6EcbAf78': { symbol: 'PAXG', transferTaxBps: 2, rebasing: false },
+    '0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84': { symbol: 'stETH', transferTaxBps: 0, rebasing: true },
+    '0xD46bA6D942050d489DBd938a2C909A5d5039A161': { symbol: 'AMPL', transferTaxBps: 0, rebasing: true }
 };
 
 // Arbitrage Configuration
@@ -50,8 +151,20 @@ const ERROR_MESSAGES = {
 
 module.exports = {
     UNISWAP_V2_CONSTANTS,
+    UNISWAP_V3_CONSTANTS,
+    STABLESWAP_CONSTANTS,
+    CURVE_POOLS,
+    WEIGHTED_POOL_CONSTANTS,
+    BALANCER_POOLS,
     DEX_FACTORIES,
+    DEX_INIT_CODE_HASHES,
+    V2_EVENT_TOPICS,
+    MULTICALL3_CONSTANTS,
+    EIP1559_CONSTANTS,
+    RPC_COMPUTE_UNITS,
     TOKENS,
+    TOKEN_METADATA,
+    KNOWN_TOKEN_BEHAVIOURS,
     ARBITRAGE_CONFIG,
     GAS_CONFIG,
     ERROR_MESSAGES
@@ -0,0 +1,190 @@
+const ArbitrageGraph = require('../../src/services/trading/ArbitrageGraph');
+const UniswapV2Math = require('../../src/services/amm/UniswapV2Math');
+const TokenRegistry = require('../../src/services/token/TokenRegistry');
+
+describe('ArbitrageGraph', () => {
+    const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+    const USDC = '0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+    const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+    const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+
+    const E18 = '000000000000000000';
+
+    const pool = (dexName, pairAddress, token0, token1, reserve0, reserve1, fee = 30) => ({
+        dexName, pairAddress, token0, token1, reserve0, reserve1, fee
+    });
+
+    // Consistent prices: 1 WETH = 2000 USDC = 2000 DAI = 2000 USDT
+    const addBalancedMarket = (graph) => {
+        graph.addPool(pool('uniswap', '0x01', WETH, USDC, `1000${E18}`, `2000000${E18}`));
+        graph.addPool(pool('uniswap', '0x02', USDC, DAI, `5000000${E18}`, `5000000${E18}`, 5));
+        graph.addPool(pool('sushiswap', '0x03', DAI, WETH, `2000000${E18}`, `1000${E18}`));
+        graph.addPool(pool('sushiswap', '0x04', USDC, USDT, `3000000${E18}`, `3000000${E18}`, 5));
+        graph.addPool(pool('uniswap', '0x05', USDT, WETH, `2000000${E18}`, `1000${E18}`));
+    };
+
+    describe('Initialization', () => {
+        test('should initialize with default options', () => {
+            const graph = new ArbitrageGraph();
+
+            expect(graph.options.minHops).toBe(2);
+            expect(graph.options.maxHops).toBe(4);
+            expect(graph.getStats().pools).toBe(0);
+        });
+
+        test('should reject invalid hop bounds', () => {
+            expect(() => new ArbitrageGraph({ minHops: 3, maxHops: 2 })).toThrow('Invalid hop bounds');
+        });
+    });
+
+    describe('addPool', () => {
+        test('should add two directed edges per pool', () => {
+            const graph = new ArbitrageGraph();
+            graph.addPool(pool('uniswap', '0x01', WETH, USDC, `1000${E18}`, `2000000${E18}`));
+
+            const edges = graph.buildEdges();
+
+            expect(edges).toHaveLength(2);
+            expect(edges[0].from).toBe(WETH.toLowerCase());
+            expect(edges[0].reserveIn).toBe(`1000${E18}`);
+            // -ln(2000 * 0.997)
+            expect(edges[0].weight).toBeCloseTo(-Math.log(2000 * 0.997), 10);
+            expect(edges[1].weight).toBeCloseTo(-Math.log(0.997 / 2000), 10);
+        });
+
+        test('should replace a pool added twice', () => {
+            const graph = new ArbitrageGraph();
+            graph.addPool(pool('uniswap', '0x01', WETH, USDC, `1000${E18}`, `2000000${E18}`));
+            graph.addPool(pool('uniswap', '0x01', WETH, USDC, `1100${E18}`, `2000000${E18}`));
+
+            expect(graph.getStats().pools).toBe(1);
+            expect(graph.buildEdges()[0].reserveIn).toBe(`1100${E18}`);
+        });
+
+        test('should reject invalid pools', () => {
+            const graph = new ArbitrageGraph();
+
+            expect(() => graph.addPool(pool('uniswap', '0x01', WETH, WETH, '1', '1'))).toThrow('Invalid pool tokens');
+            expect(() => graph.addPool(pool('uniswap', '0x01', WETH, USDC, '0', '1'))).toThrow('Invalid pool reserves');
+            expect(() => graph.addPool(pool('uniswap', '0x01', WETH, USDC, '1', '1', -5))).toThrow('Invalid fee');
+        });
+    });
+
+    describe('findNegativeCycles', () => {
+        test('should find nothing in a consistently priced market', () => {
+            const graph = new ArbitrageGraph();
+            addBalancedMarket(graph);
+
+            expect(graph.findNegativeCycles()).toEqual([]);
+        });
+
+        test('should find a mispriced triangle once, starting at the base token', () => {
+            const graph = new ArbitrageGraph({ baseTokens: [WETH] });
+            addBalancedMarket(graph);
+            // DAI is 5% cheap against WETH on sushiswap
+            graph.addPool(pool('sushiswap', '0x03', DAI, WETH, `2100000${E18}`, `1000${E18}`));
+
+            const cycles = graph.findNegativeCycles();
+            const triangles = cycles.filter(cycle => cycle.edges.length === 3);
+
+            expect(triangles).toHaveLength(1);
+            expect(triangles[0].tokens).toEqual([WETH, DAI, USDC, WETH].map(t => t.toLowerCase()));
+            expect(triangles[0].weight).toBeLessThan(0);
+            expect(triangles[0].rate).toBeGreaterThan(1);
+        });
+
+        test('should find 4-hop cycles up to maxHops only', () => {
+            const mispricedMarket = (graph) => {
+                graph.addPool(pool('uniswap', '0x01', WETH, USDC, `1000${E18}`, `2000000${E18}`));
+                graph.addPool(pool('uniswap', '0x02', USDC, DAI, `5000000${E18}`, `5000000${E18}`, 5));
+                graph.addPool(pool('sushiswap', '0x06', DAI, USDT, `5000000${E18}`, `5000000${E18}`, 5));
+                // USDT is 5% cheap against WETH
+                graph.addPool(pool('uniswap', '0x05', USDT, WETH, `2100000${E18}`, `1000${E18}`));
+            };
+
+            const shallow = new ArbitrageGraph({ maxHops: 3 });
+            mispricedMarket(shallow);
+            expect(shallow.findNegativeCycles()).toEqual([]);
+
+            const deep = new ArbitrageGraph({ maxHops: 4, baseTokens: [WETH] });
+            mispricedMarket(deep);
+            const cycles = deep.findNegativeCycles();
+
+            expect(cycles).toHaveLength(1);
+            expect(cycles[0].tokens).toEqual([WETH, USDT, DAI, USDC, WETH].map(t => t.toLowerCase()));
+        });
+
+        test('should find a cycle whose every prefix is outranked by a cheaper path', () => {
+            const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599';
+            const graph = new ArbitrageGraph({ baseTokens: [WETH] });
+            graph.addPool(pool('uniswap', '0x01', WETH, USDC, `1600${E18}`, `1500${E18}`));
+            graph.addPool(pool('uniswap', '0x02', WETH, DAI, `1700${E18}`, `1500${E18}`));
+            graph.addPool(pool('uniswap', '0x03', WETH, USDT, `1400${E18}`, `1100${E18}`));
+            graph.addPool(pool('uniswap', '0x04', USDC, DAI, `2000${E18}`, `2200${E18}`));
+            graph.addPool(pool('uniswap', '0x05', USDC, USDT, `1900${E18}`, `1600${E18}`));
+            graph.addPool(pool('uniswap', '0x06', USDC, WBTC, `1100${E18}`, `1100${E18}`));
+            graph.addPool(pool('uniswap', '0x07', DAI, USDT, `1800${E18}`, `2300${E18}`));
+            graph.addPool(pool('uniswap', '0x08', DAI, WBTC, `1200${E18}`, `1200${E18}`));
+
+            // A search keeping only the cheapest path into each token misses this cycle from every start
+            const cycles = graph.findNegativeCycles();
+            const keys = cycles.map(cycle => cycle.edges.map(edge => edge.id).sort().join('-'));
+
+            expect(cycles.map(cycle => cycle.tokens))
+                .toContainEqual([WETH, USDC, WBTC, DAI, WETH].map(t => t.toLowerCase()));
+            expect(new Set(keys).size).toBe(cycles.length);
+            expect(cycles.every(cycle => cycle.weight < 0 && cycle.edges.length <= 4)).toBe(true);
+        });
+
+        test('should find two-hop cycles across DEXs and respect minHops', () => {
+            const addMarket = (graph) => {
+                graph.addPool(pool('uniswap', '0x01', WETH, USDC, `1000${E18}`, `2000000${E18}`));
+                graph.addPool(pool('sushiswap', '0x11', WETH, USDC, `1000${E18}`, `2100000${E18}`));
+            };
+
+            const graph = new ArbitrageGraph({ baseTokens: [WETH] });
+            addMarket(graph);
+            const cycles = graph.findNegativeCycles();
+
+            expect(cycles).toHaveLength(1);
+            expect(cycles[0].edges.map(edge => edge.dexName)).toEqual(['sushiswap', 'uniswap']);
+
+            const triangularOnly = new ArbitrageGraph({ minHops: 3 });
+            addMarket(triangularOnly);
+            expect(triangularOnly.findNegativeCycles()).toEqual([]);
+        });
+    });
+
+    describe('token registry', () => {
+        test('should leave pools with taxed or rebasing tokens out of the search', () => {
+            const tokenRegistry = new TokenRegistry();
+            tokenRegistry.setTokenProperties(DAI, { transferTaxBps: 10 });
+
+            const graph = new ArbitrageGraph({ baseTokens: [WETH], tokenRegistry });
+            addBalancedMarket(graph);
+            graph.addPool(pool('sushiswap', '0x03', DAI, WETH, `2100000${E18}`, `1000${E18}`));
+
+            // Only the three DAI-free pools remain, and they are consistently priced
+            expect(graph.buildEdges()).toHaveLength(6);
+            expect(graph.getStats().poolsExcluded).toBe(2);
+            expect(graph.findNegativeCycles()).toEqual([]);
+        });
+    });
+
+    describe('findArbitrageCycles', () => {
+        test('should size each cycle with the exact AMM math', () => {
+            const graph = new ArbitrageGraph({ baseTokens: [WETH] });
+            addBalancedMarket(graph);
+            graph.addPool(pool('sushiswap', '0x03', DAI, WETH, `2100000${E18}`, `1000${E18}`));
+
+            const cycles = graph.findArbitrageCycles();
+            const triangle = cycles.find(cycle => cycle.edges.length === 3);
+            const expected = UniswapV2Math.findOptimalCycle(triangle.pools);
+
+            expect(triangle.optimalAmount).toBe(expected.optimalAmount);
+            expect(triangle.profit).toBe(expected.profit);
+            expect(BigInt(triangle.profit) > 0n).toBe(true);
+            expect(graph.getStats().cyclesSized).toBe(cycles.length);
+        });
+    });
+});
@@ -0,0 +1,155 @@
+const { Web3 } = require('web3');
+const BlockLevelPriceManager = require('../../src/services/price/BlockLevelPriceManager');
+const { V2_EVENT_TOPICS } = require('../../src/utils/constants');
+
+const abi = new Web3().eth.abi;
+
+const PAIR_A = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+const PAIR_B = '0x0d4a11d5EEaaC28EC3F61d100daF4d40471f1852';
+
+const syncLog = (pairAddress, reserve0, reserve1, logIndex) => ({
+    address: pairAddress.toLowerCase(),
+    topics: [V2_EVENT_TOPICS.SYNC],
+    data: abi.encodeParameters(['uint112', 'uint112'], [reserve0, reserve1]),
+    logIndex: BigInt(logIndex)
+});
+
+const header = (number, extra = {}) => ({
+    number,
+    hash: `0xhash${number}`,
+    parentHash: `0xhash${number - 1}`,
+    timestamp: 1700000000 + number,
+    ...extra
+});
+
+const createWeb3Manager = () => ({
+    getCurrentWeb3: () => ({ eth: { abi } }),
+    getLogs: jest.fn().mockResolvedValue({ logs: [] }),
+    aggregate: jest.fn(async (calls) => calls.map(() => ({
+        success: true,
+        returnData: abi.encodeParameters(['uint112', 'uint112', 'uint32'], ['1000', '2000', '1'])
+    })))
+});
+
+describe('BlockLevelPriceManager', () => {
+    let manager;
+    let priceManager;
+
+    beforeEach(() => {
+        manager = createWeb3Manager();
+        priceManager = new BlockLevelPriceManager(manager, [PAIR_A, PAIR_B]);
+        priceManager.lastBlockNumber = 100;
+        priceManager.lastBlockHash = '0xhash100';
+        // Both pairs priced at the last block
+        priceManager.setReserves(PAIR_A, '1000', '2000', 100, '0xhash100', '1');
+        priceManager.setReserves(PAIR_B, '3000', '4000', 100, '0xhash100', '1');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should apply reserves from Sync logs without reading reserves', async () => {
+        manager.getLogs.mockResolvedValue({
+            logs: [
+                // PAIR_A syncs twice in the block; the later Sync holds its reserves
+                syncLog(PAIR_A, '7000', '8000', 5),
+                syncLog(PAIR_A, '5000', '6000', 2)
+            ]
+        });
+        const markPairImpacted = jest.spyOn(priceManager, 'markPairImpacted');
+
+        await priceManager.onNewBlock(header(101));
+
+        expect(manager.getLogs).toHaveBeenCalledWith({
+            address: [PAIR_A, PAIR_B],
+            topics: [V2_EVENT_TOPICS.SYNC],
+            fromBlock: 101,
+            toBlock: 101
+        }, { priority: 'bulk' });
+        expect(markPairImpacted.mock.calls).toEqual([[PAIR_A]]);
+        expect(manager.aggregate).not.toHaveBeenCalled();
+        expect(priceManager.getPriceData(PAIR_A)).toMatchObject({
+            reserve0: '7000',
+            reserve1: '8000',
+            blockNumber: 101,
+            blockHash: '0xhash101',
+            blockTimestampLast: String(1700000101)
+        });
+        // PAIR_B did not sync, so its reserves carry over to the new block
+        expect(priceManager.getPriceData(PAIR_B)).toMatchObject({ reserve0: '3000', reserve1: '4000', blockNumber: 101 });
+        expect(priceManager.getStats()).toMatchObject({ syncEvents: 2, syncedPairs: 1, impactedPairsCount: 0 });
+    });
+
+    test('should keep quiet pairs priced for longer than the cache TTL', async () => {
+        let now = Date.now();
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        priceManager.setReserves(PAIR_A, '1000', '2000', 100, '0xhash100', '1');
+        priceManager.setReserves(PAIR_B, '3000', '4000', 100, '0xhash100', '1');
+
+        // 12 second blocks without a Sync log, well past the 30 second TTL
+        for (let block = 101; block <= 110; block++) {
+            now += 12000;
+            await priceManager.onNewBlock(header(block));
+            expect(priceManager.getPriceData(PAIR_B)).toMatchObject({ reserve0: '3000', blockNumber: block });
+        }
+
+        expect(manager.aggregate).not.toHaveBeenCalled();
+    });
+
+    test('should read pairs that were not priced at the parent block', async () => {
+        priceManager.priceCache.delete(PAIR_B);
+
+        await priceManager.onNewBlock(header(101));
+
+        expect(manager.aggregate.mock.calls[0][0].map(call => call.target)).toEqual([PAIR_B]);
+        expect(priceManager.getPriceData(PAIR_B)).toMatchObject({ reserve0: '1000', blockNumber: 101 });
+    });
+
+    test('should read every pair after a skipped block or a reorg', async () => {
+        await priceManager.onNewBlock(header(103));
+
+        expect(manager.getLogs).not.toHaveBeenCalled();
+        expect(manager.aggregate.mock.calls[0][0].map(call => call.target)).toEqual([PAIR_A, PAIR_B]);
+
+        // The next block, but not built on the last one (reorg)
+        await priceManager.onNewBlock(header(104, { parentHash: '0xother' }));
+
+        expect(manager.getLogs).not.toHaveBeenCalled();
+        expect(manager.aggregate).toHaveBeenCalledTimes(2);
+        expect(priceManager.getStats().fullRefreshes).toBe(2);
+    });
+
+    test('should read every pair when the Sync logs cannot be read', async () => {
+        manager.getLogs.mockRejectedValue(new Error('Timeout'));
+
+        await priceManager.onNewBlock(header(101));
+
+        expect(manager.aggregate).toHaveBeenCalledTimes(1);
+        expect(priceManager.getPriceData(PAIR_B)).toMatchObject({ reserve0: '1000', reserve1: '2000', blockNumber: 101 });
+    });
+
+    test('should read added pairs once, then follow their Sync logs', async () => {
+        const PAIR_C = '0xA478c2975Ab1Ea89e8196811F51A7B7Ade33eB11';
+        priceManager.addPair(PAIR_C);
+
+        await priceManager.onNewBlock(header(101));
+
+        expect(manager.aggregate.mock.calls[0][0].map(call => call.target)).toEqual([PAIR_C]);
+        expect(manager.getLogs.mock.calls[0][0].address).toEqual([PAIR_A, PAIR_B, PAIR_C]);
+
+        await priceManager.onNewBlock(header(102));
+
+        expect(manager.aggregate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should poll every pair each block when configured to', async () => {
+        priceManager = new BlockLevelPriceManager(manager, [PAIR_A, PAIR_B], { reserveSource: 'poll' });
+        priceManager.lastBlockNumber = 100;
+
+        await priceManager.onNewBlock(header(101));
+
+        expect(manager.getLogs).not.toHaveBeenCalled();
+        expect(manager.aggregate).toHaveBeenCalledTimes(1);
+    });
+});
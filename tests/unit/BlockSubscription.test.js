@@ -0,0 +1,201 @@
+const { EventEmitter } = require('events');
+const BlockSubscription = require('../../src/services/blockchain/BlockSubscription');
+const CircuitBreaker = require('../../src/services/blockchain/CircuitBreaker');
+
+const header = (number, hash = `0x${number.toString(16)}`) => ({ number, hash });
+
+const createWeb3Manager = (providerCount = 2) => {
+    const subscriptions = [];
+    const manager = {
+        currentProviderIndex: 0,
+        providers: Array.from({ length: providerCount }, (_, i) => ({ name: `Provider${i}` })),
+        circuitBreakers: Array.from({ length: providerCount }, (_, i) => new CircuitBreaker(`Provider${i}`)),
+        chainHead: 0,
+        subscriptions,
+        isProviderAvailable: (index) => manager.circuitBreakers[index].allowsRequests(),
+        selectProvider: jest.fn((exclude) => {
+            const index = manager.providers.findIndex((_, i) => !exclude.has(i));
+            return index === -1 ? null : index;
+        }),
+        recordProviderResult: jest.fn(),
+        getBlockNumber: jest.fn(async () => manager.chainHead),
+        getBlock: jest.fn(async (number) => header(number)),
+        executeWithFailover: jest.fn(async (operation) => operation({ eth: { getBlock: manager.getBlock } }))
+    };
+
+    manager.web3Instances = manager.providers.map((_, index) => ({
+        eth: {
+            subscribe: jest.fn(async () => {
+                const subscription = new EventEmitter();
+                subscription.providerIndex = index;
+                subscription.unsubscribe = jest.fn().mockResolvedValue(true);
+                subscriptions.push(subscription);
+                return subscription;
+            })
+        }
+    }));
+
+    return manager;
+};
+
+describe('BlockSubscription', () => {
+    let manager;
+    let delivered;
+    let subscription;
+
+    const latest = () => manager.subscriptions[manager.subscriptions.length - 1];
+    const emit = (blockHeader) => {
+        latest().emit('data', blockHeader);
+        return subscription.queue;
+    };
+
+    beforeEach(async () => {
+        manager = createWeb3Manager();
+        delivered = [];
+        subscription = new BlockSubscription(manager, (block) => delivered.push(block), {
+            stallTimeout: 1000
+        });
+        await subscription.start();
+    });
+
+    afterEach(async () => {
+        await subscription.stop();
+        jest.useRealTimers();
+    });
+
+    test('should subscribe on the current provider and deliver headers', async () => {
+        await emit(header(100));
+        await emit(header(101));
+
+        expect(manager.web3Instances[0].eth.subscribe).toHaveBeenCalledWith('newBlockHeaders');
+        expect(delivered.map(b => b.number)).toEqual([100, 101]);
+        expect(subscription.getStatus()).toMatchObject({ provider: 'Provider0', lastBlockNumber: 101 });
+    });
+
+    test('should backfill a gap in order before the new header', async () => {
+        await emit(header(100));
+        await emit(header(104));
+
+        expect(delivered.map(b => b.number)).toEqual([100, 101, 102, 103, 104]);
+        expect(delivered.filter(b => b.backfilled).map(b => b.number)).toEqual([101, 102, 103]);
+        expect(manager.getBlock).toHaveBeenCalledWith(101, false);
+        expect(subscription.stats.blocksBackfilled).toBe(3);
+    });
+
+    test('should skip duplicates and stale headers but deliver a reorged block', async () => {
+        await emit(header(100));
+        await emit(header(100));
+        await emit(header(99));
+        await emit(header(100, '0xreorg'));
+
+        expect(delivered.map(b => b.hash)).toEqual(['0x64', '0xreorg']);
+    });
+
+    test('should only backfill the most recent blocks of a large gap', async () => {
+        subscription.options.maxBackfillBlocks = 2;
+
+        await emit(header(100));
+        await emit(header(110));
+
+        expect(delivered.map(b => b.number)).toEqual([100, 108, 109, 110]);
+        expect(subscription.stats.blocksSkipped).toBe(7);
+    });
+
+    test('should hold back blocks the provider has not indexed yet and retry them on the next header', async () => {
+        manager.getBlock.mockImplementation(async (number) => (number === 102 ? null : header(number)));
+
+        await emit(header(100));
+        await emit(header(103));
+
+        expect(delivered.map(b => b.number)).toEqual([100, 101]);
+        expect(subscription.stats.backfillsDeferred).toBe(1);
+
+        manager.getBlock.mockImplementation(async (number) => header(number));
+        await emit(header(104));
+
+        expect(delivered.map(b => b.number)).toEqual([100, 101, 102, 103, 104]);
+        expect(delivered.filter(b => b.backfilled).map(b => b.number)).toEqual([101, 102, 103]);
+    });
+
+    test('should resubscribe on another provider after an error and catch up', async () => {
+        await emit(header(100));
+        manager.chainHead = 103;
+
+        manager.subscriptions[0].emit('error', new Error('socket closed'));
+        await subscription.reconnecting;
+
+        expect(manager.subscriptions[0].unsubscribe).toHaveBeenCalled();
+        expect(manager.recordProviderResult).toHaveBeenCalledWith(0, false);
+        expect(latest().providerIndex).toBe(1);
+        expect(delivered.map(b => b.number)).toEqual([100, 101, 102, 103]);
+        expect(subscription.stats).toMatchObject({ errors: 1, reconnects: 1 });
+
+        // Headers from the dropped subscription are ignored
+        manager.subscriptions[0].emit('data', header(200));
+        await emit(header(104));
+        expect(delivered.map(b => b.number)).toEqual([100, 101, 102, 103, 104]);
+    });
+
+    test('should treat a stalled subscription as dead', async () => {
+        jest.useFakeTimers();
+        await emit(header(100));
+
+        jest.advanceTimersByTime(1000);
+        await subscription.reconnecting;
+
+        expect(subscription.stats.stalls).toBe(1);
+        expect(latest().providerIndex).toBe(1);
+    });
+
+    test('should collapse concurrent disconnects into one reconnect', async () => {
+        const first = subscription.handleDisconnect('error', new Error('a'));
+        const second = subscription.handleDisconnect('stall');
+
+        expect(second).toBe(first);
+        await first;
+        expect(manager.subscriptions).toHaveLength(2);
+    });
+
+    test('should fall back to the failed provider when it is the only one', async () => {
+        await subscription.stop();
+        manager = createWeb3Manager(1);
+        subscription = new BlockSubscription(manager, (block) => delivered.push(block));
+        await subscription.start();
+
+        await subscription.handleDisconnect('error', new Error('socket closed'));
+
+        expect(manager.subscriptions).toHaveLength(2);
+        expect(latest().providerIndex).toBe(0);
+    });
+
+    test('should retry later when no provider accepts the subscription', async () => {
+        jest.useFakeTimers();
+        await subscription.stop();
+        manager.web3Instances.forEach(instance => {
+            instance.eth.subscribe.mockRejectedValueOnce(new Error('connection refused'));
+        });
+        subscription = new BlockSubscription(manager, (block) => delivered.push(block), {
+            reconnectDelay: 500
+        });
+        await subscription.start();
+
+        expect(subscription.getStatus().provider).toBeNull();
+        expect(manager.recordProviderResult).toHaveBeenCalledTimes(2);
+
+        jest.advanceTimersByTime(500);
+        await subscription.reconnecting;
+
+        expect(subscription.getStatus().provider).toBe('Provider0');
+    });
+
+    test('should stop delivering after stop', async () => {
+        const stream = latest();
+        await subscription.stop();
+
+        stream.emit('data', header(100));
+        await subscription.queue;
+
+        expect(stream.unsubscribe).toHaveBeenCalled();
+        expect(delivered).toEqual([]);
+    });
+});
@@ -0,0 +1,77 @@
+const CircuitBreaker = require('../../src/services/blockchain/CircuitBreaker');
+
+describe('CircuitBreaker', () => {
+    let transitions;
+    let breaker;
+
+    beforeEach(() => {
+        transitions = [];
+        breaker = new CircuitBreaker('Infura', {
+            failureThreshold: 3,
+            cooldownPeriod: 60000,
+            onStateChange: (from, to) => transitions.push(`${from}->${to}`)
+        });
+    });
+
+    test('should start closed and allow requests', () => {
+        expect(breaker.state).toBe('closed');
+        expect(breaker.allowsRequests()).toBe(true);
+    });
+
+    test('should open after consecutive failures only', () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+        breaker.recordFailure();
+        expect(breaker.state).toBe('closed');
+
+        breaker.recordFailure();
+
+        expect(breaker.state).toBe('open');
+        expect(breaker.allowsRequests()).toBe(false);
+        expect(transitions).toEqual(['closed->open']);
+    });
+
+    test('should only allow a probe once the cooldown has passed', () => {
+        for (let i = 0; i < 3; i++) breaker.recordFailure();
+
+        expect(breaker.isProbeDue()).toBe(false);
+        expect(breaker.getTimeUntilProbe()).toBeGreaterThan(59000);
+
+        breaker.openedAt -= 60000;
+
+        expect(breaker.isProbeDue()).toBe(true);
+        expect(breaker.getTimeUntilProbe()).toBe(0);
+    });
+
+    test('should close on a successful probe', () => {
+        for (let i = 0; i < 3; i++) breaker.recordFailure();
+
+        expect(breaker.startProbe()).toBe(true);
+        expect(breaker.state).toBe('half-open');
+        expect(breaker.allowsRequests()).toBe(false);
+
+        breaker.recordSuccess();
+
+        expect(breaker.state).toBe('closed');
+        expect(transitions).toEqual(['closed->open', 'open->half-open', 'half-open->closed']);
+    });
+
+    test('should reopen on a failed probe with a fresh cooldown', () => {
+        for (let i = 0; i < 3; i++) breaker.recordFailure();
+        breaker.openedAt -= 60000;
+
+        breaker.startProbe();
+        breaker.recordFailure();
+
+        expect(breaker.state).toBe('open');
+        expect(breaker.isProbeDue()).toBe(false);
+        expect(breaker.getStatus()).toMatchObject({ state: 'open', opened: 2, probes: 1 });
+    });
+
+    test('should not probe a closed circuit', () => {
+        expect(breaker.startProbe()).toBe(false);
+        expect(transitions).toEqual([]);
+    });
+});
@@ -69,6 +69,7 @@ describe('DEXPriceService', () => {
             expect(dexPriceService.dexConfigs.uniswap.fee).toBe(0.003);
             expect(dexPriceService.dexConfigs.sushiswap.name).toBe('SushiSwap');
             expect(dexPriceService.dexConfigs.sushiswap.fee).toBe(0.003);
+            expect(dexPriceService.dexConfigs.pancakeswap.feeBps).toBe(25);
         });
 
         test('should initialize caches', () => {
@@ -95,14 +96,14 @@ describe('DEXPriceService', () => {
             const tokenB = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
             const dexName = 'uniswap';
 
-            // First call
+            // First call: no code at the derived address, so the factory is asked
             await dexPriceService.getPairAddress(tokenA, tokenB, dexName);
+            expect(mockWeb3Manager.executeWithFailover).toHaveBeenCalledTimes(2);
             
             // Second call should use cache
             await dexPriceService.getPairAddress(tokenA, tokenB, dexName);
 
-            // Should only call executeWithFailover once
-            expect(mockWeb3Manager.executeWithFailover).toHaveBeenCalledTimes(1);
+            expect(mockWeb3Manager.executeWithFailover).toHaveBeenCalledTimes(2);
             expect(dexPriceService.stats.cacheHits).toBe(1);
         });
 
@@ -180,10 +181,13 @@ describe('DEXPriceService', () => {
             expect(price).toHaveProperty('price0');
             expect(price).toHaveProperty('price1');
             expect(price).toHaveProperty('fee', 0.003);
+            expect(price).toHaveProperty('feeBps', 30);
         });
 
         test('should handle non-existent pair', async () => {
-            mockWeb3Manager.executeWithFailover.mockResolvedValueOnce('0x0000000000000000000000000000000000000000');
+            mockWeb3Manager.executeWithFailover
+                .mockResolvedValueOnce('0x') // Nothing deployed at the derived address
+                .mockResolvedValueOnce('0x0000000000000000000000000000000000000000');
 
             const tokenA = '0xA0b86a33E6441b8C4C8C8C8C8C8C8C8C8C8C8C8C';
             const tokenB = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
@@ -204,6 +208,67 @@ describe('DEXPriceService', () => {
             expect(parseFloat(price.price0)).toBe(2.0);
             expect(parseFloat(price.price1)).toBe(0.5);
         });
+
+        test('should adjust prices for token decimals', async () => {
+            const { TOKENS } = require('../../src/utils/constants');
+            const TokenRegistry = require('../../src/services/token/TokenRegistry');
+            const tokenRegistry = new TokenRegistry();
+            const service = new DEXPriceService(mockWeb3Manager, { tokenRegistry });
+
+            // 5,000,000 USDC (token0, 6 decimals) against 2,500 WETH (18 decimals)
+            mockWeb3Manager.executeWithFailover
+                .mockResolvedValueOnce('0x60806040') // Pair deployed at the derived address
+                .mockResolvedValueOnce(['5000000000000', '2500000000000000000000', '1234567890']);
+
+            const price = await service.getPrice(TOKENS.WETH, TOKENS.USDC, 'uniswap');
+
+            expect(service.tokenRegistry).toBe(tokenRegistry);
+            expect(service.options.tokenRegistry).toBeUndefined();
+            expect(price).toMatchObject({
+                token0: TOKENS.USDC,
+                symbol0: 'USDC',
+                symbol1: 'WETH',
+                decimals0: 6,
+                decimals1: 18,
+                price0: '500000000', // Raw: WETH wei per USDC unit
+                normalizedPrice0: '0.0005', // WETH per USDC
+                normalizedPrice1: '2000' // USDC per WETH
+            });
+        });
+
+        test('should price BigInt reserves without truncating', async () => {
+            const { TOKENS } = require('../../src/utils/constants');
+            const TokenRegistry = require('../../src/services/token/TokenRegistry');
+            const service = new DEXPriceService(mockWeb3Manager, { tokenRegistry: new TokenRegistry() });
+
+            // web3 v4 decodes getReserves() into BigInts
+            mockWeb3Manager.executeWithFailover
+                .mockResolvedValueOnce('0x60806040') // Pair deployed at the derived address
+                .mockResolvedValueOnce([5000000000000n, 2500000000000000000000n, 1234567890n]);
+
+            const price = await service.getPrice(TOKENS.WETH, TOKENS.USDC, 'uniswap');
+
+            expect(price).toMatchObject({
+                reserve0: '5000000000000',
+                price0: '500000000',
+                price1: '2e-9', // Raw: USDC units per WETH wei
+                normalizedPrice0: '0.0005',
+                normalizedPrice1: '2000'
+            });
+        });
+
+        test('should leave normalized prices unset when decimals are unknown', async () => {
+            const tokenA = '0xA0b86a33E6441b8C4C8C8C8C8C8C8C8C8C8C8C8C';
+            const tokenB = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+
+            const price = await dexPriceService.getPrice(tokenA, tokenB, 'uniswap');
+
+            // tokenA cannot be read through this Web3Manager
+            expect(price.decimals1).toBe(6);
+            expect(price.decimals0).toBeNull();
+            expect(price.normalizedPrice0).toBeNull();
+            expect(parseFloat(price.price0)).toBe(2.0);
+        });
     });
 
     describe('getPricesBatch', () => {
@@ -226,11 +291,7 @@ describe('DEXPriceService', () => {
                 { tokenA: '0xINVALID', tokenB: '0xINVALID', dexName: 'uniswap' }
             ];
 
-            // Mock one successful and one failed call
-            mockWeb3Manager.executeWithFailover
-                .mockResolvedValueOnce('0x1234567890123456789012345678901234567890')
-                .mockRejectedValueOnce(new Error('Invalid address'));
-
+            // The invalid pair fails while its address is derived, the other one is read as usual
             const results = await dexPriceService.getPricesBatch(pairs);
 
             expect(results).toHaveLength(1); // Only successful result
@@ -379,6 +440,410 @@ describe('DEXPriceService', () => {
         });
     });
 
+    describe('Uniswap V3 pools', () => {
+        const Q96 = 2n ** 96n;
+        const POOL_3000 = '0x3000000000000000000000000000000000000000';
+        const POOL_500 = '0x0500000000000000000000000000000000000000';
+
+        // Fake web3 whose contracts answer getPool/slot0/liquidity/tickBitmap/ticks from fixtures
+        const createV3Web3 = (pools) => ({
+            eth: {
+                Contract: jest.fn((abi, address) => ({
+                    methods: {
+                        getPool: (tokenA, tokenB, fee) => ({
+                            call: async () => (fee === 3000 ? POOL_3000 : fee === 500 ? POOL_500 : '0x0000000000000000000000000000000000000000')
+                        }),
+                        slot0: () => ({ call: async () => ({ sqrtPriceX96: pools[address].sqrtPriceX96, tick: pools[address].tick }) }),
+                        liquidity: () => ({ call: async () => pools[address].liquidity }),
+                        tickSpacing: () => ({ call: async () => pools[address].tickSpacing }),
+                        fee: () => ({ call: async () => pools[address].fee }),
+                        tickBitmap: (word) => ({ call: async () => (pools[address].bitmaps[word] || 0n).toString() }),
+                        ticks: (tick) => ({ call: async () => ({ liquidityNet: pools[address].liquidityNet[tick] }) })
+                    }
+                }))
+            }
+        });
+
+        const pools = {
+            [POOL_3000]: {
+                sqrtPriceX96: Q96.toString(),
+                tick: '0',
+                liquidity: '1000000000000000000000',
+                tickSpacing: '60',
+                fee: '3000',
+                // Ticks -600 (word -1, bit 246) and 600 (word 0, bit 10)
+                bitmaps: { '-1': 1n << 246n, '0': 1n << 10n },
+                liquidityNet: { '-600': '1000000000000000000000', '600': '-1000000000000000000000' }
+            },
+            [POOL_500]: {
+                sqrtPriceX96: Q96.toString(),
+                tick: '0',
+                liquidity: '10',
+                tickSpacing: '10',
+                fee: '500',
+                bitmaps: {},
+                liquidityNet: {}
+            }
+        };
+
+        beforeEach(() => {
+            const web3 = createV3Web3(pools);
+            mockWeb3Manager.executeWithFailover.mockImplementation(async (operation) => operation(web3));
+        });
+
+        test('should have a V3 DEX configuration', () => {
+            expect(dexPriceService.dexConfigs.uniswapV3.type).toBe('v3');
+            expect(dexPriceService.dexConfigs.uniswapV3.feeTiers).toEqual([100, 500, 3000, 10000]);
+        });
+
+        test('should read slot0, liquidity and initialized ticks from the bitmap', async () => {
+            const state = await dexPriceService.getV3PoolState(POOL_3000);
+
+            expect(state.type).toBe('v3');
+            expect(state.sqrtPriceX96).toBe(Q96.toString());
+            expect(state.tick).toBe(0);
+            expect(state.fee).toBe(3000);
+            expect(state.ticks).toEqual([
+                { index: -600, liquidityNet: '1000000000000000000000' },
+                { index: 600, liquidityNet: '-1000000000000000000000' }
+            ]);
+            // Two words either side of word 0 by default
+            expect(state.tickRange).toEqual({ lower: -2 * 256 * 60, upper: (2 * 256 + 255) * 60 });
+        });
+
+        test('should charge every eth_call against the compute unit budget', async () => {
+            await dexPriceService.getV3PoolState(POOL_3000);
+
+            // slot0, liquidity, tickSpacing, fee and five bitmap words, then the two initialized ticks
+            expect(mockWeb3Manager.executeWithFailover.mock.calls.map(call => call[1].computeUnits)).toEqual([9 * 26, 2 * 26]);
+        });
+
+        test('should cache pool state per block', async () => {
+            await dexPriceService.getV3PoolState(POOL_3000, 100);
+            const calls = mockWeb3Manager.executeWithFailover.mock.calls.length;
+
+            await dexPriceService.getV3PoolState(POOL_3000, 100);
+
+            expect(mockWeb3Manager.executeWithFailover.mock.calls.length).toBe(calls);
+        });
+
+        test('should price through the deepest fee tier', async () => {
+            const price = await dexPriceService.getPrice(
+                '0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+                '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+                'uniswapV3'
+            );
+
+            expect(price.poolType).toBe('v3');
+            expect(price.pairAddress).toBe(POOL_3000);
+            expect(price.feeTier).toBe(3000);
+            expect(price.feeBps).toBe(30);
+            expect(price.price0).toBe('1');
+            expect(price.reserve0).toBe('1000000000000000000000');
+            expect(price.pool.ticks).toHaveLength(2);
+        });
+
+        test('should reject non-V3 DEXs for pool lookups', async () => {
+            await expect(dexPriceService.getV3PoolAddress('0x1', '0x2', 3000, 'uniswap'))
+                .rejects.toThrow('Unsupported V3 DEX');
+        });
+    });
+
+    describe('Curve StableSwap pools', () => {
+        const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+        const USDC = '0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+        const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+        const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+
+        // DAI, USDC, USDT balances of a balanced 3pool
+        const balances = ['100000000000000000000000000', '100000000000000', '100000000000000'];
+
+        beforeEach(() => {
+            const web3 = {
+                eth: {
+                    Contract: jest.fn(() => ({
+                        methods: {
+                            balances: (i) => ({ call: async () => balances[i] }),
+                            A: () => ({ call: async () => '2000' }),
+                            fee: () => ({ call: async () => '4000000' })
+                        }
+                    }))
+                }
+            };
+            mockWeb3Manager.executeWithFailover.mockImplementation(async (operation) => operation(web3));
+        });
+
+        test('should find the configured pool holding both tokens', () => {
+            const match = dexPriceService.findListedPool(USDT, DAI, 'curve');
+
+            expect(match.indexA).toBe(2);
+            expect(match.indexB).toBe(0);
+            expect(dexPriceService.findListedPool(WETH, DAI, 'curve')).toBeNull();
+            expect(() => dexPriceService.findListedPool(USDT, DAI, 'uniswap')).toThrow('Unsupported DEX without listed pools');
+        });
+
+        test('should read balances, amplification and fee', async () => {
+            const { poolConfig } = dexPriceService.findListedPool(DAI, USDC, 'curve');
+            const state = await dexPriceService.getStablePoolState(poolConfig);
+
+            expect(state).toEqual({
+                type: 'stable',
+                coins: poolConfig.coins,
+                decimals: [18, 6, 6],
+                balances,
+                A: '2000',
+                fee: '4000000'
+            });
+            // Three balances() reads, A() and fee()
+            expect(mockWeb3Manager.executeWithFailover.mock.calls[0][1].computeUnits).toBe(5 * 26);
+        });
+
+        test('should price a pair with coin indices in token order', async () => {
+            const price = await dexPriceService.getPrice(USDC, DAI, 'curve');
+
+            // DAI sorts before USDC, so it is token0
+            expect(price.poolType).toBe('stable');
+            expect(price.token0).toBe(DAI);
+            expect(price.pool.indices).toEqual([0, 1]);
+            expect(price.reserve0).toBe(balances[0]);
+            expect(price.reserve1).toBe(balances[1]);
+            expect(price.feeBps).toBe(4);
+            // One DAI (1e18) buys about one USDC (1e6) in raw units
+            expect(Number(price.price0)).toBeCloseTo(1e-12, 15);
+        });
+    });
+
+    describe('Balancer weighted pools', () => {
+        const BAL = '0xba100000625a3754423978a60c9317c58a424e3D';
+        const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+        const POOL_ID = '0x5c6ee304399dbdb9c8ef030ab642b10820db8f56000200000000000000000014';
+
+        // 80/20 BAL/WETH: 4,000,000 BAL against 1,000 WETH, so 1 WETH = 1,000 BAL
+        const tokens = [BAL, WETH];
+        const balances = ['4000000000000000000000000', '1000000000000000000000'];
+        const weights = ['800000000000000000', '200000000000000000'];
+
+        beforeEach(() => {
+            const web3 = {
+                eth: {
+                    Contract: jest.fn(() => ({
+                        methods: {
+                            getPoolId: () => ({ call: async () => POOL_ID }),
+                            getNormalizedWeights: () => ({ call: async () => weights }),
+                            getSwapFeePercentage: () => ({ call: async () => '3000000000000000' }),
+                            getPoolTokens: (poolId) => ({
+                                call: async () => (poolId === POOL_ID ? { tokens, balances, lastChangeBlock: '1' } : null)
+                            })
+                        }
+                    }))
+                }
+            };
+            mockWeb3Manager.executeWithFailover.mockImplementation(async (operation) => operation(web3));
+        });
+
+        test('should read balances from the vault with weights and fee', async () => {
+            const { poolConfig } = dexPriceService.findListedPool(BAL, WETH, 'balancer');
+            const state = await dexPriceService.getWeightedPoolState(poolConfig, dexPriceService.dexConfigs.balancer.vault);
+
+            expect(state).toEqual({
+                type: 'weighted',
+                poolId: POOL_ID,
+                coins: tokens,
+                balances,
+                weights,
+                swapFee: '3000000000000000'
+            });
+        });
+
+        test('should price a pair from the weighted spot price', async () => {
+            const price = await dexPriceService.getPrice(WETH, BAL, 'balancer');
+
+            // BAL sorts before WETH, so it is token0
+            expect(price.poolType).toBe('weighted');
+            expect(price.token0).toBe(BAL);
+            expect(price.pool.indices).toEqual([0, 1]);
+            expect(price.weight0).toBe(weights[0]);
+            expect(price.feeBps).toBe(30);
+            expect(Number(price.price0)).toBeCloseTo(0.001, 12);
+            expect(Number(price.price1)).toBeCloseTo(1000, 6);
+        });
+    });
+
+    describe('Multicall batching', () => {
+        const TOKEN_A = '0xA0b86a33E6441b8C4C8C8C8C8C8C8C8C8C8C8C8C';
+        const TOKEN_B = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+        const UNI_PAIR = '0x1111111111111111111111111111111111111111';
+        const SUSHI_PAIR = '0x2222222222222222222222222222222222222222';
+
+        beforeEach(() => {
+            mockWeb3Manager.multicall = {
+                getPairs: jest.fn(async (lookups) => lookups.map(({ factory }) => (
+                    factory === dexPriceService.dexConfigs.uniswap.factory ? UNI_PAIR : SUSHI_PAIR
+                ))),
+                getReserves: jest.fn(async (pairAddresses) => pairAddresses.map(address => (
+                    address === UNI_PAIR
+                        ? { reserve0: '1000', reserve1: '2000', blockTimestampLast: '1700000000' }
+                        : null
+                )))
+            };
+        });
+
+        afterEach(() => {
+            delete mockWeb3Manager.multicall;
+        });
+
+        test('should look up pair addresses in one multicall with sorted tokens', async () => {
+            const addresses = await dexPriceService.getPairAddressesBatch([
+                { tokenA: TOKEN_B, tokenB: TOKEN_A, dexName: 'uniswap' },
+                { tokenA: TOKEN_A, tokenB: TOKEN_B, dexName: 'sushiswap' },
+                { tokenA: TOKEN_A, tokenB: TOKEN_B, dexName: 'uniswapV3' }
+            ]);
+
+            expect(addresses).toEqual([UNI_PAIR, SUSHI_PAIR, null]);
+            expect(mockWeb3Manager.multicall.getPairs).toHaveBeenCalledTimes(1);
+            expect(mockWeb3Manager.multicall.getPairs.mock.calls[0][0][0]).toEqual({
+                factory: dexPriceService.dexConfigs.uniswap.factory,
+                tokenA: TOKEN_A,
+                tokenB: TOKEN_B
+            });
+
+            // Served from the pair cache afterwards
+            expect(await dexPriceService.getPairAddress(TOKEN_B, TOKEN_A, 'uniswap')).toBe(UNI_PAIR);
+            expect(mockWeb3Manager.executeWithFailover).not.toHaveBeenCalled();
+        });
+
+        test('should cache reserves in the getReserves shape and skip failed reads', async () => {
+            const reserves = await dexPriceService.getReservesBatch([UNI_PAIR, SUSHI_PAIR], 100);
+
+            expect(reserves).toEqual([
+                { _reserve0: '1000', _reserve1: '2000', _blockTimestampLast: '1700000000' },
+                null
+            ]);
+            expect(mockWeb3Manager.multicall.getReserves)
+                .toHaveBeenCalledWith([UNI_PAIR, SUSHI_PAIR], 100, { priority: 'normal' });
+            expect(await dexPriceService.getReserves(UNI_PAIR, 100)).toBe(reserves[0]);
+            expect(dexPriceService.priceCaches.has(`${SUSHI_PAIR}:100`)).toBe(false);
+        });
+
+        test('should prefetch V2 prices for a batch and read only what the multicall missed', async () => {
+            const results = await dexPriceService.getPricesBatch([
+                { tokenA: TOKEN_A, tokenB: TOKEN_B, dexName: 'uniswap' },
+                { tokenA: TOKEN_A, tokenB: TOKEN_B, dexName: 'sushiswap' }
+            ]);
+
+            expect(results).toHaveLength(2);
+            expect(results[0]).toMatchObject({ dexName: 'uniswap', pairAddress: UNI_PAIR, reserve0: '1000' });
+            // The SushiSwap reserves read failed in the multicall and fell back to a single call
+            expect(mockWeb3Manager.executeWithFailover).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('CREATE2 pair addresses', () => {
+        const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+        const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+        const WETH_USDC_PAIR = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+
+        test('should derive known pair addresses offline', () => {
+            expect(dexPriceService.derivePairAddress(WETH, USDC, 'uniswap')).toBe(WETH_USDC_PAIR);
+            expect(dexPriceService.derivePairAddress(USDC.toLowerCase(), WETH, 'uniswap')).toBe(WETH_USDC_PAIR);
+
+            // PancakeSwap WBNB/BUSD on BSC
+            expect(dexPriceService.derivePairAddress(
+                '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
+                '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56',
+                'pancakeswap'
+            )).toBe('0x58F876857a02D6762E0101bb5C46A8c1ED44Dc16');
+
+            expect(dexPriceService.derivePairAddress(WETH, USDC, 'sushiswap')).toBe('0x397FF1542f962076d0BFE58eA045FfA2d347ACa0');
+        });
+
+        test('should not derive addresses without an init code hash', () => {
+            dexPriceService.dexConfigs.sushiswap.initCodeHash = null;
+
+            expect(dexPriceService.derivePairAddress(WETH, USDC, 'sushiswap')).toBeNull();
+            expect(dexPriceService.derivePairAddress(WETH, USDC, 'uniswapV3')).toBeNull();
+        });
+
+        test('should derive a pair, check its code once and persist it', async () => {
+            mockWeb3Manager.executeWithFailover.mockResolvedValueOnce('0x60806040');
+            const databaseService = {
+                getPairs: jest.fn().mockResolvedValue([]),
+                storePair: jest.fn()
+            };
+            await dexPriceService.loadFromDatabase(databaseService);
+
+            expect(await dexPriceService.getPairAddress(WETH, USDC, 'uniswap')).toBe(WETH_USDC_PAIR);
+            // Other token order, no pair cache entry: answered from the confirmed pairs
+            expect(await dexPriceService.getPairAddress(USDC, WETH, 'uniswap')).toBe(WETH_USDC_PAIR);
+
+            // One eth_getCode, no factory lookup
+            expect(mockWeb3Manager.executeWithFailover).toHaveBeenCalledTimes(1);
+            expect(mockWeb3Manager.executeWithFailover.mock.calls[0][1]).toMatchObject({ method: 'eth_getCode' });
+            expect(databaseService.storePair).toHaveBeenCalledWith({
+                pairAddress: WETH_USDC_PAIR,
+                dex: 'uniswap',
+                token0: USDC.toLowerCase(),
+                token1: WETH.toLowerCase(),
+                verifiedAt: expect.any(Number)
+            });
+            expect(dexPriceService.getStats()).toMatchObject({ knownPairHits: 1, knownPairCount: 1, pairsDerived: 1, initCodeHashMismatches: 0 });
+        });
+
+        test('should only know a pair once it is stored', async () => {
+            let finishWrite;
+            const databaseService = {
+                getPairs: jest.fn().mockResolvedValue([]),
+                storePair: jest.fn(() => new Promise(resolve => { finishWrite = resolve; }))
+            };
+            await dexPriceService.loadFromDatabase(databaseService);
+            mockWeb3Manager.executeWithFailover.mockResolvedValueOnce('0x60806040');
+
+            const lookup = dexPriceService.getPairAddress(WETH, USDC, 'uniswap');
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(databaseService.storePair).toHaveBeenCalled();
+            expect(dexPriceService.knownPairs.size).toBe(0);
+
+            finishWrite();
+            expect(await lookup).toBe(WETH_USDC_PAIR);
+            expect(dexPriceService.knownPairs.size).toBe(1);
+        });
+
+        test('should not remember pairs that do not exist', async () => {
+            mockWeb3Manager.executeWithFailover
+                .mockResolvedValueOnce('0x')
+                .mockResolvedValueOnce('0x0000000000000000000000000000000000000000');
+
+            await dexPriceService.getPairAddress(WETH, USDC, 'uniswap');
+
+            expect(dexPriceService.knownPairs.size).toBe(0);
+        });
+
+        test('should answer stored pairs without a network call', async () => {
+            await dexPriceService.loadFromDatabase({
+                getPairs: jest.fn().mockResolvedValue([{
+                    pairAddress: WETH_USDC_PAIR,
+                    dex: 'uniswap',
+                    token0: USDC.toLowerCase(),
+                    token1: WETH.toLowerCase(),
+                    verifiedAt: 1700000000000
+                }])
+            });
+
+            expect(await dexPriceService.getPairAddress(WETH, USDC, 'uniswap')).toBe(WETH_USDC_PAIR);
+            expect(mockWeb3Manager.executeWithFailover).not.toHaveBeenCalled();
+        });
+
+        test('should stop deriving when the factory disagrees', async () => {
+            // The default mock factory answers 0x1234... for every pair
+            const pairAddress = await dexPriceService.getPairAddress(WETH, USDC, 'uniswap');
+
+            expect(pairAddress).toBe('0x1234567890123456789012345678901234567890');
+            expect(dexPriceService.stats.initCodeHashMismatches).toBe(1);
+            expect(dexPriceService.derivePairAddress(WETH, USDC, 'uniswap')).toBeNull();
+        });
+    });
+
     describe('Utility Methods', () => {
         test('should get supported DEXs', () => {
             const supportedDEXs = dexPriceService.getSupportedDEXs();
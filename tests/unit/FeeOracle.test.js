@@ -0,0 +1,121 @@
+const FeeOracle = require('../../src/services/blockchain/FeeOracle');
+
+const GWEI = 1000000000n;
+
+// eth_feeHistory over 4 blocks, rewards at the 10th, 50th and 90th percentiles
+const createHistory = (overrides = {}) => ({
+    oldestBlock: 1000n,
+    baseFeePerGas: [20n * GWEI, 22n * GWEI, 21n * GWEI, 23n * GWEI, 25n * GWEI],
+    gasUsedRatio: [0.9, 0.4, 0.8, 0.95],
+    reward: [
+        ['0x3b9aca00', '0x77359400', '0xb2d05e00'], // 1, 2, 3 gwei
+        ['0x0', '0x0', '0x0'], // Empty block
+        ['0x1dcd6500', '0x3b9aca00', '0x12a05f200'], // 0.5, 1, 5 gwei
+        ['0x77359400', '0xb2d05e00', '0x12a05f200'] // 2, 3, 5 gwei
+    ],
+    ...overrides
+});
+
+const createWeb3Manager = (history) => {
+    const eth = { getFeeHistory: jest.fn().mockResolvedValue(history) };
+    return {
+        eth,
+        executeWithFailover: jest.fn(async (operation) => operation({ eth }))
+    };
+};
+
+describe('FeeOracle', () => {
+    let manager;
+    let oracle;
+
+    beforeEach(() => {
+        manager = createWeb3Manager(createHistory());
+        oracle = new FeeOracle(manager, { blockCount: 4 });
+    });
+
+    test('should report base fee, next base fee and median rewards', async () => {
+        const fees = await oracle.getFees();
+
+        expect(manager.eth.getFeeHistory).toHaveBeenCalledWith(4, 'latest', [10, 50, 90]);
+        expect(fees).toEqual({
+            blockNumber: 1003,
+            baseFee: (23n * GWEI).toString(),
+            nextBaseFee: (25n * GWEI).toString(),
+            gasUsedRatio: 0.95,
+            // The empty block is left out of the medians
+            rewards: {
+                10: GWEI.toString(),
+                50: (2n * GWEI).toString(),
+                90: (5n * GWEI).toString()
+            }
+        });
+    });
+
+    test('should read fee history through the request cache', async () => {
+        await oracle.getFees({ priority: 'bulk' });
+
+        expect(manager.executeWithFailover).toHaveBeenCalledWith(expect.any(Function), {
+            priority: 'bulk',
+            cache: { method: 'eth_feeHistory', params: [4, [10, 50, 90]] }
+        });
+    });
+
+    test('should project the next base fee when the node does not return it', async () => {
+        manager = createWeb3Manager(createHistory({
+            baseFeePerGas: [20n * GWEI, 22n * GWEI, 21n * GWEI, 24n * GWEI]
+        }));
+        oracle = new FeeOracle(manager, { blockCount: 4 });
+
+        const fees = await oracle.getFees();
+
+        // 95% full: 0.9 above target, base fee rises by 0.9 / 8 = 11.25%
+        expect(fees.nextBaseFee).toBe('26700000000');
+    });
+
+    test('should follow the EIP-1559 base fee rules', () => {
+        const baseFee = 100n * GWEI;
+
+        expect(FeeOracle.projectBaseFee(baseFee, 1)).toBe(112500000000n);
+        expect(FeeOracle.projectBaseFee(baseFee, 0.5)).toBe(baseFee);
+        expect(FeeOracle.projectBaseFee(baseFee, 0)).toBe(87500000000n);
+        // A block just over target raises the base fee by at least 1 wei
+        expect(FeeOracle.projectBaseFee(7n, 0.51)).toBe(8n);
+    });
+
+    test('should build fee fields with base fee headroom', async () => {
+        const params = await oracle.getFeeParams({ percentile: 90 });
+
+        // 25 gwei * 1.125 * 1.125 + 5 gwei tip
+        expect(params).toEqual({
+            maxPriorityFeePerGas: (5n * GWEI).toString(),
+            maxFeePerGas: '36640625000',
+            baseFee: (23n * GWEI).toString(),
+            nextBaseFee: (25n * GWEI).toString()
+        });
+    });
+
+    test('should price gas at the next base fee plus the priority fee', async () => {
+        expect(await oracle.getGasPrice()).toBe((27n * GWEI).toString());
+        expect(await oracle.getGasPrice({ percentile: 10 })).toBe((26n * GWEI).toString());
+    });
+
+    test('should floor the priority fee', async () => {
+        manager = createWeb3Manager(createHistory({ reward: [['0x1', '0x1', '0x1']], gasUsedRatio: [0.5], baseFeePerGas: [GWEI, GWEI] }));
+        oracle = new FeeOracle(manager, { blockCount: 1 });
+
+        const params = await oracle.getFeeParams();
+
+        expect(params.maxPriorityFeePerGas).toBe('10000000');
+    });
+
+    test('should reject percentiles that were not sampled', async () => {
+        await expect(oracle.getGasPrice({ percentile: 75 })).rejects.toThrow('Reward percentile 75 is not sampled (10, 50, 90)');
+    });
+
+    test('should count failed reads', async () => {
+        manager.eth.getFeeHistory.mockRejectedValue(new Error('the method eth_feeHistory does not exist'));
+
+        await expect(oracle.getFees()).rejects.toThrow('eth_feeHistory does not exist');
+        expect(oracle.getStats()).toEqual({ reads: 1, failures: 1 });
+    });
+});
@@ -0,0 +1,175 @@
+const LogFetcher = require('../../src/services/blockchain/LogFetcher');
+
+const PAIR = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+const SYNC_TOPIC = '0x1c411e9a96e071241c2f21f7726b17ae89e3cab4c78be50e062b03a9fffbbad1';
+
+const createLog = (blockNumber, logIndex = 0) => ({
+    address: PAIR,
+    blockNumber: BigInt(blockNumber),
+    blockHash: `0xblock${blockNumber}`,
+    transactionHash: `0xtx${blockNumber}`,
+    logIndex: BigInt(logIndex),
+    topics: [SYNC_TOPIC]
+});
+
+// A node with one log per block that refuses ranges wider than maxRange blocks
+const createWeb3Manager = ({ head = 1000, maxRange = Infinity, logs = null } = {}) => {
+    const eth = {
+        getPastLogs: jest.fn(async ({ fromBlock, toBlock }) => {
+            if (toBlock - fromBlock + 1 > maxRange) {
+                throw new Error(`query returned more than 10000 results`);
+            }
+            const result = [];
+            for (let block = fromBlock; block <= toBlock; block++) {
+                result.push(...(logs ? logs(block) : [createLog(block)]));
+            }
+            return result;
+        })
+    };
+    return {
+        eth,
+        getBlockNumber: jest.fn().mockResolvedValue(BigInt(head)),
+        executeWithFailover: jest.fn(async (operation) => operation({ eth }))
+    };
+};
+
+const ranges = (manager) => manager.eth.getPastLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock]);
+
+describe('LogFetcher', () => {
+    test('should read the range in chunks up to the latest block', async () => {
+        const manager = createWeb3Manager({ head: 1049 });
+        const fetcher = new LogFetcher(manager, { chunkSize: 20 });
+
+        const result = await fetcher.fetch({ address: PAIR, topics: [SYNC_TOPIC], fromBlock: 1000 });
+
+        expect(ranges(manager)).toEqual([[1000, 1019], [1020, 1039], [1040, 1049]]);
+        expect(manager.eth.getPastLogs).toHaveBeenCalledWith({
+            address: PAIR,
+            topics: [SYNC_TOPIC],
+            fromBlock: 1000,
+            toBlock: 1019
+        });
+        expect(manager.executeWithFailover).toHaveBeenCalledWith(expect.any(Function), {
+            priority: undefined,
+            method: 'eth_getLogs'
+        });
+        expect(result.logs.map(log => Number(log.blockNumber))).toEqual(Array.from({ length: 50 }, (_, i) => 1000 + i));
+        expect(result).toMatchObject({ fromBlock: 1000, toBlock: 1049 });
+    });
+
+    test('should halve ranges the provider refuses, then grow back', async () => {
+        const manager = createWeb3Manager({ maxRange: 30 });
+        const fetcher = new LogFetcher(manager, { chunkSize: 100 });
+
+        const result = await fetcher.fetch({ address: PAIR, fromBlock: 0, toBlock: 99 });
+
+        expect(ranges(manager)).toEqual([
+            [0, 99], [0, 49], [0, 24], // Refused, refused, fits
+            [25, 74], [25, 49], // Grown back to 50 and refused again
+            [50, 99], [50, 74],
+            [75, 99]
+        ]);
+        expect(result.logs).toHaveLength(100);
+        expect(fetcher.getStats()).toMatchObject({ requests: 8, splits: 4, logs: 100 });
+    });
+
+    test('should not count refused ranges as provider failures', async () => {
+        const manager = createWeb3Manager({ maxRange: 1 });
+        const fetcher = new LogFetcher(manager, { chunkSize: 2 });
+
+        const result = await fetcher.fetchRange({ address: PAIR }, 0, 1);
+
+        expect(result).toEqual({ tooLarge: true, message: 'query returned more than 10000 results' });
+    });
+
+    test('should give up when a single block is too large', async () => {
+        const manager = createWeb3Manager({ maxRange: 0 });
+        const fetcher = new LogFetcher(manager, { chunkSize: 4 });
+
+        await expect(fetcher.fetch({ address: PAIR, fromBlock: 10, toBlock: 13 }))
+            .rejects.toThrow('Too many logs in block 10: query returned more than 10000 results');
+    });
+
+    test('should rethrow other errors', async () => {
+        const manager = createWeb3Manager();
+        manager.eth.getPastLogs.mockRejectedValue(new Error('Timeout'));
+        const fetcher = new LogFetcher(manager);
+
+        await expect(fetcher.fetch({ address: PAIR, fromBlock: 0, toBlock: 10 })).rejects.toThrow('Timeout');
+    });
+
+    test('should recognize the range errors of common providers', () => {
+        [
+            'query returned more than 10000 results',
+            'Log response size exceeded. You can make eth_getLogs requests with up to a 2K block range',
+            'block range is too wide',
+            'exceed maximum block range: 5000',
+            'eth_getLogs is limited to a 10,000 range; block range limit exceeded'
+        ].forEach(message => expect(LogFetcher.isRangeTooLarge(new Error(message))).toBe(true));
+
+        expect(LogFetcher.isRangeTooLarge({ message: 'Returned error', cause: { message: 'too many results' } })).toBe(true);
+        expect(LogFetcher.isRangeTooLarge(new Error('execution reverted'))).toBe(false);
+    });
+
+    test('should stream chunks and resume after the checkpoint', async () => {
+        const manager = createWeb3Manager();
+        const fetcher = new LogFetcher(manager, { chunkSize: 10 });
+        const chunks = [];
+        const onChunk = jest.fn(async (logs, range) => {
+            chunks.push(range);
+        });
+        // The second chunk fails to be stored
+        onChunk.mockImplementationOnce(async (logs, range) => chunks.push(range))
+            .mockRejectedValueOnce(new Error('Database unavailable'));
+
+        await expect(fetcher.fetch({ address: PAIR, fromBlock: 0, toBlock: 39 }, { onChunk }))
+            .rejects.toThrow('Database unavailable');
+
+        const result = await fetcher.fetch({ address: PAIR, fromBlock: 0, toBlock: 39 }, { resume: true, onChunk });
+
+        // Blocks 10-19 were not checkpointed, so they are read again
+        expect(onChunk.mock.calls[1][1]).toEqual({ fromBlock: 10, toBlock: 19 });
+        expect(chunks).toEqual([
+            { fromBlock: 0, toBlock: 9 },
+            { fromBlock: 10, toBlock: 19 },
+            { fromBlock: 20, toBlock: 29 },
+            { fromBlock: 30, toBlock: 39 }
+        ]);
+        expect(result.logs).toEqual([]);
+        expect(onChunk.mock.calls[0][0]).toHaveLength(10);
+    });
+
+    test('should deduplicate logs across overlapping reads', async () => {
+        // The provider returns one log twice
+        const manager = createWeb3Manager({
+            logs: block => (block === 5 ? [createLog(5), createLog(5), createLog(5, 1)] : [createLog(block)])
+        });
+        const store = new Map();
+        const checkpointStore = {
+            get: jest.fn(async key => store.get(key)),
+            set: jest.fn(async (key, checkpoint) => store.set(key, checkpoint))
+        };
+        const fetcher = new LogFetcher(manager, { chunkSize: 10, overlapBlocks: 3, checkpointStore });
+
+        const first = await fetcher.fetch({ address: PAIR, topics: [SYNC_TOPIC], fromBlock: 0, toBlock: 9 });
+        expect(first.logs).toHaveLength(11);
+
+        // Resuming re-reads blocks 7-9 but only returns the new blocks
+        const second = await fetcher.fetch({ address: PAIR, topics: [SYNC_TOPIC], fromBlock: 0, toBlock: 14 }, { resume: true });
+
+        expect(ranges(manager)[1]).toEqual([7, 14]);
+        expect(second.logs.map(log => Number(log.blockNumber))).toEqual([10, 11, 12, 13, 14]);
+        expect(fetcher.getStats().duplicates).toBe(4);
+        expect(checkpointStore.set).toHaveBeenLastCalledWith(LogFetcher.getFilterKey({ address: PAIR, topics: [SYNC_TOPIC] }), {
+            blockNumber: 14,
+            recentLogs: [12, 13, 14].map(block => ({ key: `0xblock${block}:0xtx${block}:0`, blockNumber: block }))
+        });
+    });
+
+    test('should key checkpoints by address and topics, not block range', () => {
+        expect(LogFetcher.getFilterKey({ address: PAIR, topics: [SYNC_TOPIC], fromBlock: 0 }))
+            .toBe(LogFetcher.getFilterKey({ address: PAIR.toLowerCase(), topics: [SYNC_TOPIC], fromBlock: 500 }));
+        expect(LogFetcher.getFilterKey({ address: PAIR, topics: [SYNC_TOPIC] }))
+            .not.toBe(LogFetcher.getFilterKey({ address: PAIR, topics: [null, SYNC_TOPIC] }));
+    });
+});
@@ -0,0 +1,189 @@
+const { Web3 } = require('web3');
+const Multicall = require('../../src/services/blockchain/Multicall');
+const { MULTICALL3_CONSTANTS } = require('../../src/utils/constants');
+
+const abi = new Web3().eth.abi;
+
+const CALL3 = [{
+    type: 'tuple[]',
+    components: [
+        { name: 'target', type: 'address' },
+        { name: 'allowFailure', type: 'bool' },
+        { name: 'callData', type: 'bytes' }
+    ]
+}];
+const RESULT = [{
+    type: 'tuple[]',
+    components: [
+        { name: 'success', type: 'bool' },
+        { name: 'returnData', type: 'bytes' }
+    ]
+}];
+
+const PAIR_A = '0x0000000000000000000000000000000000000a0a';
+const PAIR_B = '0x0000000000000000000000000000000000000b0b';
+const REVERTING = '0x000000000000000000000000000000000000dead';
+const NO_CODE = '0x000000000000000000000000000000000000c0de';
+const FACTORY = '0x00000000000000000000000000000000000fac70';
+const TOKEN_X = '0x0000000000000000000000000000000000000001';
+const TOKEN_Y = '0x0000000000000000000000000000000000000002';
+
+// Stand-in for Multicall3 on chain: runs each call against a handful of fake contracts
+const contracts = {
+    [PAIR_A]: () => abi.encodeParameters(['uint112', 'uint112', 'uint32'], ['1000', '2000', '1700000000']),
+    [PAIR_B]: () => abi.encodeParameters(['uint112', 'uint112', 'uint32'], ['5', '7', '1700000001']),
+    [REVERTING]: () => null,
+    [NO_CODE]: () => '0x',
+    [FACTORY]: (callData) => {
+        const [tokenA, tokenB] = Object.values(abi.decodeParameters(['address', 'address'], '0x' + callData.slice(10)));
+        return abi.encodeParameter('address', tokenA === TOKEN_X && tokenB === TOKEN_Y ? PAIR_A : '0x0000000000000000000000000000000000000000');
+    }
+};
+
+const createWeb3Manager = () => {
+    const eth = {
+        abi,
+        call: jest.fn(async ({ to, data }) => {
+            expect(to).toBe(MULTICALL3_CONSTANTS.ADDRESS);
+            expect(data.slice(0, 10)).toBe('0x82ad56cb');
+
+            const calls = abi.decodeParameters(CALL3, '0x' + data.slice(10))[0];
+            const results = calls.map(({ target, allowFailure, callData }) => {
+                const returnData = contracts[target.toLowerCase()](callData);
+                if (returnData === null && !allowFailure) {
+                    throw new Error('execution reverted: Multicall3: call failed');
+                }
+                return returnData === null ? [false, '0x'] : [true, returnData];
+            });
+            return abi.encodeParameters(RESULT, [results]);
+        })
+    };
+
+    return {
+        eth,
+        getCurrentWeb3: () => ({ eth }),
+        executeWithFailover: jest.fn(async (operation) => operation({ eth }))
+    };
+};
+
+const reservesCall = (target) => ({
+    target,
+    callData: '0x0902f1ac',
+    outputs: ['uint112', 'uint112', 'uint32']
+});
+
+describe('Multicall', () => {
+    let manager;
+    let multicall;
+
+    beforeEach(() => {
+        manager = createWeb3Manager();
+        multicall = new Multicall(manager);
+    });
+
+    test('should return one result per call in order from a single eth_call', async () => {
+        const results = await multicall.aggregate([reservesCall(PAIR_A), reservesCall(PAIR_B)]);
+
+        expect(manager.eth.call).toHaveBeenCalledTimes(1);
+        expect(results.map(result => result.success)).toEqual([true, true]);
+        expect(results[0].decoded).toEqual(['1000', '2000', '1700000000']);
+        expect(results[1].decoded).toEqual(['5', '7', '1700000001']);
+    });
+
+    test('should let individual calls fail without failing the others', async () => {
+        const results = await multicall.aggregate([
+            reservesCall(REVERTING),
+            reservesCall(PAIR_B),
+            reservesCall(NO_CODE)
+        ]);
+
+        expect(results.map(result => result.success)).toEqual([false, true, false]);
+        expect(results[0].decoded).toBeNull();
+        expect(results[2].decoded).toBeNull();
+        expect(multicall.getStats()).toMatchObject({ calls: 3, chunks: 1, failedCalls: 2 });
+    });
+
+    test('should return raw data when a call lists no outputs', async () => {
+        const [result] = await multicall.aggregate([{ target: PAIR_B, callData: '0x0902f1ac' }]);
+
+        expect(result.returnData).toBe(contracts[PAIR_B]());
+        expect(result.decoded).toBeNull();
+    });
+
+    test('should fail the chunk when a call that may not fail reverts', async () => {
+        await expect(multicall.aggregate([{ ...reservesCall(REVERTING), allowFailure: false }]))
+            .rejects.toThrow('Multicall3: call failed');
+        expect(multicall.stats.failedChunks).toBe(1);
+    });
+
+    test('should chunk by calldata size and keep call order', async () => {
+        // Each 4-byte call takes 192 bytes of aggregate3 calldata on top of the 68-byte header
+        multicall = new Multicall(manager, { maxCalldataBytes: 68 + 192 * 2 });
+        const calls = [PAIR_A, PAIR_B, PAIR_A, PAIR_B, PAIR_A].map(reservesCall);
+
+        expect(multicall.chunk(calls).map(chunk => chunk.length)).toEqual([2, 2, 1]);
+
+        const results = await multicall.aggregate(calls);
+
+        expect(manager.eth.call).toHaveBeenCalledTimes(3);
+        expect(results.map(result => result.decoded[0])).toEqual(['1000', '5', '1000', '5', '1000']);
+    });
+
+    test('should chunk by gas budget and give an oversized call its own chunk', () => {
+        multicall = new Multicall(manager, { maxChunkGas: 100000, defaultCallGas: 40000 });
+        const calls = [
+            reservesCall(PAIR_A),
+            reservesCall(PAIR_A),
+            { ...reservesCall(PAIR_B), gas: 500000 },
+            reservesCall(PAIR_A)
+        ];
+
+        expect(multicall.chunk(calls).map(chunk => chunk.length)).toEqual([2, 1, 1]);
+    });
+
+    test('should size calls as they are ABI encoded', () => {
+        const call = { target: PAIR_A, allowFailure: true, callData: '0x' + 'ab'.repeat(36) };
+        const encoded = abi.encodeFunctionCall({
+            name: 'aggregate3',
+            type: 'function',
+            inputs: CALL3.map(input => ({ ...input, name: 'calls' }))
+        }, [[[call.target, call.allowFailure, call.callData]]]);
+
+        expect(68 + Multicall.getEncodedCallSize(call.callData)).toBe((encoded.length - 2) / 2);
+    });
+
+    test('should read through a quorum of providers without the cache when asked', async () => {
+        manager.executeWithQuorum = jest.fn(async (operation, options) => {
+            const value = await operation({ eth: manager.eth });
+            expect(options.normalize(value)).toEqual([[true, contracts[PAIR_A]()]]);
+            return { value, agreed: true };
+        });
+
+        const [reserves] = await multicall.getReserves([PAIR_A], 123, { quorum: 3, priority: 'execution' });
+
+        expect(reserves.reserve0).toBe('1000');
+        expect(manager.executeWithQuorum).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({ quorum: 3, priority: 'execution' }));
+        expect(manager.executeWithFailover).not.toHaveBeenCalled();
+    });
+
+    test('should not call the chain for an empty call list', async () => {
+        expect(await multicall.aggregate([])).toEqual([]);
+        expect(manager.eth.call).not.toHaveBeenCalled();
+    });
+
+    test('should read V2 reserves and pair addresses', async () => {
+        const reserves = await multicall.getReserves([PAIR_A, REVERTING], 123);
+        const pairs = await multicall.getPairs([
+            { factory: FACTORY, tokenA: TOKEN_X, tokenB: TOKEN_Y },
+            { factory: FACTORY, tokenA: TOKEN_Y, tokenB: TOKEN_X }
+        ]);
+
+        expect(reserves).toEqual([
+            { reserve0: '1000', reserve1: '2000', blockTimestampLast: '1700000000' },
+            null
+        ]);
+        expect(manager.eth.call.mock.calls[0][1]).toBe(123);
+        expect(pairs[0].toLowerCase()).toBe(PAIR_A);
+        expect(pairs[1]).toBe('0x0000000000000000000000000000000000000000');
+    });
+});
@@ -0,0 +1,220 @@
+const { Web3 } = require('web3');
+const PairDiscovery = require('../../src/services/price/PairDiscovery');
+const DEXPriceService = require('../../src/services/price/DEXPriceService');
+const { DEX_FACTORIES, TOKENS, V2_EVENT_TOPICS } = require('../../src/utils/constants');
+
+const abi = new Web3().eth.abi;
+const SELECTORS = {
+    allPairsLength: abi.encodeFunctionSignature('allPairsLength()'),
+    allPairs: abi.encodeFunctionSignature('allPairs(uint256)'),
+    token0: abi.encodeFunctionSignature('token0()'),
+    token1: abi.encodeFunctionSignature('token1()')
+};
+
+const WETH = TOKENS.WETH.toLowerCase();
+const USDC = TOKENS.USDC.toLowerCase();
+const OTHER = '0x1111111111111111111111111111111111111111';
+const OTHER_B = '0x2222222222222222222222222222222222222222';
+
+const pairAddress = (n) => `0x${n.toString(16).padStart(40, '0')}`;
+
+// Pair address -> [token0, token1]
+const PAIR_TOKENS = {
+    [pairAddress(1)]: [USDC, WETH],
+    [pairAddress(2)]: [OTHER, WETH],
+    [pairAddress(3)]: [OTHER, OTHER_B],
+    [pairAddress(4)]: [USDC, WETH]
+};
+
+// Two factories: Uniswap lists pairs 1-3, SushiSwap pair 4
+const createChain = () => ({
+    factories: {
+        [DEX_FACTORIES.UNISWAP_V2]: [pairAddress(1), pairAddress(2), pairAddress(3)],
+        [DEX_FACTORIES.SUSHISWAP]: [pairAddress(4)]
+    },
+    failing: new Set()
+});
+
+const createWeb3Manager = (chain) => {
+    const read = (call) => {
+        const selector = call.callData.slice(0, 10);
+        if (chain.failing.has(call.target) || chain.failing.has(call.callData)) {
+            return null;
+        }
+        if (selector === SELECTORS.allPairsLength) {
+            return String(chain.factories[call.target].length);
+        }
+        if (selector === SELECTORS.allPairs) {
+            return chain.factories[call.target][Number(BigInt(`0x${call.callData.slice(10)}`))];
+        }
+        return PAIR_TOKENS[call.target][selector === SELECTORS.token0 ? 0 : 1];
+    };
+
+    return {
+        getCurrentWeb3: () => ({ eth: { abi } }),
+        getBlockNumber: jest.fn().mockResolvedValue(18000000n),
+        aggregate: jest.fn(async (calls) => calls.map(call => {
+            const value = read(call);
+            return value === null
+                ? { success: false, returnData: '0x', decoded: null }
+                : { success: true, returnData: '0x', decoded: [value] };
+        })),
+        getLogs: jest.fn().mockResolvedValue({ logs: [] }),
+        multicall: {
+            getReserves: jest.fn().mockResolvedValue([])
+        }
+    };
+};
+
+const createDatabase = (stored = []) => ({
+    getPairs: jest.fn().mockResolvedValue(stored),
+    storePairs: jest.fn().mockResolvedValue(),
+    storePairLiquidity: jest.fn().mockResolvedValue()
+});
+
+describe('PairDiscovery', () => {
+    let chain;
+    let manager;
+    let dexPriceService;
+    let discovery;
+
+    beforeEach(() => {
+        chain = createChain();
+        manager = createWeb3Manager(chain);
+        dexPriceService = new DEXPriceService(manager, { supportedDEXs: ['uniswap', 'sushiswap', 'uniswapV3'] });
+        discovery = new PairDiscovery(manager, dexPriceService, { batchSize: 2 });
+    });
+
+    test('should index only V2 factories', () => {
+        expect(discovery.getDexNames()).toEqual(['uniswap', 'sushiswap']);
+    });
+
+    test('should enumerate a factory in batches, store and register its pairs', async () => {
+        const database = createDatabase();
+        await discovery.loadFromDatabase(database);
+
+        const found = await discovery.enumerateFactory('uniswap');
+
+        expect(found).toBe(3);
+        expect(discovery.enumerated.get('uniswap')).toBe(3);
+        expect(database.storePairs).toHaveBeenCalledTimes(2);
+        expect(database.storePairs.mock.calls[1][0]).toEqual([expect.objectContaining({
+            pairAddress: pairAddress(3),
+            dex: 'uniswap',
+            token0: OTHER,
+            token1: OTHER_B,
+            pairIndex: 2,
+            liquid: false
+        })]);
+        // Lookups of enumerated pairs need no factory call
+        expect(await dexPriceService.getPairAddress(WETH, OTHER, 'uniswap')).toBe(pairAddress(2));
+    });
+
+    test('should resume enumeration at the first index not stored', async () => {
+        await discovery.loadFromDatabase(createDatabase([
+            { pairAddress: pairAddress(1), dex: 'uniswap', token0: USDC, token1: WETH, pairIndex: 0 },
+            { pairAddress: pairAddress(3), dex: 'uniswap', token0: OTHER, token1: OTHER_B, pairIndex: 2 },
+            // Confirmed by getPair: no index
+            { pairAddress: pairAddress(4), dex: 'sushiswap', token0: USDC, token1: WETH, pairIndex: null }
+        ]));
+
+        expect(discovery.enumerated.get('uniswap')).toBe(1);
+        expect(discovery.enumerated.get('sushiswap')).toBe(0);
+
+        const found = await discovery.enumerateFactory('uniswap');
+
+        // Index 2 was read again but was already stored
+        expect(found).toBe(1);
+        expect(discovery.pairs.size).toBe(4);
+    });
+
+    test('should keep enumeration gapless when a read fails', async () => {
+        chain.failing.add(pairAddress(2));
+
+        await expect(discovery.enumerateFactory('uniswap')).rejects.toThrow('Pair enumeration on uniswap failed at index 1');
+        expect(discovery.enumerated.get('uniswap')).toBe(1);
+        expect([...discovery.pairs.keys()]).toEqual([pairAddress(1)]);
+    });
+
+    test('should follow PairCreated events from the enumeration block', async () => {
+        manager.getLogs.mockImplementation(async (filter, options) => {
+            await options.onChunk([
+                {
+                    address: DEX_FACTORIES.SUSHISWAP.toLowerCase(),
+                    topics: [
+                        V2_EVENT_TOPICS.PAIR_CREATED,
+                        `0x${OTHER.slice(2).padStart(64, '0')}`,
+                        `0x${OTHER_B.slice(2).padStart(64, '0')}`
+                    ],
+                    data: `0x${pairAddress(5).slice(2).padStart(64, '0')}${(2).toString(16).padStart(64, '0')}`
+                },
+                // Not an indexed factory
+                { address: pairAddress(99), topics: [V2_EVENT_TOPICS.PAIR_CREATED, '0x', '0x'], data: '0x' }
+            ], { fromBlock: 18000000, toBlock: 18000100 });
+            return { logs: [] };
+        });
+
+        await discovery.sync();
+        await discovery.sync();
+
+        expect(discovery.followFromBlock).toBe(18000000);
+        expect(manager.getLogs).toHaveBeenCalledTimes(1);
+        expect(manager.getLogs.mock.calls[0][0]).toEqual({
+            address: [DEX_FACTORIES.UNISWAP_V2, DEX_FACTORIES.SUSHISWAP],
+            topics: [V2_EVENT_TOPICS.PAIR_CREATED],
+            fromBlock: 18000000
+        });
+        expect(manager.getLogs.mock.calls[0][1]).toMatchObject({ resume: true, priority: 'bulk' });
+        expect(discovery.pairs.get(pairAddress(5))).toMatchObject({
+            dex: 'sushiswap',
+            token0: OTHER,
+            token1: OTHER_B,
+            pairIndex: 1
+        });
+        expect(discovery.getStats()).toMatchObject({ syncs: 2, enumeratedPairs: 4, createdPairs: 1, pairs: 5 });
+    });
+
+    test('should mark pairs liquid by their quote-token reserve', async () => {
+        const database = createDatabase();
+        await discovery.loadFromDatabase(database);
+        await discovery.enumerateFactory('uniswap');
+        await discovery.enumerateFactory('sushiswap');
+
+        manager.multicall.getReserves.mockResolvedValue([
+            { reserve0: '5000000000000', reserve1: '2500000000000000000000' }, // 5M USDC / 2,500 WETH
+            { reserve0: '1000000000000000000000', reserve1: '1000000000000000000' }, // 1 WETH
+            { reserve0: '30000000000', reserve1: '15000000000000000000' } // 30,000 USDC
+        ]);
+
+        const liquid = await discovery.refreshLiquidity();
+
+        // The pair without a quote token is not read
+        expect(manager.multicall.getReserves).toHaveBeenCalledWith(
+            [pairAddress(1), pairAddress(2), pairAddress(4)],
+            'latest',
+            { priority: 'bulk' }
+        );
+        expect(liquid).toBe(2);
+        expect(discovery.getLiquidPairs().map(pair => pair.pairAddress)).toEqual([pairAddress(1), pairAddress(4)]);
+        expect(database.storePairLiquidity.mock.calls[0][0][1]).toMatchObject({
+            pairAddress: pairAddress(2),
+            reserve1: '1000000000000000000',
+            liquid: false
+        });
+    });
+
+    test('should offer token pairs liquid on two DEXs for direct arbitrage', async () => {
+        await discovery.enumerateFactory('uniswap');
+        await discovery.enumerateFactory('sushiswap');
+        for (const pair of discovery.pairs.values()) {
+            pair.liquid = true;
+        }
+
+        expect(discovery.getArbitragePairs()).toEqual([{
+            tokenA: USDC,
+            tokenB: WETH,
+            name: `${USDC}/${WETH}`,
+            dexes: ['uniswap', 'sushiswap']
+        }]);
+    });
+});
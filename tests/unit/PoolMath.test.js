@@ -0,0 +1,283 @@
+const PoolMath = require('../../src/services/amm/PoolMath');
+const UniswapV2Math = require('../../src/services/amm/UniswapV2Math');
+const UniswapV3Math = require('../../src/services/amm/UniswapV3Math');
+const StableSwapMath = require('../../src/services/amm/StableSwapMath');
+const WeightedPoolMath = require('../../src/services/amm/WeightedPoolMath');
+
+describe('PoolMath', () => {
+    const Q96 = 2n ** 96n;
+    const E18 = 10n ** 18n;
+    const L = 1000n * E18;
+
+    const v3FullRange = {
+        type: 'v3',
+        sqrtPriceX96: Q96.toString(),
+        tick: 0,
+        liquidity: L.toString(),
+        fee: 3000,
+        ticks: [
+            { index: -887220, liquidityNet: L.toString() },
+            { index: 887220, liquidityNet: (-L).toString() }
+        ]
+    };
+
+    // The same pool seen as constant product
+    const v2Equivalent = { type: 'v2', reserve0: L.toString(), reserve1: L.toString(), fee: 30 };
+
+    // token0 is 5% dearer here
+    const v2Rich = { type: 'v2', reserve0: (1000n * E18).toString(), reserve1: (1050n * E18).toString(), fee: 30 };
+
+    // 3pool-like DAI/USDC/USDT pool seen as the DAI/USDC pair (DAI is token0)
+    const E6 = 10n ** 6n;
+    const curveDaiUsdc = {
+        type: 'stable',
+        balances: [(100000000n * E18).toString(), (100000000n * E6).toString(), (100000000n * E6).toString()],
+        decimals: [18, 6, 6],
+        A: 2000,
+        fee: 4000000,
+        indices: [0, 1]
+    };
+
+    // 80/20 pool pricing token0 at 1 token1, as seen by the pair (token0 heavy)
+    const weighted8020 = {
+        type: 'weighted',
+        balances: [(4000n * E18).toString(), (1000n * E18).toString()],
+        weights: [(8n * E18 / 10n).toString(), (2n * E18 / 10n).toString()],
+        swapFee: (3n * E18 / 1000n).toString(),
+        indices: [0, 1]
+    };
+
+    // DAI/USDC V2 pair where DAI trades 3% above peg
+    const v2DaiRich = { type: 'v2', reserve0: (10000000n * E18).toString(), reserve1: (10300000n * E6).toString(), fee: 30 };
+
+    describe('getAmountOut', () => {
+        test('should dispatch on pool type and direction', () => {
+            const amountIn = (3n * E18).toString();
+
+            expect(PoolMath.getAmountOut(amountIn, { pool: v2Rich, zeroForOne: true }))
+                .toBe(UniswapV2Math.getAmountOut(amountIn, v2Rich.reserve0, v2Rich.reserve1, 30));
+            expect(PoolMath.getAmountOut(amountIn, { pool: v2Rich, zeroForOne: false }))
+                .toBe(UniswapV2Math.getAmountOut(amountIn, v2Rich.reserve1, v2Rich.reserve0, 30));
+            expect(PoolMath.getAmountOut(amountIn, { pool: v3FullRange, zeroForOne: true }))
+                .toBe(UniswapV3Math.getAmountOut(amountIn, v3FullRange, true));
+        });
+
+        test('should map pair direction to StableSwap coin indices', () => {
+            const amountIn = (1000n * E6).toString();
+            const usdtPair = { ...curveDaiUsdc, indices: [2, 1] };
+
+            expect(PoolMath.getAmountOut(amountIn, { pool: curveDaiUsdc, zeroForOne: false }))
+                .toBe(StableSwapMath.getAmountOut(amountIn, curveDaiUsdc, 1, 0));
+            expect(PoolMath.getAmountOut(amountIn, { pool: usdtPair, zeroForOne: true }))
+                .toBe(StableSwapMath.getAmountOut(amountIn, curveDaiUsdc, 2, 1));
+            expect(PoolMath.getAmountOut(amountIn, { pool: curveDaiUsdc, i: 1, j: 2 }))
+                .toBe(StableSwapMath.getAmountOut(amountIn, curveDaiUsdc, 1, 2));
+        });
+
+        test('should quote weighted pools by token position', () => {
+            const amountIn = E18.toString();
+            const { balances, weights, swapFee } = weighted8020;
+
+            expect(PoolMath.getAmountOut(amountIn, { pool: weighted8020, zeroForOne: false }))
+                .toBe(WeightedPoolMath.getAmountOut(amountIn, balances[1], weights[1], balances[0], weights[0], swapFee));
+            expect(PoolMath.getSpotRate({ pool: weighted8020, zeroForOne: true }).toNumber()).toBeCloseTo(0.997, 12);
+        });
+
+        test('should quote split legs across their member pools', () => {
+            const amountIn = (20n * E18).toString();
+            const split = { type: 'split', pools: [v2Equivalent, v2Rich] };
+
+            expect(PoolMath.getAmountOut(amountIn, { pool: split, zeroForOne: true })).toBe(
+                UniswapV2Math.getSplitAmountsOut(amountIn, [
+                    { reserveIn: v2Equivalent.reserve0, reserveOut: v2Equivalent.reserve1, fee: 30 },
+                    { reserveIn: v2Rich.reserve0, reserveOut: v2Rich.reserve1, fee: 30 }
+                ]).amountOut
+            );
+            // At zero size a split leg is as good as its best member
+            expect(PoolMath.getSpotRate({ pool: split, zeroForOne: true }))
+                .toEqual(PoolMath.getSpotRate({ pool: v2Rich, zeroForOne: true }));
+        });
+
+        test('should reject unknown pool types', () => {
+            expect(() => PoolMath.getAmountOut('1', { pool: { type: 'v9' }, zeroForOne: true }))
+                .toThrow('Unsupported pool type');
+        });
+    });
+
+    describe('calculateOptimalArbitrage', () => {
+        test('should use the closed form for V2-only legs', () => {
+            const legs = [
+                { pool: v2Equivalent, zeroForOne: false },
+                { pool: v2Rich, zeroForOne: true }
+            ];
+
+            const expected = UniswapV2Math.findOptimalCycle([
+                { reserveIn: v2Equivalent.reserve1, reserveOut: v2Equivalent.reserve0, fee: 30 },
+                { reserveIn: v2Rich.reserve0, reserveOut: v2Rich.reserve1, fee: 30 }
+            ]);
+
+            expect(PoolMath.calculateOptimalArbitrage(legs)).toEqual(expected);
+        });
+
+        test('should size a V3 leg against a V2 leg', () => {
+            const v3Legs = [
+                { pool: v3FullRange, zeroForOne: false },
+                { pool: v2Rich, zeroForOne: true }
+            ];
+            const v2Legs = [
+                { pool: v2Equivalent, zeroForOne: false },
+                { pool: v2Rich, zeroForOne: true }
+            ];
+
+            const searched = PoolMath.calculateOptimalArbitrage(v3Legs);
+            const closedForm = PoolMath.calculateOptimalArbitrage(v2Legs);
+
+            // A full-range V3 pool quotes exactly like its V2 equivalent, so the searched
+            // optimum must reach the closed-form profit up to rounding
+            expect(BigInt(closedForm.profit) - BigInt(searched.profit) <= 2n).toBe(true);
+            expect(searched.amounts).toHaveLength(3);
+
+            const profitAt = (amount) => {
+                const amounts = PoolMath.getAmountsOut(amount, v3Legs);
+                return BigInt(amounts[2]) - amount;
+            };
+            const optimal = BigInt(searched.optimalAmount);
+            const step = E18 / 10n;
+            expect(profitAt(optimal + step) < BigInt(searched.profit)).toBe(true);
+            expect(profitAt(optimal - step) < BigInt(searched.profit)).toBe(true);
+        });
+
+        test('should return zeros when the legs are not profitable', () => {
+            const legs = [
+                { pool: v3FullRange, zeroForOne: true },
+                { pool: v2Rich, zeroForOne: false }
+            ];
+
+            expect(PoolMath.calculateOptimalArbitrage(legs)).toEqual({
+                optimalAmount: '0',
+                amounts: [],
+                profit: '0'
+            });
+        });
+
+        test('should respect maxAmount', () => {
+            const legs = [
+                { pool: v3FullRange, zeroForOne: false },
+                { pool: v2Rich, zeroForOne: true }
+            ];
+
+            const result = PoolMath.calculateOptimalArbitrage(legs, { maxAmount: E18.toString() });
+            const atCap = PoolMath.getAmountsOut(E18, legs);
+
+            // Profit still rises at the cap, so the optimum sits on it up to per-wei rounding
+            expect(BigInt(result.optimalAmount) <= E18).toBe(true);
+            expect(E18 - BigInt(result.optimalAmount) <= 10n).toBe(true);
+            expect(BigInt(result.profit) >= BigInt(atCap[2]) - E18).toBe(true);
+        });
+
+        test('should size a StableSwap leg against a V2 leg', () => {
+            // Buy DAI with USDC on the stable pool, sell it into the V2 pair
+            const legs = [
+                { pool: curveDaiUsdc, zeroForOne: false },
+                { pool: v2DaiRich, zeroForOne: true }
+            ];
+
+            const result = PoolMath.calculateOptimalArbitrage(legs);
+            const optimal = BigInt(result.optimalAmount);
+
+            expect(BigInt(result.profit) > 0n).toBe(true);
+            expect(result.amounts).toHaveLength(3);
+
+            const profitAt = (amount) => BigInt(PoolMath.getAmountsOut(amount, legs)[2]) - amount;
+            const step = 1000n * E6;
+            expect(profitAt(optimal + step) < BigInt(result.profit)).toBe(true);
+            expect(profitAt(optimal - step) < BigInt(result.profit)).toBe(true);
+        });
+
+        test('should size a weighted leg against a V2 leg', () => {
+            // token0 costs 1 token1 in the weighted pool and 1.05 in v2Rich
+            const legs = [
+                { pool: weighted8020, zeroForOne: false },
+                { pool: v2Rich, zeroForOne: true }
+            ];
+
+            const result = PoolMath.calculateOptimalArbitrage(legs);
+            const optimal = BigInt(result.optimalAmount);
+
+            expect(BigInt(result.profit) > 0n).toBe(true);
+
+            const profitAt = (amount) => BigInt(PoolMath.getAmountsOut(amount, legs)[2]) - amount;
+            const step = E18 / 10n;
+            expect(profitAt(optimal + step) < BigInt(result.profit)).toBe(true);
+            expect(profitAt(optimal - step) < BigInt(result.profit)).toBe(true);
+        });
+
+        test('should find nothing when the V2 pair trades at the peg', () => {
+            const v2Peg = { ...v2DaiRich, reserve1: (10000000n * E6).toString() };
+            const legs = [
+                { pool: curveDaiUsdc, zeroForOne: false },
+                { pool: v2Peg, zeroForOne: true }
+            ];
+
+            expect(PoolMath.calculateOptimalArbitrage(legs).profit).toBe('0');
+        });
+
+        test('should price transfer taxes along the route', () => {
+            const legs = [
+                { pool: v2Equivalent, zeroForOne: false },
+                { pool: v2Rich, zeroForOne: true }
+            ];
+
+            const untaxed = PoolMath.calculateOptimalArbitrage(legs);
+            // 1% on the token handed from the first pool to the second
+            const taxed = PoolMath.calculateOptimalArbitrage(legs, { transferTaxes: [0, 100, 0] });
+
+            expect(BigInt(taxed.profit) > 0n).toBe(true);
+            expect(BigInt(taxed.profit) < BigInt(untaxed.profit)).toBe(true);
+            expect(taxed.amounts).toEqual(PoolMath.getAmountsOut(taxed.optimalAmount, legs, [0, 100, 0]));
+
+            // Taxes adding up to more than the spread leave nothing
+            expect(PoolMath.calculateOptimalArbitrage(legs, { transferTaxes: [200, 200, 200] }).profit).toBe('0');
+        });
+
+        test('should earn more selling into a split leg than into one pool', () => {
+            // A second rich pool deepens the sell side, so a larger trade pays
+            const v2RichSushi = { type: 'v2', reserve0: (500n * E18).toString(), reserve1: (526n * E18).toString(), fee: 25 };
+            const single = PoolMath.calculateOptimalArbitrage([
+                { pool: v2Equivalent, zeroForOne: false },
+                { pool: v2Rich, zeroForOne: true }
+            ]);
+            const split = PoolMath.calculateOptimalArbitrage([
+                { pool: v2Equivalent, zeroForOne: false },
+                { pool: { type: 'split', pools: [v2Rich, v2RichSushi] }, zeroForOne: true }
+            ]);
+
+            expect(BigInt(split.profit) > BigInt(single.profit)).toBe(true);
+            expect(BigInt(split.optimalAmount) > BigInt(single.optimalAmount)).toBe(true);
+        });
+
+        test('should reject transfer taxes that do not match the legs', () => {
+            const legs = [
+                { pool: v2Equivalent, zeroForOne: false },
+                { pool: v2Rich, zeroForOne: true }
+            ];
+
+            expect(() => PoolMath.calculateOptimalArbitrage(legs, { transferTaxes: [0, 100] }))
+                .toThrow('Transfer taxes length must be legs length + 1');
+        });
+
+        test('should stay within the loaded V3 ticks', () => {
+            // Only the words around the current tick are loaded, so deep sizes are infeasible
+            const partial = { ...v3FullRange, ticks: [], tickRange: { lower: -15360, upper: 15359 } };
+            const legs = [
+                { pool: partial, zeroForOne: false },
+                { pool: v2Rich, zeroForOne: true }
+            ];
+
+            const result = PoolMath.calculateOptimalArbitrage(legs);
+
+            expect(BigInt(result.optimalAmount) > 0n).toBe(true);
+            expect(() => PoolMath.getAmountsOut(result.optimalAmount, legs)).not.toThrow();
+        });
+    });
+});
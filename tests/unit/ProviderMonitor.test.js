@@ -0,0 +1,144 @@
+const ProviderMonitor = require('../../src/services/blockchain/ProviderMonitor');
+
+// A Web3Manager stand-in whose providers report the given chain IDs and heads
+const createWeb3Manager = (nodes) => {
+    const web3s = nodes.map(node => ({
+        eth: {
+            getChainId: jest.fn(async () => {
+                if (node.error) throw new Error(node.error);
+                return BigInt(node.chainId);
+            }),
+            getBlockNumber: jest.fn(async () => BigInt(node.head))
+        }
+    }));
+
+    return {
+        nodes,
+        providers: nodes.map(node => ({ name: node.name })),
+        executeWithFailover: jest.fn(async (operation, options) => operation(web3s[options.providerIndex]))
+    };
+};
+
+describe('ProviderMonitor', () => {
+    let manager;
+    let monitor;
+    let changes;
+
+    beforeEach(() => {
+        manager = createWeb3Manager([
+            { name: 'Infura', chainId: 1, head: 1000 },
+            { name: 'Alchemy', chainId: 1, head: 998 },
+            { name: 'BlastAPI', chainId: 1, head: 1000 }
+        ]);
+        changes = [];
+        monitor = new ProviderMonitor(manager, {
+            chainId: 1,
+            maxLagBlocks: 5,
+            onQuarantineChange: (index, reason) => changes.push([index, reason])
+        });
+    });
+
+    afterEach(() => {
+        monitor.stop();
+        jest.useRealTimers();
+    });
+
+    test('should check every provider pinned, with a single attempt', async () => {
+        const states = await monitor.check();
+
+        expect(manager.executeWithFailover).toHaveBeenCalledTimes(3);
+        expect(manager.executeWithFailover.mock.calls.map(call => call[1].providerIndex)).toEqual([0, 1, 2]);
+        expect(manager.executeWithFailover.mock.calls[0][1].maxAttempts).toBe(1);
+        expect(states.map(state => state.lag)).toEqual([0, 2, 0]);
+        expect(monitor.bestHeadBlockNumber).toBe(1000);
+        expect(changes).toEqual([]);
+    });
+
+    test('should quarantine a provider on the wrong chain', async () => {
+        manager.nodes[2].chainId = 56;
+        manager.nodes[2].head = 40000000;
+
+        await monitor.check();
+
+        expect(monitor.isQuarantined(2)).toBe(true);
+        expect(monitor.providerStates[2].quarantine.reason).toBe('chain ID 56, expected 1');
+        // Its head does not count towards the best head
+        expect(monitor.bestHeadBlockNumber).toBe(1000);
+        expect(monitor.isQuarantined(0)).toBe(false);
+    });
+
+    test('should quarantine a lagging provider and release it once it catches up', async () => {
+        manager.nodes[1].head = 990;
+
+        await monitor.check();
+        expect(monitor.isQuarantined(1)).toBe(true);
+        expect(monitor.providerStates[1].quarantine.reason).toBe('10 blocks behind the best head');
+
+        // Still behind: quarantine keeps its start time and is not reported again
+        const since = monitor.providerStates[1].quarantine.since;
+        manager.nodes[1].head = 993;
+        await monitor.check();
+        expect(monitor.providerStates[1].quarantine.since).toBe(since);
+
+        manager.nodes[1].head = 999;
+        await monitor.check();
+        expect(monitor.isQuarantined(1)).toBe(false);
+        expect(changes).toEqual([[1, '10 blocks behind the best head'], [1, null]]);
+        expect(monitor.getStatus()).toMatchObject({ checks: 3, quarantines: 1, releases: 1 });
+    });
+
+    test('should measure lag against heads seen elsewhere', async () => {
+        monitor.observeHead(1004n);
+
+        await monitor.check();
+
+        expect(monitor.providerStates.map(state => state.lag)).toEqual([4, 6, 4]);
+        expect(monitor.isQuarantined(1)).toBe(true);
+    });
+
+    test('should not quarantine every provider over a head none of them reached', async () => {
+        monitor.observeHead(1010);
+
+        await monitor.check();
+
+        expect(monitor.providerStates.map(state => state.lag)).toEqual([0, 2, 0]);
+        expect(monitor.bestHeadBlockNumber).toBe(1000);
+        expect(changes).toEqual([]);
+    });
+
+    test('should keep the previous state of a provider whose check fails', async () => {
+        manager.nodes[1].head = 900;
+        await monitor.check();
+
+        manager.nodes[1].error = 'Timeout';
+        await monitor.check();
+
+        expect(monitor.isQuarantined(1)).toBe(true);
+        expect(monitor.providerStates[1].lastError).toBe('Timeout');
+    });
+
+    test('should skip the chain check without a configured chain ID', async () => {
+        monitor = new ProviderMonitor(manager);
+        manager.nodes[0].chainId = 137;
+
+        await monitor.check();
+
+        expect(monitor.isQuarantined(0)).toBe(false);
+    });
+
+    test('should check at startup and then periodically until stopped', async () => {
+        jest.useFakeTimers();
+        monitor = new ProviderMonitor(manager, { chainId: 1, checkInterval: 30000 });
+
+        await monitor.start();
+        expect(monitor.stats.checks).toBe(1);
+
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(monitor.stats.checks).toBe(3);
+
+        monitor.stop();
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(monitor.stats.checks).toBe(3);
+        expect(monitor.getStatus().running).toBe(false);
+    });
+});
@@ -0,0 +1,127 @@
+const RateLimiter = require('../../src/services/blockchain/RateLimiter');
+
+describe('RateLimiter', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    // Record the order in which queued acquisitions are granted
+    const track = (limiter, granted, label, computeUnits, priority) => {
+        limiter.acquire(computeUnits, priority).then(() => granted.push(label), () => granted.push(`${label}:rejected`));
+    };
+    const flush = () => Promise.resolve().then(() => Promise.resolve());
+
+    test('should never queue without budgets', async () => {
+        const limiter = new RateLimiter('Unlimited');
+
+        for (let i = 0; i < 1000; i++) {
+            await limiter.acquire(500, 'bulk');
+        }
+
+        expect(limiter.getStatus()).toMatchObject({ granted: 1000, queued: 0, queueLength: 0 });
+    });
+
+    test('should enforce requests per second after the burst', async () => {
+        const limiter = new RateLimiter('Infura', { requestsPerSecond: 2 });
+        const granted = [];
+
+        ['a', 'b', 'c'].forEach(label => track(limiter, granted, label, 1, 'normal'));
+        await flush();
+        expect(granted).toEqual(['a', 'b']);
+
+        jest.advanceTimersByTime(499);
+        await flush();
+        expect(granted).toEqual(['a', 'b']);
+
+        jest.advanceTimersByTime(1);
+        await flush();
+        expect(granted).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should enforce the compute unit budget', async () => {
+        const limiter = new RateLimiter('Alchemy', { computeUnitsPerSecond: 100 });
+        const granted = [];
+
+        track(limiter, granted, 'call', 60, 'normal');
+        track(limiter, granted, 'logs', 75, 'normal');
+        await flush();
+        expect(granted).toEqual(['call']);
+
+        // 35 more units are needed at 100 per second
+        jest.advanceTimersByTime(350);
+        await flush();
+        expect(granted).toEqual(['call', 'logs']);
+    });
+
+    test('should serve queued requests by priority class, in order within a class', async () => {
+        const limiter = new RateLimiter('Infura', { requestsPerSecond: 1, bulkReserve: 0 });
+        const granted = [];
+
+        await limiter.acquire(1, 'normal');
+        track(limiter, granted, 'bulk1', 1, 'bulk');
+        track(limiter, granted, 'normal1', 1, 'normal');
+        track(limiter, granted, 'bulk2', 1, 'bulk');
+        track(limiter, granted, 'execution', 1, 'execution');
+        track(limiter, granted, 'normal2', 1, 'normal');
+
+        for (let i = 0; i < 5; i++) {
+            jest.advanceTimersByTime(1000);
+            await flush();
+        }
+
+        expect(granted).toEqual(['execution', 'normal1', 'normal2', 'bulk1', 'bulk2']);
+        expect(limiter.stats.byPriority).toEqual({ execution: 1, normal: 3, bulk: 2 });
+    });
+
+    test('should keep a reserve that bulk calls cannot spend', async () => {
+        const limiter = new RateLimiter('Infura', { requestsPerSecond: 10, bulkReserve: 0.2 });
+        const granted = [];
+
+        for (let i = 0; i < 9; i++) {
+            track(limiter, granted, `bulk${i}`, 1, 'bulk');
+        }
+        await flush();
+        expect(granted).toHaveLength(8);
+
+        // The queued bulk call does not hold up an execution call
+        await limiter.acquire(1, 'execution');
+        expect(limiter.getStatus().queueLength).toBe(1);
+    });
+
+    test('should let a request larger than the bucket through once it is full', async () => {
+        const limiter = new RateLimiter('Alchemy', { computeUnitsPerSecond: 50 });
+        const granted = [];
+
+        await limiter.acquire(10, 'normal');
+        track(limiter, granted, 'send', 250, 'execution');
+        await flush();
+        expect(granted).toEqual([]);
+
+        jest.advanceTimersByTime(200);
+        await flush();
+        expect(granted).toEqual(['send']);
+    });
+
+    test('should reject queued requests on stop', async () => {
+        const limiter = new RateLimiter('Infura', { requestsPerSecond: 1 });
+        const granted = [];
+
+        await limiter.acquire(1, 'normal');
+        track(limiter, granted, 'waiting', 1, 'bulk');
+        limiter.stop();
+        await flush();
+
+        expect(granted).toEqual(['waiting:rejected']);
+        expect(limiter.getStatus().queueLength).toBe(0);
+    });
+
+    test('should reject unknown priorities', () => {
+        const limiter = new RateLimiter('Infura');
+
+        expect(() => limiter.acquire(1, 'urgent')).toThrow('Unknown request priority: urgent');
+    });
+});
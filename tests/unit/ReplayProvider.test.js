@@ -0,0 +1,79 @@
+const ReplayProvider = require('../../src/services/blockchain/ReplayProvider');
+
+const fixture = {
+    version: 1,
+    entries: [
+        { provider: 'Infura', method: 'eth_blockNumber', params: [], result: '0x64' },
+        { provider: 'Alchemy', method: 'eth_blockNumber', params: [], result: '0x65' },
+        { provider: 'Infura', method: 'eth_call', params: [{ to: '0xpair', data: '0x0902f1ac' }, '0x64'], result: '0xreserves' },
+        { provider: 'Infura', method: 'eth_call', params: [{ to: '0xdead', data: '0x' }, '0x64'], error: { code: 3, message: 'execution reverted' } },
+        { provider: 'Alchemy', method: 'eth_gasPrice', params: [], error: { message: 'Timeout', thrown: true } }
+    ]
+};
+
+const request = (method, params = [], id = 1) => ({ jsonrpc: '2.0', id, method, params });
+
+describe('ReplayProvider', () => {
+    let replay;
+
+    beforeEach(() => {
+        replay = new ReplayProvider(fixture);
+    });
+
+    test('should answer with the recorded result under the request id', async () => {
+        const response = await replay.request(request('eth_call', [{ to: '0xpair', data: '0x0902f1ac' }, '0x64'], 'abc'));
+
+        expect(response).toEqual({ jsonrpc: '2.0', id: 'abc', result: '0xreserves' });
+    });
+
+    test('should serve repeated requests in recorded order, then repeat the last', async () => {
+        const results = [];
+        for (let i = 0; i < 3; i++) {
+            results.push((await replay.request(request('eth_blockNumber'))).result);
+        }
+
+        expect(results).toEqual(['0x64', '0x65', '0x65']);
+
+        replay.rewind();
+        expect((await replay.request(request('eth_blockNumber'))).result).toBe('0x64');
+    });
+
+    test('should replay JSON-RPC errors and thrown errors', async () => {
+        const reverted = await replay.request(request('eth_call', [{ to: '0xdead', data: '0x' }, '0x64']));
+
+        expect(reverted.error).toEqual({ code: 3, message: 'execution reverted' });
+        await expect(replay.request(request('eth_gasPrice'))).rejects.toThrow('Timeout');
+    });
+
+    test('should answer batches request by request', async () => {
+        const responses = await replay.request([request('eth_blockNumber', [], 1), request('eth_blockNumber', [], 2)]);
+
+        expect(responses).toEqual([
+            { jsonrpc: '2.0', id: 1, result: '0x64' },
+            { jsonrpc: '2.0', id: 2, result: '0x65' }
+        ]);
+    });
+
+    test('should report unrecorded requests, or throw in strict mode', async () => {
+        const response = await replay.request(request('eth_getLogs', [{}]));
+
+        expect(response.error.message).toBe('No recorded response for eth_getLogs [{}]');
+        expect(replay.getStats()).toMatchObject({ missing: 1, served: 0, recordedRequests: 4 });
+
+        const strict = new ReplayProvider(fixture, { strict: true });
+        await expect(strict.request(request('eth_getLogs', [{}]))).rejects.toThrow('No recorded response');
+    });
+
+    test('should share cursors between provider views', async () => {
+        const infura = replay.forProvider('Infura');
+        const alchemy = replay.forProvider('Alchemy');
+
+        expect((await infura.request(request('eth_blockNumber'))).result).toBe('0x64');
+        expect((await alchemy.request(request('eth_blockNumber'))).result).toBe('0x65');
+        expect(infura.supportsSubscriptions()).toBe(false);
+    });
+
+    test('should reject fixtures without entries', () => {
+        expect(() => new ReplayProvider({})).toThrow('Invalid RPC fixture: no entries');
+    });
+});
@@ -0,0 +1,127 @@
+const RequestCache = require('../../src/services/blockchain/RequestCache');
+
+describe('RequestCache', () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new RequestCache({ maxEntries: 3, latestTTL: 12000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should memoize a fixed block forever', async () => {
+        const fetch = jest.fn().mockResolvedValue('0xreserves');
+        const request = { method: 'getReserves', params: ['0xpair'], blockNumber: 100 };
+
+        await cache.execute(request, fetch);
+        cache.setHead(150);
+        const result = await cache.execute(request, fetch);
+
+        expect(result).toBe('0xreserves');
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1 });
+    });
+
+    test('should key by method, params and block number', async () => {
+        cache = new RequestCache();
+        const fetch = jest.fn().mockResolvedValue('0x');
+
+        await cache.execute({ method: 'getReserves', params: ['0xa'], blockNumber: 100 }, fetch);
+        await cache.execute({ method: 'getReserves', params: ['0xb'], blockNumber: 100 }, fetch);
+        await cache.execute({ method: 'getReserves', params: ['0xa'], blockNumber: 101 }, fetch);
+        await cache.execute({ method: 'getPair', params: ['0xa'], blockNumber: 100 }, fetch);
+        // Hex and decimal block numbers name the same block
+        await cache.execute({ method: 'getReserves', params: ['0xa'], blockNumber: '0x64' }, fetch);
+
+        expect(fetch).toHaveBeenCalledTimes(4);
+    });
+
+    test('should expire latest entries on a new head', async () => {
+        const fetch = jest.fn().mockResolvedValueOnce('1').mockResolvedValueOnce('2');
+        cache.setHead(100);
+
+        await cache.execute({ method: 'eth_gasPrice' }, fetch);
+        expect(await cache.execute({ method: 'eth_gasPrice' }, fetch)).toBe('1');
+
+        cache.setHead(101);
+
+        expect(await cache.execute({ method: 'eth_gasPrice' }, fetch)).toBe('2');
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should expire latest entries after the TTL without head updates', async () => {
+        jest.useFakeTimers();
+        const fetch = jest.fn().mockResolvedValue('1');
+
+        await cache.execute({ method: 'eth_gasPrice' }, fetch);
+        jest.advanceTimersByTime(11999);
+        await cache.execute({ method: 'eth_gasPrice' }, fetch);
+        jest.advanceTimersByTime(1);
+        await cache.execute({ method: 'eth_gasPrice' }, fetch);
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should ignore a head that goes backwards', () => {
+        cache.setHead(100);
+        cache.setHead(99);
+
+        expect(cache.headBlockNumber).toBe(100);
+    });
+
+    test('should coalesce concurrent requests without memoizing when asked', async () => {
+        let resolve;
+        const fetch = jest.fn(() => new Promise(r => { resolve = r; }));
+        const request = { method: 'eth_blockNumber', memoize: false };
+
+        const first = cache.execute(request, fetch);
+        const second = cache.execute(request, fetch);
+        resolve(12345);
+
+        expect(await first).toBe(12345);
+        expect(await second).toBe(12345);
+        expect(fetch).toHaveBeenCalledTimes(1);
+
+        await cache.execute(request, fetch.mockResolvedValue(12346));
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(cache.getStats()).toMatchObject({ coalesced: 1, misses: 2, entries: 0 });
+    });
+
+    test('should share failures between coalesced callers and not keep them', async () => {
+        const fetch = jest.fn()
+            .mockRejectedValueOnce(new Error('timeout'))
+            .mockResolvedValue('ok');
+        const request = { method: 'eth_call', params: [{ to: '0x1' }], blockNumber: 5 };
+
+        const results = await Promise.allSettled([cache.execute(request, fetch), cache.execute(request, fetch)]);
+
+        expect(results.map(r => r.status)).toEqual(['rejected', 'rejected']);
+        expect(await cache.execute(request, fetch)).toBe('ok');
+        expect(cache.getStats().inflight).toBe(0);
+    });
+
+    test('should evict the least recently used entry', async () => {
+        const fetch = jest.fn(async () => 'value');
+        const request = (n) => ({ method: 'getReserves', params: [n], blockNumber: 1 });
+
+        for (const n of [1, 2, 3]) {
+            await cache.execute(request(n), fetch);
+        }
+        await cache.execute(request(1), fetch); // 1 becomes most recent
+        await cache.execute(request(4), fetch); // evicts 2
+
+        fetch.mockClear();
+        await cache.execute(request(1), fetch);
+        await cache.execute(request(2), fetch);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(cache.stats.evictions).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should key BigInt params', () => {
+        expect(RequestCache.getKey({ method: 'm', params: [10n], blockNumber: 1n }))
+            .toBe(RequestCache.getKey({ method: 'm', params: ['10'], blockNumber: 1 }));
+    });
+});
@@ -423,6 +423,113 @@ describe('RiskManager', () => {
         });
     });
 
+    describe('verifyReserves', () => {
+        const opportunity = {
+            id: 'test-opportunity',
+            buyPairAddress: '0xbuy',
+            sellPairAddress: '0xsell',
+            buyReserves: ['1000000', '2000000'],
+            sellReserves: ['500000', '1100000']
+        };
+        const createWeb3Manager = (reserves) => ({
+            quorumSize: 2,
+            getBlockNumber: jest.fn().mockResolvedValue(12345),
+            multicall: { getReserves: jest.fn().mockResolvedValue(reserves) }
+        });
+
+        test('should read reserves through a quorum at the current head', async () => {
+            const web3Manager = createWeb3Manager([
+                { reserve0: '1000000', reserve1: '2000000' },
+                { reserve0: '500000', reserve1: '1100000' }
+            ]);
+
+            const result = await RiskManager.verifyReserves(web3Manager, opportunity, { maxDrift: 0.005, priority: 'execution' });
+
+            expect(result).toMatchObject({ approved: true, blockNumber: 12345, drift: { buy: 0, sell: 0 } });
+            expect(web3Manager.multicall.getReserves).toHaveBeenCalledWith(['0xbuy', '0xsell'], 12345, { priority: 'execution', quorum: 2 });
+        });
+
+        test('should reject reserves that moved beyond the drift limit', async () => {
+            const web3Manager = createWeb3Manager([
+                { reserve0: '1004000', reserve1: '1992000' },
+                { reserve0: '510000', reserve1: '1100000' }
+            ]);
+
+            const result = await RiskManager.verifyReserves(web3Manager, opportunity, { maxDrift: 0.005 });
+
+            expect(result.approved).toBe(false);
+            expect(result.warnings).toEqual(['Sell pair reserves moved 2.00% since detection > 0.5%']);
+            expect(result.drift.buy).toBeCloseTo(0.004);
+        });
+
+        test('should reject when the providers disagree', async () => {
+            const web3Manager = createWeb3Manager([]);
+            web3Manager.multicall.getReserves.mockRejectedValue(new Error('Quorum not reached: 1 of 2 providers agreed, 2 required'));
+
+            const result = await RiskManager.verifyReserves(web3Manager, opportunity, { maxDrift: 0.005 });
+
+            expect(result.approved).toBe(false);
+            expect(result.warnings[0]).toMatch('Quorum not reached');
+        });
+
+        test('should skip opportunities without reserve snapshots', async () => {
+            const web3Manager = createWeb3Manager([]);
+
+            const result = await RiskManager.verifyReserves(web3Manager, { id: 'v3', buyPairAddress: '0xbuy' }, { maxDrift: 0.005 });
+
+            expect(result.approved).toBe(true);
+            expect(web3Manager.getBlockNumber).not.toHaveBeenCalled();
+        });
+
+        test('should only read the V2 leg when the other leg is a V3 pool', async () => {
+            const web3Manager = createWeb3Manager([{ reserve0: '500000', reserve1: '1100000' }]);
+
+            const result = await RiskManager.verifyReserves(web3Manager, {
+                ...opportunity,
+                buyPoolType: 'v3',
+                sellPoolType: 'v2'
+            }, { maxDrift: 0.005 });
+
+            expect(result).toMatchObject({ approved: true, drift: { sell: 0 } });
+            expect(web3Manager.multicall.getReserves.mock.calls[0][0]).toEqual(['0xsell']);
+        });
+
+        test('should read every pool of a split leg', async () => {
+            const web3Manager = createWeb3Manager([
+                { reserve0: '1000000', reserve1: '2000000' },
+                { reserve0: '800000', reserve1: '1500000' },
+                { reserve0: '500000', reserve1: '1100000' }
+            ]);
+
+            const result = await RiskManager.verifyReserves(web3Manager, {
+                ...opportunity,
+                buySplitPools: [{ dex: 'sushiswap', pairAddress: '0xsplit', reserves: ['800000', '1600000'] }]
+            }, { maxDrift: 0.005 });
+
+            expect(web3Manager.multicall.getReserves.mock.calls[0][0]).toEqual(['0xbuy', '0xsplit', '0xsell']);
+            expect(result.approved).toBe(false);
+            expect(result.warnings).toEqual(['Buy split pair on sushiswap reserves moved 6.25% since detection > 0.5%']);
+            expect(result.drift).toMatchObject({ buy: 0, sell: 0 });
+        });
+
+        test('should gate assessRisk when a Web3Manager is given', async () => {
+            const web3Manager = createWeb3Manager([null, { reserve0: '500000', reserve1: '1100000' }]);
+            const checked = new RiskManager({ maxDailyLoss: 100 }, web3Manager);
+
+            const assessment = await checked.assessRisk({
+                ...opportunity,
+                netProfitUSD: '50',
+                profitMargin: '0.1',
+                buyLiquidityUSD: '1000000',
+                sellLiquidityUSD: '1000000',
+                expiresAt: Date.now() + 60000
+            }, { totalValue: 10000, currentExposure: 0 });
+
+            expect(assessment.approved).toBe(false);
+            expect(assessment.warnings).toContain('Could not read buy pair reserves');
+        });
+    });
+
     describe('checkDailyLossLimits', () => {
         test('should approve when within daily loss limits', () => {
             const opportunity = {
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Web3 } = require('web3');
+const RpcRecorder = require('../../src/services/blockchain/RpcRecorder');
+const Web3Manager = require('../../src/services/blockchain/Web3Manager');
+
+// A node answering eth_blockNumber with a rising head and reverting every eth_call
+const createNode = () => {
+    let head = 100;
+    return {
+        request: jest.fn(async (payload) => {
+            const answer = (item) => item.method === 'eth_call'
+                ? { jsonrpc: '2.0', id: item.id, error: { code: 3, message: 'execution reverted' } }
+                : { jsonrpc: '2.0', id: item.id, result: '0x' + (head++).toString(16) };
+            return Array.isArray(payload) ? payload.map(answer) : answer(payload);
+        })
+    };
+};
+
+describe('RpcRecorder', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-fixtures-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should record requests, responses and errors in order', async () => {
+        const recorder = new RpcRecorder();
+        const web3 = new Web3(recorder.wrap(createNode(), 'Infura'));
+
+        await web3.eth.getBlockNumber();
+        await expect(web3.eth.call({ to: '0x0000000000000000000000000000000000000001', data: '0x' })).rejects.toThrow();
+        await web3.eth.getBlockNumber();
+
+        expect(recorder.toFixture().entries).toEqual([
+            { provider: 'Infura', method: 'eth_blockNumber', params: [], result: '0x64' },
+            {
+                provider: 'Infura',
+                method: 'eth_call',
+                params: [{ to: '0x0000000000000000000000000000000000000001', data: '0x' }, 'latest'],
+                error: { code: 3, message: 'execution reverted' }
+            },
+            { provider: 'Infura', method: 'eth_blockNumber', params: [], result: '0x65' }
+        ]);
+    });
+
+    test('should record batches call by call and errors thrown by the provider', async () => {
+        const recorder = new RpcRecorder();
+        const node = createNode();
+        const wrapped = recorder.wrap(node, 'Infura');
+
+        await wrapped.request([
+            { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] },
+            { jsonrpc: '2.0', id: 2, method: 'eth_chainId', params: [] }
+        ]);
+        node.request.mockRejectedValueOnce(new Error('socket hang up'));
+        await expect(wrapped.request({ jsonrpc: '2.0', id: 3, method: 'eth_gasPrice', params: [] })).rejects.toThrow('socket hang up');
+
+        expect(recorder.entries.map(entry => [entry.method, entry.result || entry.error])).toEqual([
+            ['eth_blockNumber', '0x64'],
+            ['eth_chainId', '0x65'],
+            ['eth_gasPrice', { message: 'socket hang up', thrown: true }]
+        ]);
+    });
+
+    test('should replay a saved recording through Web3Manager offline', async () => {
+        const fixturePath = path.join(directory, 'nested', 'scan.json');
+        const recorder = new RpcRecorder({ path: fixturePath });
+        const live = new Web3(recorder.wrap(createNode(), 'Infura'));
+        const recorded = [await live.eth.getBlockNumber(), await live.eth.getBlockNumber()];
+        await recorder.save();
+
+        const manager = new Web3Manager([
+            { url: 'https://unreachable.invalid', name: 'Infura' },
+            { url: 'https://unreachable.invalid', name: 'Alchemy' }
+        ], { replay: { path: fixturePath } });
+
+        const replayed = [
+            await manager.executeWithFailover(web3 => web3.eth.getBlockNumber()),
+            await manager.executeWithFailover(web3 => web3.eth.getBlockNumber())
+        ];
+
+        expect(replayed).toEqual(recorded);
+        expect(manager.replayProvider.getStats()).toMatchObject({ served: 2, missing: 0 });
+        manager.stopHealthProbes();
+    });
+
+    test('should refuse to record and replay at once, and to save without a path', async () => {
+        expect(() => new Web3Manager([{ url: 'https://a.invalid' }], { record: {}, replay: { fixture: { entries: [] } } }))
+            .toThrow('Cannot record and replay RPC traffic at the same time');
+        await expect(new RpcRecorder().save()).rejects.toThrow('No fixture path to save the recording to');
+    });
+});
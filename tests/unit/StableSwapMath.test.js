@@ -0,0 +1,123 @@
+const StableSwapMath = require('../../src/services/amm/StableSwapMath');
+
+describe('StableSwapMath', () => {
+    const E18 = 10n ** 18n;
+    const E6 = 10n ** 6n;
+
+    // 3pool-like: DAI (18 decimals), USDC and USDT (6 decimals), 100M of each
+    const threePool = {
+        balances: [(100000000n * E18).toString(), (100000000n * E6).toString(), (100000000n * E6).toString()],
+        decimals: [18, 6, 6],
+        A: 2000,
+        fee: 4000000 // 0.04%
+    };
+
+    describe('getD', () => {
+        test('should equal the sum of balances for a balanced pool', () => {
+            const xp = [1000n * E18, 1000n * E18, 1000n * E18];
+
+            expect(StableSwapMath.getD(xp, 100n)).toBe(3000n * E18);
+        });
+
+        test('should fall below the sum for an imbalanced pool', () => {
+            const xp = [1500n * E18, 500n * E18];
+            const D = StableSwapMath.getD(xp, 100n);
+
+            expect(D < 2000n * E18).toBe(true);
+            // A high amplification keeps D close to the constant-sum value
+            expect(D > 1990n * E18).toBe(true);
+        });
+
+        test('should return zero for an empty pool', () => {
+            expect(StableSwapMath.getD([0n, 0n], 100n)).toBe(0n);
+        });
+    });
+
+    describe('getY', () => {
+        test('should preserve the invariant across a trade', () => {
+            const xp = [1000n * E18, 1000n * E18];
+            const amp = 100n;
+            const D = StableSwapMath.getD(xp, amp);
+
+            const x = xp[0] + 10n * E18;
+            const y = StableSwapMath.getY(0, 1, x, xp, amp);
+            const after = StableSwapMath.getD([x, y], amp);
+
+            expect(y < xp[1]).toBe(true);
+            expect(after >= D - 2n && after <= D + 2n).toBe(true);
+        });
+
+        test('should reject invalid coin indices', () => {
+            const xp = [E18, E18];
+
+            expect(() => StableSwapMath.getY(0, 0, E18, xp, 100n)).toThrow('Invalid coin indices');
+            expect(() => StableSwapMath.getY(0, 2, E18, xp, 100n)).toThrow('Invalid coin indices');
+        });
+    });
+
+    describe('getAmountOut', () => {
+        test('should trade near 1:1 less the fee across decimals', () => {
+            const daiToUsdc = BigInt(StableSwapMath.getAmountOut((1000n * E18).toString(), threePool, 0, 1));
+            const usdcToDai = BigInt(StableSwapMath.getAmountOut((1000n * E6).toString(), threePool, 1, 0));
+
+            // 1000 * (1 - 0.0004) = 999.6, minus a sliver of slippage
+            expect(daiToUsdc <= 999600000n && daiToUsdc > 999590000n).toBe(true);
+            expect(usdcToDai <= 9996n * E18 / 10n && usdcToDai > 99959n * E18 / 100n).toBe(true);
+        });
+
+        test('should charge the pool fee on the output', () => {
+            const amountIn = (1000n * E18).toString();
+            const gross = BigInt(StableSwapMath.getAmountOut(amountIn, { ...threePool, fee: 0 }, 0, 1));
+            const net = BigInt(StableSwapMath.getAmountOut(amountIn, threePool, 0, 1));
+
+            expect(net).toBe(gross - (gross * 4000000n) / 10000000000n);
+        });
+
+        test('should slip less with a higher amplification coefficient', () => {
+            const amountIn = (20000000n * E18).toString();
+            const flat = BigInt(StableSwapMath.getAmountOut(amountIn, { ...threePool, A: 2000 }, 0, 1));
+            const curved = BigInt(StableSwapMath.getAmountOut(amountIn, { ...threePool, A: 10 }, 0, 1));
+
+            expect(flat > curved).toBe(true);
+        });
+
+        test('should pay less for the coin the pool is short of', () => {
+            const imbalanced = {
+                ...threePool,
+                balances: [(150000000n * E18).toString(), (50000000n * E6).toString(), (100000000n * E6).toString()]
+            };
+
+            const out = BigInt(StableSwapMath.getAmountOut((1000n * E18).toString(), imbalanced, 0, 1));
+
+            expect(out < 999000000n).toBe(true);
+        });
+
+        test('should reject invalid inputs', () => {
+            expect(() => StableSwapMath.getAmountOut('0', threePool, 0, 1)).toThrow('amountIn must be positive');
+            expect(() => StableSwapMath.getAmountOut('1', { ...threePool, A: 0 }, 0, 1)).toThrow('Invalid amplification coefficient');
+            expect(() => StableSwapMath.getAmountOut('1', { ...threePool, fee: 10000000000 }, 0, 1)).toThrow('Invalid fee');
+            expect(() => StableSwapMath.getAmountOut('1', { ...threePool, decimals: [18, 6] }, 0, 1)).toThrow('decimals length');
+        });
+    });
+
+    describe('getAmountIn', () => {
+        test('should return an input whose output covers the target', () => {
+            const amountOut = 1000n * E18;
+            const amountIn = BigInt(StableSwapMath.getAmountIn(amountOut.toString(), threePool, 1, 0));
+
+            expect(BigInt(StableSwapMath.getAmountOut(amountIn.toString(), threePool, 1, 0)) >= amountOut).toBe(true);
+            expect(BigInt(StableSwapMath.getAmountOut((amountIn - 1n).toString(), threePool, 1, 0)) < amountOut).toBe(true);
+        });
+
+        test('should reject outputs beyond the pool balance', () => {
+            expect(() => StableSwapMath.getAmountIn(threePool.balances[1], threePool, 0, 1))
+                .toThrow('Insufficient liquidity for trade');
+        });
+    });
+
+    describe('getVirtualPrice', () => {
+        test('should be 1e18 for a balanced pool with matching supply', () => {
+            expect(StableSwapMath.getVirtualPrice(threePool, (300000000n * E18).toString())).toBe(E18.toString());
+        });
+    });
+});
@@ -0,0 +1,218 @@
+const TokenRegistry = require('../../src/services/token/TokenRegistry');
+
+describe('TokenRegistry', () => {
+    const TAXED = '0x1111111111111111111111111111111111111111';
+    const PLAIN = '0x2222222222222222222222222222222222222222';
+    const PAIR = '0x3333333333333333333333333333333333333333';
+    const PAXG = '0x45804880De22913dAFE09f4980848ECE6EcbAf78';
+    const STETH = '0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84';
+
+    const createWeb3Manager = (balance) => ({
+        executeWithFailover: jest.fn(async (operation) => operation({
+            eth: {
+                Contract: jest.fn(() => ({
+                    methods: {
+                        balanceOf: () => ({ call: async () => balance })
+                    }
+                }))
+            }
+        }))
+    });
+
+    describe('Initialization', () => {
+        test('should seed the known fee-on-transfer and rebasing tokens', () => {
+            const registry = new TokenRegistry();
+
+            expect(registry.getTransferTaxBps(PAXG)).toBe(2);
+            expect(registry.isRebasing(STETH)).toBe(true);
+            expect(registry.getTokenProperties(PAXG).source).toBe('known');
+        });
+
+        test('should treat unknown tokens as plain', () => {
+            const registry = new TokenRegistry();
+
+            expect(registry.getTokenProperties(PLAIN)).toMatchObject({
+                address: PLAIN,
+                transferTaxBps: 0,
+                rebasing: false,
+                source: 'default'
+            });
+        });
+    });
+
+    describe('setTokenProperties', () => {
+        test('should key tokens case-insensitively', () => {
+            const registry = new TokenRegistry();
+            registry.setTokenProperties(PAXG.toUpperCase().replace('0X', '0x'), { transferTaxBps: 5 });
+
+            expect(registry.getTransferTaxBps(PAXG)).toBe(5);
+        });
+
+        test('should reject invalid taxes', () => {
+            const registry = new TokenRegistry();
+
+            expect(() => registry.setTokenProperties(TAXED, { transferTaxBps: 10000 })).toThrow('Invalid transfer tax');
+            expect(() => registry.setTokenProperties(TAXED, { transferTaxBps: 1.5 })).toThrow('Invalid transfer tax');
+        });
+    });
+
+    describe('recordTransfer', () => {
+        test('should detect a transfer tax from the shortfall', () => {
+            const registry = new TokenRegistry();
+
+            const entry = registry.recordTransfer(TAXED, '1000000', '980000');
+
+            expect(entry.transferTaxBps).toBe(200);
+            expect(entry.source).toBe('observed');
+            expect(registry.getStats().taxDetections).toBe(1);
+        });
+
+        test('should not lower a known tax on an exempt transfer', () => {
+            const registry = new TokenRegistry();
+            registry.recordTransfer(TAXED, '1000000', '980000');
+
+            registry.recordTransfer(TAXED, '1000000', '1000000');
+
+            expect(registry.getTransferTaxBps(TAXED)).toBe(200);
+        });
+
+        test('should persist detections to an attached database', async () => {
+            const databaseService = {
+                getTokenProperties: jest.fn().mockResolvedValue([
+                    { address: PLAIN, transferTaxBps: 0, rebasing: true, source: 'observed', updatedAt: 1 }
+                ]),
+                storeTokenProperties: jest.fn().mockResolvedValue(),
+                getTokenMetadata: jest.fn().mockResolvedValue([])
+            };
+            const registry = new TokenRegistry();
+
+            expect(await registry.loadFromDatabase(databaseService)).toBe(1);
+            expect(registry.isRebasing(PLAIN)).toBe(true);
+
+            registry.recordTransfer(TAXED, '1000', '990');
+
+            expect(databaseService.storeTokenProperties).toHaveBeenCalledWith(
+                expect.objectContaining({ address: TAXED, transferTaxBps: 100 })
+            );
+        });
+
+        test('should reject impossible observations', () => {
+            const registry = new TokenRegistry();
+
+            expect(() => registry.recordTransfer(TAXED, '100', '101')).toThrow('Invalid transfer observation');
+        });
+    });
+
+    describe('detectRebasing', () => {
+        test('should flag a token whose pair balance fell below the reserve', async () => {
+            const registry = new TokenRegistry(createWeb3Manager('990000'));
+
+            expect(await registry.detectRebasing(PLAIN, PAIR, '1000000')).toBe(true);
+            expect(registry.isRebasing(PLAIN)).toBe(true);
+        });
+
+        test('should ignore balances above the reserve', async () => {
+            // Unsynced transfers into the pair leave the balance above the reserve
+            const registry = new TokenRegistry(createWeb3Manager('1010000'));
+
+            expect(await registry.detectRebasing(PLAIN, PAIR, '1000000')).toBe(false);
+        });
+    });
+
+    describe('token metadata', () => {
+        const { eth: { abi } } = require('web3');
+        const { TOKENS } = require('../../src/utils/constants');
+        const MKR = '0x9f8F72aA9304c8B593d555F12eF6589cC3A579A2';
+
+        // decimals(), symbol() and name() answers per token; a missing token reverts every call
+        const createMetadataManager = (tokens) => ({
+            aggregate: jest.fn(async (calls) => calls.map(call => {
+                const token = tokens[call.target];
+                if (!token) {
+                    return { success: false, returnData: '0x', decoded: null };
+                }
+                const selector = call.callData.slice(0, 10);
+                if (selector === abi.encodeFunctionSignature('decimals()')) {
+                    return { success: true, returnData: '0x', decoded: [String(token.decimals)] };
+                }
+                return { success: true, returnData: selector === abi.encodeFunctionSignature('symbol()') ? token.symbol : token.name };
+            }))
+        });
+
+        test('should know the listed tokens without reading them', async () => {
+            const registry = new TokenRegistry();
+
+            expect(await registry.getTokenMetadata(TOKENS.USDC)).toMatchObject({ symbol: 'USDC', decimals: 6, source: 'known' });
+        });
+
+        test('should read unknown tokens once, in one multicall', async () => {
+            const manager = createMetadataManager({
+                [PLAIN]: { decimals: 8, symbol: abi.encodeParameter('string', 'PLN'), name: abi.encodeParameter('string', 'Plain') },
+                // MKR returns bytes32 rather than string
+                [MKR.toLowerCase()]: {
+                    decimals: 18,
+                    symbol: `0x${Buffer.from('MKR').toString('hex').padEnd(64, '0')}`,
+                    name: `0x${Buffer.from('Maker').toString('hex').padEnd(64, '0')}`
+                }
+            });
+            const databaseService = { storeTokenMetadata: jest.fn() };
+            const registry = new TokenRegistry(manager);
+            registry.databaseService = databaseService;
+
+            const [plain, mkr, usdc] = await Promise.all([
+                registry.getTokenMetadataBatch([PLAIN, MKR, TOKENS.USDC]),
+                registry.getTokenMetadata(PLAIN)
+            ]).then(([batch]) => batch);
+
+            expect(plain).toMatchObject({ address: PLAIN, symbol: 'PLN', name: 'Plain', decimals: 8, source: 'chain' });
+            expect(mkr).toMatchObject({ symbol: 'MKR', name: 'Maker', decimals: 18 });
+            expect(usdc.decimals).toBe(6);
+            // The concurrent lookup shared the read
+            expect(manager.aggregate).toHaveBeenCalledTimes(1);
+            expect(manager.aggregate.mock.calls[0][0]).toHaveLength(6);
+            expect(databaseService.storeTokenMetadata).toHaveBeenCalledTimes(2);
+
+            await registry.getTokenMetadata(MKR);
+            expect(manager.aggregate).toHaveBeenCalledTimes(1);
+        });
+
+        test('should not cache tokens whose decimals cannot be read', async () => {
+            const manager = createMetadataManager({});
+            const registry = new TokenRegistry(manager);
+
+            expect(await registry.getTokenMetadata(PLAIN)).toBeNull();
+            expect(await registry.getTokenMetadata(PLAIN)).toBeNull();
+            expect(manager.aggregate).toHaveBeenCalledTimes(2);
+            expect(registry.getStats().metadataFailures).toBe(2);
+        });
+
+        test('should load stored metadata', async () => {
+            const registry = new TokenRegistry();
+            await registry.loadFromDatabase({
+                getTokenProperties: jest.fn().mockResolvedValue([]),
+                getTokenMetadata: jest.fn().mockResolvedValue([
+                    { address: PLAIN, symbol: 'PLN', name: 'Plain', decimals: 8, updatedAt: 1 }
+                ])
+            });
+
+            expect(await registry.getTokenMetadata(PLAIN)).toMatchObject({ decimals: 8, source: 'stored' });
+            expect(() => registry.setTokenMetadata(TAXED, { decimals: 1.5 })).toThrow('Invalid token decimals');
+        });
+    });
+
+    describe('assessRoute', () => {
+        test('should reject rebasing tokens and price taxed ones', () => {
+            const registry = new TokenRegistry();
+            registry.setTokenProperties(TAXED, { transferTaxBps: 100 });
+
+            expect(registry.assessRoute([STETH, PLAIN]).allowed).toBe(false);
+            expect(registry.assessRoute([TAXED, PLAIN])).toEqual({
+                allowed: true,
+                reason: null,
+                transferTaxes: { [TAXED]: 100 }
+            });
+            expect(registry.assessRoute([TAXED, PLAIN], { rejectTaxed: true }).allowed).toBe(false);
+            expect(registry.getStats().routesRejected).toBe(2);
+        });
+    });
+});
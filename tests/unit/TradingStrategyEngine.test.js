@@ -1,5 +1,7 @@
 const TradingStrategyEngine = require('../../src/services/trading/TradingStrategyEngine');
 const { Decimal } = require('decimal.js');
+const TokenRegistry = require('../../src/services/token/TokenRegistry');
+const { TOKENS } = require('../../src/utils/constants');
 
 // Mock dependencies
 const mockWeb3Manager = {
@@ -10,6 +12,8 @@ const mockWeb3Manager = {
         }
     }))
 };
+// The strategy prices gas through the fee oracle
+mockWeb3Manager.feeOracle = { getGasPrice: mockWeb3Manager.getGasPrice };
 
 const mockDEXPriceService = {
     getPrice: jest.fn()
@@ -79,6 +83,10 @@ describe('TradingStrategyEngine', () => {
                 dexName: 'uniswap',
                 price0: '2.0',
                 price1: '0.5',
+                normalizedPrice0: '2.0',
+                normalizedPrice1: '0.5',
+                decimals0: 18,
+                decimals1: 18,
                 reserve0: '1000000000000000000000',
                 reserve1: '2000000000000000000000',
                 pairAddress: '0xPAIR1'
@@ -88,6 +96,10 @@ describe('TradingStrategyEngine', () => {
                 dexName: 'sushiswap',
                 price0: '2.1',
                 price1: '0.476',
+                normalizedPrice0: '2.1',
+                normalizedPrice1: '0.476',
+                decimals0: 18,
+                decimals1: 18,
                 reserve0: '1000000000000000000000',
                 reserve1: '2100000000000000000000',
                 pairAddress: '0xPAIR2'
@@ -134,6 +146,10 @@ describe('TradingStrategyEngine', () => {
                     dexName: 'uniswap',
                     price0: '2.0',
                     price1: '0.5',
+                    normalizedPrice0: '2.0',
+                    normalizedPrice1: '0.5',
+                    decimals0: 18,
+                    decimals1: 18,
                     reserve0: '1000000000000000000000',
                     reserve1: '2000000000000000000000',
                     pairAddress: '0xPAIR1'
@@ -166,14 +182,18 @@ describe('TradingStrategyEngine', () => {
                 price0: new Decimal('2.0'),
                 liquidityUSD: new Decimal('1000000'),
                 reserves: ['1000000000000000000000', '2000000000000000000000'],
-                pairAddress: '0xPAIR1'
+                pairAddress: '0xPAIR1',
+                token1: TOKENS.DAI,
+                decimals1: 18
             };
             const sellDex = {
                 dex: 'sushiswap',
                 price0: new Decimal('2.1'),
                 liquidityUSD: new Decimal('1000000'),
                 reserves: ['1000000000000000000000', '2100000000000000000000'],
-                pairAddress: '0xPAIR2'
+                pairAddress: '0xPAIR2',
+                token1: TOKENS.DAI,
+                decimals1: 18
             };
             const gasPrice = '20000000000';
             const blockNumber = 'latest';
@@ -231,6 +251,80 @@ describe('TradingStrategyEngine', () => {
             expect(optimalSize.greaterThan(0)).toBe(true);
         });
 
+        test('should cap the trade at maxPositionSizeUSD worth of the input token', () => {
+            // 1,000 WETH against 2,000,000 and 2,100,000 USDC: the optimum is about 21,700 USDC
+            const buyDex = {
+                price0: new Decimal('2000'),
+                reserves: ['1000000000000000000000', '2000000000000'],
+                token0: TOKENS.WETH,
+                token1: TOKENS.USDC,
+                decimals1: 6
+            };
+            const sellDex = {
+                price0: new Decimal('2100'),
+                reserves: ['1000000000000000000000', '2100000000000']
+            };
+
+            const uncapped = tradingStrategyEngine.calculateOptimalTradeSize({ ...buyDex, decimals1: null }, sellDex);
+            expect(uncapped.greaterThan('20000000000')).toBe(true);
+
+            // $1,000 of USDC, in raw units
+            expect(tradingStrategyEngine.calculateOptimalTradeSize(buyDex, sellDex).toString()).toBe('1000000000');
+
+            // Valued through WETH when the input token has no USD price of its own
+            const unlisted = { ...buyDex, token1: '0x1000000000000000000000000000000000000001' };
+            expect(tradingStrategyEngine.calculateOptimalTradeSize(unlisted, sellDex).toString()).toBe('1000000000');
+        });
+
+        test('should size a V3 buy leg against a V2 sell leg', () => {
+            const liquidity = '1000000000000000000000';
+            const buyDex = {
+                dex: 'uniswapV3',
+                reserves: [liquidity, liquidity], // Virtual reserves at price 1
+                feeBps: 30,
+                pool: {
+                    type: 'v3',
+                    sqrtPriceX96: (2n ** 96n).toString(),
+                    tick: 0,
+                    liquidity,
+                    fee: 3000,
+                    ticks: [
+                        { index: -887220, liquidityNet: liquidity },
+                        { index: 887220, liquidityNet: '-' + liquidity }
+                    ]
+                }
+            };
+            const sellDex = {
+                dex: 'sushiswap',
+                reserves: ['1000000000000000000000', '1050000000000000000000'],
+                feeBps: 30
+            };
+
+            const optimalSize = tradingStrategyEngine.calculateOptimalTradeSize(buyDex, sellDex);
+            expect(optimalSize.greaterThan(0)).toBe(true);
+
+            // Reversed, the V3 leg is the expensive side and there is nothing to trade
+            const reversed = tradingStrategyEngine.calculateOptimalTradeSize(sellDex, buyDex);
+            expect(reversed.equals(0)).toBe(true);
+        });
+
+        test('should size net of transfer taxes', () => {
+            const buyDex = {
+                reserves: ['1000000000000000000000', '2000000000000000000000']
+            };
+            const sellDex = {
+                reserves: ['1000000000000000000000', '2100000000000000000000']
+            };
+
+            const untaxed = tradingStrategyEngine.calculateOptimalTradeSize(buyDex, sellDex);
+            const taxed = tradingStrategyEngine.calculateOptimalTradeSize(buyDex, sellDex, [0, 100, 0]);
+            const overTaxed = tradingStrategyEngine.calculateOptimalTradeSize(buyDex, sellDex, [200, 200, 200]);
+
+            expect(taxed.greaterThan(0)).toBe(true);
+            expect(taxed.lessThan(untaxed) || untaxed.equals(1000)).toBe(true);
+            expect(overTaxed.equals(0)).toBe(true);
+        });
+
         test('should handle calculation errors', () => {
             const buyDex = {
                 reserves: ['0', '0'] // Invalid reserves
@@ -246,6 +340,104 @@ describe('TradingStrategyEngine', () => {
         });
     });
 
+    describe('split legs', () => {
+        const dexData = (dex, price0, extra = {}) => ({
+            dex,
+            price0: new Decimal(price0),
+            reserves: ['1000000000000000000000', new Decimal(price0).times('1000000000000000000000').toFixed(0)],
+            feeBps: 30,
+            ...extra
+        });
+
+        test('should attach parallel V2 pools to the side of the midpoint they price on', () => {
+            const buyDex = dexData('uniswap', '2.0');
+            const sellDex = dexData('curve', '2.2');
+            const candidates = [
+                buyDex,
+                sellDex,
+                dexData('sushiswap', '2.02'),
+                dexData('pancake', '2.15'),
+                dexData('balancer', '1.9', { pool: { type: 'weighted' } })
+            ];
+
+            const { buyLeg, sellLeg } = tradingStrategyEngine.getSplitLegs(buyDex, sellDex, candidates);
+
+            expect(buyLeg.splitWith.map(leg => leg.dex)).toEqual(['sushiswap']);
+            expect(sellLeg.splitWith.map(leg => leg.dex)).toEqual(['pancake']);
+        });
+
+        test('should not split non-V2 legs or when splitting is disabled', () => {
+            const buyDex = dexData('uniswapV3', '2.0', { pool: { type: 'v3' } });
+            const sellDex = dexData('uniswap', '2.2');
+            const candidates = [buyDex, sellDex, dexData('sushiswap', '1.98'), dexData('pancake', '2.25')];
+
+            const { buyLeg } = tradingStrategyEngine.getSplitLegs(buyDex, sellDex, candidates);
+            expect(buyLeg).toBe(buyDex);
+
+            const engine = new TradingStrategyEngine(mockWeb3Manager, mockDEXPriceService, { maxSplitPools: 1 });
+            const { sellLeg } = engine.getSplitLegs(buyDex, sellDex, candidates);
+            expect(sellLeg).toBe(sellDex);
+        });
+
+        test('should build a split pool state for a split leg', () => {
+            const leg = { ...dexData('uniswap', '2.2'), splitWith: [dexData('sushiswap', '2.25')] };
+
+            const pool = tradingStrategyEngine.toPoolState(leg);
+
+            expect(pool.type).toBe('split');
+            expect(pool.pools).toHaveLength(2);
+            expect(pool.pools[1]).toEqual({
+                type: 'v2',
+                reserve0: '1000000000000000000000',
+                reserve1: '2250000000000000000000',
+                fee: 30
+            });
+            expect(tradingStrategyEngine.calculateOptimalTradeSize(dexData('curve', '2.0'), leg).greaterThan(0)).toBe(true);
+        });
+    });
+
+    describe('token registry', () => {
+        const TAXED = '0x1111111111111111111111111111111111111111';
+        const PLAIN = '0x2222222222222222222222222222222222222222';
+
+        test('should order route transfer taxes as token1, token0, token1', () => {
+            const tokenRegistry = new TokenRegistry();
+            tokenRegistry.setTokenProperties(TAXED, { transferTaxBps: 100 });
+            const engine = new TradingStrategyEngine(mockWeb3Manager, mockDEXPriceService, { tokenRegistry });
+
+            // TAXED sorts first, so it is token0 and only moves between the two pools
+            expect(engine.getRouteTransferTaxes({ tokenA: PLAIN, tokenB: TAXED })).toEqual([0, 100, 0]);
+            expect(engine.tokenRegistry).toBe(tokenRegistry);
+            expect(engine.options.tokenRegistry).toBeUndefined();
+        });
+
+        test('should skip pairs with rebasing tokens without fetching prices', async () => {
+            const tokenRegistry = new TokenRegistry();
+            tokenRegistry.setTokenProperties(PLAIN, { rebasing: true });
+            const engine = new TradingStrategyEngine(mockWeb3Manager, mockDEXPriceService, { tokenRegistry });
+
+            const opportunities = await engine.analyzeTokenPair(
+                { tokenA: TAXED, tokenB: PLAIN }, ['uniswap', 'sushiswap'], 'latest', '20000000000'
+            );
+
+            expect(opportunities).toEqual([]);
+            expect(mockDEXPriceService.getPrice).not.toHaveBeenCalled();
+        });
+
+        test('should skip taxed pairs when configured to reject them', async () => {
+            const tokenRegistry = new TokenRegistry();
+            tokenRegistry.setTokenProperties(TAXED, { transferTaxBps: 100 });
+            const engine = new TradingStrategyEngine(mockWeb3Manager, mockDEXPriceService, {
+                tokenRegistry,
+                rejectTaxedTokens: true
+            });
+
+            await engine.analyzeTokenPair({ tokenA: TAXED, tokenB: PLAIN }, ['uniswap', 'sushiswap'], 'latest', '20000000000');
+
+            expect(mockDEXPriceService.getPrice).not.toHaveBeenCalled();
+        });
+    });
+
     describe('calculateGrossProfit', () => {
         test('should calculate gross profit correctly', () => {
             const amount = new Decimal('1000');
@@ -258,6 +450,17 @@ describe('TradingStrategyEngine', () => {
             expect(grossProfit.greaterThan(0)).toBe(true);
         });
 
+        test('should deduct transfer taxes', () => {
+            const amount = new Decimal('1000');
+            const buyPrice = new Decimal('2.0');
+            const sellPrice = new Decimal('2.1');
+
+            const grossProfit = tradingStrategyEngine.calculateGrossProfit(amount, buyPrice, sellPrice, new Decimal('0.97'));
+
+            // 1000 / 2 * 2.1 * 0.97 - 1000
+            expect(grossProfit.toString()).toBe('18.5');
+        });
+
         test('should handle zero profit scenario', () => {
             const amount = new Decimal('1000');
             const buyPrice = new Decimal('2.0');
@@ -292,23 +495,64 @@ describe('TradingStrategyEngine', () => {
 
     describe('calculateLiquidityUSD', () => {
         test('should calculate liquidity in USD', () => {
+            // 1,000 of a token priced at 2 DAI against 2,000 DAI
             const priceData = {
+                token0: '0x1000000000000000000000000000000000000001',
+                token1: TOKENS.DAI,
                 reserve0: '1000000000000000000000',
                 reserve1: '2000000000000000000000',
-                price0: '2.0'
+                decimals0: 18,
+                decimals1: 18,
+                normalizedPrice0: '2.0',
+                normalizedPrice1: '0.5'
             };
 
             const liquidityUSD = tradingStrategyEngine.calculateLiquidityUSD(priceData);
 
             expect(liquidityUSD).toBeInstanceOf(Decimal);
-            expect(liquidityUSD.greaterThan(0)).toBe(true);
+            expect(liquidityUSD.toString()).toBe('4000');
+        });
+
+        test('should value reserves in whole tokens at their USD price', () => {
+            // 5,000,000 USDC (6 decimals) against 2,500 WETH (18 decimals) at $2,000 per WETH
+            const priceData = {
+                token0: TOKENS.USDC,
+                token1: TOKENS.WETH,
+                reserve0: '5000000000000',
+                reserve1: '2500000000000000000000',
+                decimals0: 6,
+                decimals1: 18,
+                normalizedPrice0: '0.0005',
+                normalizedPrice1: '2000'
+            };
+
+            expect(tradingStrategyEngine.calculateLiquidityUSD(priceData).toString()).toBe('10000000');
+        });
+
+        test('should value a pool through token0 when only token0 has a USD price', () => {
+            const priceData = {
+                token0: TOKENS.WETH,
+                token1: '0x1000000000000000000000000000000000000001',
+                reserve0: '1000000000000000000000',
+                reserve1: '4000000000000000000000000',
+                decimals0: 18,
+                decimals1: 18,
+                normalizedPrice0: '4000',
+                normalizedPrice1: '0.00025'
+            };
+
+            // 1,000 WETH on each side of the pool at $2,000
+            expect(tradingStrategyEngine.calculateLiquidityUSD(priceData).toString()).toBe('4000000');
+            expect(tradingStrategyEngine.calculateLiquidityUSD({ ...priceData, token0: priceData.token1 }).toString()).toBe('0');
         });
 
         test('should handle calculation errors', () => {
             const priceData = {
                 reserve0: 'invalid',
                 reserve1: 'invalid',
-                price0: 'invalid'
+                decimals0: 18,
+                decimals1: 18,
+                normalizedPrice0: 'invalid'
             };
 
             const liquidityUSD = tradingStrategyEngine.calculateLiquidityUSD(priceData);
@@ -493,6 +737,10 @@ describe('TradingStrategyEngine', () => {
                 dexName: 'uniswap',
                 price0: '2.0',
                 price1: '0.5',
+                normalizedPrice0: '2.0',
+                normalizedPrice1: '0.5',
+                decimals0: 18,
+                decimals1: 18,
                 reserve0: '1000000000000000000000',
                 reserve1: '2000000000000000000000',
                 pairAddress: '0xPAIR1'
@@ -115,6 +115,196 @@ describe('UniswapV2Math', () => {
                 UniswapV2Math.getAmountsOut('1000', ['0xTokenA', '0xTokenB'], []);
             }).toThrow('Reserves array length must be path length - 1');
         });
+        
+        test('should apply transfer taxes between hops', () => {
+            const path = ['0xTokenA', '0xTaxed', '0xTokenC'];
+            const reserves = [
+                ['1000000000', '1000000000'],
+                ['1000000000', '1000000000']
+            ];
+            
+            // 2% withheld whenever the taxed token moves: pair 1 -> pair 2
+            const amounts = UniswapV2Math.getAmountsOut('1000000', path, reserves, { '0xtaxed': 200 });
+            const hop1 = UniswapV2Math.getAmountOut('1000000', '1000000000', '1000000000');
+            const received = UniswapV2Math.applyTransferTax(hop1, 200);
+            const hop2 = UniswapV2Math.getAmountOut(received, '1000000000', '1000000000');
+            
+            expect(amounts).toEqual(['1000000', received, hop2]);
+            expect(BigInt(hop2) < BigInt(UniswapV2Math.getAmountsOut('1000000', path, reserves)[2])).toBe(true);
+        });
+        
+        test('should tax the input and final output transfers', () => {
+            const path = ['0xTaxed', '0xTokenB'];
+            const reserves = [['1000000000', '1000000000']];
+            
+            const amounts = UniswapV2Math.getAmountsOut('1000000', path, reserves, { '0xtaxed': 100, '0xtokenb': 50 });
+            const hop = UniswapV2Math.getAmountOut('990000', '1000000000', '1000000000');
+            
+            expect(amounts).toEqual(['1000000', UniswapV2Math.applyTransferTax(hop, 50)]);
+        });
+    });
+    
+    describe('applyTransferTax', () => {
+        test('should withhold the floored tax', () => {
+            expect(UniswapV2Math.applyTransferTax('1000', 200)).toBe('980');
+            expect(UniswapV2Math.applyTransferTax('1049', 100)).toBe('1039');
+            expect(UniswapV2Math.applyTransferTax('1000', 0)).toBe('1000');
+        });
+        
+        test('should reject invalid taxes', () => {
+            expect(() => UniswapV2Math.applyTransferTax('1000', 10000)).toThrow('Invalid transfer tax');
+            expect(() => UniswapV2Math.applyTransferTax('1000', -1)).toThrow('Invalid transfer tax');
+        });
+    });
+
+    describe('BigInt fast path', () => {
+        const UINT112_MAX = (1n << 112n) - 1n;
+        const FEES = [undefined, 30, 25, 1, { numerator: 9975, denominator: 10000 }];
+
+        // Deterministic pseudo-random uint112 values (64-bit LCG, two draws per value)
+        let seed = 0x2545f4914f6cdd1dn;
+        const nextUint112 = () => {
+            const draw = () => {
+                seed = (seed * 6364136223846793005n + 1442695040888963407n) & ((1n << 64n) - 1n);
+                return seed;
+            };
+            const value = ((draw() << 64n) | draw()) & UINT112_MAX;
+            // Spread magnitudes so small and large reserves both show up
+            return (value >> BigInt(Number(seed % 100n))) + 1n;
+        };
+
+        test('should match getAmountOut bit-for-bit on random inputs', () => {
+            for (let i = 0; i < 200; i++) {
+                const reserveIn = nextUint112();
+                const reserveOut = nextUint112();
+                const amountIn = nextUint112();
+                const fee = FEES[i % FEES.length];
+
+                const reference = UniswapV2Math.getAmountOut(amountIn.toString(), reserveIn.toString(), reserveOut.toString(), fee);
+
+                expect(UniswapV2Math.getAmountOutBigInt(amountIn, reserveIn, reserveOut, fee).toString()).toBe(reference);
+            }
+        });
+
+        test('should match getAmountOut at the edges', () => {
+            const cases = [
+                [1n, 1n, 1n],
+                [1n, 1000n, 1000n],
+                [UINT112_MAX, UINT112_MAX, UINT112_MAX],
+                [UINT112_MAX, 1n, UINT112_MAX],
+                [1n, UINT112_MAX, 1n]
+            ];
+
+            for (const [amountIn, reserveIn, reserveOut] of cases) {
+                expect(UniswapV2Math.getAmountOutBigInt(amountIn, reserveIn, reserveOut).toString())
+                    .toBe(UniswapV2Math.getAmountOut(amountIn.toString(), reserveIn.toString(), reserveOut.toString()));
+            }
+        });
+
+        test('should follow the router formula for getAmountIn', () => {
+            // floor(1000 * 100 * 1000 / (900 * 997)) + 1 = 111 + 1
+            expect(UniswapV2Math.getAmountInBigInt(100n, 1000n, 1000n)).toBe(112n);
+
+            for (let i = 0; i < 50; i++) {
+                const reserveIn = nextUint112();
+                const reserveOut = nextUint112() + 2n;
+                const amountOut = reserveOut / 3n + 1n;
+
+                const amountIn = UniswapV2Math.getAmountInBigInt(amountOut, reserveIn, reserveOut, 30);
+
+                expect(UniswapV2Math.getAmountOutBigInt(amountIn, reserveIn, reserveOut, 30) >= amountOut).toBe(true);
+            }
+        });
+
+        test('should reject invalid inputs', () => {
+            expect(() => UniswapV2Math.getAmountOutBigInt(0n, 1000n, 1000n)).toThrow('Invalid amountIn');
+            expect(() => UniswapV2Math.getAmountOutBigInt(1n, 0n, 1000n)).toThrow('reserves must be positive');
+            expect(() => UniswapV2Math.getAmountOutBigInt(1n, 1000n, 1000n, 10000)).toThrow('Invalid fee');
+            expect(() => UniswapV2Math.getAmountInBigInt(1000n, 1000n, 1000n)).toThrow('Insufficient liquidity');
+        });
+
+        test('should apply transfer taxes like applyTransferTax', () => {
+            expect(UniswapV2Math.applyTransferTaxBigInt(1049n, 100)).toBe(1039n);
+            expect(UniswapV2Math.applyTransferTaxBigInt(1000n, 0)).toBe(1000n);
+            expect(() => UniswapV2Math.applyTransferTaxBigInt(1000n, 10000)).toThrow('Invalid transfer tax');
+        });
+
+        test('should walk cycles on the fast path', () => {
+            const pools = [
+                { reserveIn: '1000000000000000000000', reserveOut: '2000000000000000000000' },
+                { reserveIn: '2100000000000000000000', reserveOut: '1000000000000000000000', fee: 25 }
+            ];
+            const first = UniswapV2Math.getAmountOut('5000000000000000000', pools[0].reserveIn, pools[0].reserveOut);
+            const second = UniswapV2Math.getAmountOut(first, pools[1].reserveIn, pools[1].reserveOut, 25);
+
+            expect(UniswapV2Math.getCycleAmountsOut(5000000000000000000n, pools))
+                .toEqual(['5000000000000000000', first, second]);
+            expect(UniswapV2Math.getCycleAmountsOut('1', [{ reserveIn: '1000000', reserveOut: '1' }, pools[1]])).toBeNull();
+        });
+    });
+
+    describe('getSplitAmountsOut', () => {
+        const quote = (amount, pool) => (amount > 0n
+            ? UniswapV2Math.getAmountOutBigInt(amount, BigInt(pool.reserveIn), BigInt(pool.reserveOut), pool.fee)
+            : 0n);
+
+        test('should split evenly across identical pools', () => {
+            const pool = { reserveIn: '1000000000', reserveOut: '2000000000' };
+
+            const result = UniswapV2Math.getSplitAmountsOut('10000000', [pool, pool]);
+
+            expect(result.amountsIn).toEqual(['5000000', '5000000']);
+            expect(result.amountOut).toBe((2n * quote(5000000n, pool)).toString());
+            expect(BigInt(result.amountOut) > BigInt(UniswapV2Math.getAmountOut('10000000', pool.reserveIn, pool.reserveOut))).toBe(true);
+        });
+
+        test('should reach the best allocation found by exhaustive search up to rounding', () => {
+            const pools = [
+                { reserveIn: '100000', reserveOut: '210000', fee: 30 },
+                { reserveIn: '40000', reserveOut: '80000', fee: 25 }
+            ];
+            const amountIn = 20000n;
+
+            let best = 0n;
+            for (let first = 0n; first <= amountIn; first++) {
+                const total = quote(first, pools[0]) + quote(amountIn - first, pools[1]);
+                if (total > best) best = total;
+            }
+
+            const result = UniswapV2Math.getSplitAmountsOut(amountIn, pools);
+
+            // Flooring the allocations may cost a wei per pool
+            expect(best - BigInt(result.amountOut) <= BigInt(pools.length)).toBe(true);
+            expect(result.amountsIn.reduce((sum, amount) => sum + BigInt(amount), 0n)).toBe(amountIn);
+        });
+
+        test('should leave pools priced below the marginal rate unused', () => {
+            const pools = [
+                { reserveIn: '1000000', reserveOut: '2000000' },
+                { reserveIn: '1000000', reserveOut: '1000000' }
+            ];
+
+            const result = UniswapV2Math.getSplitAmountsOut('1000', pools);
+
+            expect(result.amountsIn).toEqual(['1000', '0']);
+            expect(result.amountsOut[1]).toBe('0');
+            expect(result.amountOut).toBe(UniswapV2Math.getAmountOut('1000', '1000000', '2000000'));
+        });
+
+        test('should reject invalid inputs', () => {
+            expect(() => UniswapV2Math.getSplitAmountsOut('1000', [])).toThrow('at least one pool');
+            expect(() => UniswapV2Math.getSplitAmountsOut('0', [{ reserveIn: '1', reserveOut: '1' }])).toThrow('Invalid amountIn');
+            expect(() => UniswapV2Math.getSplitAmountsOut('1', [{ reserveIn: '0', reserveOut: '1' }])).toThrow('reserves must be positive');
+        });
+    });
+
+    describe('sqrtBigInt', () => {
+        test('should return the floor square root', () => {
+            expect(UniswapV2Math.sqrtBigInt(0n)).toBe(0n);
+            expect(UniswapV2Math.sqrtBigInt(15n)).toBe(3n);
+            expect(UniswapV2Math.sqrtBigInt(16n)).toBe(4n);
+            expect(UniswapV2Math.sqrtBigInt((10n ** 40n) - 1n)).toBe((10n ** 20n) - 1n);
+        });
     });
     
     describe('getAmountsIn', () => {
@@ -200,6 +390,272 @@ describe('UniswapV2Math', () => {
         });
     });
     
+    describe('calculateOptimalArbitrage', () => {
+        const profitAt = (amount, poolA, poolB) => {
+            const out = UniswapV2Math.getAmountOut(amount.toString(), poolA.reserveIn, poolA.reserveOut);
+            if (out === '0') return -BigInt(amount);
+            const back = UniswapV2Math.getAmountOut(out, poolB.reserveIn, poolB.reserveOut);
+            return BigInt(back) - BigInt(amount);
+        };
+        
+        test('should return the profit-maximising amount with per-hop outputs', () => {
+            const poolA = {
+                reserveIn: '2000000000000000000000000', // 2M USDC
+                reserveOut: '1000000000000000000000' // 1000 ETH
+            };
+            const poolB = {
+                reserveIn: '1000000000000000000000', // 1000 ETH
+                reserveOut: '2100000000000000000000000' // 2.1M USDC
+            };
+            
+            const result = UniswapV2Math.calculateOptimalArbitrage(poolA, poolB);
+            const optimal = BigInt(result.optimalAmount);
+            const profit = BigInt(result.profit);
+            
+            expect(optimal > 0n).toBe(true);
+            expect(result.amountOutA).toBe(
+                UniswapV2Math.getAmountOut(result.optimalAmount, poolA.reserveIn, poolA.reserveOut)
+            );
+            expect(result.amountOutB).toBe(
+                UniswapV2Math.getAmountOut(result.amountOutA, poolB.reserveIn, poolB.reserveOut)
+            );
+            expect(profit).toBe(profitAt(optimal, poolA, poolB));
+            
+            // Adjacent integers only differ by output rounding (at most 1 wei)
+            expect(profitAt(optimal + 1n, poolA, poolB) <= profit + 1n).toBe(true);
+            expect(profitAt(optimal - 1n, poolA, poolB) <= profit + 1n).toBe(true);
+            
+            // Concave profit: moving a full unit away from the optimum is strictly worse
+            const oneEth = 10n ** 18n;
+            expect(profitAt(optimal + oneEth, poolA, poolB) < profit).toBe(true);
+            expect(profitAt(optimal - oneEth, poolA, poolB) < profit).toBe(true);
+        });
+        
+        test('should match a brute-force search on small pools', () => {
+            const poolA = { reserveIn: '100000', reserveOut: '100000' };
+            const poolB = { reserveIn: '100000', reserveOut: '120000' };
+            
+            let bestProfit = 0n;
+            for (let amount = 1n; amount <= 10000n; amount++) {
+                const profit = profitAt(amount, poolA, poolB);
+                if (profit > bestProfit) {
+                    bestProfit = profit;
+                }
+            }
+            
+            const result = UniswapV2Math.calculateOptimalArbitrage(poolA, poolB);
+            expect(BigInt(result.profit)).toBe(bestProfit);
+        });
+        
+        test('should return zero when there is no arbitrage', () => {
+            const poolA = { reserveIn: '1000000', reserveOut: '1000000' };
+            const poolB = { reserveIn: '1000000', reserveOut: '1001000' }; // Spread below fees
+            
+            const result = UniswapV2Math.calculateOptimalArbitrage(poolA, poolB);
+            
+            expect(result).toEqual({
+                optimalAmount: '0',
+                amountOutA: '0',
+                amountOutB: '0',
+                profit: '0'
+            });
+        });
+        
+        test('should cap findOptimalTradeSize at maxAmount', () => {
+            const poolA = { reserveIn: '100000', reserveOut: '100000' };
+            const poolB = { reserveIn: '100000', reserveOut: '120000' };
+            
+            const result = UniswapV2Math.findOptimalTradeSize(poolA, poolB, '1000', '0');
+            
+            expect(result.optimalAmount).toBe('1000');
+            expect(result.maxProfit).toBe(profitAt(1000n, poolA, poolB).toString());
+        });
+    });
+    
+    describe('per-pool fees', () => {
+        test('should resolve basis points and numerator/denominator fees', () => {
+            expect(UniswapV2Math.resolveFee()).toEqual({ numerator: 997, denominator: 1000 });
+            expect(UniswapV2Math.resolveFee(30)).toEqual({ numerator: 9970, denominator: 10000 });
+            expect(UniswapV2Math.resolveFee(25)).toEqual({ numerator: 9975, denominator: 10000 });
+            expect(UniswapV2Math.resolveFee({ numerator: 998, denominator: 1000 }))
+                .toEqual({ numerator: 998, denominator: 1000 });
+        });
+        
+        test('should reject invalid fees', () => {
+            expect(() => UniswapV2Math.resolveFee(-1)).toThrow('Invalid fee');
+            expect(() => UniswapV2Math.resolveFee(2.5)).toThrow('Invalid fee');
+            expect(() => UniswapV2Math.resolveFee({ numerator: 1001, denominator: 1000 })).toThrow('Invalid fee');
+        });
+        
+        test('should price a 0.25% pool above a 0.3% pool', () => {
+            const args = ['1000000000000000000', '1000000000000000000000', '2000000000000000000000'];
+            
+            const defaultOut = UniswapV2Math.getAmountOut(...args);
+            const uniswapOut = UniswapV2Math.getAmountOut(...args, 30);
+            const pancakeOut = UniswapV2Math.getAmountOut(...args, 25);
+            
+            expect(uniswapOut).toBe(defaultOut);
+            expect(pancakeOut).toBe(UniswapV2Math.getAmountOut(...args, { numerator: 9975, denominator: 10000 }));
+            expect(BigInt(pancakeOut) > BigInt(uniswapOut)).toBe(true);
+        });
+        
+        test('should round-trip getAmountIn with a custom fee', () => {
+            const amountOut = UniswapV2Math.getAmountOut('1000000', '50000000', '80000000', 25);
+            const amountIn = UniswapV2Math.getAmountIn(amountOut, '50000000', '80000000', 25);
+            
+            expect(BigInt(UniswapV2Math.getAmountOut(amountIn, '50000000', '80000000', 25)) >= BigInt(amountOut)).toBe(true);
+        });
+        
+        test('should apply each hop fee in mixed-fee routes', () => {
+            const path = ['0xTokenA', '0xTokenB', '0xTokenC'];
+            const reserves = [
+                ['1000000000', '2000000000', 30],
+                ['2000000000', '1000000000', 25]
+            ];
+            
+            const amounts = UniswapV2Math.getAmountsOut('1000000', path, reserves);
+            const hop1 = UniswapV2Math.getAmountOut('1000000', '1000000000', '2000000000', 30);
+            const hop2 = UniswapV2Math.getAmountOut(hop1, '2000000000', '1000000000', 25);
+            
+            expect(amounts).toEqual(['1000000', hop1, hop2]);
+            
+            const amountsIn = UniswapV2Math.getAmountsIn(hop2, path, reserves);
+            expect(BigInt(amountsIn[0]) >= 1000000n - 2n).toBe(true);
+            expect(amountsIn[2]).toBe(hop2);
+        });
+        
+        test('should size arbitrage with each pool fee', () => {
+            const poolA = { reserveIn: '100000000', reserveOut: '100000000' };
+            const poolB = { reserveIn: '100000000', reserveOut: '101000000' };
+            
+            const uniswapOnly = UniswapV2Math.calculateOptimalArbitrage(
+                { ...poolA, fee: 30 }, { ...poolB, fee: 30 }
+            );
+            const withPancake = UniswapV2Math.calculateOptimalArbitrage(
+                { ...poolA, fee: 30 }, { ...poolB, fee: 25 }
+            );
+            
+            expect(BigInt(withPancake.profit) > BigInt(uniswapOnly.profit)).toBe(true);
+            expect(withPancake.amountOutB).toBe(
+                UniswapV2Math.getAmountOut(withPancake.amountOutA, poolB.reserveIn, poolB.reserveOut, 25)
+            );
+        });
+    });
+    
+    describe('findOptimalCycle', () => {
+        const cycleProfitAt = (amount, pools) => {
+            let current = BigInt(amount);
+            for (const pool of pools) {
+                if (current <= 0n) return -BigInt(amount);
+                current = BigInt(UniswapV2Math.getAmountOut(current.toString(), pool.reserveIn, pool.reserveOut, pool.fee));
+            }
+            return current - BigInt(amount);
+        };
+        
+        // WETH -> USDC -> DAI -> WETH with a mispriced DAI/WETH pool
+        const triangle = [
+            { reserveIn: '1000000000000000000000', reserveOut: '2000000000000000000000000', fee: 30 },
+            { reserveIn: '5000000000000000000000000', reserveOut: '5000000000000000000000000', fee: 5 },
+            { reserveIn: '1900000000000000000000000', reserveOut: '1000000000000000000000', fee: 25 }
+        ];
+        
+        test('should compose hops into virtual reserves matching the hop-by-hop output', () => {
+            const { a, b, c } = UniswapV2Math.composeVirtualReserves(triangle);
+            const amountIn = new Decimal('1000000000000000000');
+            
+            const composed = a.mul(amountIn).div(b.add(c.mul(amountIn)));
+            const amounts = UniswapV2Math.getCycleAmountsOut(amountIn.toString(), triangle);
+            
+            // Hop-by-hop flooring only ever loses a few wei against the real-valued composition
+            expect(BigInt(amounts[3]) <= BigInt(composed.floor().toFixed())).toBe(true);
+            expect(BigInt(composed.floor().toFixed()) - BigInt(amounts[3]) < 10n).toBe(true);
+        });
+        
+        test('should size a triangular cycle at the profit maximum', () => {
+            const result = UniswapV2Math.findOptimalCycle(triangle);
+            const optimal = BigInt(result.optimalAmount);
+            const profit = BigInt(result.profit);
+            
+            expect(optimal > 0n).toBe(true);
+            expect(result.amounts).toHaveLength(4);
+            expect(result.amounts[0]).toBe(result.optimalAmount);
+            expect(profit).toBe(cycleProfitAt(optimal, triangle));
+            
+            const tolerance = 3n; // one wei of rounding per hop
+            expect(cycleProfitAt(optimal + 1n, triangle) <= profit + tolerance).toBe(true);
+            expect(cycleProfitAt(optimal - 1n, triangle) <= profit + tolerance).toBe(true);
+            
+            const step = 10n ** 16n;
+            expect(cycleProfitAt(optimal + step, triangle) < profit).toBe(true);
+            expect(cycleProfitAt(optimal - step, triangle) < profit).toBe(true);
+        });
+        
+        test('should match a brute-force search on a small 4-hop cycle', () => {
+            const pools = [
+                { reserveIn: '50000', reserveOut: '60000' },
+                { reserveIn: '80000', reserveOut: '70000', fee: 25 },
+                { reserveIn: '90000', reserveOut: '100000' },
+                { reserveIn: '100000', reserveOut: '95000', fee: 5 }
+            ];
+            
+            let bestProfit = 0n;
+            for (let amount = 1n; amount <= 5000n; amount++) {
+                const profit = cycleProfitAt(amount, pools);
+                if (profit > bestProfit) bestProfit = profit;
+            }
+            
+            const result = UniswapV2Math.findOptimalCycle(pools);
+            
+            expect(bestProfit > 0n).toBe(true);
+            expect(bestProfit - BigInt(result.profit) <= 4n).toBe(true);
+        });
+        
+        test('should agree with the two-pool solver', () => {
+            const poolA = { reserveIn: '2000000000000000000000000', reserveOut: '1000000000000000000000', fee: 30 };
+            const poolB = { reserveIn: '1000000000000000000000', reserveOut: '2100000000000000000000000', fee: 25 };
+            
+            const cycle = UniswapV2Math.findOptimalCycle([poolA, poolB]);
+            const pair = UniswapV2Math.calculateOptimalArbitrage(poolA, poolB);
+            
+            expect(pair.optimalAmount).toBe(cycle.optimalAmount);
+            expect(pair.amountOutA).toBe(cycle.amounts[1]);
+            expect(pair.amountOutB).toBe(cycle.amounts[2]);
+            expect(pair.profit).toBe(cycle.profit);
+        });
+        
+        test('should return zeros when the cycle is unprofitable', () => {
+            const pools = [
+                { reserveIn: '1000000', reserveOut: '1000000' },
+                { reserveIn: '1000000', reserveOut: '1000000' },
+                { reserveIn: '1000000', reserveOut: '1000000' }
+            ];
+            
+            expect(UniswapV2Math.findOptimalCycle(pools)).toEqual({
+                optimalAmount: '0',
+                amounts: [],
+                profit: '0'
+            });
+        });
+        
+        test('should reject empty cycles and non-positive reserves', () => {
+            expect(() => UniswapV2Math.findOptimalCycle([])).toThrow('at least one pool');
+            expect(() => UniswapV2Math.findOptimalCycle([
+                { reserveIn: '0', reserveOut: '1000' },
+                { reserveIn: '1000', reserveOut: '1000' }
+            ])).toThrow('reserves must be positive');
+        });
+        
+        test('should cap cycle size at maxAmount and net out gas', () => {
+            const unconstrained = UniswapV2Math.findOptimalCycle(triangle);
+            const maxAmount = (BigInt(unconstrained.optimalAmount) / 2n).toString();
+            
+            const result = UniswapV2Math.findOptimalCycleTradeSize(triangle, maxAmount, '1000');
+            
+            expect(result.optimalAmount).toBe(maxAmount);
+            expect(result.maxProfit).toBe((cycleProfitAt(BigInt(maxAmount), triangle) - 1000n).toString());
+        });
+    });
+    
     describe('Constants', () => {
         test('should have correct fee constants', () => {
             expect(UniswapV2Math.FEE_DENOMINATOR).toBe(1000);
@@ -0,0 +1,164 @@
+const UniswapV3Math = require('../../src/services/amm/UniswapV3Math');
+const UniswapV2Math = require('../../src/services/amm/UniswapV2Math');
+
+describe('UniswapV3Math', () => {
+    const Q96 = 2n ** 96n;
+    const E18 = 10n ** 18n;
+
+    // Full-range position: behaves like a V2 pool with reserves L / sqrtP and L * sqrtP
+    const fullRangePool = (liquidity, fee = 3000) => ({
+        type: 'v3',
+        sqrtPriceX96: Q96.toString(),
+        tick: 0,
+        liquidity: liquidity.toString(),
+        fee,
+        ticks: [
+            { index: -887220, liquidityNet: liquidity.toString() },
+            { index: 887220, liquidityNet: (-liquidity).toString() }
+        ]
+    });
+
+    // Two nested ranges around price 1: [-600, 600] and [-1200, 1200]
+    const L1 = 1000n * E18;
+    const L2 = 500n * E18;
+    const nestedPool = {
+        type: 'v3',
+        sqrtPriceX96: Q96.toString(),
+        tick: 0,
+        liquidity: (L1 + L2).toString(),
+        fee: 500,
+        ticks: [
+            { index: -1200, liquidityNet: L2.toString() },
+            { index: -600, liquidityNet: L1.toString() },
+            { index: 600, liquidityNet: (-L1).toString() },
+            { index: 1200, liquidityNet: (-L2).toString() }
+        ]
+    };
+
+    describe('TickMath', () => {
+        test('should match the contract bounds', () => {
+            expect(UniswapV3Math.getSqrtRatioAtTick(UniswapV3Math.MIN_TICK)).toBe(UniswapV3Math.MIN_SQRT_RATIO);
+            expect(UniswapV3Math.getSqrtRatioAtTick(UniswapV3Math.MAX_TICK)).toBe(UniswapV3Math.MAX_SQRT_RATIO);
+            expect(UniswapV3Math.getSqrtRatioAtTick(0)).toBe(Q96);
+        });
+
+        test('should match known tick ratios', () => {
+            expect(UniswapV3Math.getSqrtRatioAtTick(1).toString()).toBe('79232123823359799118286999568');
+            expect(UniswapV3Math.getSqrtRatioAtTick(-1).toString()).toBe('79224201403219477170569942574');
+        });
+
+        test('should invert getSqrtRatioAtTick', () => {
+            for (const tick of [-887272, -200000, -601, -1, 0, 1, 599, 200000, 887271]) {
+                const sqrtRatio = UniswapV3Math.getSqrtRatioAtTick(tick);
+                expect(UniswapV3Math.getTickAtSqrtRatio(sqrtRatio)).toBe(tick);
+                expect(UniswapV3Math.getTickAtSqrtRatio(UniswapV3Math.getSqrtRatioAtTick(tick + 1) - 1n)).toBe(tick);
+            }
+        });
+
+        test('should reject out-of-range ticks and prices', () => {
+            expect(() => UniswapV3Math.getSqrtRatioAtTick(887273)).toThrow('Invalid tick');
+            expect(() => UniswapV3Math.getTickAtSqrtRatio(UniswapV3Math.MAX_SQRT_RATIO)).toThrow('Invalid sqrtPriceX96');
+        });
+    });
+
+    describe('Tick bitmap helpers', () => {
+        test('should map fee tiers to tick spacing', () => {
+            expect(UniswapV3Math.getTickSpacing(500)).toBe(10);
+            expect(UniswapV3Math.getTickSpacing(3000)).toBe(60);
+            expect(() => UniswapV3Math.getTickSpacing(2500)).toThrow('Unsupported fee tier');
+        });
+
+        test('should decode bitmap words into ticks', () => {
+            const bitmap = (1n << 255n) | 1n;
+            expect(UniswapV3Math.decodeTickBitmap(-1, bitmap, 60)).toEqual([-256 * 60, -60]);
+            expect(UniswapV3Math.getWordPosition(-60, 60)).toBe(-1);
+            expect(UniswapV3Math.getWordPosition(15360, 60)).toBe(1);
+        });
+
+        test('should stop at word boundaries when no tick is initialized', () => {
+            expect(UniswapV3Math.nextInitializedTickWithinOneWord([], 0, 60, true)).toEqual({ tickNext: 0, initialized: false });
+            expect(UniswapV3Math.nextInitializedTickWithinOneWord([], 0, 60, false)).toEqual({ tickNext: 255 * 60, initialized: false });
+            expect(UniswapV3Math.nextInitializedTickWithinOneWord([-600, 600], -1, 60, true))
+                .toEqual({ tickNext: -600, initialized: true });
+        });
+    });
+
+    describe('getAmountOut', () => {
+        test('should match V2 exactly for a full-range position', () => {
+            const liquidity = 1000n * E18;
+            const pool = fullRangePool(liquidity);
+
+            for (const amountIn of ['1000000000000000000', '100000000000000000000']) {
+                expect(UniswapV3Math.getAmountOut(amountIn, pool, true))
+                    .toBe(UniswapV2Math.getAmountOut(amountIn, liquidity.toString(), liquidity.toString(), 30));
+                expect(UniswapV3Math.getAmountOut(amountIn, pool, false))
+                    .toBe(UniswapV2Math.getAmountOut(amountIn, liquidity.toString(), liquidity.toString(), 30));
+            }
+        });
+
+        test('should cross initialized ticks and update liquidity', () => {
+            const result = UniswapV3Math.swap(nestedPool, true, 50n * E18);
+
+            expect(result.complete).toBe(true);
+            expect(result.ticksCrossed).toBe(1);
+            expect(result.liquidity).toBe(L2.toString());
+            expect(result.tick).toBeLessThan(-600);
+            expect(result.tick).toBeGreaterThanOrEqual(-1200);
+        });
+
+        test('should give the same output when a swap is split across a tick crossing', () => {
+            const amountIn = 50n * E18;
+            const whole = UniswapV3Math.swap(nestedPool, true, amountIn);
+
+            const first = UniswapV3Math.swap(nestedPool, true, amountIn / 2n);
+            const afterFirst = { ...nestedPool, sqrtPriceX96: first.sqrtPriceX96, tick: first.tick, liquidity: first.liquidity };
+            const second = UniswapV3Math.swap(afterFirst, true, amountIn - amountIn / 2n);
+
+            const splitOut = BigInt(first.amountOut) + BigInt(second.amountOut);
+            const difference = splitOut > BigInt(whole.amountOut)
+                ? splitOut - BigInt(whole.amountOut)
+                : BigInt(whole.amountOut) - splitOut;
+
+            expect(difference <= 2n).toBe(true);
+        });
+
+        test('should throw when liquidity runs out', () => {
+            expect(() => UniswapV3Math.getAmountOut((10000n * E18).toString(), nestedPool, true))
+                .toThrow('Insufficient liquidity');
+        });
+
+        test('should refuse to quote past the loaded tick range', () => {
+            const partial = { ...nestedPool, tickRange: { lower: 0, upper: 255 * 10 } };
+
+            expect(() => UniswapV3Math.getAmountOut((50n * E18).toString(), partial, true))
+                .toThrow('loaded tick range');
+        });
+    });
+
+    describe('getAmountIn', () => {
+        test('should invert getAmountOut within rounding', () => {
+            const amountIn = (7n * E18).toString();
+            const amountOut = UniswapV3Math.getAmountOut(amountIn, nestedPool, false);
+            const requiredIn = UniswapV3Math.getAmountIn(amountOut, nestedPool, false);
+
+            expect(BigInt(requiredIn) <= BigInt(amountIn)).toBe(true);
+            expect(BigInt(UniswapV3Math.getAmountOut(requiredIn, nestedPool, false)) >= BigInt(amountOut)).toBe(true);
+        });
+
+        test('should reject non-positive amounts', () => {
+            expect(() => UniswapV3Math.getAmountIn('0', nestedPool, true)).toThrow('amountOut must be positive');
+        });
+    });
+
+    describe('Price helpers', () => {
+        test('should derive spot price and virtual reserves', () => {
+            const sqrtPriceX96 = UniswapV3Math.getSqrtRatioAtTick(6932); // ~2x
+            const price = UniswapV3Math.getSpotPrice(sqrtPriceX96);
+
+            expect(price.toNumber()).toBeCloseTo(1.0001 ** 6932, 6);
+
+            const { reserve0, reserve1 } = UniswapV3Math.getVirtualReserves({ sqrtPriceX96, liquidity: 1000n * E18 });
+            expect(Number(reserve1) / Number(reserve0)).toBeCloseTo(price.toNumber(), 6);
+        });
+    });
+});
@@ -1,11 +1,12 @@
 const Web3Manager = require('../../src/services/blockchain/Web3Manager');
 
-// Mock Web3
-jest.mock('web3', () => {
-    return jest.fn().mockImplementation((url) => {
+// Mock Web3 (the package exports the class as a named export)
+jest.mock('web3', () => ({
+    Web3: jest.fn().mockImplementation((url) => {
         const mockWeb3 = {
             eth: {
                 getBlockNumber: jest.fn().mockResolvedValue(12345),
+                getChainId: jest.fn().mockResolvedValue(1n),
                 getGasPrice: jest.fn().mockResolvedValue('20000000000'),
                 subscribe: jest.fn().mockResolvedValue({
                     on: jest.fn(),
@@ -33,8 +34,8 @@ jest.mock('web3', () => {
         });
 
         return mockWeb3;
-    });
-});
+    })
+}));
 
 describe('Web3Manager', () => {
     let web3Manager;
@@ -153,6 +154,378 @@ describe('Web3Manager', () => {
         });
     });
 
+    describe('Weighted Routing', () => {
+        const countSelections = (manager, calls) => {
+            const counts = manager.providers.map(() => 0);
+            for (let i = 0; i < calls; i++) {
+                counts[manager.selectProvider()]++;
+            }
+            return counts;
+        };
+
+        test('should spread traffic by provider weight', () => {
+            const manager = new Web3Manager([
+                { url: 'https://a.example', name: 'A', weight: 3 },
+                { url: 'https://b.example', name: 'B', weight: 1 }
+            ]);
+
+            expect(countSelections(manager, 400)).toEqual([300, 100]);
+        });
+
+        test('should shift traffic away from a slow provider', () => {
+            web3Manager.recordProviderResult(0, true, 2000);
+            web3Manager.recordProviderResult(1, true, 50);
+            web3Manager.recordProviderResult(2, true, 50);
+
+            const counts = countSelections(web3Manager, 300);
+
+            expect(counts[0]).toBeLessThan(counts[1] / 5);
+            expect(Math.abs(counts[1] - counts[2])).toBeLessThanOrEqual(1);
+        });
+
+        test('should skip providers whose circuit is open', () => {
+            for (let i = 0; i < 3; i++) {
+                web3Manager.recordProviderResult(1, false);
+            }
+
+            expect(web3Manager.circuitBreakers[1].state).toBe('open');
+            expect(countSelections(web3Manager, 50)[1]).toBe(0);
+            web3Manager.stopHealthProbes();
+        });
+
+        test('should retry on a different provider and score both', async () => {
+            const used = [];
+            const operation = jest.fn(async (web3) => {
+                used.push(web3);
+                if (used.length === 1) throw new Error('Provider failed');
+                return 'success';
+            });
+
+            await expect(web3Manager.executeWithFailover(operation)).resolves.toBe('success');
+
+            expect(used[0]).not.toBe(used[1]);
+            const status = web3Manager.getProviderStatus();
+            expect(status.reduce((sum, provider) => sum + provider.requests, 0)).toBe(2);
+            expect(status.reduce((sum, provider) => sum + provider.failures, 0)).toBe(1);
+        });
+
+        test('should expose scores and traffic shares in provider status', () => {
+            web3Manager.recordProviderResult(0, true, 250);
+
+            const status = web3Manager.getProviderStatus();
+
+            expect(status[0]).toMatchObject({ score: 0.5, latencyMs: 250, errorRate: 0, requests: 1 });
+            expect(status[0].circuit.state).toBe('closed');
+            expect(status[1].score).toBe(1);
+            expect(status[0].trafficShare).toBeCloseTo(0.2, 10);
+            expect(status.reduce((sum, provider) => sum + provider.trafficShare, 0)).toBeCloseTo(1, 10);
+        });
+    });
+
+    describe('Circuit Breakers', () => {
+        const openCircuit = (manager, index) => {
+            for (let i = 0; i < manager.failoverThreshold; i++) {
+                manager.recordProviderResult(index, false);
+            }
+        };
+
+        afterEach(() => {
+            web3Manager.stopHealthProbes();
+        });
+
+        test('should move the current provider off an open circuit', () => {
+            openCircuit(web3Manager, 0);
+
+            expect(web3Manager.getCurrentProvider().name).toBe('Alchemy');
+            expect(web3Manager.probeTimers.has(0)).toBe(true);
+        });
+
+        test('should not rotate back onto an open circuit', () => {
+            openCircuit(web3Manager, 1);
+
+            web3Manager.rotateProvider();
+
+            expect(web3Manager.getCurrentProvider().name).toBe('BlastAPI');
+        });
+
+        test('should close the circuit when the half-open probe succeeds', async () => {
+            openCircuit(web3Manager, 1);
+            const getBlockNumber = web3Manager.web3Instances[1].eth.getBlockNumber;
+
+            await expect(web3Manager.probeProvider(1)).resolves.toBe(true);
+
+            expect(getBlockNumber).toHaveBeenCalled();
+            expect(web3Manager.circuitBreakers[1].state).toBe('closed');
+        });
+
+        test('should reopen the circuit when the probe fails', async () => {
+            openCircuit(web3Manager, 1);
+            web3Manager.web3Instances[1].eth.getBlockNumber = jest.fn().mockRejectedValue(new Error('down'));
+
+            await expect(web3Manager.probeProvider(1)).resolves.toBe(false);
+
+            const circuit = web3Manager.circuitBreakers[1].getStatus();
+            expect(circuit.state).toBe('open');
+            expect(circuit.opened).toBe(2);
+            expect(web3Manager.probeTimers.has(1)).toBe(true);
+        });
+
+        test('should probe an open circuit once the cooldown has passed', async () => {
+            jest.useFakeTimers();
+            try {
+                const manager = new Web3Manager(mockProviders, { failoverThreshold: 2, cooldownPeriod: 1000 });
+                const probe = jest.spyOn(manager, 'probeProvider').mockResolvedValue(true);
+                openCircuit(manager, 2);
+
+                jest.advanceTimersByTime(999);
+                expect(probe).not.toHaveBeenCalled();
+
+                jest.advanceTimersByTime(1);
+                expect(probe).toHaveBeenCalledWith(2);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        test('should fail fast when every circuit is open', async () => {
+            web3Manager.circuitBreakers.forEach((_, index) => openCircuit(web3Manager, index));
+            const operation = jest.fn();
+
+            await expect(web3Manager.executeWithFailover(operation)).rejects.toThrow('all circuits are open');
+            expect(operation).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Request Cache', () => {
+        const gasPriceMocks = () => web3Manager.web3Instances.map(web3 => web3.eth.getGasPrice);
+        const totalCalls = (mocks) => mocks.reduce((sum, mock) => sum + mock.mock.calls.length, 0);
+
+        test('should share one request between concurrent identical reads', async () => {
+            const results = await Promise.all([
+                web3Manager.getGasPrice(),
+                web3Manager.getGasPrice(),
+                web3Manager.executeWithFailover(async (web3) => web3.eth.getGasPrice(), {
+                    cache: { method: 'eth_gasPrice' }
+                })
+            ]);
+
+            expect(results).toEqual(['20000000000', '20000000000', '20000000000']);
+            expect(totalCalls(gasPriceMocks())).toBe(1);
+            expect(web3Manager.getCacheStats()).toMatchObject({ misses: 1, coalesced: 2 });
+        });
+
+        test('should memoize latest reads until a new block arrives', async () => {
+            await web3Manager.getBlockNumber();
+            await web3Manager.getGasPrice();
+            await web3Manager.getGasPrice();
+
+            expect(totalCalls(gasPriceMocks())).toBe(1);
+            expect(web3Manager.getCacheStats()).toMatchObject({ hits: 1, headBlockNumber: 12345 });
+
+            web3Manager.requestCache.setHead(12346);
+            await web3Manager.getGasPrice();
+
+            expect(totalCalls(gasPriceMocks())).toBe(2);
+        });
+
+        test('should not memoize the block number itself', async () => {
+            await web3Manager.getBlockNumber();
+            await web3Manager.getBlockNumber();
+
+            const calls = totalCalls(web3Manager.web3Instances.map(web3 => web3.eth.getBlockNumber));
+            expect(calls).toBe(2);
+        });
+
+        test('should not memoize failures', async () => {
+            const operation = jest.fn()
+                .mockRejectedValueOnce(new Error('rate limited'))
+                .mockResolvedValue('0xabc');
+            const cache = { method: 'eth_call', params: [{ to: '0x1' }], blockNumber: 100 };
+
+            await expect(web3Manager.executeWithFailover(operation, { maxAttempts: 1, cache }))
+                .rejects.toThrow('All providers failed');
+            await expect(web3Manager.executeWithFailover(operation, { cache })).resolves.toBe('0xabc');
+            await expect(web3Manager.executeWithFailover(operation, { cache })).resolves.toBe('0xabc');
+
+            expect(operation).toHaveBeenCalledTimes(2);
+        });
+
+        test('should move the head with subscribed blocks', async () => {
+            const callback = jest.fn();
+            const subscription = await web3Manager.subscribeToBlocks(callback);
+
+            await subscription.onHeader({ number: 20000000, hash: '0xabc' });
+            await subscription.stop();
+
+            expect(callback).toHaveBeenCalledWith({ number: 20000000, hash: '0xabc' });
+            expect(web3Manager.getCacheStats().headBlockNumber).toBe(20000000);
+        });
+    });
+
+    describe('Rate Limiting', () => {
+        let limited;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            limited = new Web3Manager([
+                { url: 'https://mainnet.infura.io/v3/test1', name: 'Infura', requestsPerSecond: 2 }
+            ], { rateLimit: { bulkReserve: 0 } });
+        });
+
+        afterEach(() => {
+            limited.stopRateLimiters();
+            limited.stopHealthProbes();
+            jest.useRealTimers();
+        });
+
+        test('should leave providers without budgets unlimited', () => {
+            expect(web3Manager.providers[0].requestsPerSecond).toBeNull();
+            expect(web3Manager.getProviderStatus()[0].rateLimit.queueLength).toBe(0);
+        });
+
+        test('should run execution calls ahead of queued bulk refreshes', async () => {
+            const order = [];
+            const call = (label, priority) => limited.executeWithFailover(async () => {
+                order.push(label);
+                return label;
+            }, { priority });
+
+            const pending = [
+                call('bulk1', 'bulk'),
+                call('bulk2', 'bulk'),
+                call('bulk3', 'bulk'),
+                call('bulk4', 'bulk'),
+                call('execution', 'execution')
+            ];
+            await jest.advanceTimersByTimeAsync(2000);
+            await Promise.all(pending);
+
+            expect(order).toEqual(['bulk1', 'bulk2', 'execution', 'bulk3', 'bulk4']);
+            expect(limited.getProviderStatus()[0].rateLimit.byPriority).toEqual({ execution: 1, normal: 0, bulk: 4 });
+        });
+
+        test('should not coalesce an urgent read onto a queued bulk read', async () => {
+            limited.web3Instances[0].eth.getGasPrice.mockResolvedValue('30000000000');
+            await limited.executeWithFailover(async () => 'x', { priority: 'bulk' });
+            await limited.executeWithFailover(async () => 'y', { priority: 'bulk' });
+
+            const bulk = limited.getGasPrice({ priority: 'bulk' });
+            const execution = limited.getGasPrice({ priority: 'execution' });
+            await jest.advanceTimersByTimeAsync(1000);
+
+            await expect(Promise.all([bulk, execution])).resolves.toEqual(['30000000000', '30000000000']);
+            expect(limited.web3Instances[0].eth.getGasPrice).toHaveBeenCalledTimes(2);
+        });
+
+        test('should charge compute units by method', async () => {
+            const metered = new Web3Manager([
+                { url: 'https://eth-mainnet.g.alchemy.com/v2/test', name: 'Alchemy', computeUnitsPerSecond: 100 }
+            ]);
+
+            await metered.getBlockNumber();
+            await metered.executeWithFailover(async () => [], { method: 'eth_getLogs' });
+
+            expect(metered.getProviderStatus()[0].rateLimit.tokens.computeUnits).toBe(15);
+            metered.stopHealthProbes();
+        });
+    });
+
+    describe('Provider Monitoring', () => {
+        afterEach(() => {
+            web3Manager.stopProviderMonitor();
+        });
+
+        test('should route no traffic to a quarantined provider and rotate off it', async () => {
+            web3Manager = new Web3Manager(mockProviders, { chainId: 1 });
+            web3Manager.web3Instances[0].eth.getChainId.mockResolvedValue(56n);
+            web3Manager.web3Instances[2].eth.getBlockNumber.mockResolvedValue(12300);
+
+            await web3Manager.startProviderMonitor();
+
+            expect(web3Manager.currentProviderIndex).toBe(1);
+            const selected = new Set(Array.from({ length: 6 }, () => web3Manager.selectProvider()));
+            expect([...selected]).toEqual([1]);
+            expect(web3Manager.getProviderStatus()[2].head).toMatchObject({ lag: 45, quarantine: { reason: '45 blocks behind the best head' } });
+        });
+
+        test('should count subscription heads towards the best head', async () => {
+            await web3Manager.startProviderMonitor();
+            const subscription = await web3Manager.subscribeToBlocks(jest.fn());
+            const onData = web3Manager.web3Instances[subscription.providerIndex].eth.subscribe.mock.results[0];
+            const handlers = (await onData.value).on.mock.calls;
+            handlers.find(([event]) => event === 'data')[1]({ number: 12346, hash: '0x1' });
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(web3Manager.providerMonitor.bestHeadBlockNumber).toBe(12346);
+            await subscription.stop();
+        });
+    });
+
+    describe('Quorum Reads', () => {
+        // Each provider answers with its own reserves
+        const readReserves = (answers) => async (web3) => {
+            const answer = answers[web3.provider.name];
+            if (answer instanceof Error) {
+                throw answer;
+            }
+            return answer;
+        };
+
+        test('should read from two providers by default and return the agreed value', async () => {
+            const operation = jest.fn(readReserves({ Infura: [100n, 200n], Alchemy: [100n, 200n], BlastAPI: [100n, 200n] }));
+
+            const result = await web3Manager.executeWithQuorum(operation);
+
+            expect(operation).toHaveBeenCalledTimes(2);
+            expect(result).toMatchObject({ value: [100n, 200n], agreed: true, agreeing: 2 });
+            expect(new Set(result.responses.map(response => response.provider)).size).toBe(2);
+        });
+
+        test('should fail when providers disagree', async () => {
+            const operation = readReserves({ Infura: ['100', '200'], Alchemy: ['100', '250'], BlastAPI: ['100', '200'] });
+
+            await expect(web3Manager.executeWithQuorum(operation, { quorum: 3 }))
+                .rejects.toThrow('Quorum not reached: 2 of 3 providers agreed, 3 required');
+            expect(web3Manager.getQuorumStats()).toMatchObject({ reads: 1, disagreements: 1, failures: 1 });
+        });
+
+        test('should flag disagreement instead of failing when asked, and penalize the outlier', async () => {
+            const operation = readReserves({ Infura: ['100', '200'], Alchemy: ['100', '250'], BlastAPI: ['100', '200'] });
+
+            const result = await web3Manager.executeWithQuorum(operation, { quorum: 3, onDisagreement: 'flag' });
+
+            expect(result).toMatchObject({ value: ['100', '200'], agreed: false, agreeing: 2 });
+            expect(web3Manager.providerHealth[1].failures).toBe(1);
+            expect(web3Manager.providerHealth[0].failures).toBe(0);
+        });
+
+        test('should accept a majority threshold and count errors as disagreement', async () => {
+            const operation = readReserves({ Infura: ['1'], Alchemy: new Error('header not found'), BlastAPI: ['1'] });
+
+            const result = await web3Manager.executeWithQuorum(operation, { quorum: 3, threshold: 2 });
+
+            expect(result).toMatchObject({ value: ['1'], agreed: true, agreeing: 2 });
+            expect(result.responses.find(response => response.provider === 'Alchemy').result).toMatch(/^error: /);
+        });
+
+        test('should compare normalized values', async () => {
+            const operation = readReserves({ Infura: { reserve0: '5', fetchedAt: 1 }, Alchemy: { reserve0: '5', fetchedAt: 2 } });
+
+            const result = await web3Manager.executeWithQuorum(operation, { normalize: value => value.reserve0 });
+
+            expect(result.agreed).toBe(true);
+        });
+
+        test('should fail without enough providers with closed circuits', async () => {
+            web3Manager.circuitBreakers[1].open();
+            web3Manager.circuitBreakers[2].open();
+
+            await expect(web3Manager.executeWithQuorum(async () => 1))
+                .rejects.toThrow('Quorum unavailable: 1 providers available, 2 required');
+            web3Manager.stopHealthProbes();
+        });
+    });
+
     describe('executeWithFailover', () => {
         test('should execute operation successfully', async () => {
             const operation = jest.fn().mockResolvedValue('success');
@@ -0,0 +1,90 @@
+const WeightedPoolMath = require('../../src/services/amm/WeightedPoolMath');
+const UniswapV2Math = require('../../src/services/amm/UniswapV2Math');
+
+describe('WeightedPoolMath', () => {
+    const E18 = 10n ** 18n;
+    const W50 = (5n * E18 / 10n).toString();
+    const W80 = (8n * E18 / 10n).toString();
+    const W20 = (2n * E18 / 10n).toString();
+    const FEE_30_BPS = (3n * E18 / 1000n).toString();
+
+    // 80/20 pool: 8000 of the heavy token against 500 of the light one (spot price 4)
+    const heavy = (8000n * E18).toString();
+    const light = (500n * E18).toString();
+
+    describe('getAmountOut', () => {
+        test('should match constant product for a 50/50 pool', () => {
+            const amountIn = (5n * E18).toString();
+            const reserveIn = (1000n * E18).toString();
+            const reserveOut = (2000n * E18).toString();
+
+            expect(WeightedPoolMath.getAmountOut(amountIn, reserveIn, W50, reserveOut, W50, FEE_30_BPS))
+                .toBe(UniswapV2Math.getAmountOut(amountIn, reserveIn, reserveOut, 30));
+        });
+
+        test('should price an 80/20 pool by its weights', () => {
+            const amountIn = (10n * E18).toString();
+            const amountOut = BigInt(WeightedPoolMath.getAmountOut(amountIn, heavy, W80, light, W20));
+
+            // 500 * (1 - (8000 / 8010) ^ 4)
+            const expected = 500 * (1 - Math.pow(8000 / 8010, 4));
+            expect(Number(amountOut) / 1e18).toBeCloseTo(expected, 9);
+            // Slippage keeps it below the spot price of 10 / 4
+            expect(amountOut < 25n * E18 / 10n).toBe(true);
+        });
+
+        test('should charge the swap fee on the input', () => {
+            const amountIn = (10n * E18).toString();
+            const withFee = WeightedPoolMath.getAmountOut(amountIn, heavy, W80, light, W20, FEE_30_BPS);
+            const feeless = WeightedPoolMath.getAmountOut((9970n * E18 / 1000n).toString(), heavy, W80, light, W20);
+
+            expect(withFee).toBe(feeless);
+        });
+
+        test('should reject swaps beyond the max in ratio', () => {
+            const tooLarge = (2401n * E18).toString();
+
+            expect(() => WeightedPoolMath.getAmountOut(tooLarge, heavy, W80, light, W20))
+                .toThrow('exceeds max in ratio');
+        });
+
+        test('should reject invalid inputs', () => {
+            expect(() => WeightedPoolMath.getAmountOut('0', heavy, W80, light, W20)).toThrow('Invalid amountIn');
+            expect(() => WeightedPoolMath.getAmountOut('1', '0', W80, light, W20)).toThrow('balances must be positive');
+            expect(() => WeightedPoolMath.getAmountOut('1', heavy, '0', light, W20)).toThrow('weights must be positive');
+            expect(() => WeightedPoolMath.getAmountOut('1', heavy, W80, light, W20, E18.toString())).toThrow('Invalid swap fee');
+        });
+    });
+
+    describe('getAmountIn', () => {
+        test('should invert getAmountOut', () => {
+            const amountOut = (2n * E18).toString();
+            const amountIn = BigInt(WeightedPoolMath.getAmountIn(amountOut, heavy, W80, light, W20, FEE_30_BPS));
+
+            const covered = BigInt(WeightedPoolMath.getAmountOut(amountIn.toString(), heavy, W80, light, W20, FEE_30_BPS));
+            const short = BigInt(WeightedPoolMath.getAmountOut((amountIn - 2n).toString(), heavy, W80, light, W20, FEE_30_BPS));
+
+            expect(covered >= BigInt(amountOut)).toBe(true);
+            expect(short < BigInt(amountOut)).toBe(true);
+        });
+
+        test('should reject outputs beyond the max out ratio', () => {
+            expect(() => WeightedPoolMath.getAmountIn((151n * E18).toString(), heavy, W80, light, W20))
+                .toThrow('exceeds max out ratio');
+        });
+    });
+
+    describe('getSpotPrice', () => {
+        test('should weight the balance ratio', () => {
+            // (8000 / 0.8) / (500 / 0.2) = 4 heavy per light
+            expect(WeightedPoolMath.getSpotPrice(heavy, W80, light, W20).toString()).toBe('4');
+            expect(WeightedPoolMath.getSpotPrice(light, W20, heavy, W80).toString()).toBe('0.25');
+        });
+
+        test('should include the fee when given', () => {
+            const price = WeightedPoolMath.getSpotPrice(heavy, W80, light, W20, FEE_30_BPS);
+
+            expect(price.toNumber()).toBeCloseTo(4 / 0.997, 12);
+        });
+    });
+});